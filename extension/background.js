@@ -9,9 +9,152 @@ const IS_SAFARI = typeof chrome.runtime.getURL === 'function'
     && chrome.runtime.getURL('').startsWith('safari-web-extension://');
 const NATIVE_HOST_NAME = IS_SAFARI ? 'com.altonfong.aisummary' : 'com.youtube.summary';
 
+// Must match PROTOCOL_VERSION in native-host/host.js; sent with every request
+// so the host's `hello` and `diagnose` can spot a stale install
+const PROTOCOL_VERSION = 3;
+
+// Actions of hosts installed before the `hello` handshake existed. Such a
+// host answers hello with "Unknown action", and is treated as having these.
+const LEGACY_HOST_ACTIONS = ['generateSummary', 'saveToNotes', 'listFolders', 'followUp', 'chat', 'generateAudio', 'listVoices', 'checkAuth'];
+const LEGACY_HOST_PROVIDERS = ['claude', 'codex'];
+
 let nativePort = null;
+
+// In-flight native requests by requestId: { resolve, message, resubmits }.
+// A requestId is a UUID, chosen by the caller or by sendToNativeHost.
 let pendingRequests = new Map();
-let requestIdCounter = 0;
+
+// Progress callbacks for streaming updates, by requestId
+let progressCallbacks = new Map();
+
+// Actions that are safe to send again when the host disconnects mid-request:
+// they only read or generate, so a second run can't duplicate anything.
+// Saving to Notes, clearing the cache, and cancel are not resent.
+const RESUBMITTABLE_ACTIONS = new Set(['generateSummary', 'followUp', 'chat', 'generateAudio', 'listFolders', 'listVoices', 'checkAuth', 'getCacheStats', 'getLogs', 'diagnose']);
+const MAX_RESUBMITS = 1;
+
+// Responses over Chrome's 1 MB message cap arrive as numbered `type: 'chunk'`
+// frames (see native-host/message-chunks.js); parts collect here by requestId
+let chunkBuffers = new Map();
+
+// Log verbosity chosen in settings; sent with every request so the native
+// host logs at that level (it defaults to info when unset)
+let logLevel = null;
+chrome.storage.sync.get(['logLevel'], (result) => {
+  logLevel = result.logLevel || null;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.logLevel) {
+    logLevel = changes.logLevel.newValue || null;
+  }
+});
+
+// Request timeouts (Settings → Timeouts), in seconds. Each kind of request
+// has a base limit, plus TIMEOUT_PER_10K_CHARS for every 10,000 characters
+// of input. Actions not listed use the summary default, unscaled.
+const TIMEOUT_DEFAULTS = {
+  timeoutSummary: 120,
+  timeoutChat: 120,
+  timeoutAudio: 120,
+  timeoutPer10kChars: 15
+};
+const TIMEOUT_SETTING_FOR_ACTION = {
+  generateSummary: 'timeoutSummary',
+  chat: 'timeoutChat',
+  followUp: 'timeoutChat',
+  generateAudio: 'timeoutAudio'
+};
+const MAX_TIMEOUT_MS = 30 * 60 * 1000;
+
+// The host enforces the limit on the provider and reports which one timed
+// out; the extension's own timer waits a little longer so that error wins
+const HOST_TIMEOUT_GRACE_MS = 10000;
+
+const PROVIDER_LABELS = {
+  claude: 'Claude Code',
+  codex: 'Codex',
+  anthropic: 'the Anthropic API',
+  local: 'the local model'
+};
+
+let timeoutSettings = { ...TIMEOUT_DEFAULTS };
+chrome.storage.sync.get(Object.keys(TIMEOUT_DEFAULTS), (result) => {
+  Object.keys(TIMEOUT_DEFAULTS).forEach((key) => {
+    if (Number.isFinite(result[key])) timeoutSettings[key] = result[key];
+  });
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync') return;
+  Object.keys(TIMEOUT_DEFAULTS).forEach((key) => {
+    if (changes[key]) {
+      const value = changes[key].newValue;
+      timeoutSettings[key] = Number.isFinite(value) ? value : TIMEOUT_DEFAULTS[key];
+    }
+  });
+});
+
+// Characters of input a request carries, for scaling its timeout
+function inputLength(message) {
+  let length = (message.transcript || '').length + (message.text || '').length;
+  if (Array.isArray(message.messages)) {
+    message.messages.forEach((m) => { length += (m.content || '').length; });
+  }
+  return length;
+}
+
+// Timeout for a request in ms: the action's base limit, scaled by input size
+function resolveTimeoutMs(message) {
+  const setting = TIMEOUT_SETTING_FOR_ACTION[message.action];
+  if (!setting) {
+    return TIMEOUT_DEFAULTS.timeoutSummary * 1000;
+  }
+  const base = timeoutSettings[setting];
+  const extra = Math.ceil(inputLength(message) / 10000) * timeoutSettings.timeoutPer10kChars;
+  return Math.min((base + extra) * 1000, MAX_TIMEOUT_MS);
+}
+
+// "Claude Code" for a summary, "ElevenLabs" for audio, ...
+function describeRequestTarget(message) {
+  if (message.action === 'generateAudio') return 'ElevenLabs';
+  if (TIMEOUT_SETTING_FOR_ACTION[message.action]) return PROVIDER_LABELS[message.provider || 'claude'] || message.provider;
+  return 'the native host';
+}
+
+function formatSeconds(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 120 && seconds % 60 === 0 ? `${seconds / 60} minutes` : `${seconds} seconds`;
+}
+
+// Request timers, by requestId. Any message for a request (progress, the
+// host's heartbeat, a response chunk) restarts its timer, so it fires only
+// when the host goes quiet; the limit on the provider itself is enforced
+// by the host, which gets timeoutMs with the request.
+let requestTimers = new Map();
+
+function armRequestTimer(requestId, delayMs, onTimeout) {
+  clearTimeout(requestTimers.get(requestId)?.timer);
+  requestTimers.set(requestId, {
+    delayMs,
+    onTimeout,
+    timer: setTimeout(() => {
+      requestTimers.delete(requestId);
+      onTimeout();
+    }, delayMs)
+  });
+}
+
+function restartRequestTimer(requestId) {
+  const entry = requestTimers.get(requestId);
+  if (entry) armRequestTimer(requestId, entry.delayMs, entry.onTimeout);
+}
+
+function clearRequestTimer(requestId) {
+  const entry = requestTimers.get(requestId);
+  if (entry) {
+    clearTimeout(entry.timer);
+    requestTimers.delete(requestId);
+  }
+}
 
 // Connect to native messaging host
 function connectNativeHost() {
@@ -32,15 +175,11 @@ function connectNativeHost() {
         console.error('Disconnect error:', chrome.runtime.lastError.message);
       }
       nativePort = null;
+      // The host may have been reinstalled; handshake again on reconnect
+      hostInfoPromise = null;
+      chunkBuffers.clear();
 
-      // Reject all pending requests
-      pendingRequests.forEach((resolve, requestId) => {
-        resolve({
-          success: false,
-          error: 'Native host disconnected'
-        });
-      });
-      pendingRequests.clear();
+      recoverPendingRequests();
     });
 
     console.log('Connected to native host');
@@ -52,42 +191,105 @@ function connectNativeHost() {
   }
 }
 
-// Send message to native host
-function sendToNativeHost(message) {
+// Send message to native host. A caller that sets message.requestId (a UUID)
+// can match progress and responses to its own request; otherwise one is
+// assigned. `onProgress` gets the request's progress updates. Every request
+// except `hello` waits for the handshake first.
+function sendToNativeHost(message, { onProgress } = {}) {
+  const requestId = message.requestId || crypto.randomUUID();
+  if (pendingRequests.has(requestId)) {
+    return Promise.resolve({ success: false, error: `Request ${requestId} is already in progress` });
+  }
+  message.requestId = requestId;
+  message.protocolVersion = PROTOCOL_VERSION;
+  if (logLevel && !message.logLevel) {
+    message.logLevel = logLevel;
+  }
+  if (!message.timeoutMs) {
+    message.timeoutMs = resolveTimeoutMs(message);
+  }
+
   return new Promise((resolve) => {
-    const port = connectNativeHost();
+    pendingRequests.set(requestId, { resolve, message, resubmits: 0 });
+    if (onProgress) {
+      progressCallbacks.set(requestId, onProgress);
+    }
 
-    if (!port) {
-      resolve({
+    armRequestTimer(requestId, message.timeoutMs + HOST_TIMEOUT_GRACE_MS, () => {
+      settleRequest(requestId, {
         success: false,
-        error: 'Could not connect to native messaging host. Please ensure the extension is properly installed.'
+        timedOut: true,
+        error: `Timed out after ${formatSeconds(message.timeoutMs)} waiting for ${describeRequestTarget(message)}. You can raise the limit in Settings → Timeouts.`
       });
+    });
+
+    postPendingRequest(requestId);
+    if (IS_SAFARI && onProgress) {
+      pollSafariProgress(requestId);
+    }
+  });
+}
+
+// Safari's bridge returns only a request's final response (see
+// NodeBridgeService.swift), so while a request with a progress callback
+// runs, ask the agent for its progress instead. Each answer that the
+// request is still running also counts as a heartbeat for its timer.
+const SAFARI_PROGRESS_POLL_MS = 1000;
+const SAFARI_PROGRESS_TIMEOUT_MS = 10000;
+// An agent still running from before getProgress hands each poll to a fresh
+// host.js, which has never heard of the request; stop asking after this many
+const SAFARI_PROGRESS_MAX_UNKNOWN = 5;
+
+function pollSafariProgress(requestId) {
+  let since = 0;
+  let unknown = 0;
+
+  const poll = async () => {
+    if (!pendingRequests.has(requestId)) return;
+    // An agent without getProgress: the sidebar keeps its simulated stages
+    const info = await getHostInfo();
+    if (!info.actions || !info.actions.includes('getProgress')) return;
+
+    const status = await sendToNativeHost({ action: 'getProgress', targetRequestId: requestId, since, timeoutMs: SAFARI_PROGRESS_TIMEOUT_MS });
+    if (!pendingRequests.has(requestId)) return;
+
+    if (status.success && status.status === 'running') {
+      restartRequestTimer(requestId);
+      const onProgress = progressCallbacks.get(requestId);
+      (status.updates || []).forEach(update => onProgress && onProgress(update.progress));
+      since = status.sequence;
+      unknown = 0;
+    } else if (status.status === 'unknown' && ++unknown >= SAFARI_PROGRESS_MAX_UNKNOWN) {
       return;
     }
+    setTimeout(poll, SAFARI_PROGRESS_POLL_MS);
+  };
 
-    const requestId = requestIdCounter++;
-    message.requestId = requestId;
+  setTimeout(poll, SAFARI_PROGRESS_POLL_MS);
+}
+
+// Post a pending request to the host, after the handshake unless it is `hello`
+function postPendingRequest(requestId) {
+  const { message, resubmits } = pendingRequests.get(requestId);
+  const ready = message.action === 'hello' ? Promise.resolve() : getHostInfo();
+  ready.then(() => {
+    // Cancelled, timed out, disconnected, or already resent while waiting
+    // for the handshake
+    if (pendingRequests.get(requestId)?.resubmits !== resubmits) return;
 
-    // Store the resolver
-    pendingRequests.set(requestId, resolve);
+    const port = connectNativeHost();
+    if (!port) {
+      settleRequest(requestId, {
+        success: false,
+        error: 'Could not connect to native messaging host. Please ensure the extension is properly installed.'
+      });
+      return;
+    }
 
-    // Send message
     try {
       port.postMessage(message);
-
-      // Timeout after 2 minutes
-      setTimeout(() => {
-        if (pendingRequests.has(requestId)) {
-          pendingRequests.delete(requestId);
-          resolve({
-            success: false,
-            error: 'Request timeout - Claude Code took too long to respond'
-          });
-        }
-      }, 120000);
     } catch (error) {
-      pendingRequests.delete(requestId);
-      resolve({
+      settleRequest(requestId, {
         success: false,
         error: `Failed to send message: ${error.message}`
       });
@@ -95,15 +297,479 @@ function sendToNativeHost(message) {
   });
 }
 
-// Store progress callbacks for streaming updates
-let progressCallbacks = new Map();
+// Resolve a pending request with `response` and forget it. Returns false if
+// it had already been settled (answered, cancelled, or timed out).
+function settleRequest(requestId, response) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return false;
+
+  pendingRequests.delete(requestId);
+  progressCallbacks.delete(requestId);
+  clearRequestTimer(requestId);
+  pending.resolve(response);
+  return true;
+}
+
+// The host went away mid-request (crashed, was killed, or was reinstalled).
+// Resend what's safe to resend on a new connection under the same requestId,
+// so progress routing and Cancel keep working, and fail the rest.
+function recoverPendingRequests() {
+  [...pendingRequests.entries()].forEach(([requestId, pending]) => {
+    const { message } = pending;
+    if (!RESUBMITTABLE_ACTIONS.has(message.action) || pending.resubmits >= MAX_RESUBMITS) {
+      settleRequest(requestId, { success: false, error: 'Native host disconnected' });
+      return;
+    }
+
+    pending.resubmits++;
+    console.log(`Resending ${message.action} ${requestId} after disconnect`);
+    restartRequestTimer(requestId);
+    const onProgress = progressCallbacks.get(requestId);
+    if (onProgress) {
+      onProgress({ stage: 'sending', message: 'Native host restarted — sending again...' });
+    }
+    postPendingRequest(requestId);
+  });
+}
+
+// ============================================================
+// Handshake
+// ============================================================
+
+// Resolves to what the connected host supports (see describeHost)
+let hostInfoPromise = null;
+
+/**
+ * Send `hello` once per connection and cache the answer. Connection
+ * failures aren't cached, so the next request tries again.
+ * @returns {Promise<Object>} - { connected, outdated, extensionOutdated,
+ *   protocolVersion, hostVersion, actions, providers, limits } or
+ *   { connected: false, error }
+ */
+function getHostInfo() {
+  if (!hostInfoPromise) {
+    const promise = sendToNativeHost({ action: 'hello' }).then((response) => {
+      const info = describeHost(response);
+      if (!info.connected && hostInfoPromise === promise) {
+        hostInfoPromise = null;
+      }
+      return info;
+    });
+    hostInfoPromise = promise;
+  }
+  return hostInfoPromise;
+}
+
+function describeHost(response) {
+  if (response && response.success) {
+    return {
+      connected: true,
+      outdated: response.protocolVersion < PROTOCOL_VERSION,
+      extensionOutdated: response.protocolVersion > PROTOCOL_VERSION,
+      protocolVersion: response.protocolVersion,
+      hostVersion: response.hostVersion,
+      actions: response.actions || [],
+      providers: response.providers || [],
+      limits: response.limits || {}
+    };
+  }
+
+  // A host from before the handshake answers, just not to hello
+  if (response && /Unknown action/.test(response.error || '')) {
+    return {
+      connected: true,
+      outdated: true,
+      extensionOutdated: false,
+      protocolVersion: 0,
+      hostVersion: null,
+      actions: LEGACY_HOST_ACTIONS,
+      providers: LEGACY_HOST_PROVIDERS,
+      limits: {}
+    };
+  }
+
+  return { connected: false, error: response?.error || 'Native host did not answer' };
+}
+
+// Native requestIds of in-flight generateSummary calls, keyed by tabId, so a
+// Cancel click or an SPA navigation in that tab can find and abort them.
+let activeGenerations = new Map();
+
+// Cancel every in-flight generation for a tab: tell the native host to kill
+// the CLI process, and resolve the pending promise right away so the caller
+// isn't left waiting on a process that may not answer.
+function cancelGenerationsForTab(tabId) {
+  const requestIds = activeGenerations.get(tabId);
+  if (!requestIds || requestIds.size === 0) {
+    return { success: true, cancelled: 0 };
+  }
+  activeGenerations.delete(tabId);
+
+  requestIds.forEach((requestId) => {
+    sendToNativeHost({ action: 'cancel', targetRequestId: requestId });
+    settleRequest(requestId, {
+      success: false,
+      cancelled: true,
+      error: 'Request cancelled'
+    });
+  });
+
+  return { success: true, cancelled: requestIds.size };
+}
+
+// Where a request's progress goes: the tab, and the frame whose content
+// script shows the UI. The sidebar is an extension iframe, so for its
+// requests that's the content script embedding it, in the top frame.
+function routeFor(sender) {
+  const fromExtensionPage = (sender.url || '').startsWith(chrome.runtime.getURL(''));
+  return { tabId: sender.tab.id, frameId: fromExtensionPage ? 0 : (sender.frameId || 0) };
+}
+
+// Send a generateSummary on behalf of a tab: forward its progress, tagged
+// with its requestId, to the route's frame, and track it under the tab so
+// cancelGeneration can find it.
+// @param {Object} request - generateSummary message
+// @param {Object|function(): Object} route - { tabId, frameId }, or a getter
+//   for a job's current route (a reattached job moves to the sidebar that
+//   picked it up)
+// @param {function} [onProgress] - Also called with each progress update
+// @returns {Promise<Object>} - Native host response
+async function sendTabGeneration(request, route, onProgress) {
+  const routeOf = typeof route === 'function' ? route : () => route;
+  const requestId = request.requestId || crypto.randomUUID();
+  request.requestId = requestId;
+  const { tabId } = routeOf();
+
+  if (!activeGenerations.has(tabId)) {
+    activeGenerations.set(tabId, new Set());
+  }
+  activeGenerations.get(tabId).add(requestId);
+
+  try {
+    return await sendToNativeHost(request, {
+      onProgress: (progress) => {
+        const current = routeOf();
+        chrome.tabs.sendMessage(current.tabId, {
+          type: 'PROGRESS_UPDATE',
+          requestId,
+          progress
+        }, { frameId: current.frameId }).catch(() => {}); // Ignore errors if tab closed
+        if (onProgress) onProgress(progress, requestId);
+      }
+    });
+  } finally {
+    activeGenerations.forEach((requestIds, id) => {
+      requestIds.delete(requestId);
+      if (requestIds.size === 0) activeGenerations.delete(id);
+    });
+  }
+}
+
+// Summary jobs: a summary started from the sidebar is owned by this worker,
+// so its result survives the sidebar closing or the page navigating or
+// reloading. Jobs persist in chrome.storage.local under `summaryJobs`, and
+// the sidebar finds one again by content key (`yt:<videoId>` or
+// `url:<url>`, the same key chat history uses).
+const JOBS_STORAGE_KEY = 'summaryJobs';
+const MAX_STORED_JOBS = 20;
+// After this a finished job is forgotten, and the sidebar offers a fresh summary
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Stand-in notification icon until icons/icon128.png is added (see icons/ICONS_README.txt)
+const FALLBACK_NOTIFICATION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+let summaryJobs = new Map();
+
+const jobsLoaded = chrome.storage.local.get([JOBS_STORAGE_KEY]).then((result) => {
+  Object.values(result[JOBS_STORAGE_KEY] || {}).forEach((job) => {
+    // The worker stopped mid-job, and the native request went with it
+    if (job.status === 'running') {
+      job.status = 'error';
+      job.error = 'Interrupted: the extension restarted before the summary finished';
+      job.finishedAt = Date.now();
+    }
+    summaryJobs.set(job.id, job);
+  });
+}).catch((error) => {
+  console.error('Failed to load summary jobs:', error);
+});
+
+// Persist every job, dropping finished ones that are expired or past MAX_STORED_JOBS
+function saveJobs() {
+  const finished = [...summaryJobs.values()]
+    .filter(job => job.status !== 'running')
+    .sort((a, b) => b.startedAt - a.startedAt);
+  finished.forEach((job, index) => {
+    if (index >= MAX_STORED_JOBS || Date.now() - job.finishedAt > FINISHED_JOB_TTL_MS) {
+      summaryJobs.delete(job.id);
+    }
+  });
+
+  chrome.storage.local.set({ [JOBS_STORAGE_KEY]: Object.fromEntries(summaryJobs) }).catch((error) => {
+    console.error('Failed to save summary jobs:', error);
+  });
+}
+
+// Tell the job's tab (and so its sidebar) that the job changed
+function notifyJobUpdate(job) {
+  chrome.tabs.sendMessage(job.tabId, { type: 'JOB_UPDATE', job }, { frameId: job.frameId || 0 }).catch(() => {});
+}
+
+// Start a summary job and return its record right away. `request` is the
+// generateSummary message; `compareRequest` is Compare mode's second
+// provider, whose result lands in job.compareResult. The sidebar picks
+// both requestIds, so it can tell their progress apart from the start.
+async function startSummaryJob({ request, compareRequest, contentKey, title, url }, route) {
+  await jobsLoaded;
+
+  request.requestId = request.requestId || crypto.randomUUID();
+  if (compareRequest) {
+    compareRequest.requestId = compareRequest.requestId || crypto.randomUUID();
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    requestId: request.requestId,
+    compareRequestId: compareRequest ? compareRequest.requestId : null,
+    contentKey: contentKey || null,
+    title: title || 'Untitled',
+    url: url || null,
+    tabId: route.tabId,
+    frameId: route.frameId,
+    status: 'running',
+    provider: request.provider || null,
+    compare: Boolean(compareRequest),
+    progress: null,
+    result: null,
+    compareResult: null,
+    error: null,
+    errorCode: null,
+    errorField: null,
+    seen: false,
+    startedAt: Date.now(),
+    finishedAt: null
+  };
+  summaryJobs.set(job.id, job);
+  saveJobs();
+
+  // Keep the latest stage so a reattaching sidebar can pick up where it was
+  const onProgress = (progress) => {
+    if (!progress?.stage || progress.stage === job.progress?.stage) return;
+    job.progress = { stage: progress.stage, message: progress.message || '', inputTokens: progress.inputTokens || null };
+    saveJobs();
+  };
+
+  if (compareRequest) {
+    sendTabGeneration(compareRequest, () => ({ tabId: job.tabId, frameId: job.frameId })).then((response) => {
+      if (response.cancelled || job.status === 'cancelled') return;
+      job.compareResult = response;
+      saveJobs();
+      notifyJobUpdate(job);
+    });
+  }
+
+  sendTabGeneration(request, () => ({ tabId: job.tabId, frameId: job.frameId }), onProgress).then(response => finishSummaryJob(job, response));
+
+  return job;
+}
+
+function finishSummaryJob(job, response) {
+  if (response.cancelled) {
+    job.status = 'cancelled';
+  } else if (response.success) {
+    job.status = 'done';
+    job.result = response;
+  } else {
+    job.status = 'error';
+    job.error = response.error || 'Failed to generate summary';
+    // Validation failures from host.js; the sidebar words these for the user
+    job.errorCode = response.code || null;
+    job.errorField = response.field || null;
+  }
+  job.finishedAt = Date.now();
+  saveJobs();
+  notifyJobUpdate(job);
+
+  if (job.status !== 'cancelled') {
+    announceSummaryJob(job);
+  }
+}
+
+// Most recent job for a piece of content. A running job moves to the asking
+// route, so its progress and cancel follow the sidebar that picked it up.
+async function attachSummaryJob(contentKey, route) {
+  await jobsLoaded;
+  if (!contentKey) return null;
+
+  const job = [...summaryJobs.values()]
+    .filter(candidate => candidate.contentKey === contentKey)
+    .sort((a, b) => b.startedAt - a.startedAt)[0];
+  if (!job || (job.finishedAt && Date.now() - job.finishedAt > FINISHED_JOB_TTL_MS)) return null;
+
+  if (job.status === 'running' && route && (job.tabId !== route.tabId || job.frameId !== route.frameId)) {
+    const { tabId } = route;
+    const requestIds = activeGenerations.get(job.tabId);
+    if (requestIds && job.tabId !== tabId) {
+      activeGenerations.delete(job.tabId);
+      if (!activeGenerations.has(tabId)) activeGenerations.set(tabId, new Set());
+      requestIds.forEach(requestId => activeGenerations.get(tabId).add(requestId));
+    }
+    job.tabId = tabId;
+    job.frameId = route.frameId;
+    saveJobs();
+  }
+  return job;
+}
+
+// The sidebar has shown a finished job: clear its badge and toast
+async function acknowledgeSummaryJob(jobId) {
+  await jobsLoaded;
+  const job = summaryJobs.get(jobId);
+  if (!job || job.seen) return;
+
+  job.seen = true;
+  saveJobs();
+  updateJobBadge(job.tabId);
+  if (chrome.notifications) {
+    chrome.notifications.clear(job.id, () => void chrome.runtime.lastError);
+  }
+}
+
+// Badge the tab's toolbar icon with its finished jobs the sidebar hasn't shown
+function updateJobBadge(tabId) {
+  if (!chrome.action) return;
+
+  const unseen = [...summaryJobs.values()].filter(job => (
+    job.tabId === tabId && !job.seen && (job.status === 'done' || job.status === 'error')
+  ));
+  const failed = unseen.some(job => job.status === 'error');
+
+  chrome.action.setBadgeText({ tabId, text: unseen.length ? String(unseen.length) : '' }).catch(() => {});
+  if (unseen.length) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: failed ? '#d93025' : '#188038' }).catch(() => {});
+  }
+}
+
+// Badge the tab, and toast unless the user is already looking at it
+async function announceSummaryJob(job) {
+  updateJobBadge(job.tabId);
+
+  const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+  if (tab?.active) {
+    const win = await chrome.windows.get(tab.windowId).catch(() => null);
+    if (win?.focused) return;
+  }
+  showJobNotification(job);
+}
+
+function showJobNotification(job) {
+  // Safari has no notifications API
+  if (!chrome.notifications) return;
+
+  const options = {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: job.status === 'done' ? 'Summary ready' : 'Summary failed',
+    message: job.status === 'done' ? job.title : `${job.title}: ${job.error}`
+  };
+  chrome.notifications.create(job.id, options, () => {
+    // Chrome refuses a notification whose icon it can't load
+    if (chrome.runtime.lastError) {
+      chrome.notifications.create(job.id, { ...options, iconUrl: FALLBACK_NOTIFICATION_ICON }, () => void chrome.runtime.lastError);
+    }
+  });
+}
+
+// Bring a job's tab forward with the sidebar open, or reopen its page if
+// the tab is gone (the sidebar reattaches either way)
+async function openSummaryJob(job) {
+  const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+  if (!tab) {
+    if (job.url) chrome.tabs.create({ url: job.url });
+    return;
+  }
+  chrome.tabs.update(tab.id, { active: true });
+  chrome.windows.update(tab.windowId, { focused: true });
+  chrome.tabs.sendMessage(tab.id, { type: 'OPEN_SIDEBAR' }).catch(() => {});
+}
+
+if (chrome.notifications) {
+  chrome.notifications.onClicked.addListener(async (jobId) => {
+    await jobsLoaded;
+    const job = summaryJobs.get(jobId);
+    chrome.notifications.clear(jobId);
+    if (job) openSummaryJob(job);
+  });
+}
+
+// Toolbar icon: open the sidebar on the current page
+if (chrome.action) {
+  chrome.action.onClicked.addListener((tab) => {
+    chrome.tabs.sendMessage(tab.id, { type: 'OPEN_SIDEBAR' }).catch(() => {});
+  });
+}
+
+// Collect one chunk frame. Returns the reassembled response once every part
+// has arrived, otherwise null.
+function acceptChunk(frame) {
+  const { requestId, chunkIndex, chunkCount, data } = frame;
+
+  // Cancelled or timed out while the parts were still arriving
+  if (!pendingRequests.has(requestId)) {
+    chunkBuffers.delete(requestId);
+    return null;
+  }
+
+  let entry = chunkBuffers.get(requestId);
+  if (!entry || entry.parts.length !== chunkCount) {
+    entry = { parts: new Array(chunkCount), received: 0 };
+    chunkBuffers.set(requestId, entry);
+  }
+  if (entry.parts[chunkIndex] === undefined) {
+    entry.parts[chunkIndex] = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+    entry.received++;
+  }
+  if (entry.received < chunkCount) {
+    return null;
+  }
+  chunkBuffers.delete(requestId);
+
+  // Decode the joined bytes, not each part: a part may end mid-character
+  const total = entry.parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  entry.parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return { requestId, success: false, error: `Could not reassemble native host response: ${error.message}` };
+  }
+}
 
 // Handle message from native host
 function handleNativeMessage(message) {
+  if (message.type === 'chunk') {
+    restartRequestTimer(message.requestId);
+    const assembled = acceptChunk(message);
+    if (assembled) {
+      handleNativeMessage(assembled);
+    }
+    return;
+  }
+
   const { requestId, type, ...response } = message;
 
   // Handle progress updates (don't resolve the promise, just forward)
   if (type === 'progress' && requestId !== undefined) {
+    restartRequestTimer(requestId);
+    // Heartbeats only say the host is still working
+    if (response.progress?.stage === 'heartbeat') {
+      return;
+    }
     const callback = progressCallbacks.get(requestId);
     if (callback) {
       callback(response.progress);
@@ -112,11 +778,8 @@ function handleNativeMessage(message) {
   }
 
   // Handle final response
-  if (requestId !== undefined && pendingRequests.has(requestId)) {
-    const resolve = pendingRequests.get(requestId);
-    pendingRequests.delete(requestId);
-    progressCallbacks.delete(requestId);
-    resolve(response);
+  if (requestId !== undefined) {
+    settleRequest(requestId, response);
   }
 }
 
@@ -124,27 +787,55 @@ function handleNativeMessage(message) {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   const tabId = sender.tab?.id;
 
+  // Cancel is handled here rather than forwarded as-is: only background.js
+  // knows which native requestIds belong to this tab.
+  if (request.action === 'cancelGeneration') {
+    sendResponse(tabId ? cancelGenerationsForTab(tabId) : { success: true, cancelled: 0 });
+    return false;
+  }
+
+  // Capabilities of the installed host, so pages can hide what it lacks
+  if (request.action === 'getHostInfo') {
+    getHostInfo().then(sendResponse);
+    return true;
+  }
+
+  // Playlist "Summarize all": the URL list can be long, so it goes through
+  // storage rather than the page URL; batch.js picks it up on load
+  if (request.action === 'openBatch') {
+    chrome.storage.local.set({ pendingBatch: { urls: request.urls || [], title: request.title || '' } }, () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('batch/batch.html') });
+    });
+    sendResponse({ success: true });
+    return false;
+  }
+
+  // Sidebar summaries run as background jobs (see startSummaryJob)
+  if (request.action === 'startSummaryJob') {
+    if (tabId === undefined) {
+      sendResponse({ success: false, error: 'Summary jobs must be started from a tab' });
+      return false;
+    }
+    startSummaryJob(request, routeFor(sender)).then(job => sendResponse({ success: true, job }));
+    return true;
+  }
+
+  if (request.action === 'attachSummaryJob') {
+    attachSummaryJob(request.contentKey, tabId === undefined ? null : routeFor(sender)).then(job => sendResponse({ success: true, job }));
+    return true;
+  }
+
+  if (request.action === 'acknowledgeSummaryJob') {
+    acknowledgeSummaryJob(request.jobId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
   // Handle async response
   (async () => {
     try {
-      // Set up progress callback if this is a generateSummary request
-      if (request.action === 'generateSummary' && tabId) {
-        const requestId = requestIdCounter; // Will be assigned in sendToNativeHost
-
-        // Register progress callback before sending
-        const progressCallback = (progress) => {
-          // Send progress to the tab
-          chrome.tabs.sendMessage(tabId, {
-            type: 'PROGRESS_UPDATE',
-            progress: progress
-          }).catch(() => {}); // Ignore errors if tab closed
-        };
-
-        // Store callback with next requestId
-        progressCallbacks.set(requestIdCounter, progressCallback);
-      }
-
-      const response = await sendToNativeHost(request);
+      const response = request.action === 'generateSummary' && tabId !== undefined
+        ? await sendTabGeneration(request, routeFor(sender))
+        : await sendToNativeHost(request);
       sendResponse(response);
     } catch (error) {
       sendResponse({
@@ -0,0 +1,540 @@
+/**
+ * Batch Page - summarize a list of URLs or a YouTube playlist
+ * Each URL is opened in a background tab, where the content script runs the
+ * same extractor the sidebar uses (BATCH_EXTRACT). The result goes to the
+ * native host as a normal generateSummary request, a few items at a time.
+ */
+
+const TAB_LOAD_TIMEOUT_MS = 45000;
+const EXTRACT_RETRY_MS = 500;
+const EXTRACT_ATTEMPTS = 20;
+const DEFAULT_FOLDER = 'YouTube Summaries';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  extracting: 'Extracting',
+  summarizing: 'Summarizing',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// DOM Elements
+const urlsInput = document.getElementById('batch-urls');
+const concurrencySelect = document.getElementById('batch-concurrency');
+const startBtn = document.getElementById('batch-start-btn');
+const stopBtn = document.getElementById('batch-stop-btn');
+const queueSection = document.getElementById('batch-queue-section');
+const queueList = document.getElementById('batch-queue');
+const countsEl = document.getElementById('batch-counts');
+const saveSection = document.getElementById('batch-save-section');
+const folderInput = document.getElementById('batch-folder');
+const notesBtn = document.getElementById('batch-notes-btn');
+const markdownBtn = document.getElementById('batch-md-btn');
+const saveStatusEl = document.getElementById('batch-save-status');
+
+// State
+let queue = [];
+let running = false;
+let stopRequested = false;
+// Background tabs opened for extraction, closed on Stop
+const extractionTabs = new Set();
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  startBtn.addEventListener('click', startBatch);
+  stopBtn.addEventListener('click', stopBatch);
+  notesBtn.addEventListener('click', saveAllToNotes);
+  markdownBtn.addEventListener('click', downloadAllMarkdown);
+  concurrencySelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ batchConcurrency: parseInt(concurrencySelect.value, 10) });
+  });
+
+  const settings = await chrome.storage.sync.get(['batchConcurrency']);
+  if (settings.batchConcurrency) {
+    concurrencySelect.value = String(settings.batchConcurrency);
+  }
+  await loadFolderSuggestions();
+
+  // Opened from a playlist page: background.js left the URLs in storage
+  const { pendingBatch } = await chrome.storage.local.get(['pendingBatch']);
+  if (pendingBatch) {
+    await chrome.storage.local.remove('pendingBatch');
+    urlsInput.value = (pendingBatch.urls || []).join('\n');
+    if (pendingBatch.title) {
+      document.getElementById('batch-subtitle').textContent = `Playlist: ${pendingBatch.title}`;
+    }
+    if (pendingBatch.urls && pendingBatch.urls.length > 0) {
+      startBatch();
+    }
+  }
+}
+
+// =====================================
+// Settings (same storage keys the sidebar reads)
+// =====================================
+
+async function loadApiSettings() {
+  const result = await chrome.storage.sync.get(['claudeModel', 'aiProvider', 'codexModel', 'localBaseUrl', 'localModel', 'localApiKey', 'anthropicApiKey', 'failoverOrder', 'summaryCache', 'structuredOutput', 'chapterSummaries', 'autoChapters']);
+  // Compare mode would double every call; a batch runs the primary (Claude)
+  const stored = result.aiProvider === 'both' ? 'claude' : result.aiProvider;
+  const provider = ['codex', 'local', 'anthropic'].includes(stored) ? stored : 'claude';
+  const claudeModel = result.claudeModel || 'sonnet';
+  const models = {
+    claude: claudeModel,
+    anthropic: claudeModel,
+    codex: (result.codexModel || '').trim() || null,
+    local: (result.localModel || '').trim() || null
+  };
+  return {
+    provider,
+    model: models[provider] || claudeModel,
+    connection: {
+      localBaseUrl: (result.localBaseUrl || '').trim() || null,
+      localApiKey: (result.localApiKey || '').trim() || null,
+      anthropicApiKey: (result.anthropicApiKey || '').trim() || null,
+      providerModels: models
+    },
+    failoverOrder: Array.isArray(result.failoverOrder) ? result.failoverOrder : [],
+    summaryCache: result.summaryCache !== false,
+    structuredOutput: result.structuredOutput === true,
+    chapterSummaries: result.chapterSummaries === true,
+    autoChapters: result.autoChapters === true
+  };
+}
+
+async function loadTemplates() {
+  const result = await chrome.storage.sync.get(['templates', 'analysisInstructions']);
+  return { templates: result.templates || {}, legacyInstructions: result.analysisInstructions || null };
+}
+
+async function loadFolderSuggestions() {
+  const result = await chrome.storage.local.get(['folderSuggestions']);
+  const suggestions = result.folderSuggestions || [];
+  folderInput.value = suggestions[0] || DEFAULT_FOLDER;
+  const datalist = document.getElementById('batch-folder-suggestions');
+  datalist.innerHTML = '';
+  suggestions.forEach((folder) => {
+    const option = document.createElement('option');
+    option.value = folder;
+    datalist.appendChild(option);
+  });
+}
+
+// =====================================
+// Queue
+// =====================================
+
+/**
+ * Parse the textarea into unique http(s) URLs
+ * @param {string} text - One URL per line
+ * @returns {string[]}
+ */
+function parseUrls(text) {
+  const urls = [];
+  text.split(/\s+/).forEach((line) => {
+    const url = line.trim();
+    if (/^https?:\/\//i.test(url) && !urls.includes(url)) urls.push(url);
+  });
+  return urls;
+}
+
+async function startBatch() {
+  if (running) return;
+
+  const urls = parseUrls(urlsInput.value);
+  if (urls.length === 0) {
+    urlsInput.focus();
+    return;
+  }
+
+  queue = urls.map((url, index) => ({ id: index, url, title: url, status: 'queued', detail: '', result: null, info: null }));
+  running = true;
+  stopRequested = false;
+  startBtn.disabled = true;
+  stopBtn.style.display = 'inline-block';
+  queueSection.style.display = 'block';
+  saveStatusEl.textContent = '';
+  renderQueue();
+
+  const [apiSettings, templateSettings] = await Promise.all([loadApiSettings(), loadTemplates()]);
+  const concurrency = parseInt(concurrencySelect.value, 10) || 1;
+
+  // Each worker pulls the next queued item until none are left
+  const worker = async () => {
+    let item;
+    while (!stopRequested && (item = queue.find(entry => entry.status === 'queued'))) {
+      await processItem(item, apiSettings, templateSettings);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  running = false;
+  startBtn.disabled = false;
+  stopBtn.style.display = 'none';
+  renderQueue();
+}
+
+function stopBatch() {
+  stopRequested = true;
+  queue.forEach((item) => {
+    if (item.status === 'queued') item.status = 'cancelled';
+  });
+  extractionTabs.forEach(tabId => chrome.tabs.remove(tabId).catch(() => {}));
+  extractionTabs.clear();
+  // background.js tracks this tab's generations and kills their CLI processes
+  chrome.runtime.sendMessage({ action: 'cancelGeneration' }).catch(() => {});
+  renderQueue();
+}
+
+/**
+ * Extract and summarize one queue item, updating its status as it goes
+ */
+async function processItem(item, apiSettings, templateSettings) {
+  try {
+    setStatus(item, 'extracting', 'Loading page...');
+    const extraction = await extractInTab(item.url);
+    if (stopRequested) throw new Error('Stopped');
+    if (!extraction.success) {
+      throw new Error(extraction.error || 'Could not extract content');
+    }
+
+    item.info = extraction.info;
+    item.title = extraction.info.title || item.url;
+    setStatus(item, 'summarizing', `${extraction.transcript.length.toLocaleString()} characters`);
+
+    const template = templateSettings.templates[extraction.contentType];
+    const response = await sendNativeMessage({
+      action: 'generateSummary',
+      contentType: extraction.contentType,
+      videoId: extraction.info.videoId,
+      title: item.title,
+      transcript: extraction.transcript,
+      transcriptSegments: extraction.segments || null,
+      description: extraction.info.description,
+      descriptionLinks: extraction.info.links,
+      creatorComments: extraction.creatorComments || [],
+      viewerComments: extraction.viewerComments || [],
+      customInstructions: template ? (template.instructions || null) : templateSettings.legacyInstructions,
+      templateSections: template?.sections || null,
+      author: extraction.info.author,
+      siteName: extraction.info.siteName,
+      publishDate: extraction.info.publishDate,
+      structuredOutput: apiSettings.structuredOutput,
+      chapterMode: apiSettings.chapterSummaries && !!extraction.segments && ((extraction.chapters || []).length >= 2 || apiSettings.autoChapters),
+      chapters: extraction.chapters || [],
+      autoChapters: apiSettings.autoChapters && !!extraction.segments && (extraction.chapters || []).length < 2,
+      useCache: apiSettings.summaryCache,
+      provider: apiSettings.provider,
+      model: apiSettings.model,
+      failoverOrder: apiSettings.failoverOrder,
+      ...apiSettings.connection
+    });
+
+    if (response?.cancelled || stopRequested) {
+      setStatus(item, 'cancelled', '');
+      return;
+    }
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to generate summary');
+    }
+
+    item.result = response;
+    setStatus(item, 'done', response.cached ? 'Cached' : '');
+  } catch (error) {
+    setStatus(item, stopRequested ? 'cancelled' : 'failed', stopRequested ? '' : error.message);
+  }
+}
+
+function setStatus(item, status, detail) {
+  item.status = status;
+  item.detail = detail;
+  renderQueue();
+}
+
+// =====================================
+// Extraction in background tabs
+// =====================================
+
+/**
+ * Open a URL in an inactive tab, run its extractor, and close the tab
+ * @param {string} url - Page to extract
+ * @returns {Promise<Object>} - BATCH_EXTRACT response from the content script
+ */
+async function extractInTab(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  extractionTabs.add(tab.id);
+
+  try {
+    await waitForTabLoad(tab.id);
+
+    // Content scripts attach at document_idle, a little after "complete"
+    for (let attempt = 0; attempt < EXTRACT_ATTEMPTS; attempt++) {
+      if (stopRequested) return { success: false, error: 'Stopped' };
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'BATCH_EXTRACT' });
+        if (response) return response;
+      } catch (error) {
+        // "Receiving end does not exist" until the content script loads
+      }
+      await new Promise(resolve => setTimeout(resolve, EXTRACT_RETRY_MS));
+    }
+    return { success: false, error: 'The page did not respond. It may block extensions.' };
+  } finally {
+    extractionTabs.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Page took too long to load'));
+    }, TAB_LOAD_TIMEOUT_MS);
+
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    };
+    const onRemoved = (removedTabId) => {
+      if (removedTabId === tabId) {
+        cleanup();
+        reject(new Error('Tab was closed'));
+      }
+    };
+    const cleanup = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+    };
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    // It may have finished before the listener was attached
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }).catch(() => {});
+  });
+}
+
+// =====================================
+// Rendering
+// =====================================
+
+function renderQueue() {
+  queueList.innerHTML = '';
+
+  queue.forEach((item) => {
+    const li = document.createElement('li');
+    li.className = 'batch-item';
+
+    const row = document.createElement('div');
+    row.className = 'batch-item-row';
+
+    const link = document.createElement('a');
+    link.className = 'batch-item-title';
+    link.href = item.url;
+    link.target = '_blank';
+    link.textContent = item.title;
+    link.title = item.url;
+
+    const status = document.createElement('span');
+    status.className = `batch-status ${item.status}`;
+    status.textContent = STATUS_LABELS[item.status];
+
+    row.appendChild(link);
+    row.appendChild(status);
+    li.appendChild(row);
+
+    if (item.detail) {
+      const detail = document.createElement('div');
+      detail.className = 'batch-item-detail';
+      detail.textContent = item.detail;
+      li.appendChild(detail);
+    }
+
+    if (item.result) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = 'Show summary';
+      const body = document.createElement('div');
+      body.className = 'batch-item-summary';
+      body.textContent = item.result.summary;
+      const learnings = document.createElement('ul');
+      (item.result.keyLearnings || []).forEach((learning) => {
+        const entry = document.createElement('li');
+        entry.textContent = learning;
+        learnings.appendChild(entry);
+      });
+      body.appendChild(learnings);
+      details.appendChild(summary);
+      details.appendChild(body);
+      li.appendChild(details);
+    }
+
+    queueList.appendChild(li);
+  });
+
+  const count = status => queue.filter(item => item.status === status).length;
+  const done = count('done');
+  const failed = count('failed');
+  const parts = [`${done} of ${queue.length} done`];
+  if (failed > 0) parts.push(`${failed} failed`);
+  countsEl.textContent = parts.join(' · ');
+
+  saveSection.style.display = done > 0 ? 'block' : 'none';
+}
+
+// =====================================
+// Bulk save
+// =====================================
+
+async function saveAllToNotes() {
+  const folder = folderInput.value.trim() || DEFAULT_FOLDER;
+  const items = queue.filter(item => item.status === 'done');
+  let saved = 0;
+  const failures = [];
+
+  notesBtn.disabled = true;
+  for (const item of items) {
+    saveStatusEl.textContent = `Saving ${saved + failures.length + 1} of ${items.length}...`;
+    try {
+      const response = await sendNativeMessage({
+        action: 'saveToNotes',
+        folder,
+        videoTitle: item.title,
+        videoUrl: item.url,
+        summary: item.result.summary,
+        keyLearnings: item.result.keyLearnings || [],
+        relevantLinks: item.result.relevantLinks || [],
+        // saveToNotes takes { text, dueDate } items, like the sidebar sends
+        actionItems: (item.result.actionItems || []).map(text => ({ text })),
+        chapters: item.result.chapters || item.result.generatedChapters || [],
+        noteId: item.noteId || null
+      });
+      if (!response?.success) throw new Error(response?.error || 'Failed to save');
+      // Saving again updates the same note instead of adding a duplicate
+      item.noteId = response.noteId;
+      saved++;
+    } catch (error) {
+      failures.push(`${item.title}: ${error.message}`);
+    }
+  }
+  notesBtn.disabled = false;
+
+  saveStatusEl.textContent = `Saved ${saved} of ${items.length} to "${folder}"` +
+    (failures.length > 0 ? `. Failed: ${failures.join('; ')}` : '');
+  if (saved > 0) saveFolderSuggestion(folder);
+}
+
+async function saveFolderSuggestion(folderName) {
+  const result = await chrome.storage.local.get(['folderSuggestions']);
+  const suggestions = (result.folderSuggestions || []).filter(folder => folder !== folderName);
+  suggestions.unshift(folderName);
+  await chrome.storage.local.set({ folderSuggestions: suggestions.slice(0, 10) });
+}
+
+// Seconds as m:ss, or h:mm:ss from an hour on
+function formatVideoTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Format one result as Markdown (same layout as the sidebar's export)
+ */
+function formatAsMarkdown(item) {
+  const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const { summary, keyLearnings = [], actionItems = [], relevantLinks = [] } = item.result;
+  const chapters = item.result.chapters || item.result.generatedChapters || [];
+
+  let markdown = `# ${item.title}\n\n`;
+  markdown += `**URL:** ${item.url}\n`;
+  markdown += `**Date:** ${date}\n\n`;
+  markdown += `## Summary\n\n${summary}\n\n`;
+  markdown += `## Key Learnings\n\n`;
+  keyLearnings.forEach((learning) => {
+    markdown += `- ${learning}\n`;
+  });
+
+  if (item.result.generatedChapters && !item.result.chapters) {
+    markdown += `\n## Chapters\n\n`;
+    chapters.forEach((chapter) => {
+      markdown += `- ${formatVideoTimestamp(chapter.start)} ${chapter.title}\n`;
+    });
+  } else if (chapters.length > 0) {
+    markdown += `\n## Chapters\n`;
+    chapters.forEach((chapter) => {
+      markdown += `\n### [${formatVideoTimestamp(chapter.start)}] ${chapter.title}\n\n`;
+      if (chapter.summary) markdown += `${chapter.summary}\n\n`;
+      (chapter.keyLearnings || []).forEach((learning) => {
+        markdown += `- ${learning}\n`;
+      });
+    });
+  }
+
+  if (actionItems.length > 0) {
+    markdown += `\n## Action Items\n\n`;
+    actionItems.forEach((action) => {
+      markdown += `- [ ] ${action}\n`;
+    });
+  }
+
+  if (relevantLinks.length > 0) {
+    markdown += `\n## Relevant Links\n\n`;
+    relevantLinks.forEach((link) => {
+      markdown += `- [${link.text}](${link.url})`;
+      if (link.reason) markdown += ` - ${link.reason}`;
+      markdown += '\n';
+    });
+  }
+
+  markdown += `\n---\n*Generated with YouTube Summary Extension*\n`;
+  return markdown;
+}
+
+function downloadAllMarkdown() {
+  const items = queue.filter(item => item.status === 'done');
+
+  items.forEach((item) => {
+    const safeTitle = item.title
+      .replace(/[^a-z0-9]/gi, '-')
+      .replace(/-+/g, '-')
+      .substring(0, 50);
+
+    const blob = new Blob([formatAsMarkdown(item)], { type: 'text/markdown;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${safeTitle}-summary.md`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  });
+
+  saveStatusEl.textContent = `Downloaded ${items.length} Markdown file${items.length === 1 ? '' : 's'}`;
+}
+
+// Send message to native host via background script
+function sendNativeMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
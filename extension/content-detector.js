@@ -4,6 +4,7 @@
  *
  * Content types:
  * - youtube_video: YouTube video page with /watch?v= URL
+ * - youtube_playlist: YouTube playlist page (offers batch "Summarize all")
  * - video_with_captions: Page with <video> + <track> subtitle elements
  * - article: Page with <article> tag, og:type=article meta, or article-like structure
  * - selected_text: Triggered via context menu (handled by background.js)
@@ -29,6 +30,12 @@ function detectContentType() {
     return 'youtube_video';
   }
 
+  // YouTube playlist page - summarized as a batch rather than in the sidebar
+  if (hostname.includes('youtube.com') && pathname === '/playlist' &&
+      new URLSearchParams(location.search).has('list')) {
+    return 'youtube_playlist';
+  }
+
   // Skip non-content pages (search engines, social feeds, etc.)
   if (isNonContentPage()) {
     return null;
@@ -267,6 +274,14 @@ function getPublishDate() {
 function onUrlChange() {
   const contentType = window.__contentSummaryType;
 
+  // Abort any summary still generating for the page we just left, so the
+  // native host doesn't keep a CLI process busy on stale content.
+  try {
+    chrome.runtime.sendMessage({ action: 'cancelGeneration' }).catch(() => {});
+  } catch (e) {
+    // Extension context invalidated (e.g. extension reloaded) - nothing to cancel
+  }
+
   // Clean up UI
   if (window.__baseExtractor) {
     window.__baseExtractor.cleanupUI();
@@ -13,6 +13,9 @@ let isAnalyzing = false;
 let analysisComplete = false;
 let pendingAutoGenerate = false;
 
+// How long a batch extraction waits for content-detector to classify the page
+const BATCH_DETECT_TIMEOUT_MS = 15000;
+
 /**
  * Get the current content type from the detector
  * @returns {string} - Content type identifier
@@ -351,6 +354,12 @@ function getPopupText(contentType) {
         subtitle: 'Generate AI summary from captions',
         buttonText: 'Summarize'
       };
+    case 'youtube_playlist':
+      return {
+        title: 'Playlist Summary Available',
+        subtitle: 'Summarize every video in this playlist',
+        buttonText: 'Summarize all'
+      };
     case 'webpage':
       return {
         title: 'Page Summary Available',
@@ -376,8 +385,9 @@ async function createPopupBanner() {
   try {
     const session = await chrome.storage.session.get(['toastDismissed']);
     if (session.toastDismissed) {
-      // Session-dismissed: skip toast, show floating button directly
-      createFloatingButton();
+      // Session-dismissed: skip toast, show floating button directly.
+      // Playlists have no sidebar to open, so they get nothing.
+      if (contentType !== 'youtube_playlist') createFloatingButton();
       return;
     }
   } catch {
@@ -415,7 +425,11 @@ async function createPopupBanner() {
       });
     } catch {}
     hidePopupBanner(false);
-    openSidebar(true);
+    if (contentType === 'youtube_playlist') {
+      openBatchForPlaylist();
+    } else {
+      openSidebar(true);
+    }
   };
   popupBanner.querySelector('.toast-icon').style.cursor = 'pointer';
   popupBanner.querySelector('.toast-icon').onclick = openAction;
@@ -425,7 +439,7 @@ async function createPopupBanner() {
     bannerDismissedForUrl = currentUrl;
     // Dismiss for entire browser session
     try { chrome.storage.session.set({ toastDismissed: true }); } catch {}
-    hidePopupBanner(true);
+    hidePopupBanner(contentType !== 'youtube_playlist');
   };
 
   document.body.appendChild(popupBanner);
@@ -445,6 +459,30 @@ async function createPopupBanner() {
   } catch {}
 }
 
+/**
+ * Collect the video URLs currently loaded on a YouTube playlist page.
+ * YouTube renders long playlists lazily, so this is whatever has scrolled in.
+ * @returns {string[]} - Watch URLs without playlist parameters
+ */
+function getPlaylistVideoUrls() {
+  const urls = [];
+  document.querySelectorAll('ytd-playlist-video-renderer a#video-title, ytd-playlist-panel-video-renderer a#wc-endpoint').forEach((link) => {
+    try {
+      const videoId = new URL(link.href, location.origin).searchParams.get('v');
+      const url = `https://www.youtube.com/watch?v=${videoId}`;
+      if (videoId && !urls.includes(url)) urls.push(url);
+    } catch {}
+  });
+  return urls;
+}
+
+// Open the batch page with every video in this playlist queued
+function openBatchForPlaylist() {
+  const urls = getPlaylistVideoUrls();
+  const title = document.querySelector('meta[property="og:title"]')?.content || document.title;
+  chrome.runtime.sendMessage({ action: 'openBatch', urls, title }).catch(() => {});
+}
+
 // Show onboarding tooltip above the toast for first-time users
 function showOnboardingTooltip() {
   const tooltip = document.createElement('div');
@@ -802,11 +840,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (iframe && iframe.contentWindow) {
       iframe.contentWindow.postMessage({
         type: 'PROGRESS_UPDATE',
+        requestId: message.requestId,
         progress: message.progress
       }, '*');
     }
   }
 
+  // A summary job for this tab changed; the sidebar decides if it's the one it shows
+  if (message.type === 'JOB_UPDATE') {
+    if (message.job.status !== 'running') {
+      isAnalyzing = false;
+      analysisComplete = message.job.status === 'done';
+      updateFloatingButtonState();
+    }
+
+    const iframe = sidebar?.querySelector('iframe');
+    if (iframe && iframe.contentWindow) {
+      iframe.contentWindow.postMessage({
+        type: 'JOB_UPDATE',
+        job: message.job
+      }, '*');
+    }
+  }
+
+  // Toolbar icon or a "Summary ready" notification
+  if (message.type === 'OPEN_SIDEBAR') {
+    if (!isSidebarOpen) openSidebar();
+  }
+
   // Handle context menu triggered summarization
   if (message.type === 'SUMMARIZE_SELECTION') {
     // Store selection data
@@ -817,8 +878,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     };
     openSidebar();
   }
+
+  // Batch page asking this (background) tab for its content
+  if (message.type === 'BATCH_EXTRACT') {
+    extractForBatch()
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
+/**
+ * Run the extractor for a content type
+ * @param {string} contentType - Detected content type
+ * @returns {Promise<Object>} - Extractor result (transcript, comments, ...)
+ */
+async function extractContent(contentType) {
+  let result;
+
+  if (contentType === 'youtube_video' && typeof window.__youtubeExtractor !== 'undefined') {
+    result = await window.__youtubeExtractor.extract();
+  } else if (contentType === 'article' && typeof window.__articleExtractor !== 'undefined') {
+    result = await window.__articleExtractor.extract();
+  } else if (contentType === 'video_with_captions' && typeof window.__videoExtractor !== 'undefined') {
+    result = await window.__videoExtractor.extract();
+  } else if (contentType === 'selected_text' && typeof window.__selectionExtractor !== 'undefined') {
+    result = await window.__selectionExtractor.extract();
+  } else if (contentType === 'webpage' && typeof window.__webpageExtractor !== 'undefined') {
+    result = await window.__webpageExtractor.extract();
+  } else if (contentType === 'youtube_video') {
+    // Fallback: load YouTube extractor dynamically
+    await loadExtractor('youtube');
+    if (typeof window.__youtubeExtractor !== 'undefined') {
+      result = await window.__youtubeExtractor.extract();
+    } else {
+      throw new Error('YouTube extractor failed to load');
+    }
+  } else {
+    throw new Error(`No extractor available for content type: ${contentType}`);
+  }
+
+  return result;
+}
+
+/**
+ * Extract this page for the batch queue, which opens each URL in a
+ * background tab. Waits for detection to finish, since the tab was just loaded.
+ * @returns {Promise<Object>} - { success, contentType, info, transcript, ... }
+ */
+async function extractForBatch() {
+  const deadline = Date.now() + BATCH_DETECT_TIMEOUT_MS;
+  while (getContentType() === 'unknown' && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  const contentType = getContentType();
+  if (contentType === 'unknown' || contentType === 'youtube_playlist') {
+    throw new Error('No summarizable content found on this page');
+  }
+
+  let info = getContentInfo();
+  if (contentType === 'youtube_video' && window.__youtubeExtractor) {
+    info = window.__youtubeExtractor.gatherMetadata() || info;
+  }
+
+  const result = await extractContent(contentType);
+  return {
+    ...result,
+    contentType,
+    info: {
+      videoId: info.videoId || null,
+      title: info.title || document.title,
+      url: window.location.href,
+      description: info.description || '',
+      links: info.links || [],
+      author: info.author || null,
+      siteName: info.siteName || null,
+      publishDate: info.publishDate || null
+    }
+  };
+}
+
 // Listen for messages from sidebar
 window.addEventListener('message', async (event) => {
   if (event.data.type === 'REQUEST_VIDEO_INFO' || event.data.type === 'REQUEST_CONTENT_INFO') {
@@ -852,33 +992,36 @@ window.addEventListener('message', async (event) => {
     }, 300);
   }
 
+  // Sidebar timestamp link: jump the page's video to that moment
+  if (event.data.type === 'SEEK_VIDEO') {
+    seekVideo(event.data.time);
+  }
+
+  // Generated chapters: mark them on YouTube's progress bar
+  if (event.data.type === 'SHOW_CHAPTER_MARKERS' && window.__youtubeExtractor) {
+    window.__youtubeExtractor.showChapterMarkers(event.data.chapters);
+  }
+
+  // "Catch me up": where the viewer is in the page's video
+  if (event.data.type === 'GET_PLAYBACK_POSITION') {
+    const video = findPageVideo();
+    const iframe = sidebar?.querySelector('iframe');
+    if (iframe && iframe.contentWindow) {
+      iframe.contentWindow.postMessage({
+        type: 'PLAYBACK_POSITION',
+        success: !!video,
+        currentTime: video ? video.currentTime : null,
+        // Infinity for a live stream
+        duration: video && Number.isFinite(video.duration) ? video.duration : null
+      }, '*');
+    }
+  }
+
   // Delegate content extraction to the appropriate extractor
   if (event.data.type === 'GET_TRANSCRIPT' || event.data.type === 'GET_CONTENT') {
     try {
       const contentType = getContentType();
-      let result;
-
-      if (contentType === 'youtube_video' && typeof window.__youtubeExtractor !== 'undefined') {
-        result = await window.__youtubeExtractor.extract();
-      } else if (contentType === 'article' && typeof window.__articleExtractor !== 'undefined') {
-        result = await window.__articleExtractor.extract();
-      } else if (contentType === 'video_with_captions' && typeof window.__videoExtractor !== 'undefined') {
-        result = await window.__videoExtractor.extract();
-      } else if (contentType === 'selected_text' && typeof window.__selectionExtractor !== 'undefined') {
-        result = await window.__selectionExtractor.extract();
-      } else if (contentType === 'webpage' && typeof window.__webpageExtractor !== 'undefined') {
-        result = await window.__webpageExtractor.extract();
-      } else if (contentType === 'youtube_video') {
-        // Fallback: load YouTube extractor dynamically
-        await loadExtractor('youtube');
-        if (typeof window.__youtubeExtractor !== 'undefined') {
-          result = await window.__youtubeExtractor.extract();
-        } else {
-          throw new Error('YouTube extractor failed to load');
-        }
-      } else {
-        throw new Error(`No extractor available for content type: ${contentType}`);
-      }
+      const result = await extractContent(contentType);
 
       const iframe = sidebar?.querySelector('iframe');
       if (iframe && iframe.contentWindow) {
@@ -901,6 +1044,29 @@ window.addEventListener('message', async (event) => {
   }
 });
 
+/**
+ * The page's main video: YouTube's player first, otherwise the largest one
+ * @returns {HTMLVideoElement|null}
+ */
+function findPageVideo() {
+  return document.querySelector('#movie_player video') ||
+    [...document.querySelectorAll('video')]
+      .sort((a, b) => (b.clientWidth * b.clientHeight) - (a.clientWidth * a.clientHeight))[0] ||
+    null;
+}
+
+/**
+ * Seek the page's main video and play it from there
+ * @param {number} seconds - Offset into the video
+ */
+function seekVideo(seconds) {
+  if (!Number.isFinite(seconds)) return;
+  const video = findPageVideo();
+  if (!video) return;
+  video.currentTime = seconds;
+  video.play().catch(() => {});
+}
+
 /**
  * Dynamically load an extractor script
  * @param {string} type - Extractor type: 'youtube', 'article', 'webpage', 'video', 'selection'
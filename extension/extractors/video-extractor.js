@@ -10,7 +10,8 @@
    * @returns {Promise<Object>} - Extraction result
    */
   async function extract() {
-    const text = await extractCaptions();
+    const segments = await extractCaptions();
+    const text = segmentsToText(segments);
 
     if (!text || text.length < 50) {
       // Fallback: try to extract page text instead
@@ -24,6 +25,7 @@
     return {
       success: true,
       transcript: text,
+      segments: segments,
       creatorComments: [],
       viewerComments: []
     };
@@ -31,7 +33,7 @@
 
   /**
    * Find and parse caption tracks from video elements
-   * @returns {Promise<string>} - Parsed caption text
+   * @returns {Promise<Array<{start: number, end: number, text: string}>>} - Caption cues (empty if none)
    */
   async function extractCaptions() {
     const videos = document.querySelectorAll('video');
@@ -47,17 +49,8 @@
           const response = await fetch(src);
           if (!response.ok) continue;
 
-          const text = await response.text();
-
-          // Detect format and parse
-          if (src.endsWith('.vtt') || text.startsWith('WEBVTT')) {
-            return parseVTT(text);
-          } else if (src.endsWith('.srt') || /^\d+\r?\n\d{2}:\d{2}/.test(text)) {
-            return parseSRT(text);
-          }
-
-          // Try VTT parse as default
-          return parseVTT(text);
+          // VTT and SRT share the cue layout parseCues reads
+          return parseCues(await response.text());
         } catch (e) {
           console.error('Error fetching caption track:', e);
           continue;
@@ -65,48 +58,92 @@
       }
     }
 
-    return '';
+    return [];
   }
 
   /**
-   * Parse WebVTT format
-   * @param {string} vtt - VTT file content
-   * @returns {string} - Plain text
+   * Parse a cue time: "01:02:03.500", "02:03.500" (VTT) or "01:02:03,500" (SRT)
+   * @param {string} value - Cue time
+   * @returns {number|null} - Seconds, or null if it isn't a cue time
    */
-  function parseVTT(vtt) {
-    const lines = vtt.split('\n');
-    const textLines = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-
-      // Skip VTT header, timestamps, cue ids, and empty lines
-      if (line === 'WEBVTT' ||
-          line === '' ||
-          /^\d+$/.test(line) ||
-          /-->/.test(line) ||
-          /^NOTE/.test(line) ||
-          /^STYLE/.test(line)) {
-        continue;
-      }
+  function parseCueTime(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(value.trim());
+    if (!match) return null;
+    const [, hours, minutes, seconds, fraction] = match;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+  }
 
-      // Remove VTT formatting tags
-      const cleanLine = line
-        .replace(/<[^>]+>/g, '')  // Remove HTML tags
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .trim();
+  /**
+   * Parse a "start --> end" timing line (VTT cue settings after the end are ignored)
+   * @param {string} line - Timing line
+   * @returns {{start: number, end: number}|null}
+   */
+  function parseTimingLine(line) {
+    const [startPart, rest] = line.split('-->');
+    if (rest === undefined) return null;
+    const start = parseCueTime(startPart);
+    const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+    return start === null || end === null ? null : { start, end };
+  }
+
+  // Strip caption markup: VTT/HTML tags, SRT {\an8}-style overrides, entities
+  function cleanCaptionLine(line) {
+    return line
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{[^}]+\}/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .trim();
+  }
 
-      if (cleanLine.length > 0) {
-        textLines.push(cleanLine);
+  /**
+   * Split a caption file into timed cues. Lines that repeat the previous
+   * cue's text (rolling captions) are dropped, and a cue left empty is skipped.
+   * @param {string} content - VTT or SRT file content
+   * @returns {Array<{start: number, end: number, text: string}>}
+   */
+  function parseCues(content) {
+    const cues = [];
+    let lastLine = null;
+
+    content.split(/\r?\n\r?\n/).forEach(block => {
+      const lines = block.split(/\r?\n/);
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return; // Header, NOTE, STYLE or REGION block
+
+      const timing = parseTimingLine(lines[timingIndex]);
+      if (!timing) return;
+
+      const textLines = [];
+      lines.slice(timingIndex + 1).map(cleanCaptionLine).forEach(line => {
+        if (line && line !== lastLine) textLines.push(line);
+        if (line) lastLine = line;
+      });
+      if (textLines.length > 0) {
+        cues.push({ start: timing.start, end: timing.end, text: textLines.join(' ') });
       }
-    }
+    });
 
-    // Deduplicate consecutive identical lines
-    const deduped = textLines.filter((line, i) => i === 0 || line !== textLines[i - 1]);
+    return cues;
+  }
 
-    return deduped.join(' ').replace(/\s+/g, ' ').trim();
+  /**
+   * Join cues into plain transcript text
+   * @param {Array<{text: string}>} segments - Cues
+   * @returns {string}
+   */
+  function segmentsToText(segments) {
+    return segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Parse WebVTT format
+   * @param {string} vtt - VTT file content
+   * @returns {string} - Plain text
+   */
+  function parseVTT(vtt) {
+    return segmentsToText(parseCues(vtt));
   }
 
   /**
@@ -115,31 +152,14 @@
    * @returns {string} - Plain text
    */
   function parseSRT(srt) {
-    const blocks = srt.split(/\r?\n\r?\n/);
-    const textLines = [];
-
-    for (const block of blocks) {
-      const lines = block.trim().split('\n');
-      // SRT blocks: index, timestamp, text (one or more lines)
-      for (let i = 2; i < lines.length; i++) {
-        const line = lines[i].trim()
-          .replace(/<[^>]+>/g, '')
-          .replace(/\{[^}]+\}/g, '');
-
-        if (line.length > 0) {
-          textLines.push(line);
-        }
-      }
-    }
-
-    const deduped = textLines.filter((line, i) => i === 0 || line !== textLines[i - 1]);
-    return deduped.join(' ').replace(/\s+/g, ' ').trim();
+    return segmentsToText(parseCues(srt));
   }
 
   window.__videoExtractor = {
     extract,
     extractCaptions,
     parseVTT,
-    parseSRT
+    parseSRT,
+    parseCues
   };
 })();
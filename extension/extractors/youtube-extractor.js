@@ -70,6 +70,90 @@
     return links;
   }
 
+  // Extract chapters: [{ start, end, title }] in seconds, or [] when the video
+  // has none. The chapter list YouTube renders (in the description and the
+  // "In this video" panel) is preferred; otherwise the description's own
+  // "0:00 Intro" lines, which is what YouTube builds chapters from.
+  function getChapters() {
+    const fromMarkers = [];
+    document.querySelectorAll('ytd-macro-markers-list-item-renderer').forEach(item => {
+      const titleEl = item.querySelector('h4');
+      const timeEl = item.querySelector('#time');
+      const start = timeEl ? parseTimestamp(timeEl.textContent.trim()) : null;
+      const title = titleEl ? titleEl.textContent.trim() : '';
+      if (start !== null && title) fromMarkers.push({ start, title });
+    });
+
+    const fromDescription = [];
+    getVideoDescription().split('\n').forEach(line => {
+      const match = line.trim().match(/^(\d{1,2}(?::\d{2}){1,2})\s*[-–—:|]?\s*(.+)$/);
+      const start = match ? parseTimestamp(match[1]) : null;
+      if (start !== null) fromDescription.push({ start, title: match[2].trim() });
+    });
+
+    return toChapters(fromMarkers) || toChapters(fromDescription) || [];
+  }
+
+  // Dedupe by start (the chapter list is rendered in more than one place)
+  // and check it looks like a chapter list: at least two, starting at 0:00,
+  // in order. Each chapter ends where the next begins.
+  function toChapters(candidates) {
+    const seen = new Set();
+    const chapters = candidates.filter(chapter => {
+      if (seen.has(chapter.start)) return false;
+      seen.add(chapter.start);
+      return true;
+    });
+    if (chapters.length < 2 || chapters[0].start !== 0) return null;
+    if (chapters.some((chapter, i) => i > 0 && chapter.start <= chapters[i - 1].start)) return null;
+
+    return chapters.map((chapter, i) => ({
+      start: chapter.start,
+      end: i + 1 < chapters.length ? chapters[i + 1].start : null,
+      title: chapter.title
+    }));
+  }
+
+  const CHAPTER_MARKERS_ID = 'content-summary-chapter-markers';
+
+  /**
+   * Draw a marker on the player's progress bar at each chapter start
+   * (generated chapters; YouTube already splits the bar for creator ones).
+   * The markers go away when the user navigates to another video.
+   * @param {Array<{start: number, title: string}>} chapters
+   * @returns {boolean} - False if the player or its duration isn't available
+   */
+  function showChapterMarkers(chapters) {
+    removeChapterMarkers();
+    const video = document.querySelector('#movie_player video');
+    const progressBar = document.querySelector('#movie_player .ytp-progress-bar');
+    if (!video || !progressBar || !(video.duration > 0) || !Array.isArray(chapters)) return false;
+
+    const layer = document.createElement('div');
+    layer.id = CHAPTER_MARKERS_ID;
+    layer.style.cssText = 'position: absolute; inset: 0; pointer-events: none; z-index: 40;';
+    chapters.forEach(chapter => {
+      // No marker at 0:00, where the bar already starts
+      if (!(chapter.start > 0 && chapter.start < video.duration)) return;
+      // The layer lets clicks through to the bar; the markers take the
+      // pointer so their title shows, and clicks still bubble up to seek
+      const marker = document.createElement('div');
+      marker.title = chapter.title;
+      marker.style.cssText = `position: absolute; top: 0; bottom: 0; left: ${(chapter.start / video.duration) * 100}%; ` +
+        'width: 2px; margin-left: -1px; background: rgba(255, 255, 255, 0.9); pointer-events: auto;';
+      layer.appendChild(marker);
+    });
+    progressBar.appendChild(layer);
+    return true;
+  }
+
+  function removeChapterMarkers() {
+    const layer = document.getElementById(CHAPTER_MARKERS_ID);
+    if (layer) layer.remove();
+  }
+
+  document.addEventListener('yt-navigate-start', removeChapterMarkers);
+
   /**
    * Extract top comments from the video
    * Prioritizes creator comments/replies
@@ -160,8 +244,9 @@
     }
   }
 
-  // Extract transcript from YouTube's DOM
-  async function extractTranscript() {
+  // Extract transcript segments from YouTube's DOM: [{ start, end, text }],
+  // times in seconds. start is null if a segment's timestamp couldn't be read.
+  async function extractTranscriptSegments() {
     // Open the transcript panel if no segments are visible yet
     let segments = getTranscriptSegments();
 
@@ -198,21 +283,50 @@
 
     const isNewLayout = segments[0].tagName.toLowerCase() === 'transcript-segment-view-model';
 
-    const transcriptParts = [];
+    const parts = [];
     segments.forEach(segment => {
       const text = extractSegmentText(segment, isNewLayout);
       if (text) {
-        transcriptParts.push(text);
+        parts.push({ start: parseTimestamp(extractSegmentTimestamp(segment, isNewLayout)), end: null, text });
       }
     });
 
-    const fullTranscript = transcriptParts.join(' ').replace(/\s+/g, ' ').trim();
-
-    if (fullTranscript.length === 0) {
+    if (parts.length === 0) {
       throw new Error('Transcript is empty.');
     }
 
-    return fullTranscript;
+    // A segment runs until the next one starts
+    parts.forEach((part, i) => {
+      const next = parts[i + 1];
+      part.end = next && next.start !== null ? next.start : part.start;
+    });
+
+    return parts;
+  }
+
+  // Extract transcript from YouTube's DOM as one string
+  async function extractTranscript() {
+    return joinSegments(await extractTranscriptSegments());
+  }
+
+  function joinSegments(segments) {
+    return segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Timestamp label of a segment ("1:23" or "1:02:03")
+  // Modern: <div class="ytwTranscriptSegmentViewModelTimestamp">1:23</div>
+  // Legacy: <div class="segment-timestamp">1:23</div>
+  function extractSegmentTimestamp(segment, isNewLayout) {
+    const el = isNewLayout
+      ? segment.querySelector('.ytwTranscriptSegmentViewModelTimestamp, [class*="Timestamp"]:not([class*="A11y"])')
+      : segment.querySelector('.segment-timestamp');
+    return el ? el.textContent.trim() : '';
+  }
+
+  // "1:02:03" → 3723 seconds; null if it isn't a timestamp
+  function parseTimestamp(label) {
+    if (!/^\d{1,2}(:\d{2}){1,2}$/.test(label)) return null;
+    return label.split(':').reduce((total, part) => total * 60 + Number(part), 0);
   }
 
   // Get transcript segments using new or legacy selectors
@@ -435,7 +549,8 @@
    * @returns {Promise<Object>} - Extraction result with transcript and comments
    */
   async function extract() {
-    const transcript = await extractTranscript();
+    const segments = await extractTranscriptSegments();
+    const transcript = joinSegments(segments);
 
     let commentsData = { creatorComments: [], viewerComments: [] };
     try {
@@ -448,6 +563,9 @@
     return {
       success: true,
       transcript: transcript,
+      // Only when every segment has a time; the prompt cites these
+      segments: segments.every(segment => segment.start !== null) ? segments : null,
+      chapters: getChapters(),
       creatorComments: commentsData.creatorComments,
       viewerComments: commentsData.viewerComments
     };
@@ -461,7 +579,11 @@
     getVideoTitle,
     getVideoDescription,
     getDescriptionLinks,
+    getChapters,
+    showChapterMarkers,
+    removeChapterMarkers,
     extractTopComments,
-    extractTranscript
+    extractTranscript,
+    extractTranscriptSegments
   };
 })();
@@ -160,6 +160,65 @@ const authStatusDot = document.getElementById('auth-status-dot');
 const authStatusText = document.getElementById('auth-status-text');
 const codexAuthStatusDot = document.getElementById('codex-auth-status-dot');
 const codexAuthStatusText = document.getElementById('codex-auth-status-text');
+const structuredOutputCheckbox = document.getElementById('structured-output');
+const chapterSummariesCheckbox = document.getElementById('chapter-summaries');
+const autoChaptersCheckbox = document.getElementById('auto-chapters');
+const chapterMarkersCheckbox = document.getElementById('chapter-markers');
+const localModelGroup = document.getElementById('local-model-group');
+const localBaseUrlInput = document.getElementById('local-base-url');
+const localModelInput = document.getElementById('local-model');
+const localApiKeyInput = document.getElementById('local-api-key');
+const localStatusGroup = document.getElementById('local-status-group');
+const anthropicKeyGroup = document.getElementById('anthropic-key-group');
+const anthropicApiKeyInput = document.getElementById('anthropic-api-key');
+const toggleAnthropicApiKeyBtn = document.getElementById('toggle-anthropic-api-key');
+const anthropicStatusGroup = document.getElementById('anthropic-status-group');
+const anthropicAuthStatusDot = document.getElementById('anthropic-auth-status-dot');
+const anthropicAuthStatusText = document.getElementById('anthropic-auth-status-text');
+const failoverFirstSelect = document.getElementById('failover-first');
+const failoverSecondSelect = document.getElementById('failover-second');
+
+// Summary cache elements
+const summaryCacheCheckbox = document.getElementById('summary-cache');
+const clearCacheBtn = document.getElementById('clear-cache-btn');
+const openBatchBtn = document.getElementById('open-batch-btn');
+const cacheStatsEl = document.getElementById('cache-stats');
+
+// Sections that need a native host action, hidden when the host lacks it
+const HOST_GATED_SECTIONS = {
+  'summary-cache-section': 'getCacheStats',
+  'health-check-section': 'diagnose',
+  'logs-section': 'getLogs',
+  'audio-section': 'generateAudio'
+};
+const hostUpdateBanner = document.getElementById('host-update-banner');
+
+// Timeout inputs (seconds), by storage key. Empty means the default
+// background.js applies.
+const TIMEOUT_INPUTS = {
+  timeoutSummary: document.getElementById('timeout-summary'),
+  timeoutChat: document.getElementById('timeout-chat'),
+  timeoutAudio: document.getElementById('timeout-audio'),
+  timeoutPer10kChars: document.getElementById('timeout-per-10k')
+};
+
+// Health check elements
+const runDiagnosticsBtn = document.getElementById('run-diagnostics-btn');
+const healthChecksEl = document.getElementById('health-checks');
+const diagnosticsStatusEl = document.getElementById('diagnostics-status');
+
+// Log viewer elements
+const logLevelSelect = document.getElementById('log-level');
+const logFilterLevel = document.getElementById('log-filter-level');
+const logFilterProvider = document.getElementById('log-filter-provider');
+const logFilterRequest = document.getElementById('log-filter-request');
+const logFilterSearch = document.getElementById('log-filter-search');
+const logEntriesEl = document.getElementById('log-entries');
+const logStatusEl = document.getElementById('log-status');
+const refreshLogsBtn = document.getElementById('refresh-logs-btn');
+const exportLogsBtn = document.getElementById('export-logs-btn');
+const localAuthStatusDot = document.getElementById('local-auth-status-dot');
+const localAuthStatusText = document.getElementById('local-auth-status-text');
 
 // Audio settings elements
 const apiKeyInput = document.getElementById('elevenlabs-api-key');
@@ -416,6 +475,18 @@ async function loadSettings() {
       'aiProvider',
       'claudeModel',
       'codexModel',
+      'localBaseUrl',
+      'localModel',
+      'localApiKey',
+      'anthropicApiKey',
+      'failoverOrder',
+      'summaryCache',
+      'structuredOutput',
+      'chapterSummaries',
+      'autoChapters',
+      'chapterMarkers',
+      'logLevel',
+      ...Object.keys(TIMEOUT_INPUTS),
       'elevenlabsApiKey',
       'elevenlabsVoiceId',
       'audioIncludeSummary',
@@ -433,7 +504,7 @@ async function loadSettings() {
     // Provider selection
     if (providerSelect) {
       const stored = result.aiProvider;
-      providerSelect.value = (stored === 'codex' || stored === 'both') ? stored : 'claude';
+      providerSelect.value = ['codex', 'both', 'local', 'anthropic'].includes(stored) ? stored : 'claude';
       updateProviderUI(providerSelect.value);
     }
 
@@ -447,6 +518,54 @@ async function loadSettings() {
       codexModelInput.value = result.codexModel || '';
     }
 
+    // Local OpenAI-compatible server
+    if (localBaseUrlInput) localBaseUrlInput.value = result.localBaseUrl || '';
+    if (localModelInput) localModelInput.value = result.localModel || '';
+    if (localApiKeyInput) localApiKeyInput.value = result.localApiKey || '';
+
+    // Anthropic API key (fallback when Claude Code's OAuth token isn't usable)
+    if (anthropicApiKeyInput) anthropicApiKeyInput.value = result.anthropicApiKey || '';
+
+    // Failover order (up to two fallback providers)
+    const failoverOrder = Array.isArray(result.failoverOrder) ? result.failoverOrder : [];
+    if (failoverFirstSelect) failoverFirstSelect.value = failoverOrder[0] || '';
+    if (failoverSecondSelect) failoverSecondSelect.value = failoverOrder[1] || '';
+
+    // Summary cache (on by default)
+    if (summaryCacheCheckbox) {
+      summaryCacheCheckbox.checked = result.summaryCache !== false;
+    }
+    loadCacheStats();
+
+    // Structured output mode (opt-in)
+    if (structuredOutputCheckbox) {
+      structuredOutputCheckbox.checked = result.structuredOutput === true;
+    }
+
+    // Chapter-by-chapter summaries (opt-in; one extra call per chapter)
+    if (chapterSummariesCheckbox) {
+      chapterSummariesCheckbox.checked = result.chapterSummaries === true;
+    }
+
+    // Generated chapters and their progress-bar markers (opt-in)
+    if (autoChaptersCheckbox) {
+      autoChaptersCheckbox.checked = result.autoChapters === true;
+    }
+    if (chapterMarkersCheckbox) {
+      chapterMarkersCheckbox.checked = result.chapterMarkers === true;
+    }
+
+    // Log verbosity (the native host defaults to info)
+    if (logLevelSelect) {
+      logLevelSelect.value = ['debug', 'info', 'warn', 'error'].includes(result.logLevel) ? result.logLevel : 'info';
+    }
+    loadLogs();
+
+    // Timeouts (blank shows the default as placeholder)
+    Object.entries(TIMEOUT_INPUTS).forEach(([key, input]) => {
+      if (input) input.value = Number.isFinite(result[key]) ? String(result[key]) : '';
+    });
+
     // Check CLI status (covers both providers)
     checkAuthStatus();
 
@@ -487,6 +606,20 @@ async function saveSettings() {
       aiProvider: providerSelect ? providerSelect.value : 'claude',
       claudeModel: claudeModelSelect ? claudeModelSelect.value : 'sonnet',
       codexModel: codexModelInput ? codexModelInput.value.trim() : '',
+      localBaseUrl: localBaseUrlInput ? localBaseUrlInput.value.trim() : '',
+      localModel: localModelInput ? localModelInput.value.trim() : '',
+      localApiKey: localApiKeyInput ? localApiKeyInput.value.trim() : '',
+      anthropicApiKey: anthropicApiKeyInput ? anthropicApiKeyInput.value.trim() : '',
+      failoverOrder: [failoverFirstSelect, failoverSecondSelect]
+        .map(select => (select ? select.value : ''))
+        .filter(Boolean),
+      summaryCache: summaryCacheCheckbox ? summaryCacheCheckbox.checked : true,
+      structuredOutput: structuredOutputCheckbox ? structuredOutputCheckbox.checked : false,
+      chapterSummaries: chapterSummariesCheckbox ? chapterSummariesCheckbox.checked : false,
+      autoChapters: autoChaptersCheckbox ? autoChaptersCheckbox.checked : false,
+      chapterMarkers: chapterMarkersCheckbox ? chapterMarkersCheckbox.checked : false,
+      logLevel: logLevelSelect ? logLevelSelect.value : 'info',
+      ...readTimeoutInputs(),
       elevenlabsApiKey: apiKeyInput ? apiKeyInput.value : '',
       elevenlabsVoiceId: voiceSelect ? voiceSelect.value : '',
       audioIncludeSummary: audioIncludeSummary ? audioIncludeSummary.checked : true,
@@ -509,6 +642,20 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Read the timeout inputs for saving. Blank or invalid entries are saved as
+ * null so background.js falls back to its defaults.
+ * @returns {Object} - { timeoutSummary, timeoutChat, timeoutAudio, timeoutPer10kChars }
+ */
+function readTimeoutInputs() {
+  const values = {};
+  Object.entries(TIMEOUT_INPUTS).forEach(([key, input]) => {
+    const seconds = input ? parseInt(input.value, 10) : NaN;
+    values[key] = Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+  });
+  return values;
+}
+
 /**
  * Reset current template to defaults
  */
@@ -665,11 +812,331 @@ function setupAudioSettings() {
 }
 
 // ============================================================
-// Claude CLI Settings
+// Summary Cache
+// ============================================================
+
+/**
+ * Send a message to the native host via background.js
+ * @param {Object} message - Native host message
+ * @returns {Promise<Object>}
+ */
+function sendNativeMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (resp) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(resp);
+    });
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show how many summaries are cached and how much space they use
+ */
+async function loadCacheStats() {
+  if (!cacheStatsEl) return;
+  try {
+    const response = await sendNativeMessage({ action: 'getCacheStats' });
+    if (response && response.success) {
+      cacheStatsEl.textContent = response.entries > 0
+        ? `${response.entries} cached summar${response.entries === 1 ? 'y' : 'ies'} (${formatBytes(response.bytes)})`
+        : 'Cache is empty';
+    } else {
+      cacheStatsEl.textContent = '';
+    }
+  } catch (error) {
+    cacheStatsEl.textContent = '';
+  }
+}
+
+if (clearCacheBtn) {
+  clearCacheBtn.addEventListener('click', async () => {
+    clearCacheBtn.disabled = true;
+    try {
+      const response = await sendNativeMessage({ action: 'clearCache' });
+      if (response && response.success) {
+        cacheStatsEl.textContent = `Cleared ${response.removed} cached summar${response.removed === 1 ? 'y' : 'ies'}`;
+      } else {
+        cacheStatsEl.textContent = `Could not clear cache: ${response?.error || 'unknown error'}`;
+      }
+    } catch (error) {
+      cacheStatsEl.textContent = `Could not clear cache: ${error.message}`;
+    } finally {
+      clearCacheBtn.disabled = false;
+    }
+  });
+}
+
+// ============================================================
+// Native Host Capabilities
+// ============================================================
+
+/**
+ * Hide sections and providers the installed native host doesn't support,
+ * using what background.js learned from the host's `hello` handshake
+ */
+async function applyHostCapabilities() {
+  let hostInfo;
+  try {
+    hostInfo = await sendNativeMessage({ action: 'getHostInfo' });
+  } catch (error) {
+    return;
+  }
+  // Not installed or not answering: the provider status rows already say so
+  if (!hostInfo || !hostInfo.connected) return;
+
+  Object.entries(HOST_GATED_SECTIONS).forEach(([id, action]) => {
+    const section = document.getElementById(id);
+    if (section) section.style.display = hostInfo.actions.includes(action) ? '' : 'none';
+  });
+
+  // "both" compares Claude and Codex, so it needs both
+  const providerNeeds = { both: ['claude', 'codex'] };
+  [providerSelect, failoverFirstSelect, failoverSecondSelect].forEach((select) => {
+    if (!select) return;
+    Array.from(select.options).forEach((option) => {
+      if (!option.value) return;
+      const needed = providerNeeds[option.value] || [option.value];
+      const supported = needed.every(provider => hostInfo.providers.includes(provider));
+      option.disabled = !supported;
+      if (!supported && !option.textContent.endsWith('(update native host)')) {
+        option.textContent += ' (update native host)';
+      }
+    });
+  });
+
+  if (hostUpdateBanner && (hostInfo.outdated || hostInfo.extensionOutdated)) {
+    hostUpdateBanner.textContent = hostInfo.outdated
+      ? `Your native host${hostInfo.hostVersion ? ` (v${hostInfo.hostVersion})` : ''} is out of date, so settings it doesn't support are hidden. Re-run ./install.sh (./install-safari.sh for Safari), then reopen this page.`
+      : 'This extension is older than the installed native host. Reload it from chrome://extensions (or re-run ./install-safari.sh for Safari).';
+    hostUpdateBanner.style.display = 'block';
+  }
+}
+
+// ============================================================
+// Health Check
+// ============================================================
+
+const HEALTH_ICONS = { ok: '✓', warn: '!', fail: '✕', skipped: '–' };
+
+/**
+ * Run the native host's `diagnose` checks with the settings currently on the
+ * page (not yet saved ones included) and render the checklist
+ */
+async function runDiagnostics() {
+  runDiagnosticsBtn.disabled = true;
+  healthChecksEl.innerHTML = '';
+  diagnosticsStatusEl.textContent = 'Running checks — test prompts can take up to a minute...';
+
+  const provider = providerSelect ? providerSelect.value : 'claude';
+  const providersInUse = [
+    ...(provider === 'both' ? ['claude', 'codex'] : [provider]),
+    ...[failoverFirstSelect, failoverSecondSelect].map(select => (select ? select.value : '')).filter(Boolean)
+  ];
+
+  try {
+    const response = await sendNativeMessage({
+      action: 'diagnose',
+      providersInUse,
+      claudeModel: claudeModelSelect ? claudeModelSelect.value : undefined,
+      codexModel: codexModelInput ? codexModelInput.value.trim() || undefined : undefined,
+      localBaseUrl: localBaseUrlInput ? localBaseUrlInput.value.trim() : '',
+      localModel: localModelInput ? localModelInput.value.trim() : '',
+      localApiKey: localApiKeyInput ? localApiKeyInput.value.trim() : '',
+      anthropicApiKey: anthropicApiKeyInput ? anthropicApiKeyInput.value.trim() : '',
+      elevenlabsApiKey: apiKeyInput ? apiKeyInput.value.trim() : ''
+    });
+
+    if (!response || !response.success) {
+      // No answer at all usually means the host isn't installed
+      diagnosticsStatusEl.textContent = `Could not reach the native host: ${response?.error || 'unknown error'}. Re-run ./install.sh (or ./install-safari.sh for Safari).`;
+      return;
+    }
+
+    renderHealthChecks(response.checks);
+    const { ok, warn, fail } = response.counts;
+    diagnosticsStatusEl.textContent = fail > 0 || warn > 0
+      ? `${ok} passed, ${warn} warning${warn === 1 ? '' : 's'}, ${fail} failed`
+      : `All ${ok} checks passed`;
+  } catch (error) {
+    diagnosticsStatusEl.textContent = `Could not run checks: ${error.message}`;
+  } finally {
+    runDiagnosticsBtn.disabled = false;
+  }
+}
+
+function renderHealthChecks(checks) {
+  healthChecksEl.innerHTML = '';
+  checks.forEach((check) => {
+    const item = document.createElement('li');
+    item.className = `health-check ${check.status}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'health-check-icon';
+    icon.textContent = HEALTH_ICONS[check.status] || '?';
+
+    const body = document.createElement('div');
+    body.className = 'health-check-body';
+
+    const label = document.createElement('div');
+    label.className = 'health-check-label';
+    label.textContent = check.label;
+
+    const detail = document.createElement('div');
+    detail.className = 'health-check-detail';
+    detail.textContent = check.detail || '';
+
+    body.append(label, detail);
+
+    if (check.fix && check.status !== 'ok' && check.status !== 'skipped') {
+      const fix = document.createElement('div');
+      fix.className = 'health-check-fix';
+      fix.textContent = check.fix;
+      body.appendChild(fix);
+    }
+
+    item.append(icon, body);
+    healthChecksEl.appendChild(item);
+  });
+}
+
+if (runDiagnosticsBtn) {
+  runDiagnosticsBtn.addEventListener('click', runDiagnostics);
+}
+
+// ============================================================
+// Log Viewer
+// ============================================================
+
+// Entries currently shown, kept for Export
+let shownLogEntries = [];
+
+/**
+ * Fetch recent log entries matching the filters and render them
+ */
+async function loadLogs() {
+  if (!logEntriesEl) return;
+  try {
+    const response = await sendNativeMessage({
+      action: 'getLogs',
+      level: logFilterLevel.value || undefined,
+      filterProvider: logFilterProvider.value || undefined,
+      targetRequestId: logFilterRequest.value.trim() || undefined,
+      search: logFilterSearch.value.trim() || undefined,
+      limit: 300
+    });
+    if (!response || !response.success) {
+      logStatusEl.textContent = `Could not load logs: ${response?.error || 'unknown error'}`;
+      return;
+    }
+    shownLogEntries = response.entries;
+    renderLogs();
+    logStatusEl.textContent = shownLogEntries.length > 0
+      ? `${shownLogEntries.length} entr${shownLogEntries.length === 1 ? 'y' : 'ies'} from ${response.logPath}`
+      : 'No matching log entries';
+  } catch (error) {
+    logStatusEl.textContent = `Could not load logs: ${error.message}`;
+  }
+}
+
+function renderLogs() {
+  logEntriesEl.innerHTML = '';
+  shownLogEntries.forEach((entry) => {
+    const row = document.createElement('li');
+    row.className = `log-entry ${entry.level}`;
+
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = entry.ts ? new Date(entry.ts).toLocaleTimeString() : '';
+    time.title = entry.ts || '';
+
+    const level = document.createElement('span');
+    level.className = 'log-level';
+    level.textContent = entry.level;
+
+    row.append(time, level);
+
+    // Click a request id to see only that request
+    if (entry.requestId !== null && entry.requestId !== undefined) {
+      const request = document.createElement('button');
+      request.className = 'log-request';
+      // Extension request ids are UUIDs; the first block is enough to tell them apart
+      request.textContent = `#${String(entry.requestId).split('-')[0]}`;
+      request.title = `Show only request ${entry.requestId}`;
+      request.addEventListener('click', () => {
+        logFilterRequest.value = String(entry.requestId);
+        loadLogs();
+      });
+      row.appendChild(request);
+    }
+
+    const source = document.createElement('span');
+    source.className = 'log-source';
+    source.textContent = entry.provider ? `${entry.source} (${entry.provider})` : entry.source;
+
+    const message = document.createElement('span');
+    message.className = 'log-message';
+    message.textContent = entry.msg;
+
+    row.append(source, message);
+    logEntriesEl.appendChild(row);
+  });
+  logEntriesEl.scrollTop = logEntriesEl.scrollHeight;
+}
+
+/**
+ * Download the entries currently shown as a JSON-lines file
+ */
+function exportLogs() {
+  if (shownLogEntries.length === 0) {
+    logStatusEl.textContent = 'Nothing to export';
+    return;
+  }
+  const content = shownLogEntries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  const blob = new Blob([content], { type: 'application/x-ndjson' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `ai-summary-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+if (logEntriesEl) {
+  refreshLogsBtn.addEventListener('click', loadLogs);
+  exportLogsBtn.addEventListener('click', exportLogs);
+  [logFilterLevel, logFilterProvider, logFilterRequest, logFilterSearch].forEach((el) => {
+    el.addEventListener('change', loadLogs);
+  });
+}
+
+if (openBatchBtn) {
+  openBatchBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('batch/batch.html') });
+  });
+}
+
+// ============================================================
+// Anthropic API Settings
 // ============================================================
 
 function setupAnthropicSettings() {
-  // No API key input to set up; just check CLI status on load
+  if (!anthropicApiKeyInput) return;
+
+  if (toggleAnthropicApiKeyBtn) {
+    toggleAnthropicApiKeyBtn.addEventListener('click', () => {
+      const isPassword = anthropicApiKeyInput.type === 'password';
+      anthropicApiKeyInput.type = isPassword ? 'text' : 'password';
+      toggleAnthropicApiKeyBtn.title = isPassword ? 'Hide API key' : 'Show API key';
+    });
+  }
+
+  // Re-check which credential the API provider will use
+  anthropicApiKeyInput.addEventListener('change', () => checkAuthStatus());
 }
 
 /**
@@ -677,22 +1144,82 @@ function setupAnthropicSettings() {
  *  - claude: Claude model group only
  *  - codex:  Codex model group only
  *  - both:   show both groups (each provider needs its own model)
+ *  - anthropic: Claude model group plus API key and API status
+ *  - local:  server URL, model, and key fields plus server status
  */
 function updateProviderUI(provider) {
-  const showClaude = provider === 'claude' || provider === 'both';
+  const showClaude = provider === 'claude' || provider === 'both' || provider === 'anthropic';
+  const showAnthropic = provider === 'anthropic';
   const showCodex = provider === 'codex' || provider === 'both';
+  const showLocal = provider === 'local';
   if (claudeModelGroup) claudeModelGroup.style.display = showClaude ? '' : 'none';
   if (codexModelGroup) codexModelGroup.style.display = showCodex ? '' : 'none';
+  if (localModelGroup) localModelGroup.style.display = showLocal ? '' : 'none';
+  if (localStatusGroup) localStatusGroup.style.display = showLocal ? '' : 'none';
+  if (anthropicKeyGroup) anthropicKeyGroup.style.display = showAnthropic ? '' : 'none';
+  if (anthropicStatusGroup) anthropicStatusGroup.style.display = showAnthropic ? '' : 'none';
 }
 
 if (providerSelect) {
   providerSelect.addEventListener('change', () => {
     updateProviderUI(providerSelect.value);
+    if (providerSelect.value === 'local') checkAuthStatus();
   });
 }
 
+// Re-probe the local server once the URL or key has been edited
+[localBaseUrlInput, localApiKeyInput].forEach(input => {
+  if (input) input.addEventListener('change', () => checkAuthStatus());
+});
+
 /**
- * Check CLI auth status for both Claude and Codex.
+ * Show whether the local server answered and whether the configured model is on it.
+ * @param {Object} info - providers.local from checkAuth ({available, models, error})
+ */
+function renderLocalStatus(info) {
+  if (!localAuthStatusDot || !localAuthStatusText) return;
+
+  if (!localBaseUrlInput || !localBaseUrlInput.value.trim()) {
+    localAuthStatusDot.className = 'auth-status-dot disconnected';
+    localAuthStatusText.textContent = 'Enter a server URL';
+    return;
+  }
+  if (!info || !info.available) {
+    localAuthStatusDot.className = 'auth-status-dot disconnected';
+    localAuthStatusText.textContent = `Server not reachable${info?.error ? ` (${info.error})` : ''}`;
+    return;
+  }
+
+  const model = localModelInput ? localModelInput.value.trim() : '';
+  const models = info.models || [];
+  localAuthStatusDot.className = 'auth-status-dot connected';
+  if (model && models.length > 0 && !models.includes(model)) {
+    localAuthStatusText.textContent = `Server ready — "${model}" not listed (has: ${models.slice(0, 5).join(', ')})`;
+  } else {
+    localAuthStatusText.textContent = models.length > 0 ? `Server ready — ${models.length} model${models.length === 1 ? '' : 's'}` : 'Server ready';
+  }
+}
+
+/**
+ * Show which credential the Anthropic API provider will use.
+ * @param {Object} info - providers.anthropic from checkAuth ({available, method})
+ */
+function renderAnthropicStatus(info) {
+  if (!anthropicAuthStatusDot || !anthropicAuthStatusText) return;
+
+  anthropicAuthStatusDot.className = `auth-status-dot ${info?.available ? 'connected' : 'disconnected'}`;
+  if (info?.method === 'oauth') {
+    anthropicAuthStatusText.textContent = 'Using Claude Code login';
+  } else if (info?.method === 'api_key') {
+    anthropicAuthStatusText.textContent = 'Using API key';
+  } else {
+    anthropicAuthStatusText.textContent = 'No credentials — log in to Claude Code or add an API key';
+  }
+}
+
+/**
+ * Check CLI auth status for Claude and Codex, Anthropic API credentials,
+ * and reachability of the local server.
  */
 async function checkAuthStatus() {
   if (authStatusDot && authStatusText) {
@@ -703,10 +1230,23 @@ async function checkAuthStatus() {
     codexAuthStatusDot.className = 'auth-status-dot checking';
     codexAuthStatusText.textContent = 'Checking...';
   }
+  if (localAuthStatusDot && localAuthStatusText) {
+    localAuthStatusDot.className = 'auth-status-dot checking';
+    localAuthStatusText.textContent = 'Checking...';
+  }
+  if (anthropicAuthStatusDot && anthropicAuthStatusText) {
+    anthropicAuthStatusDot.className = 'auth-status-dot checking';
+    anthropicAuthStatusText.textContent = 'Checking...';
+  }
 
   try {
     const response = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ action: 'checkAuth' }, (resp) => {
+      chrome.runtime.sendMessage({
+        action: 'checkAuth',
+        localBaseUrl: localBaseUrlInput ? localBaseUrlInput.value.trim() : '',
+        localApiKey: localApiKeyInput ? localApiKeyInput.value.trim() : '',
+        anthropicApiKey: anthropicApiKeyInput ? anthropicApiKeyInput.value.trim() : ''
+      }, (resp) => {
         if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
         else resolve(resp);
       });
@@ -727,6 +1267,9 @@ async function checkAuthStatus() {
         else if (!codexInfo.loggedIn) codexAuthStatusText.textContent = 'Codex installed — run `codex login`';
         else codexAuthStatusText.textContent = 'Codex CLI ready';
       }
+
+      renderLocalStatus(response.providers?.local);
+      renderAnthropicStatus(response.providers?.anthropic);
     } else {
       if (authStatusDot && authStatusText) {
         authStatusDot.className = 'auth-status-dot disconnected';
@@ -736,6 +1279,8 @@ async function checkAuthStatus() {
         codexAuthStatusDot.className = 'auth-status-dot disconnected';
         codexAuthStatusText.textContent = 'Codex CLI not found';
       }
+      renderLocalStatus(null);
+      renderAnthropicStatus(null);
     }
   } catch (error) {
     if (authStatusDot && authStatusText) {
@@ -746,6 +1291,14 @@ async function checkAuthStatus() {
       codexAuthStatusDot.className = 'auth-status-dot disconnected';
       codexAuthStatusText.textContent = 'Connection error';
     }
+    if (localAuthStatusDot && localAuthStatusText) {
+      localAuthStatusDot.className = 'auth-status-dot disconnected';
+      localAuthStatusText.textContent = 'Connection error';
+    }
+    if (anthropicAuthStatusDot && anthropicAuthStatusText) {
+      anthropicAuthStatusDot.className = 'auth-status-dot disconnected';
+      anthropicAuthStatusText.textContent = 'Connection error';
+    }
   }
 }
 
@@ -754,5 +1307,6 @@ async function checkAuthStatus() {
 // ============================================================
 
 loadSettings();
+applyHostCapabilities();
 setupAnthropicSettings();
 setupAudioSettings();
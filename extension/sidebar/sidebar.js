@@ -8,6 +8,8 @@ let selectedLearnings = new Set();
 let currentNoteId = null; // Cached note ID for updating existing notes
 let currentReminderIds = []; // Cached reminder IDs for updating existing reminders
 let cachedTranscript = null; // Store transcript for search functionality
+let cachedTranscriptSegments = null; // [{ start, end, text }] when the captions carry times
+let cachedChapters = []; // [{ start, end, title }] from the video's chapter list
 let cachedCreatorComments = []; // Store creator comments (high value)
 let cachedViewerComments = []; // Store top viewer comments
 let searchMatches = []; // Store search match positions
@@ -23,6 +25,8 @@ const videoTitle = document.getElementById('video-title');
 const generateBtn = document.getElementById('generate-btn');
 const saveBtn = document.getElementById('save-btn');
 const retryBtn = document.getElementById('retry-btn');
+const cancelBtn = document.getElementById('cancel-btn');
+const regenerateBtn = document.getElementById('regenerate-btn');
 const newSummaryBtn = document.getElementById('new-summary-btn');
 const backToEditBtn = document.getElementById('back-to-edit-btn');
 const folderInput = document.getElementById('folder-input');
@@ -44,9 +48,14 @@ function init() {
   window.parent.postMessage({ type: 'REQUEST_VIDEO_INFO' }, '*');
 
   // Set up event listeners
-  generateBtn.addEventListener('click', handleGenerateSummary);
+  generateBtn.addEventListener('click', () => handleGenerateSummary());
+  regenerateBtn.addEventListener('click', () => handleGenerateSummary({ forceRefresh: true, catchUp: lastCatchUp }));
+  document.getElementById('catch-up-btn').addEventListener('click', () => handleCatchUp());
+  document.getElementById('catch-up-extend-btn').addEventListener('click', () => handleCatchUp({ extend: true }));
+  document.getElementById('catch-up-full-btn').addEventListener('click', () => handleGenerateSummary());
   saveBtn.addEventListener('click', handleSaveToNotes);
   retryBtn.addEventListener('click', handleRetry);
+  cancelBtn.addEventListener('click', handleCancelGeneration);
   newSummaryBtn.addEventListener('click', handleNewSummary);
   backToEditBtn.addEventListener('click', handleBackToEdit);
 
@@ -102,6 +111,8 @@ function init() {
   // Select/Unselect All buttons
   document.getElementById('toggle-all-learnings').addEventListener('click', () => toggleAllCheckboxes('learnings'));
   document.getElementById('toggle-all-actions').addEventListener('click', () => toggleAllCheckboxes('actions'));
+  document.getElementById('toggle-all-chapters').addEventListener('click', toggleAllChapters);
+  document.getElementById('copy-chapters-btn').addEventListener('click', handleCopyChapterList);
 
   // Add item buttons
   const addLearningBtn = document.getElementById('add-learning-btn');
@@ -118,6 +129,7 @@ function init() {
 
   // Set up search functionality
   initTranscriptSearch();
+  initTranscriptRange();
 
   // New export button listeners
   const copyBtn = document.getElementById('copy-clipboard-btn');
@@ -127,6 +139,9 @@ function init() {
 
   // Check native host availability (for Apple Notes)
   checkNativeHostAvailability();
+
+  // Hide features the installed native host doesn't support
+  applyHostCapabilities();
 }
 
 // Close sidebar (sends message to content script)
@@ -215,28 +230,61 @@ async function loadTemplateConfig() {
 // Load API settings from storage
 async function loadApiSettings() {
   try {
-    const result = await chrome.storage.sync.get(['claudeModel', 'aiProvider', 'codexModel']);
+    const result = await chrome.storage.sync.get(['claudeModel', 'aiProvider', 'codexModel', 'localBaseUrl', 'localModel', 'localApiKey', 'anthropicApiKey', 'failoverOrder', 'summaryCache', 'structuredOutput', 'chapterSummaries', 'autoChapters']);
     const stored = result.aiProvider;
-    const provider = (stored === 'codex' || stored === 'both') ? stored : 'claude';
+    const provider = ['codex', 'both', 'local', 'anthropic'].includes(stored) ? stored : 'claude';
     const claudeModel = result.claudeModel || 'sonnet';
     const codexModel = (result.codexModel || '').trim() || null;
+    const localModel = (result.localModel || '').trim() || null;
+    // The Anthropic API provider uses the same model presets as the Claude CLI
+    const models = { claude: claudeModel, anthropic: claudeModel, codex: codexModel, local: localModel };
     return {
       provider,
       claudeModel,
       codexModel,
+      localModel,
       // Convenience: which model string to send for the active provider.
       // In 'both' mode, callers should fan out and pass per-provider models.
-      model: provider === 'codex' ? codexModel : claudeModel
+      model: models[provider] || claudeModel,
+      // Connection settings for HTTP providers; spread into every native
+      // request (the CLI bridges ignore them).
+      connection: {
+        localBaseUrl: (result.localBaseUrl || '').trim() || null,
+        localApiKey: (result.localApiKey || '').trim() || null,
+        anthropicApiKey: (result.anthropicApiKey || '').trim() || null,
+        // Models for failover providers (the primary uses `model`)
+        providerModels: models
+      },
+      // Providers the native host tries, in order, after the primary fails.
+      // Only sent for single-provider requests; Compare mode pins providers.
+      failoverOrder: Array.isArray(result.failoverOrder) ? result.failoverOrder : [],
+      summaryCache: result.summaryCache !== false,
+      structuredOutput: result.structuredOutput === true,
+      chapterSummaries: result.chapterSummaries === true,
+      autoChapters: result.autoChapters === true
     };
   } catch (error) {
     console.error('Error loading API settings:', error);
-    return { provider: 'claude', claudeModel: 'sonnet', codexModel: null, model: 'sonnet' };
+    return { provider: 'claude', claudeModel: 'sonnet', codexModel: null, localModel: null, model: 'sonnet', connection: {}, failoverOrder: [], summaryCache: true, structuredOutput: false, chapterSummaries: false, autoChapters: false };
   }
 }
 
 // Pending transcript request resolver
 let pendingTranscriptResolver = null;
 
+// Pending playback position request resolver (Catch Me Up)
+let pendingPositionResolver = null;
+
+// Range the last summary request covered, when it was a catch-up
+let lastCatchUp = null;
+
+// Transcript range ({ from, to }) chat and Extract Learnings are limited
+// to, when the user picked one in the transcript viewer
+let activeTranscriptRange = null;
+
+// Where each caption segment starts in cachedTranscript: { transcript, offsets }
+let transcriptSegmentOffsets = null;
+
 // Listen for messages from content script
 window.addEventListener('message', (event) => {
   if (event.data.type === 'CONTENT_INFO') {
@@ -263,10 +311,16 @@ window.addEventListener('message', (event) => {
     videoTitle.textContent = event.data.title;
     updateUIForContentType(currentContentType, event.data);
 
-    // Reset state for new content (handles mid-generation navigation)
+    // Reset state for new content (handles mid-generation navigation). A
+    // job still running for the old content carries on in background.js.
+    stopWatchingJob();
     currentSummary = null;
     currentNoteId = null;
     cachedTranscript = null;
+    cachedTranscriptSegments = null;
+    cachedChapters = [];
+    lastCatchUp = null;
+    resetTranscriptRange();
     cachedAudioData = null;
     chatHistory = [];
     currentChatKey = null;
@@ -279,17 +333,26 @@ window.addEventListener('message', (event) => {
       console.log(`Found ${event.data.links.length} links in description`);
     }
 
-    if (event.data.autoGenerate) {
-      // Skip transcript preview — handleGenerateSummary will fetch the
-      // transcript itself via requestTranscript(). Running both would race
-      // on the shared pendingTranscriptResolver.
-      handleGenerateSummary();
-    } else if (pendingTranscriptPreview) {
-      // Only fetch transcript preview when not auto-generating, to avoid
-      // two concurrent requestTranscript() calls fighting over the resolver.
-      pendingTranscriptPreview = false;
-      fetchTranscriptForPreview();
-    }
+    // A job for this content may have run on while the sidebar was closed
+    // or the page reloaded; show it rather than starting over
+    const autoGenerate = event.data.autoGenerate;
+    const generationId = currentGenerationId;
+    reattachSummaryJob().then((attached) => {
+      // A summary started while we looked; it fetches the transcript itself
+      if (!attached && currentGenerationId !== generationId) return;
+
+      if (autoGenerate && !attached) {
+        // Skip transcript preview — handleGenerateSummary will fetch the
+        // transcript itself via requestTranscript(). Running both would race
+        // on the shared pendingTranscriptResolver.
+        handleGenerateSummary();
+      } else if (pendingTranscriptPreview) {
+        // Only fetch transcript preview when not auto-generating, to avoid
+        // two concurrent requestTranscript() calls fighting over the resolver.
+        pendingTranscriptPreview = false;
+        fetchTranscriptForPreview();
+      }
+    });
   }
 
   if (event.data.type === 'VIDEO_INFO') {
@@ -309,12 +372,26 @@ window.addEventListener('message', (event) => {
     }
   }
 
+  if (event.data.type === 'PLAYBACK_POSITION') {
+    if (pendingPositionResolver) {
+      pendingPositionResolver(event.data);
+      pendingPositionResolver = null;
+    }
+  }
+
   if (event.data.type === 'PROGRESS_UPDATE') {
-    // Only process progress updates if we're actively loading
-    if (loadingSection.style.display !== 'none') {
+    // Only the request this sidebar is showing, and only while loading
+    // (Compare mode's Codex run and other tabs' requests have other ids)
+    if (event.data.requestId === currentJobRequestId && loadingSection.style.display !== 'none') {
+      // Real progress (Safari polls for it): the simulated stages can stop
+      cancelSafariProgressSimulation();
       updateProgressUI(event.data.progress);
     }
   }
+
+  if (event.data.type === 'JOB_UPDATE') {
+    handleJobUpdate(event.data.job);
+  }
 });
 
 /**
@@ -357,15 +434,17 @@ function updateUIForContentType(contentType, data) {
     }
   }
 
-  // Show/hide transcript viewer (only for YouTube and video content)
+  // Show/hide transcript viewer and Catch Me Up (only for YouTube and video content)
+  const isVideo = contentType === 'youtube_video' || contentType === 'video_with_captions';
   const transcriptViewer = document.getElementById('transcript-viewer');
   if (transcriptViewer) {
-    if (contentType === 'youtube_video' || contentType === 'video_with_captions') {
-      transcriptViewer.style.display = 'block';
-    } else {
-      transcriptViewer.style.display = 'none';
-    }
+    transcriptViewer.style.display = isVideo ? 'block' : 'none';
+  }
+  const catchUpControls = document.getElementById('catch-up-controls');
+  if (catchUpControls) {
+    catchUpControls.style.display = isVideo ? 'flex' : 'none';
   }
+  showCatchUpStatus('');
 }
 
 // Track completed stages, input tokens, and elapsed time
@@ -376,9 +455,10 @@ let elapsedStartTime = null;
 
 // Safari Web Extensions can't push progress events from the native side back
 // to the page during a single request — `browser.runtime.sendNativeMessage`
-// is request/response only. On Safari we simulate the progress UI on a fixed
-// timeline so the user sees movement instead of "Starting..." forever. The
-// final stages (`parsing` / `complete`) still fire from the real response.
+// is request/response only. background.js polls the agent for real progress
+// instead (`getProgress`). Until the first real update arrives, and with an
+// agent too old to answer, we simulate the progress UI on a fixed timeline
+// so the user sees movement instead of "Starting..." forever.
 const IS_SAFARI = typeof window !== 'undefined'
     && typeof window.location !== 'undefined'
     && String(window.location.protocol).startsWith('safari-web-extension:');
@@ -405,6 +485,8 @@ function estimateInputTokens(transcript, comments = []) {
  * the UI says "Codex is analyzing..." when the user picked Codex.
  */
 function providerDisplayName(provider) {
+  if (provider === 'local') return 'Local model';
+  if (provider === 'anthropic') return 'Claude API';
   return provider === 'codex' ? 'Codex' : 'Claude';
 }
 
@@ -423,10 +505,10 @@ function applyProviderLabels(provider) {
 }
 
 /**
- * Drive the multi-stage progress UI on a fixed timeline. Safari can't
- * deliver real progress events mid-flight; this gives the user honest-feeling
- * feedback that something's happening, including a rough token count for
- * the `waiting` stage so the "~0 tokens" hole goes away.
+ * Drive the multi-stage progress UI on a fixed timeline until real progress
+ * arrives (for good, with an agent that can't report it). This gives the
+ * user honest-feeling feedback that something's happening, including a
+ * rough token count for the `waiting` stage so the "~0 tokens" hole goes away.
  */
 function startSafariProgressSimulation({ inputTokens = 0, provider = 'claude' } = {}) {
   if (!IS_SAFARI) return;
@@ -454,7 +536,7 @@ function cancelSafariProgressSimulation() {
 
 // Update progress UI based on stage
 function updateProgressUI(progress) {
-  const { stage, message, chars, inputTokens } = progress;
+  const { stage, message, chars, inputTokens, usage } = progress;
 
   // Cache input tokens when we receive them
   if (inputTokens) {
@@ -501,10 +583,118 @@ function updateProgressUI(progress) {
   // Update token count display
   const tokensEl = document.getElementById('token-count');
   if (tokensEl) {
-    if (stage === 'waiting' || stage === 'streaming') {
+    if (usage && usage.inputTokens) {
+      // Real counts from the API provider instead of the ~4 chars/token estimate
+      tokensEl.textContent = formatTokenUsage(usage);
+    } else if (stage === 'waiting' || stage === 'streaming') {
       tokensEl.textContent = `~${cachedInputTokens.toLocaleString()} tokens`;
     }
   }
+
+  // Render whatever the model has written so far
+  if (progress.partialText) {
+    renderStreamPreview(progress.partialText);
+  }
+}
+
+/**
+ * Format token usage reported by a provider, e.g. "12,345 in · 678 out tokens"
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {string}
+ */
+function formatTokenUsage(usage) {
+  const input = (usage.inputTokens || 0).toLocaleString();
+  if (!usage.outputTokens) return `${input} tokens`;
+  return `${input} in · ${usage.outputTokens.toLocaleString()} out tokens`;
+}
+
+/**
+ * Format how long ago a timestamp was, e.g. "3 hours ago"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatTimeAgo(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Show which provider produced the displayed result (and which ones failed
+ * before it), whether it came from the cache, and token usage when the
+ * provider reports it. Cached results get a Regenerate button.
+ * @param {Object} response - generateSummary response ({ provider, failedProviders, usage, cached, cachedAt })
+ */
+function displayResultInfo(response) {
+  const infoEl = document.getElementById('result-info');
+  const textEl = document.getElementById('result-info-text');
+  if (!infoEl || !textEl) return;
+
+  const parts = [];
+  if (response.cached) {
+    parts.push(`Cached${response.cachedAt ? ` ${formatTimeAgo(response.cachedAt)}` : ''}`);
+  }
+  if (response.provider) {
+    parts.push(`Generated by ${providerDisplayName(response.provider)}`);
+  }
+  if (response.failedProviders && response.failedProviders.length > 0) {
+    parts.push(`${response.failedProviders.map(providerDisplayName).join(', ')} failed`);
+  }
+  if (response.usage && response.usage.inputTokens) {
+    parts.push(formatTokenUsage(response.usage));
+  }
+
+  textEl.textContent = parts.join(' · ');
+  regenerateBtn.style.display = response.cached ? '' : 'none';
+  infoEl.style.display = parts.length > 0 ? '' : 'none';
+}
+
+/**
+ * Split partial model output into sections at its "HEADER:" lines.
+ * Works for both the default headers and user-defined template labels
+ * (which the prompt always uppercases). Text before the first header is
+ * dropped, as is a trailing header whose body hasn't started yet.
+ * @param {string} text - Response text received so far
+ * @returns {Array<{label: string, body: string}>}
+ */
+function splitStreamedSections(text) {
+  const sections = [];
+  let current = null;
+
+  text.split('\n').forEach(line => {
+    const header = line.match(/^\s*([A-Z][A-Z0-9 &'\/()-]*):\s*(.*)$/);
+    if (header) {
+      current = { label: header[1].trim(), body: header[2] ? `${header[2]}\n` : '' };
+      sections.push(current);
+    } else if (current) {
+      current.body += `${line}\n`;
+    }
+  });
+
+  return sections.filter(section => section.body.trim().length > 0);
+}
+
+/**
+ * Show the streamed response in the loading section, one block per section,
+ * so long summaries can be read while the model is still writing.
+ * @param {string} partialText - Response text received so far
+ */
+function renderStreamPreview(partialText) {
+  const preview = document.getElementById('stream-preview');
+  if (!preview) return;
+
+  const sections = splitStreamedSections(partialText);
+  if (sections.length === 0) return;
+
+  preview.innerHTML = sections.map(section => {
+    const label = section.label.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+    return `<div class="stream-section"><h3>${escapeHtml(label)}</h3>${renderMarkdown(section.body.trim())}</div>`;
+  }).join('');
+  preview.style.display = 'block';
 }
 
 // Start elapsed timer
@@ -550,6 +740,11 @@ function resetProgressUI() {
   if (timerEl) timerEl.textContent = '';
   const progressMessage = document.getElementById('progress-message');
   if (progressMessage) progressMessage.textContent = 'Starting...';
+  const preview = document.getElementById('stream-preview');
+  if (preview) {
+    preview.innerHTML = '';
+    preview.style.display = 'none';
+  }
 }
 
 // Request transcript from content script (which scrapes YouTube DOM)
@@ -571,6 +766,106 @@ function requestTranscript() {
   });
 }
 
+// Ask the content script where the page's video is playing
+function requestPlaybackPosition() {
+  return new Promise((resolve) => {
+    pendingPositionResolver = resolve;
+    window.parent.postMessage({ type: 'GET_PLAYBACK_POSITION' }, '*');
+
+    setTimeout(() => {
+      if (pendingPositionResolver) {
+        pendingPositionResolver({ success: false });
+        pendingPositionResolver = null;
+      }
+    }, 5000);
+  });
+}
+
+// =====================================
+// CATCH ME UP: summarize up to the playhead
+// =====================================
+
+// Less new video than this isn't worth a request
+const MIN_CATCH_UP_SECONDS = 30;
+
+// Status line under the Catch Me Up controls, or in the catch-up bar
+// while a summary is showing
+function showCatchUpStatus(message) {
+  const status = document.getElementById('catch-up-status');
+  if (status) {
+    status.textContent = message;
+    status.style.display = message ? 'block' : 'none';
+  }
+}
+
+/**
+ * Summarize what the viewer has watched: everything up to the playhead, or
+ * the chosen window before it. With `extend`, summarize only what they've
+ * watched since the current catch-up and add it to that summary.
+ * @param {Object} options - { extend }
+ */
+async function handleCatchUp({ extend = false } = {}) {
+  const position = await requestPlaybackPosition();
+  const to = position.success ? Math.floor(position.currentTime) : NaN;
+  const covered = currentSummary && currentSummary.catchUp;
+  const report = extend
+    ? (message) => { document.getElementById('catch-up-range').textContent = message; }
+    : showCatchUpStatus;
+
+  if (!Number.isFinite(to)) {
+    report('Couldn\'t find the video on this page.');
+    return;
+  }
+
+  let range;
+  if (extend && covered) {
+    if (to - covered.to < MIN_CATCH_UP_SECONDS) {
+      report(`Nothing new since ${formatVideoTimestamp(covered.to)}. Keep watching, then try again.`);
+      return;
+    }
+    range = {
+      from: covered.to,
+      to,
+      // Sent as the user left them, edits included
+      previousSummary: document.getElementById('summary-text').innerText.trim() || currentSummary.summary,
+      previousLearnings: getEditedLearnings(),
+      previousActionItems: currentSummary.actionItems || []
+    };
+  } else {
+    if (to < MIN_CATCH_UP_SECONDS) {
+      report('Watch a little of the video first.');
+      return;
+    }
+    const windowSeconds = Number(document.getElementById('catch-up-window').value) || 0;
+    range = { from: windowSeconds > 0 ? Math.max(0, to - windowSeconds) : 0, to };
+  }
+
+  showCatchUpStatus('');
+  handleGenerateSummary({ catchUp: range });
+}
+
+// Show how far a catch-up summary goes, with the button to extend it
+function displayCatchUpBar(response) {
+  const bar = document.getElementById('catch-up-bar');
+  if (!bar) return;
+  if (!response.catchUp) {
+    bar.style.display = 'none';
+    return;
+  }
+  const { from, to, newLearnings, selected } = response.catchUp;
+  const added = lastCatchUp && lastCatchUp.previousSummary
+    ? ` · ${newLearnings} new learning${newLearnings === 1 ? '' : 's'}`
+    : '';
+  // A range picked in the transcript isn't tied to the playhead, so it
+  // can't be extended; offer the whole video instead
+  document.getElementById('catch-up-range').textContent = selected
+    ? `Summary of ${formatVideoTimestamp(from)}–${formatVideoTimestamp(to)}`
+    : `Caught up to ${formatVideoTimestamp(to)}${added}`;
+  document.getElementById('catch-up-extend-btn').style.display = selected ? 'none' : '';
+  document.getElementById('catch-up-full-btn').style.display = selected ? '' : 'none';
+  bar.style.display = '';
+}
+
 // Show specific section
 function showSection(section) {
   [generateSection, loadingSection, summarySection, successSection, errorSection].forEach(s => {
@@ -579,8 +874,10 @@ function showSection(section) {
   section.style.display = 'block';
 }
 
-// Handle Generate Summary
-async function handleGenerateSummary() {
+// Handle Generate Summary. `catchUp` ({ from, to, previous*, selected })
+// summarizes only that part of the video; see handleCatchUp and the
+// transcript range bar.
+async function handleGenerateSummary({ forceRefresh = false, catchUp = null } = {}) {
   if (!currentVideoInfo) {
     showError('Content information not available. Please refresh the page.');
     return;
@@ -588,6 +885,7 @@ async function handleGenerateSummary() {
 
   // Increment generation ID so stale responses from previous videos are ignored
   const thisGenerationId = ++currentGenerationId;
+  lastCatchUp = catchUp;
 
   resetProgressUI();
   showSection(loadingSection);
@@ -608,6 +906,8 @@ async function handleGenerateSummary() {
 
     // Cache the transcript for search and follow-up functionality
     cachedTranscript = transcriptResult.transcript;
+    cachedTranscriptSegments = transcriptResult.segments || null;
+    cachedChapters = transcriptResult.chapters || [];
 
     // Cache comments if available
     if (transcriptResult.creatorComments) {
@@ -619,6 +919,20 @@ async function handleGenerateSummary() {
       console.log(`Received ${cachedViewerComments.length} viewer comments`);
     }
 
+    // Catch Me Up and transcript ranges send only the captions inside the range
+    let transcriptText = transcriptResult.transcript;
+    let transcriptSegments = cachedTranscriptSegments;
+    if (catchUp) {
+      if (!cachedTranscriptSegments) {
+        throw new Error(`${catchUp.selected ? 'Summarizing a range' : 'Catch Me Up'} needs captions with timestamps, and this video's captions have none.`);
+      }
+      transcriptSegments = getRangeSegments(catchUp);
+      if (transcriptSegments.length === 0) {
+        throw new Error(`No captions between ${formatVideoTimestamp(catchUp.from)} and ${formatVideoTimestamp(catchUp.to)}.`);
+      }
+      transcriptText = transcriptSegments.map(segment => segment.text).join(' ');
+    }
+
     // Load custom analysis instructions, template config, and API settings
     const customInstructions = await loadAnalysisInstructions();
     const templateConfig = await loadTemplateConfig();
@@ -628,13 +942,13 @@ async function handleGenerateSummary() {
     // For the progress UI we use the *primary* provider's name. In 'both'
     // mode the primary is Claude (which renders into the editable section);
     // Codex's run feeds the read-only comparison panel.
-    const primaryProvider = apiSettings.provider === 'codex' ? 'codex' : 'claude';
+    const primaryProvider = apiSettings.provider === 'both' ? 'claude' : apiSettings.provider;
     applyProviderLabels(primaryProvider);
     // Tell the chat renderer whether we're in 'both' mode so future renders
     // know to use the paired-bubble layout.
     bothModeCached = (apiSettings.provider === 'both');
     const estimatedTokens = estimateInputTokens(
-      transcriptResult.transcript,
+      transcriptText,
       [...(cachedCreatorComments || []), ...(cachedViewerComments || [])]
     );
     startSafariProgressSimulation({ inputTokens: estimatedTokens, provider: primaryProvider });
@@ -645,7 +959,9 @@ async function handleGenerateSummary() {
       contentType: currentContentType,
       videoId: currentVideoInfo.videoId,
       title: currentVideoInfo.title,
-      transcript: transcriptResult.transcript,
+      transcript: transcriptText,
+      // The host turns these into [m:ss] lines so learnings can cite times
+      transcriptSegments,
       description: currentVideoInfo.description || '',
       descriptionLinks: currentVideoInfo.links || [],
       creatorComments: cachedCreatorComments,
@@ -654,71 +970,65 @@ async function handleGenerateSummary() {
       templateSections: templateConfig?.sections || null,
       author: currentVideoInfo.author || null,
       siteName: currentVideoInfo.siteName || null,
-      publishDate: currentVideoInfo.publishDate || null
+      publishDate: currentVideoInfo.publishDate || null,
+      structuredOutput: apiSettings.structuredOutput,
+      // Chapter-by-chapter summaries need the chapters and their timed
+      // captions; without creator chapters the host can generate them.
+      // Neither applies to a catch-up, which covers part of the video.
+      chapterMode: !catchUp && apiSettings.chapterSummaries && !!cachedTranscriptSegments && (cachedChapters.length >= 2 || apiSettings.autoChapters),
+      chapters: cachedChapters,
+      autoChapters: !catchUp && apiSettings.autoChapters && !!cachedTranscriptSegments && cachedChapters.length < 2,
+      catchUp,
+      useCache: apiSettings.summaryCache,
+      forceRefresh,
+      ...apiSettings.connection
     };
 
-    let response;
+    // The native requests run as a job in background.js, so the result
+    // survives this sidebar closing or the page navigating away. Compare
+    // mode's Codex run is the job's compareRequest; Claude is primary
+    // (renders into the editable section, and is what saves/audio use).
+    const jobRequest = apiSettings.provider === 'both'
+      ? {
+          request: { ...baseRequest, requestId: crypto.randomUUID(), provider: 'claude', model: apiSettings.claudeModel },
+          compareRequest: { ...baseRequest, requestId: crypto.randomUUID(), provider: 'codex', model: apiSettings.codexModel }
+        }
+      : {
+          request: {
+            ...baseRequest,
+            requestId: crypto.randomUUID(),
+            provider: apiSettings.provider,
+            model: apiSettings.model,
+            failoverOrder: apiSettings.failoverOrder
+          }
+        };
+    // Progress can arrive before startSummaryJob answers
+    currentJobRequestId = jobRequest.request.requestId;
+
+    let job;
     try {
-      if (apiSettings.provider === 'both') {
-        // Fire both providers in parallel. Claude is treated as primary
-        // (renders into the editable section); Codex renders into the
-        // read-only comparison panel below it.
-        showComparePanel(true);
-        showCompareLoading(true, 'codex');
-        const claudePromise = sendNativeMessage({
-          ...baseRequest,
-          provider: 'claude',
-          model: apiSettings.claudeModel
-        });
-        const codexPromise = sendNativeMessage({
-          ...baseRequest,
-          provider: 'codex',
-          model: apiSettings.codexModel
-        });
-
-        // Render Codex into the compare panel as soon as it returns —
-        // independent of whether Claude is still pending.
-        codexPromise.then((codexResp) => {
-          if (thisGenerationId !== currentGenerationId) return;
-          showCompareLoading(false);
-          renderComparePanel('codex', codexResp);
-        }).catch((err) => {
-          if (thisGenerationId !== currentGenerationId) return;
-          showCompareLoading(false);
-          renderComparePanelError('codex', err.message);
-        });
-
-        // The "main" response is Claude's — that's what gates showing the
-        // primary section and what saves/audio operate on.
-        response = await claudePromise;
-      } else {
-        response = await sendNativeMessage({
-          ...baseRequest,
-          provider: apiSettings.provider,
-          model: apiSettings.model
-        });
-        showComparePanel(false);
+      const started = await sendNativeMessage({
+        action: 'startSummaryJob',
+        contentKey: getChatKey(),
+        title: currentVideoInfo.title,
+        url: currentVideoInfo.url || null,
+        ...jobRequest
+      });
+      if (!started || !started.success) {
+        throw new Error(describeHostError(started, 'Failed to start summary'));
       }
+      if (thisGenerationId !== currentGenerationId) return;
+
+      prepareComparePanel(started.job);
+      job = await watchSummaryJob(started.job);
     } finally {
       cancelSafariProgressSimulation();
     }
 
     // Abort if a newer generation started while we were waiting
-    if (thisGenerationId !== currentGenerationId) return;
+    if (thisGenerationId !== currentGenerationId || !job) return;
 
-    if (response.success) {
-      currentSummary = response;
-      // Track which provider's data is currently in the editable panel.
-      // Promote toggles this.
-      currentSummary.provider = apiSettings.provider === 'both' ? 'claude' : apiSettings.provider;
-      displaySummary(response.summary, response.keyLearnings, response.relevantLinks || []);
-      displayActionItems(response.actionItems || []);
-      showSection(summarySection);
-      // Notify parent that analysis completed
-      window.parent.postMessage({ type: 'ANALYSIS_COMPLETE' }, '*');
-    } else {
-      throw new Error(response.error || 'Failed to generate summary');
-    }
+    showFinishedJob(job);
   } catch (error) {
     // Ignore errors from stale generations
     if (thisGenerationId !== currentGenerationId) return;
@@ -729,6 +1039,164 @@ async function handleGenerateSummary() {
   }
 }
 
+// Show a finished response in the editable summary section
+function showSummaryResult(response, provider) {
+  currentSummary = response;
+  // Track which provider's data is currently in the editable panel.
+  // Promote toggles this.
+  currentSummary.provider = response.provider || provider;
+  displaySummary(response.summary, response.keyLearnings, response.relevantLinks || []);
+  displayChapterOutline(response);
+  showChapterMarkers(response.generatedChapters);
+  displayActionItems(response.actionItems || []);
+  displayResultInfo(response);
+  displayCatchUpBar(response);
+  showSection(summarySection);
+  // Notify parent that analysis completed
+  window.parent.postMessage({ type: 'ANALYSIS_COMPLETE' }, '*');
+}
+
+// Summary job this sidebar shows. background.js owns it; the sidebar
+// follows it through JOB_UPDATE messages relayed by the content script.
+let currentJobId = null;
+let currentJobRequestId = null; // Native requestId whose progress this sidebar shows
+let jobWatcher = null; // { jobId, resolve }
+let renderedCompareJobId = null;
+
+/**
+ * Follow a job until it finishes
+ * @param {Object} job - Job record from background.js
+ * @returns {Promise<Object|null>} - The finished job, or null if the sidebar stopped watching
+ */
+function watchSummaryJob(job) {
+  stopWatchingJob();
+  currentJobId = job.id;
+  currentJobRequestId = job.requestId;
+  return new Promise((resolve) => {
+    jobWatcher = { jobId: job.id, resolve };
+    // The record may already be finished, or carry a compare result
+    handleJobUpdate(job);
+  });
+}
+
+// Drop the current job (cancel, new content); its watcher resolves with null
+function stopWatchingJob() {
+  currentJobId = null;
+  currentJobRequestId = null;
+  if (jobWatcher) {
+    const { resolve } = jobWatcher;
+    jobWatcher = null;
+    resolve(null);
+  }
+}
+
+function handleJobUpdate(job) {
+  if (!job || job.id !== currentJobId) return;
+
+  // Compare mode: Codex may answer before or after the primary provider
+  if (job.compare && job.compareResult && renderedCompareJobId !== job.id) {
+    renderedCompareJobId = job.id;
+    showCompareLoading(false);
+    renderComparePanel('codex', job.compareResult);
+  }
+
+  if (job.status !== 'running' && jobWatcher && jobWatcher.jobId === job.id) {
+    const { resolve } = jobWatcher;
+    jobWatcher = null;
+    resolve(job);
+  }
+}
+
+function prepareComparePanel(job) {
+  renderedCompareJobId = null;
+  bothModeCached = job.compare;
+  showComparePanel(job.compare);
+  if (job.compare) {
+    showCompareLoading(true, 'codex');
+  }
+}
+
+// Show a finished job's summary or error, and tell background.js it's been
+// seen so the toolbar badge and notification clear
+function showFinishedJob(job) {
+  if (job.status === 'cancelled') return;
+
+  sendNativeMessage({ action: 'acknowledgeSummaryJob', jobId: job.id }).catch(() => {});
+
+  if (job.status === 'done') {
+    showSummaryResult(job.result, job.provider);
+  } else {
+    showError(describeHostError(
+      { error: job.error, code: job.errorCode, field: job.errorField },
+      'Failed to generate summary. Please try again.'
+    ));
+    window.parent.postMessage({ type: 'ANALYSIS_RESET' }, '*');
+  }
+}
+
+/**
+ * Pick up this content's latest summary job, if background.js has one
+ * running or finished (the sidebar was closed, or the page reloaded or
+ * navigated away and back). Errors are only shown if nobody has seen them.
+ * Resolves once a running job has finished.
+ * @returns {Promise<boolean>} - True if a job was shown
+ */
+async function reattachSummaryJob() {
+  const contentKey = getChatKey();
+  const generationId = currentGenerationId;
+  if (!contentKey) return false;
+
+  let response;
+  try {
+    response = await sendNativeMessage({ action: 'attachSummaryJob', contentKey });
+  } catch (error) {
+    console.warn('Could not look up summary job:', error.message);
+    return false;
+  }
+
+  // The user started a summary, or the page moved on, while we asked
+  if (currentGenerationId !== generationId || getChatKey() !== contentKey) return false;
+
+  const job = response?.job;
+  if (!job || job.status === 'cancelled' || (job.status === 'error' && job.seen)) {
+    return false;
+  }
+
+  const thisGenerationId = ++currentGenerationId;
+  if (job.provider) applyProviderLabels(job.provider);
+  prepareComparePanel(job);
+
+  if (job.status === 'running') {
+    resetProgressUI();
+    showSection(loadingSection);
+    window.parent.postMessage({ type: 'ANALYSIS_STARTED' }, '*');
+    if (job.progress) updateProgressUI(job.progress);
+  }
+
+  const finished = await watchSummaryJob(job);
+  if (thisGenerationId !== currentGenerationId || !finished) return true;
+
+  showFinishedJob(finished);
+  return true;
+}
+
+// Handle Cancel: abandon the in-flight generation and ask background.js to
+// kill the native host's CLI process for this tab.
+function handleCancelGeneration() {
+  // Bumping the generation ID makes handleGenerateSummary drop whatever
+  // response eventually comes back for the cancelled request.
+  currentGenerationId++;
+  stopWatchingJob();
+  resetProgressUI();
+  showComparePanel(false);
+  showSection(generateSection);
+  window.parent.postMessage({ type: 'ANALYSIS_RESET' }, '*');
+
+  sendNativeMessage({ action: 'cancelGeneration' }).catch((error) => {
+    console.warn('Failed to cancel generation:', error.message);
+  });
+}
+
 // Update loading message
 function updateLoadingMessage(message) {
   const loadingText = loadingSection.querySelector('p');
@@ -818,6 +1286,7 @@ function displaySummary(summary, keyLearnings, relevantLinks = []) {
     deleteBtn.addEventListener('click', () => deleteItem(learningItem));
 
     learningItem.appendChild(checkbox);
+    addTimestampLink(learningItem, textArea);
     learningItem.appendChild(textArea);
     learningItem.appendChild(deleteBtn);
     learningsList.appendChild(learningItem);
@@ -848,6 +1317,152 @@ function displaySummary(summary, keyLearnings, relevantLinks = []) {
     searchableTranscript.textContent = cachedTranscript;
     searchableTranscript.dataset.populated = 'true';
   }
+  showTranscriptRangeBar();
+}
+
+// A response's chapters: the chapter-by-chapter outline, or else the
+// generated chapter list
+function getSummaryChapters(response) {
+  return (response && (response.chapters || response.generatedChapters)) || [];
+}
+
+// Whether any chapter has a summary, learnings or error to expand
+function isChapterOutline(chapters) {
+  return chapters.some(chapter => chapter.summary || chapter.error || (chapter.keyLearnings || []).length > 0);
+}
+
+/**
+ * Display a response's chapters under the overall summary. In
+ * chapter-by-chapter mode each chapter is collapsed to its title until
+ * opened; generated chapters on their own are a plain list.
+ * @param {Object} response - Summary response with `chapters` and/or `generatedChapters`
+ */
+function displayChapterOutline(response) {
+  const outlineSection = document.getElementById('chapter-outline-section');
+  const outlineList = document.getElementById('chapter-outline-list');
+
+  if (!outlineSection || !outlineList) return;
+
+  outlineList.innerHTML = '';
+  const chapters = getSummaryChapters(response);
+  if (chapters.length === 0) {
+    outlineSection.style.display = 'none';
+    return;
+  }
+
+  const generatedHint = document.getElementById('chapters-generated-hint');
+  if (generatedHint) generatedHint.style.display = response.generatedChapters ? 'inline' : 'none';
+  const isOutline = isChapterOutline(chapters);
+
+  chapters.forEach(chapter => {
+    const details = document.createElement(isOutline ? 'details' : 'div');
+    details.className = 'chapter-item';
+
+    const header = document.createElement(isOutline ? 'summary' : 'div');
+    header.className = 'chapter-header';
+    const timestamp = formatVideoTimestamp(chapter.start);
+    header.appendChild(createTimestampLink(timestamp, chapter.start));
+    const title = document.createElement('span');
+    title.className = 'chapter-title';
+    title.textContent = chapter.title;
+    header.appendChild(title);
+    details.appendChild(header);
+    if (!isOutline) {
+      outlineList.appendChild(details);
+      return;
+    }
+
+    const body = document.createElement('div');
+    body.className = 'chapter-body';
+    if (chapter.error) {
+      const error = document.createElement('p');
+      error.className = 'chapter-error';
+      error.textContent = `Couldn't summarize this chapter: ${chapter.error}`;
+      body.appendChild(error);
+    } else {
+      if (chapter.summary) {
+        const summary = document.createElement('p');
+        summary.className = 'chapter-summary';
+        summary.textContent = chapter.summary;
+        body.appendChild(summary);
+      }
+      if (chapter.keyLearnings && chapter.keyLearnings.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'chapter-learnings';
+        chapter.keyLearnings.forEach(learning => {
+          const item = document.createElement('li');
+          const { timestamp: cited, seconds, text } = splitLearningTimestamp(learning);
+          if (cited) item.appendChild(createTimestampLink(cited, seconds));
+          item.appendChild(document.createTextNode(text));
+          list.appendChild(item);
+        });
+        body.appendChild(list);
+      }
+    }
+    details.appendChild(body);
+    outlineList.appendChild(details);
+  });
+
+  const toggleBtn = document.getElementById('toggle-all-chapters');
+  if (toggleBtn) {
+    toggleBtn.textContent = 'Expand All';
+    toggleBtn.style.display = isOutline ? '' : 'none';
+  }
+  outlineSection.style.display = 'block';
+}
+
+/**
+ * Format chapters the way YouTube reads them from a description
+ * ("00:00 Intro", one per line)
+ * @param {Array<{start: number, title: string}>} chapters
+ * @returns {string}
+ */
+function formatChapterList(chapters) {
+  return chapters.map(chapter => {
+    const timestamp = formatVideoTimestamp(chapter.start);
+    // YouTube's own lists pad minutes below an hour: 04:12
+    return `${timestamp.length === 4 ? `0${timestamp}` : timestamp} ${chapter.title}`;
+  }).join('\n');
+}
+
+// Copy the shown chapters as a YouTube chapter list
+async function handleCopyChapterList() {
+  const copyBtn = document.getElementById('copy-chapters-btn');
+  const chapters = getSummaryChapters(currentSummary);
+  if (!copyBtn || chapters.length === 0) return;
+
+  try {
+    await navigator.clipboard.writeText(formatChapterList(chapters));
+    copyBtn.textContent = 'Copied!';
+  } catch (error) {
+    console.error('Failed to copy chapters:', error);
+    copyBtn.textContent = 'Failed';
+  }
+  setTimeout(() => {
+    copyBtn.textContent = 'Copy List';
+  }, 2000);
+}
+
+// Mark generated chapters on YouTube's progress bar, if the user wants that
+async function showChapterMarkers(chapters) {
+  if (!chapters || chapters.length === 0) return;
+  try {
+    const settings = await chrome.storage.sync.get(['chapterMarkers']);
+    if (settings.chapterMarkers === true) {
+      window.parent.postMessage({ type: 'SHOW_CHAPTER_MARKERS', chapters }, '*');
+    }
+  } catch (error) {
+    console.warn('Could not show chapter markers:', error.message);
+  }
+}
+
+// Expand or collapse every chapter in the outline
+function toggleAllChapters() {
+  const items = document.querySelectorAll('#chapter-outline-list .chapter-item');
+  const expand = Array.from(items).some(item => !item.open);
+  items.forEach(item => { item.open = expand; });
+  const toggleBtn = document.getElementById('toggle-all-chapters');
+  if (toggleBtn) toggleBtn.textContent = expand ? 'Collapse All' : 'Expand All';
 }
 
 /**
@@ -1067,13 +1682,81 @@ function getEditedLearnings() {
     const textArea = item.querySelector('.learning-text');
 
     if (checkbox.checked && textArea.value.trim()) {
-      learnings.push(textArea.value.trim());
+      // Keep the cited time with the learning for Notes, chat and follow-ups
+      const timestamp = item.dataset.timestamp;
+      learnings.push(timestamp ? `[${timestamp}] ${textArea.value.trim()}` : textArea.value.trim());
     }
   });
 
   return learnings;
 }
 
+// Leading "[1:23]" or "[1:02:03]" the model puts on learnings it can place
+const LEARNING_TIMESTAMP_PATTERN = /^\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]\s*/;
+
+/**
+ * Split a learning into its cited time and text
+ * @param {string} learning - Learning text, possibly starting with [m:ss]
+ * @returns {{timestamp: string|null, seconds: number|null, text: string}}
+ */
+function splitLearningTimestamp(learning) {
+  const match = LEARNING_TIMESTAMP_PATTERN.exec(learning || '');
+  if (!match) return { timestamp: null, seconds: null, text: learning };
+  return { timestamp: match[1], seconds: parseVideoTimestamp(match[1]), text: learning.slice(match[0].length) };
+}
+
+/**
+ * Button that seeks the page's video to a time
+ * @param {string} timestamp - Label, e.g. "12:34"
+ * @param {number} seconds - Offset into the video
+ * @returns {HTMLButtonElement}
+ */
+function createTimestampLink(timestamp, seconds) {
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'timestamp-link';
+  link.textContent = timestamp;
+  link.title = `Jump to ${timestamp} in the video`;
+  link.addEventListener('click', () => {
+    window.parent.postMessage({ type: 'SEEK_VIDEO', time: seconds }, '*');
+  });
+  return link;
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss from an hour on
+ * @param {number} seconds - Offset into the video
+ * @returns {string}
+ */
+function formatVideoTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Parse m:ss, h:mm:ss or plain seconds
+ * @param {string} label - e.g. "12:34"
+ * @returns {number|null} - Seconds, or null when it isn't a time
+ */
+function parseVideoTimestamp(label) {
+  const value = String(label || '').trim();
+  if (!/^(?:\d+:){0,2}\d+$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Move a learning's leading timestamp out of its textarea into a link. The
+// time is kept on the item so getEditedLearnings can put it back.
+function addTimestampLink(learningItem, textArea) {
+  const { timestamp, seconds, text } = splitLearningTimestamp(textArea.value);
+  if (!timestamp) return;
+  textArea.value = text;
+  learningItem.dataset.timestamp = timestamp;
+  learningItem.appendChild(createTimestampLink(timestamp, seconds));
+}
+
 // Get custom notes HTML
 function getCustomNotesHtml() {
   const editor = document.getElementById('custom-notes-editor');
@@ -1125,6 +1808,23 @@ function formatAsMarkdown() {
     markdown += `- ${learning}\n`;
   });
 
+  const chapters = getSummaryChapters(currentSummary);
+  if (chapters.length > 0 && !isChapterOutline(chapters)) {
+    markdown += `\n## Chapters\n\n`;
+    chapters.forEach(chapter => {
+      markdown += `- ${formatVideoTimestamp(chapter.start)} ${chapter.title}\n`;
+    });
+  } else if (chapters.length > 0) {
+    markdown += `\n## Chapters\n`;
+    chapters.forEach(chapter => {
+      markdown += `\n### [${formatVideoTimestamp(chapter.start)}] ${chapter.title}\n\n`;
+      if (chapter.summary) markdown += `${chapter.summary}\n\n`;
+      (chapter.keyLearnings || []).forEach(learning => {
+        markdown += `- ${learning}\n`;
+      });
+    });
+  }
+
   if (links.length > 0) {
     markdown += `\n## Relevant Links\n\n`;
     links.forEach(link => {
@@ -1278,6 +1978,58 @@ async function checkNativeHostAvailability() {
   }
 }
 
+// =====================================
+// Native Host Capabilities
+// =====================================
+
+/**
+ * Ask background.js what the installed host supports (from its `hello`
+ * handshake), hide the features it lacks, and show an update prompt when
+ * the host and extension versions don't match
+ */
+async function applyHostCapabilities() {
+  let hostInfo;
+  try {
+    hostInfo = await sendNativeMessage({ action: 'getHostInfo' });
+  } catch (error) {
+    return;
+  }
+  // Not reachable at all: checkNativeHostAvailability() already says so
+  if (!hostInfo || !hostInfo.connected) return;
+
+  const supports = (action) => hostInfo.actions.includes(action);
+  const setVisible = (el, visible) => {
+    if (el) el.style.display = visible ? '' : 'none';
+  };
+
+  setVisible(document.getElementById('audio-btn'), supports('generateAudio'));
+  setVisible(cancelBtn, supports('cancel'));
+  setVisible(document.querySelector('.apple-notes-export'), supports('saveToNotes'));
+
+  // Chat mode uses `chat`, Extract mode uses `followUp`
+  setVisible(document.getElementById('follow-up-section'), supports('chat') || supports('followUp'));
+  const chatModes = { chat: 'chat', extract: 'followUp' };
+  document.querySelectorAll('input[name="chat-mode"]').forEach((radio) => {
+    const available = supports(chatModes[radio.value]);
+    radio.disabled = !available;
+    if (!available && radio.checked) {
+      const fallback = document.querySelector('input[name="chat-mode"]:not(:disabled)');
+      if (fallback) {
+        fallback.checked = true;
+        updateChatModeUI();
+      }
+    }
+  });
+
+  const banner = document.getElementById('host-update-banner');
+  if (banner && (hostInfo.outdated || hostInfo.extensionOutdated)) {
+    banner.textContent = hostInfo.outdated
+      ? 'The native host is out of date, so some features are hidden. Re-run ./install.sh (./install-safari.sh for Safari) to update it.'
+      : 'This extension is older than the native host. Reload it from chrome://extensions (or re-run ./install-safari.sh for Safari).';
+    banner.style.display = 'block';
+  }
+}
+
 // Handle Save to Apple Notes
 async function handleSaveToNotes() {
   const folderName = folderInput.value.trim() || 'YouTube Summaries';
@@ -1321,6 +2073,7 @@ async function handleSaveToNotes() {
       relevantLinks: linksToSave,
       actionItems: actionItemsToSave,
       customNotes: customNotes,
+      chapters: getSummaryChapters(currentSummary),
       noteId: currentNoteId, // Send cached note ID if we have one
       reminderIds: currentReminderIds // Send cached reminder IDs for updates
     });
@@ -1353,7 +2106,7 @@ async function handleSaveToNotes() {
 
       showSection(successSection);
     } else {
-      throw new Error(response.error || 'Failed to save to Apple Notes');
+      throw new Error(describeHostError(response, 'Failed to save to Apple Notes'));
     }
   } catch (error) {
     console.error('Error saving to notes:', error);
@@ -1371,10 +2124,11 @@ async function handleSaveToNotes() {
   }
 }
 
-// Send message to background script (which communicates with native host)
+// Send message to background script (which communicates with native host).
+// Each request gets its own requestId unless the caller picked one.
 function sendNativeMessage(message) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage(message, (response) => {
+    chrome.runtime.sendMessage({ requestId: crypto.randomUUID(), ...message }, (response) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {
@@ -1384,6 +2138,54 @@ function sendNativeMessage(message) {
   });
 }
 
+// Names for the fields host.js reports in validation errors
+const HOST_ERROR_FIELD_LABELS = {
+  transcript: 'transcript or page text',
+  query: 'question',
+  messages: 'chat history',
+  existingLearnings: 'key learnings',
+  keyLearnings: 'key learnings',
+  actionItems: 'action items',
+  relevantLinks: 'links',
+  creatorComments: 'comments',
+  viewerComments: 'comments',
+  customInstructions: 'custom instructions',
+  customNotes: 'notes',
+  folder: 'Notes folder',
+  videoTitle: 'title',
+  text: 'narration text',
+  voiceId: 'voice',
+  apiKey: 'ElevenLabs API key'
+};
+
+/**
+ * Words a failed native response for the user. host.js rejects requests
+ * that don't match their action's schema with { success: false, code, field };
+ * anything else keeps the host's own error text.
+ * @param {Object} response - Failed response ({ error, code, field })
+ * @param {string} fallback - Used when the response has no error at all
+ * @returns {string}
+ */
+function describeHostError(response, fallback) {
+  if (!response) return fallback;
+  const baseField = (response.field || '').split(/[.[]/)[0];
+  const label = HOST_ERROR_FIELD_LABELS[baseField] || baseField || 'request';
+
+  switch (response.code) {
+    case 'missing_field':
+      return `The ${label} is missing or empty. Reload the page and try again.`;
+    case 'too_long':
+      return `The ${label} is too long to send. Try a shorter selection or piece of content.`;
+    case 'invalid_type':
+    case 'invalid_message':
+      return `The extension sent a malformed request (${response.field || 'message'}). Reload the extension and try again.`;
+    case 'unknown_action':
+      return 'The native host is out of date and doesn\'t support this. Re-run ./install.sh (or ./install-safari.sh for Safari) to update it.';
+    default:
+      return response.error || fallback;
+  }
+}
+
 // Show error
 function showError(message) {
   document.getElementById('error-text').textContent = message;
@@ -1543,7 +2345,7 @@ function renderComparePanel(provider, response) {
   if (body) body.style.display = '';
 
   if (!response || !response.success) {
-    renderComparePanelError(provider, response?.error || 'Unknown error');
+    renderComparePanelError(provider, describeHostError(response, 'Unknown error'));
     return;
   }
 
@@ -1555,7 +2357,9 @@ function renderComparePanel(provider, response) {
     learningsEl.innerHTML = '';
     (response.keyLearnings || []).forEach((l) => {
       const li = document.createElement('li');
-      li.textContent = l;
+      const { timestamp, seconds, text } = splitLearningTimestamp(l);
+      if (timestamp) li.appendChild(createTimestampLink(timestamp, seconds));
+      li.appendChild(document.createTextNode(text));
       learningsEl.appendChild(li);
     });
   }
@@ -1591,6 +2395,7 @@ function promoteCompareResult() {
   // Move the comparison result into the primary editable section.
   currentSummary = { ...compareResponse, provider: compareProvider };
   displaySummary(compareResponse.summary, compareResponse.keyLearnings, compareResponse.relevantLinks || []);
+  displayChapterOutline(compareResponse);
   displayActionItems(compareResponse.actionItems || []);
   applyProviderLabels(compareProvider);
 
@@ -1851,7 +2656,7 @@ function renderChatHistory() {
         w.appendChild(b);
         container.appendChild(w);
       } else {
-        container.appendChild(renderAssistantBubble(msg.content));
+        container.appendChild(renderAssistantBubble(msg.content, { provider: msg.provider || null }));
       }
     }
   } else {
@@ -2036,7 +2841,8 @@ async function runChatTurn(query, apiSettings) {
     keyLearnings: getEditedLearnings(),
     actionItems: getSelectedActionItems().map((a) => a.text),
     creatorComments: cachedCreatorComments || [],
-    viewerComments: cachedViewerComments || []
+    viewerComments: cachedViewerComments || [],
+    ...getTranscriptRangeFields()
   };
 
   if (!isBothMode()) {
@@ -2047,19 +2853,26 @@ async function runChatTurn(query, apiSettings) {
 
     const response = await sendNativeMessage({
       ...baseChatRequest,
+      ...apiSettings.connection,
       messages: chatHistory,
       provider: apiSettings.provider,
-      model: apiSettings.model
+      model: apiSettings.model,
+      failoverOrder: apiSettings.failoverOrder
     });
 
     if (!response || !response.success) {
       chatHistory.pop();
       renderChatHistory();
       await saveChatHistory();
-      throw new Error(response?.error || 'Chat request failed');
+      throw new Error(describeHostError(response, 'Chat request failed'));
     }
 
-    chatHistory.push({ role: 'assistant', content: response.reply || '(empty reply)' });
+    // Tag the reply when a fallback provider answered instead of the selected one
+    chatHistory.push({
+      role: 'assistant',
+      content: response.reply || '(empty reply)',
+      ...(response.failedProviders && { provider: response.provider })
+    });
     renderChatHistory();
     await saveChatHistory();
     return;
@@ -2099,7 +2912,7 @@ async function runChatTurn(query, apiSettings) {
         model
       });
       if (!resp || !resp.success) {
-        return { error: true, content: `${providerDisplayName(provider)} failed: ${resp?.error || 'unknown error'}` };
+        return { error: true, content: `${providerDisplayName(provider)} failed: ${describeHostError(resp, 'unknown error')}` };
       }
       return { error: false, content: resp.reply || '(empty reply)' };
     } catch (e) {
@@ -2146,14 +2959,18 @@ async function runExtractTurn(query, apiSettings) {
     videoId: currentVideoInfo.videoId,
     title: currentVideoInfo.title,
     transcript: cachedTranscript,
+    // A range's captions come with times, which the learnings keep
+    ...getTranscriptRangeFields(),
     query: query,
     existingLearnings: existingLearnings,
     provider: apiSettings.provider,
-    model: apiSettings.model
+    model: apiSettings.model,
+    failoverOrder: isBothMode() ? [] : apiSettings.failoverOrder,
+    ...apiSettings.connection
   });
 
   if (!response.success) {
-    throw new Error(response.error || 'Failed to extract additional information');
+    throw new Error(describeHostError(response, 'Failed to extract additional information'));
   }
 
   if (response.insights && response.insights.length > 0) {
@@ -2222,6 +3039,7 @@ function appendNewLearnings(newLearnings) {
     deleteBtn.addEventListener('click', () => deleteItem(learningItem));
 
     learningItem.appendChild(checkbox);
+    addTimestampLink(learningItem, textArea);
     learningItem.appendChild(textArea);
     learningItem.appendChild(deleteBtn);
     learningsList.appendChild(learningItem);
@@ -2559,6 +3377,8 @@ async function fetchTranscriptForPreview() {
     if (transcriptResult.success && transcriptResult.transcript) {
       // Cache the transcript for search
       cachedTranscript = transcriptResult.transcript;
+      cachedTranscriptSegments = transcriptResult.segments || null;
+      cachedChapters = transcriptResult.chapters || [];
 
       // Display in preview area
       transcriptContent.textContent = transcriptResult.transcript;
@@ -2580,6 +3400,189 @@ async function fetchTranscriptForPreview() {
   }
 }
 
+// =====================================
+// TRANSCRIPT RANGE: summarize, chat about or extract from part of the video
+// =====================================
+
+// Extract Learnings on a range with nothing typed asks for this
+const DEFAULT_RANGE_EXTRACT_QUERY = 'Extract the key learnings from this part of the video';
+
+/**
+ * Wire up the range bar under the transcript viewer. Selecting text in the
+ * viewer fills in From/To; the times can also be typed.
+ */
+function initTranscriptRange() {
+  const searchableTranscript = document.getElementById('searchable-transcript');
+  if (!searchableTranscript) return;
+
+  searchableTranscript.addEventListener('mouseup', handleTranscriptSelection);
+
+  document.getElementById('range-summarize-btn').addEventListener('click', () => {
+    const range = getTranscriptRange();
+    if (range) handleGenerateSummary({ catchUp: { ...range, selected: true } });
+  });
+  document.getElementById('range-chat-btn').addEventListener('click', () => askAboutRange('chat'));
+  document.getElementById('range-extract-btn').addEventListener('click', () => askAboutRange('extract'));
+  document.getElementById('chat-range-clear').addEventListener('click', () => setChatRange(null));
+}
+
+// The range bar needs caption times, which not every transcript has
+function showTranscriptRangeBar() {
+  const bar = document.getElementById('transcript-range');
+  if (bar) bar.style.display = cachedTranscriptSegments && cachedTranscriptSegments.length > 0 ? '' : 'none';
+}
+
+// Note under the range times; an error is shown in red
+function showTranscriptRangeHint(message, isError = false) {
+  const hint = document.getElementById('transcript-range-hint');
+  if (!hint) return;
+  hint.textContent = message || 'Select text above, or type times';
+  hint.classList.toggle('error', isError);
+}
+
+/**
+ * Captions that start inside a range
+ * @param {{from: number, to: number}} range - Seconds; `to` is exclusive
+ * @returns {Array<{start: number, end?: number, text: string}>}
+ */
+function getRangeSegments(range) {
+  return (cachedTranscriptSegments || []).filter(segment => segment.start >= range.from && segment.start < range.to);
+}
+
+// Where each caption segment's text starts in cachedTranscript, which is
+// the segments joined with whitespace collapsed
+function getSegmentOffsets() {
+  if (transcriptSegmentOffsets && transcriptSegmentOffsets.transcript === cachedTranscript) {
+    return transcriptSegmentOffsets.offsets;
+  }
+  const offsets = [];
+  let cursor = 0;
+  (cachedTranscriptSegments || []).forEach(segment => {
+    const text = String(segment.text || '').replace(/\s+/g, ' ').trim();
+    const index = text ? cachedTranscript.indexOf(text, cursor) : -1;
+    if (index === -1) return;
+    offsets.push({ index, segment });
+    cursor = index + text.length;
+  });
+  transcriptSegmentOffsets = { transcript: cachedTranscript, offsets };
+  return offsets;
+}
+
+// The caption segment a character of cachedTranscript belongs to
+function segmentAtOffset(offsets, offset) {
+  let found = offsets[0];
+  for (const entry of offsets) {
+    if (entry.index > offset) break;
+    found = entry;
+  }
+  return found ? found.segment : null;
+}
+
+// Fill From/To with the times of the captions selected in the viewer
+function handleTranscriptSelection() {
+  const searchableTranscript = document.getElementById('searchable-transcript');
+  const selection = window.getSelection();
+  if (!cachedTranscript || !selection || selection.isCollapsed || selection.rangeCount === 0) return;
+  const selected = selection.getRangeAt(0);
+  if (!searchableTranscript.contains(selected.startContainer) || !searchableTranscript.contains(selected.endContainer)) return;
+
+  // Count characters rather than nodes: search highlights split the text
+  const before = document.createRange();
+  before.selectNodeContents(searchableTranscript);
+  before.setEnd(selected.startContainer, selected.startOffset);
+  const startOffset = before.toString().length;
+  const endOffset = startOffset + Math.max(selected.toString().length - 1, 0);
+
+  const offsets = getSegmentOffsets();
+  const first = segmentAtOffset(offsets, startOffset);
+  const last = segmentAtOffset(offsets, endOffset);
+  if (!first || !last) return;
+
+  const end = Number.isFinite(last.end) && last.end > last.start ? last.end : last.start + 1;
+  document.getElementById('range-from').value = formatVideoTimestamp(first.start);
+  document.getElementById('range-to').value = formatVideoTimestamp(Math.ceil(end));
+  showTranscriptRangeHint('');
+}
+
+/**
+ * Read the range from the From/To boxes
+ * @returns {{from: number, to: number}|null} - null, with the reason shown,
+ *   when they don't make a range with captions in it
+ */
+function getTranscriptRange() {
+  const from = parseVideoTimestamp(document.getElementById('range-from').value);
+  const to = parseVideoTimestamp(document.getElementById('range-to').value);
+  if (from === null || to === null) {
+    showTranscriptRangeHint('Select part of the transcript, or enter times like 1:05 and 4:30.', true);
+    return null;
+  }
+  if (to <= from) {
+    showTranscriptRangeHint('"To" has to be after "From".', true);
+    return null;
+  }
+  if (getRangeSegments({ from, to }).length === 0) {
+    showTranscriptRangeHint(`No captions between ${formatVideoTimestamp(from)} and ${formatVideoTimestamp(to)}.`, true);
+    return null;
+  }
+  showTranscriptRangeHint('');
+  return { from, to };
+}
+
+// Forget the range when the content changes
+function resetTranscriptRange() {
+  document.getElementById('range-from').value = '';
+  document.getElementById('range-to').value = '';
+  showTranscriptRangeHint('');
+  setChatRange(null);
+}
+
+// Limit chat and Extract Learnings to a range, or (null) go back to the
+// whole transcript
+function setChatRange(range) {
+  activeTranscriptRange = range;
+  const chip = document.getElementById('chat-range-chip');
+  if (!chip) return;
+  chip.style.display = range ? '' : 'none';
+  if (range) {
+    document.getElementById('chat-range-label').textContent =
+      `About ${formatVideoTimestamp(range.from)}–${formatVideoTimestamp(range.to)}`;
+  }
+}
+
+// Request fields that swap the whole transcript for the active range
+function getTranscriptRangeFields() {
+  if (!activeTranscriptRange) return {};
+  const segments = getRangeSegments(activeTranscriptRange);
+  return {
+    transcript: segments.map(segment => segment.text).join(' '),
+    transcriptSegments: segments,
+    transcriptRange: activeTranscriptRange
+  };
+}
+
+// Point the chat box at the range in the given mode. Extract runs straight
+// away; chat waits for the question.
+function askAboutRange(mode) {
+  const range = getTranscriptRange();
+  if (!range) return;
+  setChatRange(range);
+
+  const radio = document.querySelector(`input[name="chat-mode"][value="${mode}"]`);
+  if (radio) {
+    radio.checked = true;
+    updateChatModeUI();
+  }
+
+  const input = document.getElementById('follow-up-input');
+  input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  if (mode === 'extract') {
+    if (!input.value.trim()) input.value = DEFAULT_RANGE_EXTRACT_QUERY;
+    handleFollowUp();
+  } else {
+    input.focus();
+  }
+}
+
 /**
  * Initialize transcript search functionality
  * Sets up search input, navigation buttons, and toggle
@@ -2878,8 +3881,9 @@ async function generateAudio() {
       const learnings = getEditedLearnings();
       if (learnings.length > 0) {
         textParts.push('Key Learnings:');
+        // Timestamps are for the links, not for reading aloud
         learnings.forEach((learning, i) => {
-          textParts.push(`${i + 1}. ${learning}`);
+          textParts.push(`${i + 1}. ${splitLearningTimestamp(learning).text}`);
         });
       }
     }
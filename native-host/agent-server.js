@@ -25,6 +25,24 @@
  *   One-host-per-connection avoids any multiplexing logic. The XPC service
  *   opens a fresh socket per Safari request. ~50ms cold-start cost is fine
  *   compared to the LLM call.
+ *
+ * Progress:
+ *   The XPC service only returns a request's final response, so this agent
+ *   watches every host.js's output and keeps each request's progress
+ *   (progress-store.js). A connection whose message is `getProgress` is
+ *   answered from that store without spawning host.js; background.js polls
+ *   it on Safari while a request runs.
+ *
+ * Cancel:
+ *   A `cancel` arrives on its own connection too, so it's handed to the
+ *   host.js running the target request, which stops its CLI or HTTP call.
+ *   That host.js is killed if it hasn't finished a few seconds later.
+ *
+ * Optional HTTP API:
+ *   Set AISUMMARY_HTTP_PORT (e.g. in the plist's EnvironmentVariables) to
+ *   also serve http-api.js on 127.0.0.1:<port> for Raycast, Shortcuts, and
+ *   scripts. Clients authenticate with the bearer token in
+ *   ~/Library/Caches/com.altonfong.aisummary/http-token.
  */
 
 const net = require('net');
@@ -32,10 +50,14 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn } = require('child_process');
+const { CANCEL_GRACE_MS, createHttpApi, loadOrCreateToken, encodeMessage, createMessageReader } = require('./http-api');
+const { createProgressStore } = require('./progress-store');
 
 const SOCKET_DIR = path.join(os.homedir(), 'Library/Caches/com.altonfong.aisummary');
 const SOCKET_PATH = path.join(SOCKET_DIR, 'host.sock');
 const HOST_JS = path.join(__dirname, 'host.js');
+const TOKEN_PATH = path.join(SOCKET_DIR, 'http-token');
+const HTTP_PORT = parseInt(process.env.AISUMMARY_HTTP_PORT, 10) || 0;
 
 function log(msg) {
   // stdout is captured to /tmp/aisummary-agent.log by the LaunchAgent plist.
@@ -48,14 +70,86 @@ function setup() {
   try { fs.unlinkSync(SOCKET_PATH); } catch (_) { /* fine */ }
 }
 
+const progressStore = createProgressStore();
+
+// host.js process running each request, by requestId, for `cancel`
+const runningHosts = new Map();
+
+// Hand a cancel to the host.js running its target. That host.js replies on
+// the request's connection under the cancel's requestId, which the XPC
+// service skips; the request itself then answers as cancelled.
+function cancelRequest(message) {
+  const { targetRequestId } = message;
+  if (targetRequestId === undefined || targetRequestId === null) {
+    return { success: false, error: 'targetRequestId is required' };
+  }
+
+  const child = runningHosts.get(targetRequestId);
+  if (!child) return { success: true, cancelled: false };
+
+  log(`cancelling ${targetRequestId}`);
+  if (!child.stdin.destroyed) child.stdin.write(encodeMessage(message));
+  const killTimer = setTimeout(() => child.kill(), CANCEL_GRACE_MS);
+  child.once('exit', () => clearTimeout(killTimer));
+  return { success: true, cancelled: true };
+}
+
+// Read the connection's first message before deciding what it needs:
+// getProgress and cancel are answered here, anything else gets its own host.js
 function handleConnection(socket) {
+  let received = Buffer.alloc(0);
+
+  const onError = (e) => log(`socket error: ${e.message}`);
+  const onEnd = () => socket.destroy();
+  const onData = (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    if (received.length < 4) return;
+    const length = received.readUInt32LE(0);
+    if (received.length < 4 + length) return;
+
+    socket.removeListener('data', onData);
+    socket.removeListener('end', onEnd);
+    let message = null;
+    try {
+      message = JSON.parse(received.subarray(4, 4 + length).toString('utf8'));
+    } catch (_) {
+      // Let host.js answer with its usual "Invalid message format"
+    }
+
+    if (message && message.action === 'getProgress') {
+      socket.end(encodeMessage({
+        requestId: message.requestId,
+        success: true,
+        ...progressStore.get(message.targetRequestId, message.since)
+      }));
+      return;
+    }
+    if (message && message.action === 'cancel') {
+      socket.end(encodeMessage({ requestId: message.requestId, ...cancelRequest(message) }));
+      return;
+    }
+    socket.removeListener('error', onError);
+    runHost(socket, received, message);
+  };
+
+  socket.on('data', onData);
+  socket.on('end', onEnd);
+  socket.on('error', onError);
+}
+
+// Pipe the connection to a fresh host.js, starting with the bytes already
+// read, and record the request's progress as host.js reports it
+function runHost(socket, initialBytes, message) {
+  const requestId = message ? message.requestId : undefined;
   log('connection accepted; spawning host.js');
+  progressStore.start(requestId, message && message.action);
 
   const child = spawn(process.execPath, [HOST_JS], {
     stdio: ['pipe', 'pipe', 'pipe'],
     cwd: __dirname,
     env: process.env,  // inherits Aqua session env, incl. keychain access
   });
+  if (requestId !== undefined && requestId !== null) runningHosts.set(requestId, child);
 
   let closed = false;
   const closeBoth = (label) => {
@@ -67,14 +161,17 @@ function handleConnection(socket) {
   };
 
   // Socket → child stdin
+  child.stdin.write(initialBytes);
   socket.on('data', (chunk) => {
     if (!child.stdin.destroyed) child.stdin.write(chunk);
   });
   socket.on('end', () => closeBoth('socket end'));
   socket.on('error', (e) => { log(`socket error: ${e.message}`); closeBoth('socket error'); });
 
-  // Child stdout → socket
+  // Child stdout → socket, and into the progress store
+  const recordFrames = createMessageReader(frame => progressStore.record(frame));
   child.stdout.on('data', (chunk) => {
+    recordFrames(chunk);
     if (!socket.destroyed) socket.write(chunk);
   });
   child.stderr.on('data', (chunk) => {
@@ -82,6 +179,8 @@ function handleConnection(socket) {
   });
   child.on('exit', (code) => {
     log(`host.js exited code=${code}`);
+    if (runningHosts.get(requestId) === child) runningHosts.delete(requestId);
+    progressStore.finish(requestId);
     closeBoth('child exit');
   });
   child.on('error', (e) => {
@@ -90,8 +189,20 @@ function handleConnection(socket) {
   });
 }
 
+function startHttpApi() {
+  const token = loadOrCreateToken(TOKEN_PATH);
+  const server = createHttpApi({ token, log });
+  server.listen(HTTP_PORT, '127.0.0.1', () => {
+    log(`HTTP API listening on http://127.0.0.1:${HTTP_PORT} (token in ${TOKEN_PATH})`);
+  });
+  // The socket bridge keeps working even if the port is taken
+  server.on('error', (e) => log(`HTTP API error: ${e.message}`));
+  return server;
+}
+
 function start() {
   setup();
+  const httpServer = HTTP_PORT ? startHttpApi() : null;
   const server = net.createServer(handleConnection);
   server.listen(SOCKET_PATH, () => {
     fs.chmodSync(SOCKET_PATH, 0o600);
@@ -105,6 +216,7 @@ function start() {
   const shutdown = () => {
     log('shutdown requested');
     try { server.close(); } catch (_) {}
+    if (httpServer) { try { httpServer.close(); } catch (_) {} }
     try { fs.unlinkSync(SOCKET_PATH); } catch (_) {}
     process.exit(0);
   };
@@ -0,0 +1,156 @@
+/**
+ * Anthropic API Bridge
+ * Mirrors the surface of claude-bridge.js but calls the Messages API
+ * directly through anthropic-client.js instead of spawning the `claude` CLI.
+ * Skips the CLI's cold start on every request and reports real token usage.
+ */
+
+const logger = require('./logger');
+const claudeBridge = require('./claude-bridge');
+const structuredOutput = require('./structured-output');
+const anthropicClient = require('./anthropic-client');
+
+/**
+ * Create a model caller that adds each call's token usage to a running total
+ * @param {Object} connection - { model, apiKey, timeoutMs }
+ * @param {{inputTokens: number, outputTokens: number}} usage - Running total (mutated)
+ * @returns {function(string, function, AbortSignal): Promise<string>}
+ */
+function createCaller(connection, usage) {
+  return async (prompt, onProgress, signal) => {
+    const result = await anthropicClient.callAnthropicAPI(prompt, { ...connection, onProgress, signal });
+    usage.inputTokens += result.usage.inputTokens;
+    usage.outputTokens += result.usage.outputTokens;
+    return result.text;
+  };
+}
+
+/**
+ * Generate summary using the Anthropic Messages API.
+ * Reuses the prompt builders from claude-bridge so output format stays in sync.
+ */
+async function generateSummary(videoTitle, transcript, description = '', descriptionLinks = [], creatorComments = [], viewerComments = [], customInstructions = null, onProgress = () => {}, options = {}) {
+  const log = (msg) => logger.log(msg, 'anthropic-bridge');
+  const { model, apiKey, contentType, author, siteName, publishDate, templateSections, signal, structured, timeoutMs } = options;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const call = createCaller({ model, apiKey, timeoutMs }, usage);
+
+  try {
+    onProgress({ stage: 'preparing', message: 'Preparing content...' });
+
+    const jsonSchema = structured
+      ? structuredOutput.buildJsonSchema(templateSections, claudeBridge.getSchemaContext(contentType, descriptionLinks, creatorComments))
+      : null;
+
+    const condensed = await claudeBridge.condenseLongContent(videoTitle, transcript, (chunkPrompt, chunkSignal) => (
+      call(chunkPrompt, () => {}, chunkSignal)
+    ), { contentType, onProgress, signal });
+    if (condensed.chunked) {
+      log(`Transcript of ${transcript.length} characters summarized in ${condensed.chunkCount} chunks`);
+    }
+    const source = condensed.text;
+
+    let prompt;
+    if (contentType === 'article' || contentType === 'webpage') {
+      prompt = claudeBridge.createArticlePrompt(videoTitle, source, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections, jsonSchema });
+    } else if (contentType === 'selected_text') {
+      prompt = claudeBridge.createSelectionPrompt(videoTitle, source, customInstructions, { templateSections, jsonSchema });
+    } else {
+      prompt = claudeBridge.createPrompt(videoTitle, source, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections, jsonSchema });
+    }
+    log(`Prompt length: ${prompt.length} characters (contentType: ${contentType || 'youtube_video'})`);
+
+    let parsed;
+    if (jsonSchema) {
+      const result = await structuredOutput.generateStructured(prompt, jsonSchema, (p) => (
+        call(p, p === prompt ? onProgress : () => {}, signal)
+      ), { onProgress, log });
+      log(`Response received: ${result.response.length} characters (structured, ${result.data ? (result.repaired ? 'repaired' : 'valid') : 'invalid - using text parser'})`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = result.data
+        ? structuredOutput.toParsedResult(result.data, descriptionLinks)
+        : claudeBridge.parseResponse(result.response, descriptionLinks, templateSections);
+    } else {
+      const response = await call(prompt, onProgress, signal);
+      log(`Response received: ${response.length} characters`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = claudeBridge.parseResponse(response, descriptionLinks, templateSections);
+    }
+    log(`Parsed summary: ${parsed.summary.length} chars, ${parsed.keyLearnings.length} learnings, ${parsed.actionItems.length} actions, ${parsed.relevantLinks.length} links`);
+    log(`Token usage: ${usage.inputTokens} input, ${usage.outputTokens} output`);
+
+    onProgress({ stage: 'complete', message: 'Done!' });
+
+    return {
+      success: true,
+      summary: parsed.summary,
+      keyLearnings: parsed.keyLearnings,
+      actionItems: parsed.actionItems,
+      relevantLinks: parsed.relevantLinks,
+      usage
+    };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Generate follow-up using the Anthropic Messages API.
+ */
+async function generateFollowUp(videoTitle, transcript, query, existingLearnings = [], options = {}) {
+  const log = (msg) => logger.log(msg, 'anthropic-bridge:followup');
+  const { model, apiKey, signal, timeoutMs } = options;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  try {
+    const prompt = claudeBridge.createFollowUpPrompt(videoTitle, transcript, query, existingLearnings);
+    log(`Follow-up prompt length: ${prompt.length} characters`);
+
+    const response = await createCaller({ model, apiKey, timeoutMs }, usage)(prompt, () => {}, signal);
+    log(`Response received: ${response.length} characters`);
+
+    const parsed = claudeBridge.parseFollowUpResponse(response);
+    log(`Parsed ${parsed.insights.length} insights, ${parsed.actions.length} actions`);
+
+    return {
+      success: true,
+      insights: parsed.insights,
+      actions: parsed.actions,
+      usage
+    };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Multi-turn chat using the Anthropic Messages API.
+ * host.js serializes the conversation into one prompt for every provider.
+ */
+async function chat(prompt, options = {}) {
+  const log = (msg) => logger.log(msg, 'anthropic-bridge:chat');
+  const { model, apiKey, signal, timeoutMs } = options;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  try {
+    log(`Chat prompt length: ${prompt.length} characters`);
+    const response = await createCaller({ model, apiKey, timeoutMs }, usage)(prompt, () => {}, signal);
+    log(`Chat response: ${response.length} characters`);
+    return { success: true, reply: response.trim(), usage };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  generateSummary,
+  generateFollowUp,
+  chat,
+  // Exported for testing
+  createCaller
+};
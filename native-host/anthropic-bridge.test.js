@@ -0,0 +1,46 @@
+/**
+ * Tests for the Anthropic API bridge
+ */
+
+jest.mock('./anthropic-client');
+
+const anthropicClient = require('./anthropic-client');
+const { generateSummary, chat } = require('./anthropic-bridge');
+
+const summaryReply = 'SUMMARY:\nA summary.\n\nKEY LEARNINGS:\n- One\n\nACTION ITEMS:\n- Try it';
+
+describe('anthropic-bridge', () => {
+  beforeEach(() => {
+    anthropicClient.callAnthropicAPI.mockReset();
+  });
+
+  it('parses the reply and returns token usage', async () => {
+    anthropicClient.callAnthropicAPI.mockResolvedValue({ text: summaryReply, usage: { inputTokens: 1000, outputTokens: 200 } });
+
+    const result = await generateSummary('Title', 'Transcript text', '', [], [], [], null, () => {}, { model: 'sonnet', apiKey: 'key' });
+
+    expect(result.success).toBe(true);
+    expect(result.summary).toBe('A summary.');
+    expect(result.usage).toEqual({ inputTokens: 1000, outputTokens: 200 });
+    expect(anthropicClient.callAnthropicAPI).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ model: 'sonnet', apiKey: 'key' }));
+  });
+
+  it('adds up usage across chunk and merge calls', async () => {
+    anthropicClient.callAnthropicAPI.mockResolvedValue({ text: summaryReply, usage: { inputTokens: 100, outputTokens: 10 } });
+    const transcript = 'A sentence of transcript. '.repeat(4000);
+
+    const result = await generateSummary('Title', transcript, '', [], [], [], null, () => {}, {});
+    const calls = anthropicClient.callAnthropicAPI.mock.calls.length;
+
+    expect(calls).toBeGreaterThan(2);
+    expect(result.usage).toEqual({ inputTokens: 100 * calls, outputTokens: 10 * calls });
+  });
+
+  it('returns an error result when the API call fails', async () => {
+    anthropicClient.callAnthropicAPI.mockRejectedValue(new Error('No Anthropic credentials available.'));
+
+    const result = await chat('Hi', {});
+
+    expect(result).toEqual({ success: false, error: 'No Anthropic credentials available.' });
+  });
+});
@@ -2,6 +2,7 @@
  * Anthropic API Client
  * Handles OAuth credential loading from Claude Code and direct API calls.
  * Falls back to user-provided API key if OAuth is unavailable.
+ * Responses stream over SSE so callers get live text and real token usage.
  * Uses Node.js built-in https module (zero dependencies).
  */
 
@@ -11,6 +12,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const logger = require('./logger');
+const { parseSSE } = require('./sse');
+const { timeoutMessage } = require('./timeouts');
+const { throttleProgress } = require('./stream-progress');
 
 const ANTHROPIC_API_HOST = 'api.anthropic.com';
 const ANTHROPIC_API_VERSION = '2023-06-01';
@@ -105,18 +109,25 @@ function resolveModelName(shortName) {
 }
 
 /**
- * Call the Anthropic Messages API
+ * Call the Anthropic Messages API with streaming
  * @param {string} prompt - User prompt text
  * @param {Object} options - Options
  * @param {string} [options.apiKey] - User-provided API key (used if no OAuth)
  * @param {string} [options.model] - Model short name or full ID
  * @param {number} [options.maxTokens=8192] - Max tokens to generate
  * @param {function} [options.onProgress] - Progress callback
- * @returns {Promise<string>} Response text
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {number} [options.timeoutMs=120000] - Fails when the stream goes quiet this long
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ *   Response text and the token usage reported by the API
  */
 async function callAnthropicAPI(prompt, options = {}) {
   const log = (msg) => logger.log(msg, 'anthropic-client');
-  const { apiKey, model, maxTokens = 8192, onProgress = () => {} } = options;
+  const { apiKey, model, maxTokens = 8192, onProgress = () => {}, signal, timeoutMs } = options;
+
+  if (signal && signal.aborted) {
+    throw new Error('Request cancelled');
+  }
 
   // Determine which token to use: OAuth first, then API key
   let token = loadOAuthCredentials();
@@ -134,29 +145,34 @@ async function callAnthropicAPI(prompt, options = {}) {
   const resolvedModel = resolveModelName(model);
   log(`Using ${usingOAuth ? 'OAuth' : 'API key'} auth, model: ${resolvedModel}`);
 
-  // Build request
-  const requestBody = buildRequestBody(prompt, resolvedModel, maxTokens, usingOAuth);
+  const streamOptions = { onProgress, signal, timeoutMs, model: resolvedModel };
 
   // Make the request with retry on 401
   try {
-    onProgress({ stage: 'sending', message: 'Sending to Claude API...' });
-    const response = await makeRequest(token, usingOAuth, requestBody);
-    return response;
+    onProgress({ stage: 'sending', message: 'Sending to Claude API...', inputTokens: Math.round(prompt.length / 4) });
+    return await makeStreamingRequest(token, usingOAuth, buildRequestBody(prompt, resolvedModel, maxTokens, usingOAuth, true), streamOptions);
   } catch (err) {
+    if (err.statusCode !== 401 || !usingOAuth) {
+      throw err;
+    }
+
     // On 401, try reloading credentials once (token may have been refreshed)
-    if (err.statusCode === 401 && usingOAuth) {
-      log('Got 401, reloading OAuth credentials and retrying...');
-      token = loadOAuthCredentials();
-      if (token && isOAuthToken(token)) {
-        try {
-          const response = await makeRequest(token, true, requestBody);
-          return response;
-        } catch (retryErr) {
-          log(`Retry failed: ${retryErr.message}`);
-          throw retryErr;
-        }
+    log('Got 401, reloading OAuth credentials and retrying...');
+    token = loadOAuthCredentials();
+    if (token && isOAuthToken(token)) {
+      try {
+        return await makeStreamingRequest(token, true, buildRequestBody(prompt, resolvedModel, maxTokens, true, true), streamOptions);
+      } catch (retryErr) {
+        log(`Retry failed: ${retryErr.message}`);
+        if (retryErr.statusCode !== 401 || !apiKey) throw retryErr;
       }
     }
+
+    // OAuth token is stale (the CLI refreshes it, we can't) - use the API key if there is one
+    if (apiKey) {
+      log('OAuth rejected, falling back to API key');
+      return await makeStreamingRequest(apiKey, false, buildRequestBody(prompt, resolvedModel, maxTokens, false, true), streamOptions);
+    }
     throw err;
   }
 }
@@ -167,9 +183,10 @@ async function callAnthropicAPI(prompt, options = {}) {
  * @param {string} model - Full model ID
  * @param {number} maxTokens - Max tokens
  * @param {boolean} usingOAuth - Whether using OAuth (requires system prompt)
+ * @param {boolean} [stream=false] - Ask for an SSE stream
  * @returns {string} JSON string of request body
  */
-function buildRequestBody(prompt, model, maxTokens, usingOAuth) {
+function buildRequestBody(prompt, model, maxTokens, usingOAuth, stream = false) {
   const body = {
     model,
     max_tokens: maxTokens,
@@ -183,73 +200,103 @@ function buildRequestBody(prompt, model, maxTokens, usingOAuth) {
     body.system = 'You are Claude Code, Anthropic\'s official CLI for Claude.';
   }
 
+  if (stream) {
+    body.stream = true;
+  }
+
   return JSON.stringify(body);
 }
 
 /**
- * Make an HTTPS request to the Anthropic API
+ * Build Messages API request headers for either auth method
  * @param {string} token - Auth token (OAuth or API key)
  * @param {boolean} usingOAuth - Whether token is OAuth
  * @param {string} requestBody - JSON request body
- * @returns {Promise<string>} Response text content
+ * @returns {Object} Headers
  */
-function makeRequest(token, usingOAuth, requestBody) {
-  return new Promise((resolve, reject) => {
-    const headers = {
-      'Content-Type': 'application/json',
-      'anthropic-version': ANTHROPIC_API_VERSION,
-      'Content-Length': Buffer.byteLength(requestBody)
-    };
+function buildHeaders(token, usingOAuth, requestBody) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'anthropic-version': ANTHROPIC_API_VERSION,
+    'Content-Length': Buffer.byteLength(requestBody)
+  };
 
-    if (usingOAuth) {
-      headers['Authorization'] = `Bearer ${token}`;
-      headers['anthropic-beta'] = 'oauth-2025-04-20';
-      headers['anthropic-dangerous-direct-browser-access'] = 'true';
-      headers['User-Agent'] = 'YouTubeSummaryExtension/1.0';
-      headers['X-App'] = 'youtube-summary-extension';
-    } else {
-      headers['x-api-key'] = token;
+  if (usingOAuth) {
+    headers['Authorization'] = `Bearer ${token}`;
+    headers['anthropic-beta'] = 'oauth-2025-04-20';
+    headers['anthropic-dangerous-direct-browser-access'] = 'true';
+    headers['User-Agent'] = 'YouTubeSummaryExtension/1.0';
+    headers['X-App'] = 'youtube-summary-extension';
+  } else {
+    headers['x-api-key'] = token;
+  }
+
+  return headers;
+}
+
+/**
+ * Apply one streamed Messages API event to the accumulated state
+ * @param {Object} state - { text, usage } (mutated)
+ * @param {Object} event - Parsed event JSON
+ * @throws {Error} - For `error` events sent mid-stream (e.g. overloaded)
+ */
+function applyStreamEvent(state, event) {
+  switch (event.type) {
+    case 'message_start':
+      state.usage.inputTokens = event.message?.usage?.input_tokens || 0;
+      state.usage.outputTokens = event.message?.usage?.output_tokens || 0;
+      break;
+    case 'content_block_delta':
+      if (event.delta?.type === 'text_delta') {
+        state.text += event.delta.text;
+      }
+      break;
+    case 'message_delta':
+      if (event.usage?.output_tokens !== undefined) {
+        state.usage.outputTokens = event.usage.output_tokens;
+      }
+      break;
+    case 'error': {
+      const err = new Error(event.error?.message || 'Anthropic API stream error');
+      err.errorType = event.error?.type;
+      throw err;
     }
+  }
+}
+
+/**
+ * Make a streaming HTTPS request to the Anthropic API
+ * @param {string} token - Auth token (OAuth or API key)
+ * @param {boolean} usingOAuth - Whether token is OAuth
+ * @param {string} requestBody - JSON request body with `stream: true`
+ * @param {Object} options - { onProgress, signal, timeoutMs, model }
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+function makeStreamingRequest(token, usingOAuth, requestBody, options = {}) {
+  const { onProgress = () => {}, signal, timeoutMs = 120000, model = 'Claude' } = options;
+  // One update per SSE delta would be one per token
+  const streamProgress = throttleProgress(onProgress);
 
-    const options = {
+  return new Promise((resolve, reject) => {
+    const requestOptions = {
       hostname: ANTHROPIC_API_HOST,
       port: 443,
       path: '/v1/messages',
       method: 'POST',
-      headers
+      headers: buildHeaders(token, usingOAuth, requestBody),
+      signal
     };
 
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const json = JSON.parse(data);
-            // Extract text from the response
-            const textContent = json.content
-              ?.filter(block => block.type === 'text')
-              ?.map(block => block.text)
-              ?.join('\n');
-
-            if (textContent) {
-              resolve(textContent);
-            } else {
-              reject(new Error('No text content in API response'));
-            }
-          } catch (parseErr) {
-            reject(new Error(`Failed to parse API response: ${parseErr.message}`));
-          }
-        } else {
-          let errorMsg = `Anthropic API error: ${res.statusCode}`;
+    const req = https.request(requestOptions, (res) => {
+      if (res.statusCode !== 200) {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          let errorMsg = `Anthropic API error (${res.statusCode})`;
           try {
             const json = JSON.parse(data);
             if (json.error && json.error.message) {
-              errorMsg = json.error.message;
+              errorMsg = `Anthropic API error (${res.statusCode}): ${json.error.message}`;
             }
           } catch (e) {
             // Use raw status code error
@@ -258,23 +305,71 @@ function makeRequest(token, usingOAuth, requestBody) {
           const err = new Error(errorMsg);
           err.statusCode = res.statusCode;
           reject(err);
+        });
+        return;
+      }
+
+      const state = { text: '', usage: { inputTokens: 0, outputTokens: 0 } };
+      let buffer = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        const { events, rest } = parseSSE(buffer + chunk);
+        buffer = rest;
+
+        try {
+          events.forEach((data) => {
+            let event;
+            try {
+              event = JSON.parse(data);
+            } catch {
+              return;
+            }
+            const hadUsage = state.usage.inputTokens > 0;
+            applyStreamEvent(state, event);
+            if (!hadUsage && state.usage.inputTokens > 0) {
+              onProgress({ stage: 'waiting', message: 'Claude is analyzing...', inputTokens: state.usage.inputTokens, usage: { ...state.usage } });
+            }
+          });
+        } catch (streamErr) {
+          req.destroy();
+          reject(streamErr);
+          return;
         }
+
+        if (state.text.length > 0) {
+          streamProgress({ stage: 'streaming', message: 'Receiving response...', chars: state.text.length, partialText: state.text, usage: { ...state.usage } });
+        }
+      });
+
+      res.on('end', () => {
+        if (!state.text) {
+          reject(new Error('No text content in API response'));
+          return;
+        }
+        streamProgress.flush();
+        onProgress({ stage: 'processing', message: 'Processing response...', usage: { ...state.usage } });
+        resolve(state);
       });
     });
 
     req.on('error', (error) => {
-      reject(new Error(`Network error: ${error.message}`));
+      if (error.name === 'AbortError') {
+        reject(new Error('Request cancelled'));
+      } else {
+        reject(new Error(`Network error: ${error.message}`));
+      }
     });
 
-    // 2-minute timeout matching existing CLI behavior
-    req.setTimeout(120000, () => {
+    // Idle timeout: a stream that goes quiet for the whole limit is stuck
+    req.setTimeout(timeoutMs, () => {
       req.destroy();
-      reject(new Error('Anthropic API request timed out (2 minutes)'));
+      reject(new Error(timeoutMessage(`Claude API (${model})`, timeoutMs)));
     });
 
     req.write(requestBody);
     req.end();
-  });
+  }).finally(() => streamProgress.cancel());
 }
 
 /**
@@ -311,5 +406,7 @@ module.exports = {
   checkAuthStatus,
   // Exported for testing
   buildRequestBody,
-  makeRequest
+  buildHeaders,
+  applyStreamEvent,
+  makeStreamingRequest
 };
@@ -6,6 +6,9 @@ const {
   isOAuthToken,
   resolveModelName,
   buildRequestBody,
+  buildHeaders,
+  applyStreamEvent,
+  callAnthropicAPI,
   checkAuthStatus
 } = require('./anthropic-client');
 
@@ -119,6 +122,91 @@ describe('buildRequestBody', () => {
 
     expect(body.messages[0].content).toBe(prompt);
   });
+
+  test('omits stream flag by default', () => {
+    const body = JSON.parse(buildRequestBody('Hello', 'claude-sonnet-4-20250514', 8192, false));
+
+    expect(body.stream).toBeUndefined();
+  });
+
+  test('sets stream flag when streaming', () => {
+    const body = JSON.parse(buildRequestBody('Hello', 'claude-sonnet-4-20250514', 8192, false, true));
+
+    expect(body.stream).toBe(true);
+  });
+});
+
+// ============================================
+// buildHeaders
+// ============================================
+
+describe('buildHeaders', () => {
+  test('uses x-api-key for API keys', () => {
+    const headers = buildHeaders('sk-ant-api01-abc', false, '{}');
+
+    expect(headers['x-api-key']).toBe('sk-ant-api01-abc');
+    expect(headers.Authorization).toBeUndefined();
+    expect(headers['Content-Length']).toBe(2);
+  });
+
+  test('uses bearer auth and the OAuth beta header for OAuth tokens', () => {
+    const headers = buildHeaders('sk-ant-oat-abc', true, '{}');
+
+    expect(headers.Authorization).toBe('Bearer sk-ant-oat-abc');
+    expect(headers['anthropic-beta']).toBe('oauth-2025-04-20');
+    expect(headers['x-api-key']).toBeUndefined();
+  });
+});
+
+// ============================================
+// applyStreamEvent
+// ============================================
+
+describe('applyStreamEvent', () => {
+  const newState = () => ({ text: '', usage: { inputTokens: 0, outputTokens: 0 } });
+
+  test('accumulates text deltas', () => {
+    const state = newState();
+    applyStreamEvent(state, { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } });
+    applyStreamEvent(state, { type: 'content_block_delta', delta: { type: 'text_delta', text: ' world' } });
+
+    expect(state.text).toBe('Hello world');
+  });
+
+  test('records usage from message_start and message_delta', () => {
+    const state = newState();
+    applyStreamEvent(state, { type: 'message_start', message: { usage: { input_tokens: 1200, output_tokens: 1 } } });
+    applyStreamEvent(state, { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 345 } });
+
+    expect(state.usage).toEqual({ inputTokens: 1200, outputTokens: 345 });
+  });
+
+  test('ignores ping and non-text deltas', () => {
+    const state = newState();
+    applyStreamEvent(state, { type: 'ping' });
+    applyStreamEvent(state, { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{' } });
+
+    expect(state.text).toBe('');
+  });
+
+  test('throws on error events', () => {
+    expect(() => applyStreamEvent(newState(), { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }))
+      .toThrow('Overloaded');
+  });
+});
+
+// ============================================
+// callAnthropicAPI
+// ============================================
+
+describe('callAnthropicAPI', () => {
+  test('rejects immediately for an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(callAnthropicAPI('Hello', { apiKey: 'sk-ant-api01-test', signal: controller.signal }))
+      .rejects.toThrow('Request cancelled');
+  });
 });
 
 // ============================================
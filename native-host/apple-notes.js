@@ -6,6 +6,7 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { formatTimestamp } = require('./timestamps');
 
 /**
  * Save a note to Apple Notes (creates or updates existing)
@@ -18,16 +19,17 @@ const execAsync = promisify(exec);
  * @param {Array<Object>} options.relevantLinks - Relevant links from description
  * @param {Array<Object>} options.actionItems - Action items with text and dueDate
  * @param {string} options.customNotes - Custom notes HTML
+ * @param {Array<Object>} [options.chapters] - Chapter outline ({ title, start, summary, keyLearnings })
  * @param {string} [options.noteId] - Optional note ID to update specific note
  * @returns {Promise<{created: boolean, noteId: string}>} - Result with note ID
  */
-async function saveNote({ folder, title, url, summary, keyLearnings, relevantLinks = [], actionItems = [], customNotes, noteId = null }) {
+async function saveNote({ folder, title, url, summary, keyLearnings, relevantLinks = [], actionItems = [], customNotes, chapters = [], noteId = null }) {
   try {
     // Ensure folder exists
     await ensureFolder(folder);
 
     // Format the note content
-    const noteBody = formatNoteContent(title, url, summary, keyLearnings, relevantLinks, actionItems, customNotes);
+    const noteBody = formatNoteContent(title, url, summary, keyLearnings, relevantLinks, actionItems, customNotes, chapters);
 
     // Try to find and update existing note, or create new one
     const result = await createOrUpdateNote(folder, title, noteBody, noteId);
@@ -134,9 +136,10 @@ async function createOrUpdateNote(folderName, noteTitle, noteBody, noteId = null
  * @param {Array<Object>} relevantLinks - Relevant links
  * @param {Array<Object>} actionItems - Action items with text and dueDate
  * @param {string} customNotes - Custom notes HTML
+ * @param {Array<Object>} chapters - Chapter outline ({ title, start, summary, keyLearnings })
  * @returns {string} - Formatted HTML
  */
-function formatNoteContent(title, url, summary, keyLearnings, relevantLinks = [], actionItems = [], customNotes) {
+function formatNoteContent(title, url, summary, keyLearnings, relevantLinks = [], actionItems = [], customNotes, chapters = []) {
   const date = new Date().toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
@@ -166,6 +169,23 @@ ${actionItems.map(item => {
 ${relevantLinks.map(link => `<li><a href="${link.url}">${escapeHtml(link.text)}</a>${link.reason ? ` - ${escapeHtml(link.reason)}` : ''}</li>`).join('\n')}
 </ul>` : '';
 
+  // Build chapter outline if provided; chapters without summaries (generated
+  // ones, outside chapter-by-chapter mode) are a plain list
+  const isOutline = chapters.some(chapter => chapter.summary || (chapter.keyLearnings || []).length > 0);
+  const chaptersSection = chapters.length === 0 ? '' : !isOutline ? `
+<br>
+<h2>Chapters</h2>
+<ul>
+${chapters.map(chapter => `<li>[${formatTimestamp(chapter.start)}] ${escapeHtml(chapter.title)}</li>`).join('\n')}
+</ul>` : `
+<br>
+<h2>Chapters</h2>
+${chapters.map(chapter => `<h3>[${formatTimestamp(chapter.start)}] ${escapeHtml(chapter.title)}</h3>${chapter.summary ? `
+<p>${escapeHtml(chapter.summary).replace(/\n/g, '<br>')}</p>` : ''}${(chapter.keyLearnings || []).length > 0 ? `
+<ul>
+${chapter.keyLearnings.map(learning => `<li>${escapeHtml(learning)}</li>`).join('\n')}
+</ul>` : ''}`).join('\n')}`;
+
   // Build custom notes section if provided
   const customNotesSection = customNotes ? `
 <br>
@@ -185,6 +205,7 @@ ${relevantLinks.map(link => `<li><a href="${link.url}">${escapeHtml(link.text)}<
 <ul>
 ${learningsList}
 </ul>
+${chaptersSection}
 ${actionItemsSection}
 ${linksSection}
 ${customNotesSection}
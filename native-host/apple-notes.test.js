@@ -298,5 +298,59 @@ describe('apple-notes', () => {
 
       expect(result).toContain('Generated with Claude Code');
     });
+
+    it('includes the chapter outline when provided', () => {
+      const chapters = [
+        { title: 'Intro', start: 0, summary: 'Sets the scene.', keyLearnings: ['[0:12] Why it matters'] },
+        { title: 'Deep <dive>', start: 754, summary: '', keyLearnings: [] }
+      ];
+
+      const result = formatNoteContent(
+        basicParams.title,
+        basicParams.url,
+        basicParams.summary,
+        basicParams.keyLearnings,
+        [],
+        [],
+        null,
+        chapters
+      );
+
+      expect(result).toContain('<h2>Chapters</h2>');
+      expect(result).toContain('<h3>[0:00] Intro</h3>');
+      expect(result).toContain('<p>Sets the scene.</p>');
+      expect(result).toContain('<li>[0:12] Why it matters</li>');
+      expect(result).toContain('<h3>[12:34] Deep &lt;dive&gt;</h3>');
+    });
+
+    it('lists chapters that have no summaries', () => {
+      const chapters = [{ title: 'Intro', start: 0 }, { title: 'Setup', start: 95 }];
+
+      const result = formatNoteContent(
+        basicParams.title,
+        basicParams.url,
+        basicParams.summary,
+        basicParams.keyLearnings,
+        [],
+        [],
+        null,
+        chapters
+      );
+
+      expect(result).toContain('<li>[0:00] Intro</li>');
+      expect(result).toContain('<li>[1:35] Setup</li>');
+      expect(result).not.toContain('<h3>');
+    });
+
+    it('omits the chapter outline when there are no chapters', () => {
+      const result = formatNoteContent(
+        basicParams.title,
+        basicParams.url,
+        basicParams.summary,
+        basicParams.keyLearnings
+      );
+
+      expect(result).not.toContain('<h2>Chapters</h2>');
+    });
   });
 });
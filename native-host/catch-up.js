@@ -0,0 +1,80 @@
+/**
+ * "Catch me up" summaries
+ * The sidebar can summarize only part of a video: what the viewer has
+ * watched so far, or the last few minutes before the playhead. It sends
+ * just those transcript segments, plus `catchUp` describing the range:
+ *
+ *   catchUp: { from, to, previousSummary?, previousLearnings?, previousActionItems? }
+ *
+ * A range the user picks in the transcript viewer uses the same request,
+ * with `selected: true`.
+ *
+ * Extending a catch-up as the viewer keeps watching sends only the segments
+ * since the last `to`, with what was already summarized as previous*. The
+ * model summarizes just the new part, and the response merges it onto the
+ * earlier summary so the sidebar (and the cache) get the whole thing.
+ */
+
+const { formatTimestamp } = require('./timestamps');
+
+/**
+ * Add the range (and what's already been summarized) to the analysis
+ * instructions
+ * @param {Object} catchUp - { from, to, previousSummary, previousLearnings, selected }
+ * @param {string} instructions - The user's instructions, or the default ones
+ * @returns {string}
+ */
+function buildCatchUpInstructions(catchUp, instructions) {
+  const from = formatTimestamp(catchUp.from);
+  const to = formatTimestamp(catchUp.to);
+  const range = catchUp.from > 0 ? `from ${from} to ${to}` : `from the start to ${to}`;
+  let text = catchUp.selected
+    ? `${instructions}
+
+The transcript below is only part of the video: ${range}, the part the user selected. Summarize just this part.`
+    : `${instructions}
+
+The transcript below is only part of the video: ${range}, where the viewer is now. Summarize just this part, and don't guess at what comes later.`;
+
+  if (catchUp.previousSummary) {
+    const learnings = (catchUp.previousLearnings || []).map(learning => `- ${learning}`).join('\n');
+    text += `
+
+The viewer already has a summary of the video up to ${from}:
+
+${catchUp.previousSummary}${learnings ? `
+
+Key learnings already listed:
+${learnings}` : ''}
+
+Write the summary of the new part as a continuation of that one, without repeating it. Only give key learnings and action items that aren't already covered above.`;
+  }
+
+  return text;
+}
+
+/**
+ * Put the new part's summary after what was already summarized
+ * @param {Object} catchUp - The request's catchUp
+ * @param {Object} result - Bridge result for the new part
+ * @returns {{summary: string, keyLearnings: string[], actionItems: string[], newLearnings: number}}
+ */
+function mergeCatchUp(catchUp, result) {
+  const keyLearnings = result.keyLearnings || [];
+  const actionItems = result.actionItems || [];
+  if (!catchUp.previousSummary) {
+    return { summary: result.summary, keyLearnings, actionItems, newLearnings: keyLearnings.length };
+  }
+
+  return {
+    summary: `${catchUp.previousSummary}\n\nFrom ${formatTimestamp(catchUp.from)} to ${formatTimestamp(catchUp.to)}: ${result.summary}`,
+    keyLearnings: [...(catchUp.previousLearnings || []), ...keyLearnings],
+    actionItems: [...(catchUp.previousActionItems || []), ...actionItems],
+    newLearnings: keyLearnings.length
+  };
+}
+
+module.exports = {
+  buildCatchUpInstructions,
+  mergeCatchUp
+};
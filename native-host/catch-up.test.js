@@ -0,0 +1,71 @@
+/**
+ * Tests for catch-up.js
+ * Summarizes part of a video, and extends that summary as the viewer watches on
+ */
+
+const { buildCatchUpInstructions, mergeCatchUp } = require('./catch-up');
+
+describe('catch-up', () => {
+  describe('buildCatchUpInstructions', () => {
+    it('keeps the instructions and says which part of the video this is', () => {
+      const text = buildCatchUpInstructions({ from: 0, to: 754 }, 'Be brief.');
+
+      expect(text.startsWith('Be brief.')).toBe(true);
+      expect(text).toContain('from the start to 12:34');
+      expect(text).not.toContain('already has a summary');
+    });
+
+    it('names both ends of a window', () => {
+      expect(buildCatchUpInstructions({ from: 600, to: 1200 }, 'Go.')).toContain('from 10:00 to 20:00');
+    });
+
+    it('describes a range the user selected', () => {
+      const text = buildCatchUpInstructions({ from: 3720, to: 4530, selected: true }, 'Go.');
+
+      expect(text).toContain('from 1:02:00 to 1:15:30, the part the user selected');
+      expect(text).not.toContain('where the viewer is now');
+    });
+
+    it('includes what was already summarized when extending', () => {
+      const text = buildCatchUpInstructions({
+        from: 754,
+        to: 1500,
+        previousSummary: 'The talk opens with caching basics.',
+        previousLearnings: ['[1:10] Caches trade memory for speed']
+      }, 'Go.');
+
+      expect(text).toContain('summary of the video up to 12:34');
+      expect(text).toContain('The talk opens with caching basics.');
+      expect(text).toContain('- [1:10] Caches trade memory for speed');
+      expect(text).toContain('without repeating it');
+    });
+  });
+
+  describe('mergeCatchUp', () => {
+    const result = { summary: 'Then invalidation.', keyLearnings: ['[14:00] TTLs are a guess'], actionItems: ['Try a TTL'] };
+
+    it('returns a first catch-up as is', () => {
+      expect(mergeCatchUp({ from: 0, to: 754 }, result)).toEqual({
+        summary: 'Then invalidation.',
+        keyLearnings: ['[14:00] TTLs are a guess'],
+        actionItems: ['Try a TTL'],
+        newLearnings: 1
+      });
+    });
+
+    it('appends an extension to what was already summarized', () => {
+      const merged = mergeCatchUp({
+        from: 754,
+        to: 1500,
+        previousSummary: 'Caching basics.',
+        previousLearnings: ['[1:10] Caches trade memory for speed'],
+        previousActionItems: []
+      }, result);
+
+      expect(merged.summary).toBe('Caching basics.\n\nFrom 12:34 to 25:00: Then invalidation.');
+      expect(merged.keyLearnings).toEqual(['[1:10] Caches trade memory for speed', '[14:00] TTLs are a guess']);
+      expect(merged.actionItems).toEqual(['Try a TTL']);
+      expect(merged.newLearnings).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Chapter-by-chapter summaries
+ * For YouTube videos with chapters, the extension can ask for a short
+ * summary and learnings per chapter on top of the overall summary. The
+ * transcript segments are split at the chapter start times and each part is
+ * summarized on its own, a few at a time (with the chunk pass's
+ * mapWithConcurrency), before the normal whole-video call.
+ *
+ *   chapters: [{ title, start, end, summary, keyLearnings }]   (error instead on failure)
+ *
+ * Videos without creator chapters can have them generated: the model reads
+ * the timestamped transcript and replies with a YouTube-style list, which
+ * parseChapterList turns into the same { start, end, title } shape.
+ *
+ *   0:00 Intro
+ *   4:12 Why caches go stale
+ */
+
+const { mapWithConcurrency } = require('./claude-bridge');
+const { formatTimestampedTranscript, parseTimestamp } = require('./timestamps');
+
+// Chapter calls running at once
+const CHAPTER_CONCURRENCY = 3;
+
+// Fewer chapters than this isn't worth an outline
+const MIN_CHAPTERS = 2;
+
+const CHAPTER_INSTRUCTIONS = `Summarize this one chapter of a longer YouTube video.
+
+Write a short summary of 2-3 sentences covering what the chapter says, then its key learnings (usually 2-4). Stick to this chapter's content; the rest of the video is summarized separately.`;
+
+// Shorter videos aren't worth chaptering
+const MIN_AUTO_CHAPTER_SECONDS = 180;
+
+// Roughly one generated chapter per this many seconds, within the bounds below
+const AUTO_CHAPTER_SECONDS = 300;
+const MIN_AUTO_CHAPTERS = 3;
+const MAX_AUTO_CHAPTERS = 20;
+
+// YouTube's own minimum chapter length
+const MIN_CHAPTER_SECONDS = 10;
+
+const MAX_TITLE_CHARS = 100;
+
+// Only the sections the outline shows
+const CHAPTER_SECTIONS = [
+  { id: 'summary', label: 'Summary', enabled: true },
+  { id: 'key_learnings', label: 'Key Learnings', enabled: true }
+];
+
+/**
+ * Split transcript segments at chapter start times
+ * @param {Array<{start: number, text: string}>} segments - Transcript segments, in order
+ * @param {Array<{start: number, title: string}>} chapters - Chapters, in any order
+ * @returns {Array<{title: string, start: number, end: number|null, transcript: string}>|null}
+ *   null when there are too few chapters or no segments to split
+ */
+function splitByChapter(segments, chapters) {
+  if (!Array.isArray(segments) || segments.length === 0) return null;
+  const sorted = (chapters || [])
+    .filter(chapter => chapter && Number.isFinite(chapter.start) && chapter.title)
+    .sort((a, b) => a.start - b.start);
+  if (sorted.length < MIN_CHAPTERS) return null;
+
+  return sorted.map((chapter, i) => {
+    const next = sorted[i + 1];
+    const end = next ? next.start : (Number.isFinite(chapter.end) ? chapter.end : null);
+    // Speech before the first chapter marker belongs to the first chapter
+    const inChapter = segment => (i === 0 || segment.start >= chapter.start) && (!next || segment.start < next.start);
+    return {
+      title: chapter.title,
+      start: chapter.start,
+      end,
+      transcript: formatTimestampedTranscript(segments.filter(inChapter))
+    };
+  });
+}
+
+/**
+ * Summarize each chapter. A chapter that fails gets an `error` and the
+ * rest carry on; cancelling stops them all.
+ * @param {Array} parts - From splitByChapter
+ * @param {function} summarize - async (part, signal) => bridge result ({ success, summary, keyLearnings, error })
+ * @param {Object} options - { concurrency, onProgress, signal }
+ * @returns {Promise<Array<{title, start, end, summary?, keyLearnings?, error?}>>}
+ */
+async function summarizeChapters(parts, summarize, options = {}) {
+  const { concurrency = CHAPTER_CONCURRENCY, onProgress = () => {}, signal } = options;
+  const total = parts.length;
+  let completed = 0;
+
+  onProgress({ stage: 'waiting', message: `Summarizing ${total} chapters...`, totalChapters: total, completedChapters: 0 });
+
+  // Never throws, so one chapter's failure doesn't stop the others
+  const summarizeChapter = async (part) => {
+    if (signal && signal.aborted) return undefined;
+    const outline = { title: part.title, start: part.start, end: part.end };
+    let chapter;
+
+    if (!part.transcript) {
+      chapter = { ...outline, summary: '', keyLearnings: [] };
+    } else {
+      try {
+        const result = await summarize(part, signal);
+        chapter = result.success
+          ? { ...outline, summary: result.summary || '', keyLearnings: result.keyLearnings || [] }
+          : { ...outline, error: result.error || 'Chapter summary failed' };
+      } catch (error) {
+        chapter = { ...outline, error: error.message };
+      }
+    }
+
+    completed++;
+    onProgress({ stage: 'waiting', message: `Summarized ${completed} of ${total} chapters`, totalChapters: total, completedChapters: completed });
+    return chapter;
+  };
+
+  return mapWithConcurrency(parts, concurrency, summarizeChapter);
+}
+
+/**
+ * Build the prompt that asks for chapters of a timestamped transcript
+ * @param {string} title - Video title
+ * @param {Array<{start: number, text: string}>} segments - Transcript segments
+ * @returns {string|null} - null when the video is too short to chapter
+ */
+function createChapteringPrompt(title, segments) {
+  if (!Array.isArray(segments) || segments.length === 0) return null;
+  const last = segments[segments.length - 1];
+  const duration = Math.max(Number(last.end) || 0, Number(last.start) || 0);
+  if (duration < MIN_AUTO_CHAPTER_SECONDS) return null;
+
+  const target = Math.min(MAX_AUTO_CHAPTERS, Math.max(MIN_AUTO_CHAPTERS, Math.round(duration / AUTO_CHAPTER_SECONDS)));
+
+  return `Split this YouTube video into chapters, the way a creator would for the video description.
+
+Title: ${title || 'Untitled'}
+
+Transcript (lines start with the [m:ss] time they are spoken in the video):
+${formatTimestampedTranscript(segments)}
+
+Each chapter is one topic. Start a chapter at the [m:ss] of the line where its topic begins; the first chapter starts at 0:00. Aim for about ${target} chapters, fewer if the video covers fewer topics. Give each a short, specific title of 2-6 words (not "Part 2" or "Conclusion" alone).
+
+Reply with only the chapter list, one chapter per line, in this format:
+0:00 Title
+4:12 Title`;
+}
+
+/**
+ * Parse a model's chapter list
+ * @param {string} reply - Lines like "4:12 Title" (bullets, brackets and dashes tolerated)
+ * @param {Array<{start: number}>} [segments] - Transcript segments; chapters past the last one are dropped
+ * @returns {Array<{start: number, end: number|null, title: string}>|null} - null when fewer than two chapters parse
+ */
+function parseChapterList(reply, segments = []) {
+  const lastStart = segments.length > 0 ? Number(segments[segments.length - 1].start) || 0 : Infinity;
+  const candidates = [];
+
+  String(reply || '').split('\n').forEach(line => {
+    const match = line.trim().match(/^(?:[-*•]\s*|\d+[.)]\s+)?\**\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\**\s*[-–—:|]?\s*(.+)$/);
+    if (!match) return;
+    const start = parseTimestamp(match[1]);
+    const title = match[2].replace(/\*\*/g, '').replace(/^["']|["']$/g, '').trim().slice(0, MAX_TITLE_CHARS);
+    if (start !== null && start <= lastStart && title) candidates.push({ start, title });
+  });
+
+  candidates.sort((a, b) => a.start - b.start);
+  const list = [];
+  candidates.forEach(chapter => {
+    const previous = list[list.length - 1];
+    if (!previous || chapter.start - previous.start >= MIN_CHAPTER_SECONDS) list.push(chapter);
+  });
+  if (list.length < MIN_CHAPTERS) return null;
+
+  // The first chapter always covers the start of the video
+  list[0].start = 0;
+  return list.map((chapter, i) => ({
+    start: chapter.start,
+    end: i + 1 < list.length ? list[i + 1].start : null,
+    title: chapter.title
+  }));
+}
+
+module.exports = {
+  CHAPTER_CONCURRENCY,
+  MIN_CHAPTERS,
+  MIN_AUTO_CHAPTER_SECONDS,
+  CHAPTER_INSTRUCTIONS,
+  CHAPTER_SECTIONS,
+  splitByChapter,
+  summarizeChapters,
+  createChapteringPrompt,
+  parseChapterList
+};
@@ -0,0 +1,143 @@
+/**
+ * Tests for chapters.js
+ * Splits a transcript at chapter starts and summarizes each chapter, and
+ * generates chapters for videos without them
+ */
+
+const { splitByChapter, summarizeChapters, createChapteringPrompt, parseChapterList, MIN_AUTO_CHAPTER_SECONDS } = require('./chapters');
+
+const segments = [
+  { start: 0, end: 5, text: 'Welcome.' },
+  { start: 5, end: 40, text: 'Some setup.' },
+  { start: 62, end: 70, text: 'Main idea.' },
+  { start: 130, end: 140, text: 'Wrapping up.' }
+];
+
+const chapterList = [
+  { start: 120, title: 'Outro' },
+  { start: 0, title: 'Intro' },
+  { start: 60, title: 'Main' }
+];
+
+describe('chapters', () => {
+  describe('splitByChapter', () => {
+    it('splits segments at chapter starts, in time order', () => {
+      const parts = splitByChapter(segments, chapterList);
+
+      expect(parts.map(p => [p.title, p.start, p.end])).toEqual([
+        ['Intro', 0, 60],
+        ['Main', 60, 120],
+        ['Outro', 120, null]
+      ]);
+      expect(parts[0].transcript).toBe('[0:00] Welcome. Some setup.');
+      expect(parts[1].transcript).toBe('[1:02] Main idea.');
+      expect(parts[2].transcript).toBe('[2:10] Wrapping up.');
+    });
+
+    it('gives speech before the first chapter to the first chapter', () => {
+      const parts = splitByChapter(segments, [{ start: 3, title: 'A' }, { start: 60, title: 'B' }]);
+
+      expect(parts[0].transcript).toContain('Welcome.');
+    });
+
+    it('returns null without enough chapters or segments', () => {
+      expect(splitByChapter(segments, [{ start: 0, title: 'Only' }])).toBeNull();
+      expect(splitByChapter([], chapterList)).toBeNull();
+      expect(splitByChapter(null, chapterList)).toBeNull();
+    });
+  });
+
+  describe('summarizeChapters', () => {
+    const parts = splitByChapter(segments, chapterList);
+
+    it('summarizes every chapter, keeping their order', async () => {
+      const results = await summarizeChapters(parts, async (part) => ({
+        success: true,
+        summary: `About ${part.title}`,
+        keyLearnings: [`${part.title} learning`]
+      }));
+
+      expect(results).toEqual([
+        { title: 'Intro', start: 0, end: 60, summary: 'About Intro', keyLearnings: ['Intro learning'] },
+        { title: 'Main', start: 60, end: 120, summary: 'About Main', keyLearnings: ['Main learning'] },
+        { title: 'Outro', start: 120, end: null, summary: 'About Outro', keyLearnings: ['Outro learning'] }
+      ]);
+    });
+
+    it('records a failed chapter and carries on', async () => {
+      const results = await summarizeChapters(parts, async (part) => {
+        if (part.title === 'Main') throw new Error('boom');
+        if (part.title === 'Outro') return { success: false, error: 'rate limited' };
+        return { success: true, summary: 'ok', keyLearnings: [] };
+      });
+
+      expect(results.map(r => r.error || r.summary)).toEqual(['ok', 'boom', 'rate limited']);
+    });
+
+    it('reports progress per chapter', async () => {
+      const onProgress = jest.fn();
+      await summarizeChapters(parts, async () => ({ success: true, summary: '', keyLearnings: [] }), { onProgress });
+
+      expect(onProgress).toHaveBeenCalledTimes(parts.length + 1);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completedChapters: 3, totalChapters: 3 }));
+    });
+
+    it('starts no more chapters once cancelled', async () => {
+      const controller = new AbortController();
+      const summarize = jest.fn(async () => {
+        controller.abort();
+        return { success: true, summary: '', keyLearnings: [] };
+      });
+
+      await summarizeChapters(parts, summarize, { concurrency: 1, signal: controller.signal });
+
+      expect(summarize).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('createChapteringPrompt', () => {
+    it('asks for a chapter list over the timestamped transcript', () => {
+      const long = [{ start: 0, text: 'Hi.' }, { start: 1800, end: 1810, text: 'Bye.' }];
+      const prompt = createChapteringPrompt('Caching talk', long);
+
+      expect(prompt).toContain('Title: Caching talk');
+      expect(prompt).toContain('[0:00] Hi.');
+      expect(prompt).toContain('[30:00] Bye.');
+      expect(prompt).toContain('about 6 chapters');
+    });
+
+    it('skips short videos and missing segments', () => {
+      expect(createChapteringPrompt('Short', [{ start: 0, end: MIN_AUTO_CHAPTER_SECONDS - 1, text: 'Hi.' }])).toBeNull();
+      expect(createChapteringPrompt('None', null)).toBeNull();
+    });
+  });
+
+  describe('parseChapterList', () => {
+    it('parses the list, tolerating bullets, brackets and chatter', () => {
+      const reply = 'Here are the chapters:\n- **0:00** Intro\n2. [4:12] – Why caches go stale\n1:02:03: Q&A';
+
+      expect(parseChapterList(reply)).toEqual([
+        { start: 0, end: 252, title: 'Intro' },
+        { start: 252, end: 3723, title: 'Why caches go stale' },
+        { start: 3723, end: null, title: 'Q&A' }
+      ]);
+    });
+
+    it('starts the first chapter at 0:00 and keeps chapters in order', () => {
+      const chapters = parseChapterList('5:00 Second\n0:07 First');
+
+      expect(chapters.map(c => [c.start, c.title])).toEqual([[0, 'First'], [300, 'Second']]);
+    });
+
+    it('drops chapters past the transcript or too close to the previous one', () => {
+      const chapters = parseChapterList('0:00 A\n0:04 Too soon\n2:00 B\n59:00 Past the end', [{ start: 0 }, { start: 600 }]);
+
+      expect(chapters.map(c => c.title)).toEqual(['A', 'B']);
+    });
+
+    it('returns null without at least two chapters', () => {
+      expect(parseChapterList('0:00 Everything')).toBeNull();
+      expect(parseChapterList('Sorry, I cannot help with that.')).toBeNull();
+    });
+  });
+});
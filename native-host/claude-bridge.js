@@ -7,6 +7,10 @@ const { spawn } = require('child_process');
 const os = require('os');
 const path = require('path');
 const logger = require('./logger');
+const structuredOutput = require('./structured-output');
+const timestamps = require('./timestamps');
+const { timeoutMessage } = require('./timeouts');
+const { throttleProgress } = require('./stream-progress');
 
 /**
  * Generate summary using Claude Code CLI
@@ -22,20 +26,35 @@ const logger = require('./logger');
  */
 async function generateSummary(videoTitle, transcript, description = '', descriptionLinks = [], creatorComments = [], viewerComments = [], customInstructions = null, onProgress = () => {}, options = {}) {
   const log = (msg) => logger.log(msg, 'claude-bridge');
-  const { model, contentType, author, siteName, publishDate, templateSections } = options;
+  const { model, contentType, author, siteName, publishDate, templateSections, signal, structured, timeoutMs } = options;
 
   try {
     onProgress({ stage: 'preparing', message: 'Preparing content...' });
 
+    // Opt-in structured mode asks for JSON matching a schema instead of text headers
+    const jsonSchema = structured
+      ? structuredOutput.buildJsonSchema(templateSections, getSchemaContext(contentType, descriptionLinks, creatorComments))
+      : null;
+
+    // Long sources are summarized chunk by chunk first; the notes then stand
+    // in for the transcript so the prompt below acts as the merge pass.
+    const condensed = await condenseLongContent(videoTitle, transcript, (chunkPrompt, chunkSignal) => (
+      callClaudeCode(chunkPrompt, () => {}, { model, timeoutMs, signal: chunkSignal })
+    ), { contentType, onProgress, signal });
+    if (condensed.chunked) {
+      log(`Transcript of ${transcript.length} characters summarized in ${condensed.chunkCount} chunks (${condensed.text.length} characters of notes)`);
+    }
+    const source = condensed.text;
+
     // Select prompt based on content type
     let prompt;
     if (contentType === 'article' || contentType === 'webpage') {
-      prompt = createArticlePrompt(videoTitle, transcript, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections });
+      prompt = createArticlePrompt(videoTitle, source, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections, jsonSchema });
     } else if (contentType === 'selected_text') {
-      prompt = createSelectionPrompt(videoTitle, transcript, customInstructions, { templateSections });
+      prompt = createSelectionPrompt(videoTitle, source, customInstructions, { templateSections, jsonSchema });
     } else {
       // Default: YouTube video or video_with_captions
-      prompt = createPrompt(videoTitle, transcript, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections });
+      prompt = createPrompt(videoTitle, source, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections, jsonSchema });
     }
     log(`Prompt length: ${prompt.length} characters (contentType: ${contentType || 'youtube_video'})`);
     log(`Including ${creatorComments?.length || 0} creator comments, ${viewerComments?.length || 0} viewer comments in prompt`);
@@ -43,12 +62,26 @@ async function generateSummary(videoTitle, transcript, description = '', descrip
     // Use Claude Code CLI for inference
     const claudeCmd = findClaudeCodeCommand();
     log(`Using Claude command: ${claudeCmd}`);
-    const response = await callClaudeCode(prompt, onProgress, { model });
-    log(`CLI response received: ${response.length} characters`);
+    let parsed;
+    if (jsonSchema) {
+      // Only the first call streams progress; a repair call runs quietly
+      const result = await structuredOutput.generateStructured(prompt, jsonSchema, (p) => (
+        callClaudeCode(p, p === prompt ? onProgress : () => {}, { model, timeoutMs, signal })
+      ), { onProgress, log });
+      log(`CLI response received: ${result.response.length} characters (structured, ${result.data ? (result.repaired ? 'repaired' : 'valid') : 'invalid - using text parser'})`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = result.data
+        ? structuredOutput.toParsedResult(result.data, descriptionLinks)
+        : parseResponse(result.response, descriptionLinks, templateSections);
+    } else {
+      const response = await callClaudeCode(prompt, onProgress, { model, timeoutMs, signal });
+      log(`CLI response received: ${response.length} characters`);
 
-    // Parse the response
-    onProgress({ stage: 'parsing', message: 'Extracting insights...' });
-    const parsed = parseResponse(response, descriptionLinks, templateSections);
+      // Parse the response
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = parseResponse(response, descriptionLinks, templateSections);
+    }
     log(`Parsed summary: ${parsed.summary.length} chars, ${parsed.keyLearnings.length} learnings, ${parsed.actionItems.length} action items, ${parsed.relevantLinks.length} links`);
 
     onProgress({ stage: 'complete', message: 'Done!' });
@@ -150,6 +183,23 @@ function buildOutputFormat(templateSections, context = {}) {
   return { formatInstructions: format, sectionHeaders };
 }
 
+/**
+ * Work out which optional sections apply to this content, mirroring the
+ * checks the prompt builders make for the text format
+ * @param {string} contentType - Content type
+ * @param {Array} descriptionLinks - Links from the description/page
+ * @param {Array} creatorComments - Creator comments (YouTube only)
+ * @returns {{hasLinks: boolean, hasCreatorComments: boolean}}
+ */
+function getSchemaContext(contentType, descriptionLinks = [], creatorComments = []) {
+  const isArticle = contentType === 'article' || contentType === 'webpage';
+  const isSelection = contentType === 'selected_text';
+  return {
+    hasLinks: !isSelection && (descriptionLinks || []).length > 0,
+    hasCreatorComments: !isArticle && !isSelection && (creatorComments || []).length > 0
+  };
+}
+
 /**
  * Create prompt for Claude - wraps user instructions with system format
  * @param {string} videoTitle - Video title
@@ -159,7 +209,7 @@ function buildOutputFormat(templateSections, context = {}) {
  * @param {Array} creatorComments - Comments/replies from the video creator (high value)
  * @param {Array} viewerComments - Top comments from viewers (use cautiously)
  * @param {string|null} customInstructions - User's custom instructions
- * @param {Object} opts - Options: templateSections
+ * @param {Object} opts - Options: templateSections, jsonSchema (structured mode)
  * @returns {string} - Formatted prompt
  */
 function createPrompt(videoTitle, transcript, description = '', descriptionLinks = [], creatorComments = [], viewerComments = [], customInstructions = null, opts = {}) {
@@ -208,8 +258,11 @@ function createPrompt(videoTitle, transcript, description = '', descriptionLinks
   // Determine if we have creator comments to influence output
   const hasCreatorComments = creatorComments && creatorComments.length > 0;
 
+  // Transcripts sent as segments arrive as `[m:ss]` lines (see timestamps.js)
+  const timestamped = timestamps.hasTimestamps(truncatedTranscript);
+
   // Try template-driven output format
-  const { templateSections } = opts;
+  const { templateSections, jsonSchema } = opts;
   const templateFormat = buildOutputFormat(templateSections, {
     hasCreatorComments,
     hasLinks: descriptionLinks.length > 0
@@ -226,11 +279,14 @@ Video Title: ${videoTitle}
 
 ${truncatedDescription ? `Video Description:\n${truncatedDescription}` : ''}${linksSection}${creatorSection}${viewerSection}
 
-Transcript:
+Transcript${timestamped ? ' (lines start with the [m:ss] time they are spoken in the video)' : ''}:
 ${truncatedTranscript}
 `;
 
-  if (templateFormat) {
+  if (jsonSchema) {
+    // Structured mode: JSON matching the schema instead of text headers
+    prompt += structuredOutput.buildJsonOutputFormat(jsonSchema);
+  } else if (templateFormat) {
     // Template-driven output format
     prompt += templateFormat.formatInstructions;
   } else {
@@ -267,6 +323,13 @@ RELEVANT LINKS:
 Always include SUMMARY:, KEY LEARNINGS:, ACTION ITEMS:, and RELEVANT LINKS: sections with the exact headers shown above.${hasCreatorComments ? ' Include CREATOR ADDITIONS: section only if creator comments contained valuable additional information.' : ''}`;
   }
 
+  if (timestamped) {
+    const where = jsonSchema ? 'each key_learnings item' : 'each key learning';
+    prompt += `
+
+Start ${where} with the [m:ss] timestamp of the transcript line it comes from, for example "[12:34] The main point...". Copy timestamps exactly as they appear in the transcript; don't invent new ones.`;
+  }
+
   return prompt;
 }
 
@@ -277,11 +340,11 @@ Always include SUMMARY:, KEY LEARNINGS:, ACTION ITEMS:, and RELEVANT LINKS: sect
  * @param {string} description - Meta description
  * @param {Array} links - Links found on page
  * @param {string|null} customInstructions - User's custom instructions
- * @param {Object} meta - Metadata: author, siteName, publishDate, contentType
+ * @param {Object} meta - Metadata: author, siteName, publishDate, contentType, templateSections, jsonSchema
  * @returns {string} - Formatted prompt
  */
 function createArticlePrompt(title, text, description = '', links = [], customInstructions = null, meta = {}) {
-  const { author, siteName, publishDate, contentType, templateSections } = meta;
+  const { author, siteName, publishDate, contentType, templateSections, jsonSchema } = meta;
 
   // Truncate text if too long
   const maxLength = 50000;
@@ -327,7 +390,9 @@ Content:
 ${truncatedText}
 `;
 
-  if (templateFormat) {
+  if (jsonSchema) {
+    prompt += structuredOutput.buildJsonOutputFormat(jsonSchema);
+  } else if (templateFormat) {
     prompt += templateFormat.formatInstructions;
   } else {
     prompt += `
@@ -370,7 +435,7 @@ function createSelectionPrompt(pageTitle, selectedText, customInstructions = nul
     : selectedText;
 
   const instructions = customInstructions || 'Analyze and summarize the selected text, extracting key insights.';
-  const { templateSections } = opts;
+  const { templateSections, jsonSchema } = opts;
 
   // Try template-driven output format
   const templateFormat = buildOutputFormat(templateSections, {
@@ -389,7 +454,9 @@ Selected Text:
 ${truncatedText}
 `;
 
-  if (templateFormat) {
+  if (jsonSchema) {
+    prompt += structuredOutput.buildJsonOutputFormat(jsonSchema);
+  } else if (templateFormat) {
     prompt += templateFormat.formatInstructions;
   } else {
     prompt += `
@@ -416,14 +483,241 @@ Always include SUMMARY:, KEY LEARNINGS:, ACTION ITEMS:, and RELEVANT LINKS: sect
   return prompt;
 }
 
+/**
+ * Source text longer than this is summarized in chunks (map-reduce) instead
+ * of being truncated by the prompt builders.
+ */
+const MAX_SOURCE_LENGTH = 50000;
+
+/**
+ * Target size of each chunk in chunked mode. Kept below MAX_SOURCE_LENGTH so
+ * every chunk prompt fits comfortably alongside its instructions.
+ */
+const CHUNK_LENGTH = 40000;
+
+/**
+ * How many chunk prompts run at once. Each one is a separate CLI process.
+ */
+const CHUNK_CONCURRENCY = 3;
+
+/**
+ * Split long text into chunks on sentence boundaries
+ * Auto-generated captions often have no punctuation at all, so any
+ * "sentence" longer than maxLength is further split on whitespace.
+ * @param {string} text - Source text
+ * @param {number} maxLength - Maximum characters per chunk
+ * @returns {string[]} - Chunks in source order
+ */
+function splitIntoChunks(text, maxLength = CHUNK_LENGTH) {
+  if (!text) return [];
+  if (text.length <= maxLength) return [text];
+
+  const pieces = [];
+  text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+    if (sentence.length <= maxLength) {
+      pieces.push(sentence);
+      return;
+    }
+    let current = '';
+    sentence.split(/\s+/).forEach(word => {
+      if (current && current.length + word.length + 1 > maxLength) {
+        pieces.push(current);
+        current = '';
+      }
+      // A single "word" longer than a chunk (e.g. a giant URL) gets hard-cut
+      while (word.length > maxLength) {
+        pieces.push(word.substring(0, maxLength));
+        word = word.substring(maxLength);
+      }
+      current = current ? `${current} ${word}` : word;
+    });
+    if (current) pieces.push(current);
+  });
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 1 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  });
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Create prompt for one chunk of a long source (the "map" step)
+ * @param {string} title - Content title
+ * @param {string} chunk - This chunk's text
+ * @param {number} index - Zero-based chunk index
+ * @param {number} total - Total number of chunks
+ * @param {string} contentType - Content type, used to label the source
+ * @returns {string} - Formatted prompt
+ */
+function createChunkPrompt(title, chunk, index, total, contentType = 'youtube_video') {
+  // Keep timestamps in the notes so the merge pass can still cite them
+  const timestampNote = timestamps.hasTimestamps(chunk)
+    ? '\n\nStart each key point with the [m:ss] timestamp of the line it comes from.'
+    : '';
+  const sourceLabel = contentType === 'article' ? 'article'
+    : contentType === 'webpage' ? 'web page'
+    : contentType === 'selected_text' ? 'text selection'
+    : 'video transcript';
+
+  return `You are taking notes on part ${index + 1} of ${total} of a long ${sourceLabel}. Your notes will be merged with notes from the other parts into one final summary, so cover everything of substance in this part and don't speculate about the parts you can't see.
+
+Title: ${title}
+
+Part ${index + 1} of ${total}:
+${chunk}
+
+Format your notes EXACTLY as follows:
+
+SUMMARY:
+[One paragraph covering what this part discusses]
+
+KEY POINTS:
+- [Key insight, fact, statistic, or argument from this part]
+- [Continue as appropriate]
+
+ACTION ITEMS:
+- [Concrete recommendation made in this part, if any]
+(If there are none, write "None")${timestampNote}`;
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const run = async () => {
+    // Once any worker fails, the others stop picking up new items
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const runners = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Condense source text that is too long for a single prompt (map-reduce)
+ * Each chunk is summarized separately; the returned notes replace the raw
+ * transcript in the normal prompt, which then acts as the merge pass.
+ * Notes still too long for one prompt are condensed again the same way.
+ * Short text is returned unchanged.
+ * @param {string} title - Content title
+ * @param {string} text - Full source text
+ * @param {function} callModel - async (prompt, signal) => response text
+ * @param {Object} options - { contentType, concurrency, onProgress, signal }
+ * @returns {Promise<{text: string, chunked: boolean, chunkCount: number}>}
+ */
+async function condenseLongContent(title, text, callModel, options = {}) {
+  const { contentType, concurrency = CHUNK_CONCURRENCY, onProgress = () => {}, signal } = options;
+
+  if (!text || text.length <= MAX_SOURCE_LENGTH) {
+    return { text, chunked: false, chunkCount: 1 };
+  }
+
+  const chunks = splitIntoChunks(text, CHUNK_LENGTH);
+  const total = chunks.length;
+  let completed = 0;
+
+  // Stop the remaining chunks as soon as one fails or the caller cancels
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  onProgress({ stage: 'waiting', message: `Content is long - summarizing in ${total} parts...`, totalChunks: total, completedChunks: 0 });
+
+  try {
+    const notes = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+      onProgress({ stage: 'waiting', message: `Summarizing part ${index + 1} of ${total}...`, chunk: index + 1, totalChunks: total, completedChunks: completed });
+      try {
+        const response = await callModel(createChunkPrompt(title, chunk, index, total, contentType), controller.signal);
+        completed++;
+        onProgress({ stage: 'waiting', message: `Summarized ${completed} of ${total} parts`, chunk: index + 1, totalChunks: total, completedChunks: completed });
+        return response.trim();
+      } catch (error) {
+        controller.abort();
+        throw error;
+      }
+    });
+
+    const combined = notes
+      .map((note, i) => `--- Notes on part ${i + 1} of ${total} ---\n${note}`)
+      .join('\n\n');
+
+    const condensed = `[This content was too long to analyze in one pass. Below are notes on each of its ${total} consecutive parts, in order. Treat them as the full source.]\n\n${combined}`;
+
+    // Notes on a very long source can still be too long; condense them again
+    // rather than letting the prompt builder truncate them. Only while each
+    // pass shrinks the text, so a model that echoes its input can't loop.
+    if (condensed.length > MAX_SOURCE_LENGTH && condensed.length < text.length) {
+      const deeper = await condenseLongContent(title, condensed, callModel, { ...options, signal: controller.signal });
+      return { text: deeper.text, chunked: true, chunkCount: total + deeper.chunkCount };
+    }
+
+    onProgress({ stage: 'waiting', message: `Merging ${total} parts...`, totalChunks: total, completedChunks: total });
+
+    return {
+      text: condensed,
+      chunked: true,
+      chunkCount: total
+    };
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Time limit for one model call when the request carries no `timeoutMs`
+ * (older extensions, the HTTP API). The extension sends the limit from
+ * Settings → Timeouts, already scaled by input size.
+ */
+const DEFAULT_TIMEOUT_MS = 120000;
+
 /**
  * Call Claude Code CLI with progress tracking
  * @param {string} prompt - Prompt to send
  * @param {function} onProgress - Progress callback
+ * @param {Object} options - { model, signal, timeoutMs }. Aborting `signal` kills the CLI process;
+ *   `timeoutMs` (default DEFAULT_TIMEOUT_MS) kills it when it runs too long.
  * @returns {Promise<string>} - Claude's response
  */
 function callClaudeCode(prompt, onProgress = () => {}, options = {}) {
+  const streamProgress = throttleProgress(onProgress);
   return new Promise((resolve, reject) => {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
     // Find claude-code executable
     const claudeCommand = findClaudeCodeCommand();
 
@@ -448,17 +742,29 @@ function callClaudeCode(prompt, onProgress = () => {}, options = {}) {
     let stderr = '';
     let firstChunkReceived = false;
     let chunkCount = 0;
+    let cancelled = false;
+
+    const onAbort = () => {
+      cancelled = true;
+      claudeProcess.kill();
+      reject(new Error('Request cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     claudeProcess.stdout.on('data', (data) => {
       const chunk = data.toString();
       stdout += chunk;
       chunkCount++;
 
+      // partialText carries everything received so far, so the sidebar can
+      // render sections as their headers arrive. Sending the accumulated text
+      // (not just the delta) keeps each update self-contained; the throttle
+      // keeps that from growing with the square of the reply.
       if (!firstChunkReceived) {
         firstChunkReceived = true;
-        onProgress({ stage: 'streaming', message: 'Receiving response...', chars: stdout.length });
+        streamProgress({ stage: 'streaming', message: 'Receiving response...', chars: stdout.length, partialText: stdout });
       } else {
-        onProgress({ stage: 'streaming', message: 'Receiving response...', chars: stdout.length, chunks: chunkCount });
+        streamProgress({ stage: 'streaming', message: 'Receiving response...', chars: stdout.length, chunks: chunkCount, partialText: stdout });
       }
     });
 
@@ -467,10 +773,14 @@ function callClaudeCode(prompt, onProgress = () => {}, options = {}) {
     });
 
     claudeProcess.on('close', (code) => {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (cancelled) return;
       if (code !== 0) {
         const errorDetails = stderr || stdout || 'No error output captured';
         reject(new Error(`Claude exited with code ${code}. Details: ${errorDetails}`));
       } else {
+        streamProgress.flush();
         onProgress({ stage: 'processing', message: 'Processing response...' });
         resolve(stdout);
       }
@@ -487,12 +797,12 @@ function callClaudeCode(prompt, onProgress = () => {}, options = {}) {
     claudeProcess.stdin.end();
     onProgress({ stage: 'waiting', message: 'Claude is analyzing...', inputTokens: estimatedInputTokens });
 
-    // Timeout after 2 minutes
-    setTimeout(() => {
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const timeoutId = setTimeout(() => {
       claudeProcess.kill();
-      reject(new Error('Claude Code request timed out'));
-    }, 120000);
-  });
+      reject(new Error(timeoutMessage(`Claude Code (${cliModel})`, timeoutMs)));
+    }, timeoutMs);
+  }).finally(() => streamProgress.cancel());
 }
 
 /**
@@ -727,7 +1037,7 @@ function parseResponse(response, descriptionLinks = [], templateSections = null)
  */
 async function generateFollowUp(videoTitle, transcript, query, existingLearnings = [], options = {}) {
   const log = (msg) => logger.log(msg, 'claude-bridge:followup');
-  const { model } = options;
+  const { model, signal, timeoutMs } = options;
 
   try {
     // Create follow-up prompt
@@ -737,7 +1047,7 @@ async function generateFollowUp(videoTitle, transcript, query, existingLearnings
     // Use Claude Code CLI for inference
     const claudeCmd = findClaudeCodeCommand();
     log(`Using Claude command: ${claudeCmd}`);
-    const response = await callClaudeCode(prompt, () => {}, { model });
+    const response = await callClaudeCode(prompt, () => {}, { model, timeoutMs, signal });
     log(`CLI response received: ${response.length} characters`);
 
     // Parse the follow-up response (returns { insights: string[], actions: string[] })
@@ -768,23 +1078,21 @@ async function generateFollowUp(videoTitle, transcript, query, existingLearnings
  * @returns {string} - Formatted prompt
  */
 function createFollowUpPrompt(videoTitle, transcript, query, existingLearnings) {
-  // Truncate transcript if too long
-  const maxTranscriptLength = 50000;
-  const truncatedTranscript = transcript.length > maxTranscriptLength
-    ? transcript.substring(0, maxTranscriptLength) + '...[truncated]'
-    : transcript;
-
+  // host.js condenses long sources first, so this is the whole source
   const existingList = existingLearnings.length > 0
     ? `\n\nAlready extracted learnings (avoid repeating these):\n${existingLearnings.map((l, i) => `${i + 1}. ${l}`).join('\n')}`
     : '';
 
+  // A range from the transcript viewer arrives as [m:ss] lines
+  const timestamped = timestamps.hasTimestamps(transcript);
+
   return `You are analyzing a YouTube video transcript to answer a follow-up question.
 
 Video Title: ${videoTitle}
 ${existingList}
 
-Transcript:
-${truncatedTranscript}
+Transcript${timestamped ? ' (lines start with the [m:ss] time they are spoken in the video)' : ''}:
+${transcript}
 
 User's Question: ${query}
 
@@ -802,7 +1110,9 @@ Return your response as JSON in this exact format:
   ]
 }
 
-Only include information actually mentioned or directly inferable from the transcript.`;
+Only include information actually mentioned or directly inferable from the transcript.${timestamped ? `
+
+Start each item's text with the [m:ss] timestamp of the transcript line it comes from, for example "[12:34] The main point...". Copy timestamps exactly as they appear in the transcript.` : ''}`;
 }
 
 /**
@@ -880,16 +1190,16 @@ function parseAsPlainText(text) {
  * The CLI is one-shot, so the caller serializes the conversation history
  * into a single prompt; we just shuttle bytes and return Claude's reply.
  * @param {string} prompt - Fully assembled prompt including history.
- * @param {Object} options - { model }
+ * @param {Object} options - { model, signal, timeoutMs }
  * @returns {Promise<{success: boolean, reply?: string, error?: string}>}
  */
 async function chat(prompt, options = {}) {
   const log = (msg) => logger.log(msg, 'claude-bridge:chat');
-  const { model } = options;
+  const { model, signal, timeoutMs } = options;
 
   try {
     log(`Chat prompt length: ${prompt.length} characters`);
-    const response = await callClaudeCode(prompt, () => {}, { model });
+    const response = await callClaudeCode(prompt, () => {}, { model, timeoutMs, signal });
     log(`Chat response: ${response.length} characters`);
     return { success: true, reply: response.trim() };
   } catch (error) {
@@ -902,7 +1212,9 @@ module.exports = {
   generateSummary,
   generateFollowUp,
   chat,
+  findClaudeCodeCommand,
   // Exported for testing
+  callClaudeCode,
   createPrompt,
   createArticlePrompt,
   createSelectionPrompt,
@@ -912,5 +1224,12 @@ module.exports = {
   parseAsPlainText,
   buildOutputFormat,
   getParseLabels,
-  DEFAULT_INSTRUCTIONS
+  getSchemaContext,
+  splitIntoChunks,
+  createChunkPrompt,
+  mapWithConcurrency,
+  condenseLongContent,
+  DEFAULT_INSTRUCTIONS,
+  MAX_SOURCE_LENGTH,
+  DEFAULT_TIMEOUT_MS
 };
@@ -13,7 +13,15 @@ const {
   parseAsPlainText,
   buildOutputFormat,
   getParseLabels,
-  DEFAULT_INSTRUCTIONS
+  getSchemaContext,
+  callClaudeCode,
+  generateSummary,
+  splitIntoChunks,
+  createChunkPrompt,
+  mapWithConcurrency,
+  condenseLongContent,
+  DEFAULT_INSTRUCTIONS,
+  MAX_SOURCE_LENGTH
 } = require('./claude-bridge');
 
 describe('claude-bridge', () => {
@@ -112,6 +120,23 @@ describe('claude-bridge', () => {
 
       expect(prompt).not.toContain('CREATOR ADDITIONS:');
     });
+
+    it('asks for a timestamp on each key learning when the transcript has them', () => {
+      const prompt = createPrompt('Test Video', '[0:00] Welcome back\n[0:31] The first point');
+
+      expect(prompt).toContain('Transcript (lines start with the [m:ss] time');
+      expect(prompt).toContain('Start each key learning with the [m:ss] timestamp');
+    });
+
+    it('names the JSON field for timestamps in structured mode', () => {
+      const prompt = createPrompt('Test Video', '[0:00] Welcome back', '', [], [], [], null, { jsonSchema: { type: 'object', properties: {} } });
+
+      expect(prompt).toContain('Start each key_learnings item with the [m:ss] timestamp');
+    });
+
+    it('does not ask for timestamps for plain transcripts', () => {
+      expect(createPrompt('Test Video', 'Transcript mentioning [1:23] inline')).not.toContain('[m:ss]');
+    });
   });
 
   describe('parseResponse', () => {
@@ -330,11 +355,20 @@ Just a summary without learnings.
       expect(prompt).toContain('avoid repeating');
     });
 
-    it('truncates long transcripts', () => {
+    it('asks for timestamps when the transcript has them', () => {
+      const prompt = createFollowUpPrompt('Test', '[1:02:00] Caching.\n[1:02:30] Invalidation.', 'What else?', []);
+
+      expect(prompt).toContain('lines start with the [m:ss] time');
+      expect(prompt).toContain("Start each item's text with the [m:ss] timestamp");
+      expect(createFollowUpPrompt('Test', 'Plain transcript', 'What else?', [])).not.toContain('[m:ss]');
+    });
+
+    it('keeps the whole source, which host.js has already condensed', () => {
       const longTranscript = 'a'.repeat(60000);
       const prompt = createFollowUpPrompt('Test', longTranscript, 'Query', []);
 
-      expect(prompt).toContain('...[truncated]');
+      expect(prompt).toContain(longTranscript);
+      expect(prompt).not.toContain('...[truncated]');
     });
 
     it('requests JSON format with insight/action classification', () => {
@@ -863,4 +897,196 @@ RELEVANT LINKS:
       expect(prompt).toContain('ACTION ITEMS:');
     });
   });
+
+  describe('cancellation', () => {
+    it('rejects without spawning when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const onProgress = jest.fn();
+
+      await expect(callClaudeCode('prompt', onProgress, { signal: controller.signal }))
+        .rejects.toThrow('Request cancelled');
+      expect(onProgress).not.toHaveBeenCalled();
+    });
+
+    it('returns an error result from generateSummary when cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await generateSummary('Title', 'Transcript', '', [], [], [], null, () => {}, { signal: controller.signal });
+      expect(result).toEqual({ success: false, error: 'Request cancelled' });
+    });
+  });
+
+  describe('splitIntoChunks', () => {
+    it('returns short text as a single chunk', () => {
+      expect(splitIntoChunks('One sentence. Two sentences.', 100)).toEqual(['One sentence. Two sentences.']);
+    });
+
+    it('returns an empty array for empty text', () => {
+      expect(splitIntoChunks('', 100)).toEqual([]);
+    });
+
+    it('splits on sentence boundaries without exceeding the limit', () => {
+      const text = 'First sentence here. Second sentence here. Third sentence here. Fourth sentence here.';
+      const chunks = splitIntoChunks(text, 45);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.length).toBeLessThanOrEqual(45);
+        expect(chunk).toMatch(/\.$/);
+      });
+      expect(chunks.join(' ')).toBe(text);
+    });
+
+    it('falls back to word boundaries for unpunctuated captions', () => {
+      const text = Array(50).fill('word').join(' ');
+      const chunks = splitIntoChunks(text, 30);
+
+      chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(30));
+      expect(chunks.join(' ')).toBe(text);
+    });
+
+    it('hard-cuts a single token longer than the limit', () => {
+      const chunks = splitIntoChunks('x'.repeat(25), 10);
+      expect(chunks).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+  });
+
+  describe('createChunkPrompt', () => {
+    it('labels the part number and includes the chunk text', () => {
+      const prompt = createChunkPrompt('Long Podcast', 'chunk text', 1, 4);
+      expect(prompt).toContain('part 2 of 4');
+      expect(prompt).toContain('Long Podcast');
+      expect(prompt).toContain('chunk text');
+      expect(prompt).toContain('KEY POINTS:');
+    });
+
+    it('uses the content type in the source label', () => {
+      expect(createChunkPrompt('T', 'c', 0, 2, 'article')).toContain('long article');
+    });
+
+    it('keeps timestamps in the notes for timestamped chunks', () => {
+      expect(createChunkPrompt('T', '[4:30] chunk text', 1, 2)).toContain('Start each key point with the [m:ss] timestamp');
+      expect(createChunkPrompt('T', 'chunk text', 1, 2)).not.toContain('[m:ss]');
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('keeps results in input order', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, (ms, i) =>
+        new Promise(resolve => setTimeout(() => resolve(i), ms))
+      );
+      expect(results).toEqual([0, 1, 2]);
+    });
+
+    it('never runs more than the limit at once', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      });
+      expect(maxRunning).toBe(2);
+    });
+  });
+
+  describe('condenseLongContent', () => {
+    it('returns short content unchanged without calling the model', async () => {
+      const callModel = jest.fn();
+      const result = await condenseLongContent('Title', 'Short transcript.', callModel);
+
+      expect(result).toEqual({ text: 'Short transcript.', chunked: false, chunkCount: 1 });
+      expect(callModel).not.toHaveBeenCalled();
+    });
+
+    it('summarizes each chunk and combines the notes in order', async () => {
+      const sentence = 'This is a sentence in a very long transcript. ';
+      const transcript = sentence.repeat(Math.ceil((MAX_SOURCE_LENGTH * 2) / sentence.length));
+      const callModel = jest.fn(async (prompt) => `notes for ${prompt.match(/part (\d+) of/)[1]}`);
+      const onProgress = jest.fn();
+
+      const result = await condenseLongContent('Title', transcript, callModel, { onProgress });
+
+      expect(result.chunked).toBe(true);
+      expect(callModel).toHaveBeenCalledTimes(result.chunkCount);
+      expect(result.text.indexOf('notes for 1')).toBeLessThan(result.text.indexOf('notes for 2'));
+      expect(result.text.length).toBeLessThan(MAX_SOURCE_LENGTH);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+        message: `Summarizing part 1 of ${result.chunkCount}...`,
+        chunk: 1,
+        totalChunks: result.chunkCount
+      }));
+    });
+
+    it('condenses the notes again while they are too long for one prompt', async () => {
+      const sentence = 'This is a sentence in a very long transcript. ';
+      const transcript = sentence.repeat(Math.ceil((MAX_SOURCE_LENGTH * 4) / sentence.length));
+      // Long notes on the transcript, short notes on those notes
+      const callModel = jest.fn(async (prompt) => (
+        prompt.includes('--- Notes on part') ? 'short notes' : 'note. '.repeat(4000)
+      ));
+
+      const result = await condenseLongContent('Title', transcript, callModel);
+
+      expect(result.text.length).toBeLessThanOrEqual(MAX_SOURCE_LENGTH);
+      expect(result.text).toContain('short notes');
+      expect(callModel.mock.calls.some(([prompt]) => prompt.includes('--- Notes on part'))).toBe(true);
+      expect(result.chunkCount).toBe(callModel.mock.calls.length);
+    });
+
+    it('aborts remaining chunks when one fails', async () => {
+      const transcript = 'Sentence. '.repeat(Math.ceil((MAX_SOURCE_LENGTH * 2) / 10));
+      const signals = [];
+      const callModel = jest.fn(async (prompt, signal) => {
+        signals.push(signal);
+        throw new Error('CLI failed');
+      });
+
+      await expect(condenseLongContent('Title', transcript, callModel, { concurrency: 1 }))
+        .rejects.toThrow('CLI failed');
+      expect(callModel).toHaveBeenCalledTimes(1);
+      expect(signals[0].aborted).toBe(true);
+    });
+  });
+
+  describe('structured output prompts', () => {
+    const schema = { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'] };
+
+    it('replaces the text format with JSON instructions in createPrompt', () => {
+      const prompt = createPrompt('Test Video', 'Transcript', '', [], [], [], null, { jsonSchema: schema });
+      expect(prompt).toContain('single JSON object');
+      expect(prompt).not.toContain('KEY LEARNINGS:');
+    });
+
+    it('replaces the text format in article and selection prompts', () => {
+      expect(createArticlePrompt('Title', 'Text', '', [], null, { jsonSchema: schema })).not.toContain('RELEVANT LINKS:');
+      expect(createSelectionPrompt('Page', 'Text', null, { jsonSchema: schema })).toContain('single JSON object');
+    });
+
+    it('takes precedence over template sections', () => {
+      const sections = [{ id: 'summary', label: 'Overview', enabled: true }];
+      const prompt = createPrompt('Test Video', 'Transcript', '', [], [], [], null, { templateSections: sections, jsonSchema: schema });
+      expect(prompt).not.toContain('OVERVIEW:');
+    });
+  });
+
+  describe('getSchemaContext', () => {
+    const links = [{ text: 'Docs', url: 'https://example.com' }];
+    const comments = [{ text: 'Creator clarification here' }];
+
+    it('includes links and creator comments for videos', () => {
+      expect(getSchemaContext('youtube_video', links, comments)).toEqual({ hasLinks: true, hasCreatorComments: true });
+    });
+
+    it('ignores creator comments for articles', () => {
+      expect(getSchemaContext('article', links, comments)).toEqual({ hasLinks: true, hasCreatorComments: false });
+    });
+
+    it('has neither for selected text', () => {
+      expect(getSchemaContext('selected_text', links, comments)).toEqual({ hasLinks: false, hasCreatorComments: false });
+    });
+  });
 });
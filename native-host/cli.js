@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * ai-summary — summarize transcripts and articles from the terminal.
+ * Uses the same provider bridges (and so the same prompts and
+ * parseResponse pipeline) as the extension, without a browser.
+ *
+ *   ai-summary talk.vtt
+ *   ai-summary https://example.com/post --format json
+ *   pbpaste | ai-summary --provider codex --content-type selected_text
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const claudeBridge = require('./claude-bridge');
+const codexBridge = require('./codex-bridge');
+const localBridge = require('./local-bridge');
+const anthropicBridge = require('./anthropic-bridge');
+const appleNotes = require('./apple-notes');
+
+const BRIDGES = {
+  claude: claudeBridge,
+  codex: codexBridge,
+  local: localBridge,
+  anthropic: anthropicBridge
+};
+
+const CONTENT_TYPES = ['youtube_video', 'video_with_captions', 'article', 'webpage', 'selected_text'];
+const FORMATS = ['markdown', 'json', 'notes'];
+const DEFAULT_NOTES_FOLDER = 'AI Summaries';
+
+const HELP = `Usage: ai-summary [source] [options]
+
+Source:
+  URL                      YouTube video or web page
+  FILE                     .txt, .md, .vtt or .srt
+  -  (or piped input)      Read text from stdin
+
+Options:
+  -p, --provider NAME      claude (default), codex, local, anthropic
+  -m, --model NAME         Model for the provider (e.g. sonnet, gpt-5, llama3.1)
+  -t, --template FILE      Template JSON: { "instructions", "sections" }, or
+                           templates keyed by content type
+  -i, --instructions TEXT  Analysis instructions (overrides the template's)
+  -c, --content-type TYPE  ${CONTENT_TYPES.join(', ')}
+      --title TEXT         Title (default: page title or file name)
+  -f, --format FORMAT      markdown (default), json, notes (Apple Notes)
+      --folder NAME        Apple Notes folder (default: "${DEFAULT_NOTES_FOLDER}")
+      --structured         Ask the model for schema-validated JSON
+      --base-url URL       Local server URL (provider local)
+      --api-key KEY        API key for the local server or Anthropic API
+  -q, --quiet              No progress on stderr
+  -h, --help               Show this help
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{options?: Object, source?: string, error?: string}}
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        provider: { type: 'string', short: 'p', default: 'claude' },
+        model: { type: 'string', short: 'm' },
+        template: { type: 'string', short: 't' },
+        instructions: { type: 'string', short: 'i' },
+        'content-type': { type: 'string', short: 'c' },
+        title: { type: 'string' },
+        format: { type: 'string', short: 'f', default: 'markdown' },
+        folder: { type: 'string', default: DEFAULT_NOTES_FOLDER },
+        structured: { type: 'boolean', default: false },
+        'base-url': { type: 'string' },
+        'api-key': { type: 'string' },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) {
+    return { error: `Expected one source, got ${positionals.length}` };
+  }
+  if (!BRIDGES[values.provider]) {
+    return { error: `Unknown provider "${values.provider}". Use ${Object.keys(BRIDGES).join(', ')}` };
+  }
+  if (!FORMATS.includes(values.format)) {
+    return { error: `Unknown format "${values.format}". Use ${FORMATS.join(', ')}` };
+  }
+  if (values['content-type'] && !CONTENT_TYPES.includes(values['content-type'])) {
+    return { error: `Unknown content type "${values['content-type']}". Use ${CONTENT_TYPES.join(', ')}` };
+  }
+
+  return { options: values, source: positionals[0] };
+}
+
+/**
+ * Turn WebVTT or SRT captions into plain transcript text. Drops cue
+ * numbers, timings, NOTE/STYLE blocks and inline tags, and collapses the
+ * rolling duplicate lines auto-generated captions repeat.
+ * @param {string} text - Caption file contents
+ * @returns {string}
+ */
+function parseSubtitles(text) {
+  const lines = [];
+  let skippingBlock = false;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((raw) => {
+    const line = raw.trim();
+    if (!line) {
+      skippingBlock = false;
+      return;
+    }
+    if (skippingBlock) return;
+    if (/^(WEBVTT|Kind:|Language:)/.test(line)) return;
+    if (/^(NOTE|STYLE|REGION)\b/.test(line)) {
+      skippingBlock = true;
+      return;
+    }
+    if (/^\d+$/.test(line) || line.includes('-->')) return;
+
+    const cleaned = decodeEntities(line.replace(/<[^>]+>/g, '')).trim();
+    if (cleaned && cleaned !== lines[lines.length - 1]) {
+      lines.push(cleaned);
+    }
+  });
+
+  return lines.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract a title and readable text from an HTML page. Prefers <article>
+ * or <main> when present so navigation and footers stay out of the prompt.
+ * @param {string} html - Page HTML
+ * @returns {{title: string, text: string}}
+ */
+function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let body = html.replace(/<(script|style|noscript|svg|template|head)[^>]*>[\s\S]*?<\/\1>/gi, '');
+  const main = body.match(/<article[^>]*>([\s\S]*?)<\/article>/i) || body.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
+  if (main) body = main[1];
+
+  const text = decodeEntities(body
+    .replace(/<(nav|header|footer|aside)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|section|blockquote|pre|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+
+  return { title, text };
+}
+
+/**
+ * Extract a YouTube video ID from a URL
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function getYouTubeVideoId(url) {
+  const match = url.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/|live\/)|youtu\.be\/)([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Load the source text and infer its title and content type
+ * @param {string|undefined} source - URL, file path, '-' or undefined (stdin)
+ * @param {Object} io - { stdin, fetch }
+ * @returns {Promise<{title: string, url: string, text: string, contentType: string, videoId?: string}>}
+ */
+async function readSource(source, io = {}) {
+  const { stdin = process.stdin, fetch: fetchUrl = global.fetch } = io;
+
+  if (!source || source === '-') {
+    if (!source && stdin.isTTY) {
+      throw new Error('No source given. Pass a URL or file, or pipe text on stdin (see --help)');
+    }
+    return { title: 'Untitled', url: '', text: (await readStream(stdin)).trim(), contentType: 'article' };
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    const videoId = getYouTubeVideoId(source);
+    if (videoId) {
+      // Lazy: only the YouTube path needs the optional youtube-transcript package
+      let transcriptExtractor;
+      try {
+        transcriptExtractor = require('./transcript-extractor');
+      } catch (error) {
+        throw new Error('YouTube URLs need the youtube-transcript package (npm install youtube-transcript in native-host). Or download the captions and pass the .vtt/.srt file');
+      }
+      const text = await transcriptExtractor.getTranscript(videoId);
+      return { title: `YouTube video ${videoId}`, url: source, text, contentType: 'youtube_video', videoId };
+    }
+
+    const response = await fetchUrl(source, { headers: { 'User-Agent': 'ai-summary' } });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: HTTP ${response.status}`);
+    }
+    const body = await response.text();
+    const isHtml = /html/i.test(response.headers.get('content-type') || '') || /^\s*</.test(body);
+    const page = isHtml ? htmlToText(body) : { title: '', text: body.trim() };
+    return { title: page.title || source, url: source, text: page.text, contentType: 'article' };
+  }
+
+  const filePath = path.resolve(source);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${source}`);
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const baseTitle = path.basename(filePath, ext);
+
+  if (ext === '.vtt' || ext === '.srt') {
+    return { title: baseTitle, url: '', text: parseSubtitles(raw), contentType: 'video_with_captions' };
+  }
+  if (ext === '.md' || ext === '.markdown') {
+    const heading = raw.match(/^#\s+(.+)$/m);
+    return { title: heading ? heading[1].trim() : baseTitle, url: '', text: raw.trim(), contentType: 'article' };
+  }
+  if (ext === '.txt' || ext === '') {
+    return { title: baseTitle, url: '', text: raw.trim(), contentType: 'article' };
+  }
+
+  throw new Error(`Unsupported file type "${ext}". Use .txt, .md, .vtt or .srt`);
+}
+
+/**
+ * Load a template file. Accepts a single template ({ instructions, sections })
+ * or an object of templates keyed by content type, like the extension's
+ * `templates` storage value.
+ * @param {string} file - JSON file path
+ * @param {string} contentType - Content type being summarized
+ * @returns {{instructions: string|null, sections: Array|null}}
+ */
+function loadTemplate(file, contentType) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read template ${file}: ${error.message}`);
+  }
+
+  const template = data[contentType] || data;
+  if (!template.instructions && !Array.isArray(template.sections)) {
+    throw new Error(`Template ${file} has no "instructions" or "sections" for ${contentType}`);
+  }
+  return {
+    instructions: template.instructions || null,
+    sections: Array.isArray(template.sections) ? template.sections : null
+  };
+}
+
+/**
+ * Format a summary as Markdown, using the template's section labels
+ * @param {Object} result - Bridge result
+ * @param {Object} meta - { title, url, sections }
+ * @returns {string}
+ */
+function formatMarkdown(result, { title, url, sections } = {}) {
+  const label = (id, fallback) => {
+    const section = (sections || []).find(s => s.id === id);
+    return section ? section.label : fallback;
+  };
+  const enabled = id => !sections || sections.some(s => s.id === id && s.enabled !== false);
+
+  let markdown = `# ${title}\n\n`;
+  if (url) markdown += `**URL:** ${url}\n\n`;
+  markdown += `## ${label('summary', 'Summary')}\n\n${result.summary}\n\n`;
+
+  if (enabled('key_learnings') && result.keyLearnings.length > 0) {
+    markdown += `## ${label('key_learnings', 'Key Learnings')}\n\n`;
+    result.keyLearnings.forEach(learning => { markdown += `- ${learning}\n`; });
+    markdown += '\n';
+  }
+
+  if (enabled('action_items') && result.actionItems.length > 0) {
+    markdown += `## ${label('action_items', 'Action Items')}\n\n`;
+    result.actionItems.forEach(item => { markdown += `- [ ] ${item}\n`; });
+    markdown += '\n';
+  }
+
+  if (enabled('relevant_links') && result.relevantLinks.length > 0) {
+    markdown += `## ${label('relevant_links', 'Relevant Links')}\n\n`;
+    result.relevantLinks.forEach(link => {
+      markdown += `- [${link.text}](${link.url})${link.reason ? ` - ${link.reason}` : ''}\n`;
+    });
+    markdown += '\n';
+  }
+
+  return markdown.trimEnd() + '\n';
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} io - { stdin, stdout, stderr, fetch, signal } (injectable for tests)
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, signal } = io;
+  const { options, source, error } = parseCliArgs(argv);
+
+  if (error) {
+    stderr.write(`ai-summary: ${error}\n\n${HELP}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(HELP);
+    return 0;
+  }
+
+  try {
+    const input = await readSource(source, io);
+    if (!input.text) {
+      throw new Error('Source has no text to summarize');
+    }
+
+    const contentType = options['content-type'] || input.contentType;
+    const template = options.template ? loadTemplate(options.template, contentType) : { instructions: null, sections: null };
+    const instructions = options.instructions || template.instructions;
+    const title = options.title || input.title;
+    const provider = options.provider;
+
+    let lastMessage = '';
+    const onProgress = (progress) => {
+      if (options.quiet || !progress.message || progress.message === lastMessage) return;
+      lastMessage = progress.message;
+      stderr.write(`${progress.message}\n`);
+    };
+
+    const connection = provider === 'local'
+      ? { baseUrl: options['base-url'], apiKey: options['api-key'] }
+      : provider === 'anthropic' ? { apiKey: options['api-key'] } : {};
+
+    const result = await BRIDGES[provider].generateSummary(title, input.text, '', [], [], [], instructions, onProgress, {
+      ...connection,
+      model: options.model,
+      contentType,
+      templateSections: template.sections,
+      structured: options.structured,
+      signal
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (options.format === 'json') {
+      stdout.write(`${JSON.stringify({ title, url: input.url, contentType, provider, ...result }, null, 2)}\n`);
+    } else if (options.format === 'notes') {
+      await appleNotes.saveNote({
+        folder: options.folder,
+        title,
+        url: input.url,
+        summary: result.summary,
+        keyLearnings: result.keyLearnings,
+        relevantLinks: result.relevantLinks,
+        // saveNote takes { text, dueDate } action items
+        actionItems: (result.actionItems || []).map(text => ({ text }))
+      });
+      stdout.write(`Saved "${title}" to Apple Notes folder "${options.folder}"\n`);
+    } else {
+      stdout.write(formatMarkdown(result, { title, url: input.url, sections: template.sections }));
+    }
+    return 0;
+  } catch (err) {
+    stderr.write(`ai-summary: ${err.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // Ctrl-C kills the provider's CLI child instead of orphaning it
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+  main(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  // Exported for testing
+  parseCliArgs,
+  parseSubtitles,
+  htmlToText,
+  getYouTubeVideoId,
+  readSource,
+  loadTemplate,
+  formatMarkdown
+};
@@ -0,0 +1,265 @@
+/**
+ * Tests for cli.js
+ * Bridges are mocked; sources are temp files, fake stdin, and a stubbed fetch
+ */
+
+jest.mock('./claude-bridge', () => ({ generateSummary: jest.fn() }));
+jest.mock('./codex-bridge', () => ({ generateSummary: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const claudeBridge = require('./claude-bridge');
+const codexBridge = require('./codex-bridge');
+const appleNotes = require('./apple-notes');
+const {
+  main,
+  parseCliArgs,
+  parseSubtitles,
+  htmlToText,
+  getYouTubeVideoId,
+  readSource,
+  loadTemplate,
+  formatMarkdown
+} = require('./cli');
+
+const result = {
+  success: true,
+  summary: 'A short summary.',
+  keyLearnings: ['First point', 'Second point'],
+  actionItems: ['Try it'],
+  relevantLinks: []
+};
+
+function output() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, get text() { return text; } };
+}
+
+describe('cli', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-summary-test-'));
+    claudeBridge.generateSummary.mockReset().mockResolvedValue(result);
+    codexBridge.generateSummary.mockReset().mockResolvedValue(result);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, contents) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  describe('parseCliArgs', () => {
+    it('applies defaults', () => {
+      const { options, source } = parseCliArgs(['notes.md']);
+      expect(source).toBe('notes.md');
+      expect(options).toMatchObject({ provider: 'claude', format: 'markdown', quiet: false });
+    });
+
+    it('rejects unknown providers, formats, and content types', () => {
+      expect(parseCliArgs(['-p', 'gemini']).error).toMatch(/Unknown provider/);
+      expect(parseCliArgs(['-f', 'pdf']).error).toMatch(/Unknown format/);
+      expect(parseCliArgs(['-c', 'podcast']).error).toMatch(/Unknown content type/);
+      expect(parseCliArgs(['a', 'b']).error).toMatch(/one source/);
+    });
+  });
+
+  describe('parseSubtitles', () => {
+    it('strips WebVTT headers, timings, tags, and rolling duplicates', () => {
+      const vtt = [
+        'WEBVTT',
+        'Kind: captions',
+        '',
+        'NOTE This is a comment',
+        'spanning two lines',
+        '',
+        '00:00:00.000 --> 00:00:02.000 align:start',
+        '<c>Hello</c> <00:00:01.000><c>world</c>',
+        '',
+        '00:00:02.000 --> 00:00:04.000',
+        'Hello world',
+        'and more &amp; more'
+      ].join('\n');
+
+      expect(parseSubtitles(vtt)).toBe('Hello world and more & more');
+    });
+
+    it('strips SRT cue numbers and timings', () => {
+      const srt = '1\r\n00:00:01,000 --> 00:00:02,000\r\nFirst line\r\n\r\n2\r\n00:00:02,000 --> 00:00:03,000\r\nSecond line\r\n';
+      expect(parseSubtitles(srt)).toBe('First line Second line');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('prefers the article and drops scripts and navigation', () => {
+      const html = `<html><head><title>My Post &amp; More</title></head><body>
+        <nav>Home | About</nav>
+        <article><h1>Heading</h1><script>track()</script><p>First paragraph.</p><p>Second&nbsp;one.</p></article>
+        <footer>Copyright</footer></body></html>`;
+
+      expect(htmlToText(html)).toEqual({ title: 'My Post & More', text: 'Heading\n\nFirst paragraph.\n\nSecond one.' });
+    });
+  });
+
+  describe('getYouTubeVideoId', () => {
+    it.each([
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      'https://www.youtube.com/watch?list=PL1&v=dQw4w9WgXcQ',
+      'https://youtu.be/dQw4w9WgXcQ',
+      'https://youtube.com/shorts/dQw4w9WgXcQ'
+    ])('finds the id in %s', (url) => {
+      expect(getYouTubeVideoId(url)).toBe('dQw4w9WgXcQ');
+    });
+
+    it('returns null for other sites', () => {
+      expect(getYouTubeVideoId('https://example.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+    });
+  });
+
+  describe('readSource', () => {
+    it('treats caption files as video_with_captions', async () => {
+      const file = writeFile('My Talk.srt', '1\n00:00:01,000 --> 00:00:02,000\nHi there\n');
+      expect(await readSource(file)).toEqual({ title: 'My Talk', url: '', text: 'Hi there', contentType: 'video_with_captions' });
+    });
+
+    it('takes the title of a Markdown file from its first heading', async () => {
+      const file = writeFile('post.md', '# Real Title\n\nBody text.');
+      expect(await readSource(file)).toMatchObject({ title: 'Real Title', contentType: 'article' });
+    });
+
+    it('rejects unsupported files', async () => {
+      await expect(readSource(writeFile('doc.pdf', 'x'))).rejects.toThrow('Unsupported file type ".pdf"');
+    });
+
+    it('reads piped stdin', async () => {
+      expect(await readSource('-', { stdin: Readable.from(['Piped ', 'text\n']) })).toMatchObject({ text: 'Piped text', contentType: 'article' });
+    });
+
+    it('fetches web pages and extracts their text', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'text/html; charset=utf-8' },
+        text: async () => '<title>Page</title><main><p>Content</p></main>'
+      });
+
+      expect(await readSource('https://example.com/post', { fetch })).toEqual({
+        title: 'Page', url: 'https://example.com/post', text: 'Content', contentType: 'article'
+      });
+    });
+  });
+
+  describe('loadTemplate', () => {
+    it('picks the template for the content type from a templates export', () => {
+      const file = writeFile('templates.json', JSON.stringify({
+        article: { instructions: 'Article focus', sections: [{ id: 'summary', label: 'TL;DR', enabled: true }] },
+        youtube_video: { instructions: 'Video focus' }
+      }));
+
+      expect(loadTemplate(file, 'article')).toEqual({ instructions: 'Article focus', sections: [{ id: 'summary', label: 'TL;DR', enabled: true }] });
+      expect(loadTemplate(file, 'youtube_video')).toEqual({ instructions: 'Video focus', sections: null });
+    });
+
+    it('explains unreadable templates', () => {
+      expect(() => loadTemplate(writeFile('bad.json', '{'), 'article')).toThrow(/Could not read template/);
+    });
+  });
+
+  describe('formatMarkdown', () => {
+    it('uses template labels and skips disabled sections', () => {
+      const sections = [
+        { id: 'summary', label: 'TL;DR', enabled: true },
+        { id: 'key_learnings', label: 'Takeaways', enabled: true },
+        { id: 'action_items', label: 'Action Items', enabled: false }
+      ];
+
+      expect(formatMarkdown(result, { title: 'Post', url: 'https://example.com', sections })).toBe(
+        '# Post\n\n**URL:** https://example.com\n\n## TL;DR\n\nA short summary.\n\n## Takeaways\n\n- First point\n- Second point\n'
+      );
+    });
+  });
+
+  describe('main', () => {
+    it('summarizes a file with the chosen provider and prints Markdown', async () => {
+      const file = writeFile('talk.vtt', 'WEBVTT\n\n00:00.000 --> 00:01.000\nHello\n');
+      const stdout = output();
+      const stderr = output();
+
+      const code = await main([file, '-p', 'codex', '-m', 'gpt-5', '-i', 'Be brief', '-q'], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(codexBridge.generateSummary).toHaveBeenCalledWith(
+        'talk', 'Hello', '', [], [], [], 'Be brief', expect.any(Function),
+        expect.objectContaining({ model: 'gpt-5', contentType: 'video_with_captions', templateSections: null })
+      );
+      expect(stdout.text).toMatch(/^# talk\n\n## Summary\n\nA short summary\./);
+      expect(stderr.text).toBe('');
+    });
+
+    it('prints JSON with --format json', async () => {
+      const stdout = output();
+      await main(['-', '-f', 'json', '--title', 'Clip', '-c', 'selected_text'], { stdin: Readable.from(['Text']), stdout, stderr: output() });
+
+      expect(JSON.parse(stdout.text)).toMatchObject({ title: 'Clip', contentType: 'selected_text', provider: 'claude', summary: 'A short summary.' });
+    });
+
+    it('saves to Apple Notes with --format notes', async () => {
+      // Format the note for real so a wrong item shape still fails
+      const saveNote = jest.spyOn(appleNotes, 'saveNote').mockImplementation(async (note) => {
+        appleNotes.formatNoteContent(note.title, note.url, note.summary, note.keyLearnings, note.relevantLinks, note.actionItems);
+        return { success: true };
+      });
+      const stdout = output();
+      const stderr = output();
+
+      try {
+        const code = await main(['-', '-f', 'notes', '--folder', 'Talks', '--title', 'Clip'], { stdin: Readable.from(['Text']), stdout, stderr });
+
+        expect(code).toBe(0);
+        expect(saveNote).toHaveBeenCalledWith(expect.objectContaining({
+          folder: 'Talks',
+          title: 'Clip',
+          summary: 'A short summary.',
+          actionItems: [{ text: 'Try it' }]
+        }));
+        expect(stdout.text).toBe('Saved "Clip" to Apple Notes folder "Talks"\n');
+        expect(stderr.text).toBe('');
+      } finally {
+        saveNote.mockRestore();
+      }
+    });
+
+    it('reports progress on stderr', async () => {
+      claudeBridge.generateSummary.mockImplementation(async (...args) => {
+        const onProgress = args[7];
+        onProgress({ stage: 'generating', message: 'Generating summary...' });
+        onProgress({ stage: 'generating', message: 'Generating summary...', partialText: 'Sum' });
+        return result;
+      });
+      const stderr = output();
+
+      await main(['-'], { stdin: Readable.from(['Text']), stdout: output(), stderr });
+      expect(stderr.text).toBe('Generating summary...\n');
+    });
+
+    it('exits 1 with the bridge error', async () => {
+      claudeBridge.generateSummary.mockResolvedValue({ success: false, error: 'Claude CLI not found' });
+      const stderr = output();
+
+      expect(await main(['-'], { stdin: Readable.from(['Text']), stdout: output(), stderr })).toBe(1);
+      expect(stderr.text).toBe('ai-summary: Claude CLI not found\n');
+    });
+
+    it('exits 2 on usage errors', async () => {
+      const stderr = output();
+      expect(await main(['--nope'], { stdout: output(), stderr })).toBe(2);
+      expect(stderr.text).toMatch(/^ai-summary: Unknown option/);
+    });
+  });
+});
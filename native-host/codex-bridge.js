@@ -11,6 +11,8 @@ const os = require('os');
 const path = require('path');
 const logger = require('./logger');
 const claudeBridge = require('./claude-bridge');
+const structuredOutput = require('./structured-output');
+const { timeoutMessage } = require('./timeouts');
 
 /**
  * Generate summary using Codex CLI.
@@ -18,26 +20,52 @@ const claudeBridge = require('./claude-bridge');
  */
 async function generateSummary(videoTitle, transcript, description = '', descriptionLinks = [], creatorComments = [], viewerComments = [], customInstructions = null, onProgress = () => {}, options = {}) {
   const log = (msg) => logger.log(msg, 'codex-bridge');
-  const { model, contentType, author, siteName, publishDate, templateSections } = options;
+  const { model, contentType, author, siteName, publishDate, templateSections, signal, structured, timeoutMs } = options;
 
   try {
     onProgress({ stage: 'preparing', message: 'Preparing content...' });
 
+    const jsonSchema = structured
+      ? structuredOutput.buildJsonSchema(templateSections, claudeBridge.getSchemaContext(contentType, descriptionLinks, creatorComments))
+      : null;
+
+    // Same map-reduce as claude-bridge: chunk notes replace an over-long transcript.
+    const condensed = await claudeBridge.condenseLongContent(videoTitle, transcript, (chunkPrompt, chunkSignal) => (
+      callCodex(chunkPrompt, () => {}, { model, timeoutMs, signal: chunkSignal })
+    ), { contentType, onProgress, signal });
+    if (condensed.chunked) {
+      log(`Transcript of ${transcript.length} characters summarized in ${condensed.chunkCount} chunks`);
+    }
+    const source = condensed.text;
+
     let prompt;
     if (contentType === 'article' || contentType === 'webpage') {
-      prompt = claudeBridge.createArticlePrompt(videoTitle, transcript, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections });
+      prompt = claudeBridge.createArticlePrompt(videoTitle, source, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections, jsonSchema });
     } else if (contentType === 'selected_text') {
-      prompt = claudeBridge.createSelectionPrompt(videoTitle, transcript, customInstructions, { templateSections });
+      prompt = claudeBridge.createSelectionPrompt(videoTitle, source, customInstructions, { templateSections, jsonSchema });
     } else {
-      prompt = claudeBridge.createPrompt(videoTitle, transcript, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections });
+      prompt = claudeBridge.createPrompt(videoTitle, source, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections, jsonSchema });
     }
     log(`Prompt length: ${prompt.length} characters (contentType: ${contentType || 'youtube_video'})`);
 
-    const response = await callCodex(prompt, onProgress, { model });
-    log(`CLI response received: ${response.length} characters`);
+    let parsed;
+    if (jsonSchema) {
+      const result = await structuredOutput.generateStructured(prompt, jsonSchema, (p) => (
+        callCodex(p, p === prompt ? onProgress : () => {}, { model, timeoutMs, signal })
+      ), { onProgress, log });
+      log(`CLI response received: ${result.response.length} characters (structured, ${result.data ? (result.repaired ? 'repaired' : 'valid') : 'invalid - using text parser'})`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = result.data
+        ? structuredOutput.toParsedResult(result.data, descriptionLinks)
+        : claudeBridge.parseResponse(result.response, descriptionLinks, templateSections);
+    } else {
+      const response = await callCodex(prompt, onProgress, { model, timeoutMs, signal });
+      log(`CLI response received: ${response.length} characters`);
 
-    onProgress({ stage: 'parsing', message: 'Extracting insights...' });
-    const parsed = claudeBridge.parseResponse(response, descriptionLinks, templateSections);
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = claudeBridge.parseResponse(response, descriptionLinks, templateSections);
+    }
     log(`Parsed summary: ${parsed.summary.length} chars, ${parsed.keyLearnings.length} learnings, ${parsed.actionItems.length} actions, ${parsed.relevantLinks.length} links`);
 
     onProgress({ stage: 'complete', message: 'Done!' });
@@ -60,13 +88,13 @@ async function generateSummary(videoTitle, transcript, description = '', descrip
  */
 async function generateFollowUp(videoTitle, transcript, query, existingLearnings = [], options = {}) {
   const log = (msg) => logger.log(msg, 'codex-bridge:followup');
-  const { model } = options;
+  const { model, signal, timeoutMs } = options;
 
   try {
     const prompt = claudeBridge.createFollowUpPrompt(videoTitle, transcript, query, existingLearnings);
     log(`Follow-up prompt length: ${prompt.length} characters`);
 
-    const response = await callCodex(prompt, () => {}, { model });
+    const response = await callCodex(prompt, () => {}, { model, timeoutMs, signal });
     log(`CLI response received: ${response.length} characters`);
 
     const parsed = claudeBridge.parseFollowUpResponse(response);
@@ -89,11 +117,11 @@ async function generateFollowUp(videoTitle, transcript, query, existingLearnings
  */
 async function chat(prompt, options = {}) {
   const log = (msg) => logger.log(msg, 'codex-bridge:chat');
-  const { model } = options;
+  const { model, signal, timeoutMs } = options;
 
   try {
     log(`Chat prompt length: ${prompt.length} characters`);
-    const response = await callCodex(prompt, () => {}, { model });
+    const response = await callCodex(prompt, () => {}, { model, timeoutMs, signal });
     log(`Chat response: ${response.length} characters`);
     return { success: true, reply: response.trim() };
   } catch (error) {
@@ -106,9 +134,17 @@ async function chat(prompt, options = {}) {
  * Spawn `codex exec`, write prompt to stdin, return final agent message.
  * Uses --ephemeral (no session files) and --output-last-message <tmpfile> so
  * we get the clean assistant reply without scraping codex's TUI output.
+ * Aborting `options.signal` kills the child and rejects with "Request cancelled";
+ * `options.timeoutMs` (default claudeBridge.DEFAULT_TIMEOUT_MS) caps the run.
  */
 function callCodex(prompt, onProgress = () => {}, options = {}) {
   return new Promise((resolve, reject) => {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
     const codexCommand = findCodexCommand();
     if (!codexCommand) {
       reject(new Error('Codex CLI not found. Install with `npm i -g @openai/codex` and run `codex login`.'));
@@ -120,16 +156,18 @@ function callCodex(prompt, onProgress = () => {}, options = {}) {
     // Default to gpt-5.5 explicitly so the extension's behavior doesn't
     // drift if the user changes their codex config.toml default. Caller
     // can override via options.model.
+    const codexModel = options.model || 'gpt-5.5';
     const args = [
       'exec',
       '--skip-git-repo-check',
       '--color', 'never',
       '--ephemeral',
-      '-m', options.model || 'gpt-5.5'
+      '-m', codexModel
     ];
 
     // Final message lands in this file — much cleaner than parsing stdout.
-    const tmpFile = path.join(os.tmpdir(), `codex-out-${process.pid}-${Date.now()}.txt`);
+    // Random suffix: chunked summaries run several codex processes at once.
+    const tmpFile = path.join(os.tmpdir(), `codex-out-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.txt`);
     args.push('--output-last-message', tmpFile);
 
     const child = spawn(codexCommand, args, {
@@ -140,6 +178,14 @@ function callCodex(prompt, onProgress = () => {}, options = {}) {
     let stderr = '';
     let stdoutBytes = 0;
     let firstChunkSeen = false;
+    let cancelled = false;
+
+    const onAbort = () => {
+      cancelled = true;
+      child.kill();
+      reject(new Error('Request cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     child.stdout.on('data', (data) => {
       stdoutBytes += data.length;
@@ -166,6 +212,10 @@ function callCodex(prompt, onProgress = () => {}, options = {}) {
         // ignore
       }
 
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (cancelled) return;
+
       if (code !== 0) {
         const detail = stderr.trim() || 'No error output captured';
         reject(new Error(`Codex exited with code ${code}. Details: ${detail}`));
@@ -194,10 +244,11 @@ function callCodex(prompt, onProgress = () => {}, options = {}) {
     child.stdin.end();
     onProgress({ stage: 'waiting', message: 'Codex is analyzing...', inputTokens: estimatedInputTokens });
 
-    setTimeout(() => {
+    const timeoutMs = options.timeoutMs || claudeBridge.DEFAULT_TIMEOUT_MS;
+    const timeoutId = setTimeout(() => {
       child.kill();
-      reject(new Error('Codex request timed out'));
-    }, 120000);
+      reject(new Error(timeoutMessage(`Codex (${codexModel})`, timeoutMs)));
+    }, timeoutMs);
   });
 }
 
@@ -268,6 +319,7 @@ module.exports = {
   generateSummary,
   generateFollowUp,
   chat,
+  callCodex,
   findCodexCommand,
   isLoggedIn
 };
@@ -0,0 +1,338 @@
+/**
+ * Health checks for the `diagnose` action.
+ *
+ * Each check resolves to { id, label, status, detail, fix?, latencyMs? } where
+ * status is 'ok' | 'warn' | 'fail' | 'skipped'. Checks never throw: a broken
+ * dependency becomes a failed check with a hint on how to fix it, so the
+ * settings page can render the whole list as a checklist.
+ */
+
+const { execFile } = require('child_process');
+const logger = require('./logger');
+
+const PROMPT_TIMEOUT_MS = 45000;
+const VERSION_TIMEOUT_MS = 5000;
+const APPLESCRIPT_TIMEOUT_MS = 15000;
+
+// Tiny prompt that proves the provider is installed, authenticated and answering
+const TEST_PROMPT = 'Reply with the single word OK.';
+
+const log = (msg) => logger.log(msg, 'diagnostics');
+
+/**
+ * Default dependencies, resolved lazily so tests can pass their own.
+ */
+function defaultDeps() {
+  const claudeBridge = require('./claude-bridge');
+  const codexBridge = require('./codex-bridge');
+  const localBridge = require('./local-bridge');
+  const anthropicBridge = require('./anthropic-bridge');
+  const anthropicClient = require('./anthropic-client');
+  const appleNotes = require('./apple-notes');
+  const appleReminders = require('./apple-reminders');
+  const elevenlabs = require('./elevenlabs');
+
+  return {
+    platform: process.platform,
+    bridges: { claude: claudeBridge, codex: codexBridge, local: localBridge, anthropic: anthropicBridge },
+    findClaudeCommand: claudeBridge.findClaudeCodeCommand,
+    findCodexCommand: codexBridge.findCodexCommand,
+    isCodexLoggedIn: codexBridge.isLoggedIn,
+    getCommandVersion,
+    checkLocalServer: localBridge.checkServer,
+    checkAnthropicAuth: anthropicClient.checkAuthStatus,
+    listNotesFolders: appleNotes.listFolders,
+    listReminderLists: appleReminders.listReminderLists,
+    listVoices: elevenlabs.listVoices
+  };
+}
+
+/**
+ * Run `<command> --version`
+ * @param {string} command - Path or name of the CLI
+ * @returns {Promise<string>} - First line of the output
+ */
+function getCommandVersion(command) {
+  return new Promise((resolve, reject) => {
+    execFile(command, ['--version'], { timeout: VERSION_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error.code === 'ENOENT' ? new Error(`${command} not found`) : error);
+        return;
+      }
+      resolve(stdout.trim().split('\n')[0]);
+    });
+  });
+}
+
+/**
+ * Reject if promise hasn't settled within ms
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Send TEST_PROMPT through a bridge's chat() and time it
+ * @returns {Promise<{success: boolean, latencyMs: number, error?: string}>}
+ */
+async function runTestPrompt(bridge, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROMPT_TIMEOUT_MS);
+  const started = Date.now();
+  try {
+    const result = await bridge.chat(TEST_PROMPT, { ...options, signal: controller.signal });
+    const latencyMs = Date.now() - started;
+    if (controller.signal.aborted) {
+      return { success: false, latencyMs, error: `No reply after ${PROMPT_TIMEOUT_MS / 1000}s` };
+    }
+    return result.success
+      ? { success: true, latencyMs }
+      : { success: false, latencyMs, error: result.error };
+  } catch (error) {
+    return { success: false, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Compare the extension's protocol version with the host's
+ */
+function checkProtocol(hostVersion, extensionVersion) {
+  const label = 'Extension ↔ native host protocol';
+  if (extensionVersion === undefined || extensionVersion === null) {
+    return {
+      id: 'protocol', label, status: 'warn',
+      detail: `Host speaks protocol ${hostVersion}; the extension didn't report one`,
+      fix: 'Reload the extension so it matches the native host.'
+    };
+  }
+  if (extensionVersion === hostVersion) {
+    return { id: 'protocol', label, status: 'ok', detail: `Protocol ${hostVersion}` };
+  }
+  return {
+    id: 'protocol', label, status: 'fail',
+    detail: `Extension speaks protocol ${extensionVersion}, host speaks ${hostVersion}`,
+    fix: extensionVersion > hostVersion
+      ? 'The native host is out of date. Re-run ./install.sh (or ./install-safari.sh for Safari).'
+      : 'The extension is out of date. Reload it from chrome://extensions (or re-run ./install-safari.sh for Safari).'
+  };
+}
+
+/**
+ * Check the CLI is installed and report its path and version
+ * @param {string} id - 'claude' | 'codex'
+ * @param {string|null} command - Resolved command, or null if not found
+ * @param {boolean} required - Whether the provider is selected or in the failover order
+ */
+async function checkCli(id, label, command, required, installHint, deps) {
+  if (!command) {
+    return { id: `${id}-cli`, label, status: required ? 'fail' : 'skipped', detail: 'Not installed', fix: installHint };
+  }
+  try {
+    const version = await deps.getCommandVersion(command);
+    return { id: `${id}-cli`, label, status: 'ok', detail: `${version} (${command})` };
+  } catch (error) {
+    return {
+      id: `${id}-cli`, label, status: required ? 'fail' : 'skipped',
+      detail: `Could not run ${command}: ${error.message}`, fix: installHint
+    };
+  }
+}
+
+/**
+ * Send the test prompt to a provider and turn the outcome into a check
+ */
+async function checkPrompt(id, label, bridge, options, fixFor) {
+  const result = await runTestPrompt(bridge, options);
+  if (result.success) {
+    return { id: `${id}-prompt`, label, status: 'ok', detail: `Replied in ${(result.latencyMs / 1000).toFixed(1)}s`, latencyMs: result.latencyMs };
+  }
+  return {
+    id: `${id}-prompt`, label, status: 'fail',
+    detail: result.error, fix: fixFor(result.error), latencyMs: result.latencyMs
+  };
+}
+
+function claudeFix(error) {
+  if (/not logged in|log ?in|auth/i.test(error || '')) {
+    return 'Run `claude` in Terminal once to log in. On Safari, also check the LaunchAgent is running (re-run ./install-safari.sh).';
+  }
+  return 'Run `claude --print "hello"` in Terminal to see the full error.';
+}
+
+function codexFix(error) {
+  if (/log ?in|auth|unauthori[sz]ed/i.test(error || '')) {
+    return 'Run `codex login` in Terminal.';
+  }
+  return 'Run `codex exec "hello"` in Terminal to see the full error.';
+}
+
+/**
+ * Check each provider: CLI install and version (Claude, Codex), auth or
+ * server reachability (API, local), then a test prompt when usable.
+ */
+async function checkProviders(options, deps) {
+  const inUse = new Set(options.providersInUse || []);
+  const testPrompts = options.testPrompts !== false;
+  const checks = [];
+
+  // Claude Code CLI
+  const claudeCli = await checkCli('claude', 'Claude Code CLI', deps.findClaudeCommand(), inUse.has('claude'),
+    'Install Claude Code (https://claude.com/claude-code), then re-run ./install.sh so the host can find it.', deps);
+  checks.push(claudeCli);
+
+  // Codex CLI
+  const codexCli = await checkCli('codex', 'Codex CLI', deps.findCodexCommand(), inUse.has('codex'),
+    'Install with `npm i -g @openai/codex`, then run `codex login`.', deps);
+  if (codexCli.status === 'ok' && !deps.isCodexLoggedIn()) {
+    Object.assign(codexCli, { status: 'warn', detail: `${codexCli.detail}, not logged in`, fix: 'Run `codex login` in Terminal.' });
+  }
+  checks.push(codexCli);
+
+  // Claude API
+  const anthropicAuth = deps.checkAnthropicAuth(options.anthropicApiKey);
+  const anthropicUsable = anthropicAuth.method === 'oauth' || anthropicAuth.method === 'api_key';
+  checks.push(anthropicUsable
+    ? { id: 'anthropic-auth', label: 'Claude API credentials', status: 'ok', detail: anthropicAuth.method === 'oauth' ? "Using Claude Code's login" : 'Using your API key' }
+    : {
+      id: 'anthropic-auth', label: 'Claude API credentials', status: inUse.has('anthropic') ? 'fail' : 'skipped',
+      detail: 'No OAuth token or API key', fix: 'Add an Anthropic API key under AI Provider, or log in to Claude Code.'
+    });
+
+  // Local server, only when one is configured
+  let localUsable = false;
+  if (options.localBaseUrl) {
+    const server = await deps.checkLocalServer(options.localBaseUrl, options.localApiKey);
+    localUsable = server.available;
+    const modelMissing = server.available && options.localModel && server.models?.length > 0 && !server.models.includes(options.localModel);
+    checks.push(server.available
+      ? {
+        id: 'local-server', label: 'Local model server', status: modelMissing ? 'warn' : 'ok',
+        detail: modelMissing ? `Reachable, but "${options.localModel}" isn't listed` : `Reachable at ${options.localBaseUrl}`,
+        ...(modelMissing && { fix: `Pull the model on the server (e.g. \`ollama pull ${options.localModel}\`) or pick one it lists.` })
+      }
+      : {
+        id: 'local-server', label: 'Local model server', status: inUse.has('local') ? 'fail' : 'warn',
+        detail: server.error || 'Not reachable', fix: `Start the server (e.g. \`ollama serve\`) and check the base URL ${options.localBaseUrl}.`
+      });
+  } else {
+    checks.push({ id: 'local-server', label: 'Local model server', status: inUse.has('local') ? 'fail' : 'skipped', detail: 'No server configured', fix: 'Set a base URL under AI Provider → Local model.' });
+  }
+
+  if (!testPrompts) return checks;
+
+  // Test prompts run side by side; each has its own timeout
+  const prompts = [];
+  if (claudeCli.status === 'ok') {
+    prompts.push(checkPrompt('claude', 'Claude Code test prompt', deps.bridges.claude, { model: options.claudeModel }, claudeFix));
+  }
+  if (codexCli.status === 'ok') {
+    prompts.push(checkPrompt('codex', 'Codex test prompt', deps.bridges.codex, { model: options.codexModel }, codexFix));
+  }
+  if (anthropicUsable) {
+    prompts.push(checkPrompt('anthropic', 'Claude API test prompt', deps.bridges.anthropic, { apiKey: options.anthropicApiKey },
+      () => 'Check the API key under AI Provider, or log in to Claude Code again.'));
+  }
+  if (localUsable) {
+    prompts.push(checkPrompt('local', 'Local model test prompt', deps.bridges.local,
+      { baseUrl: options.localBaseUrl, apiKey: options.localApiKey, model: options.localModel },
+      () => 'Check the model name under AI Provider → Local model.'));
+  }
+  checks.push(...await Promise.all(prompts));
+
+  return checks;
+}
+
+/**
+ * Check AppleScript can drive an app (macOS asks for Automation permission
+ * the first time, and the prompt can sit unanswered)
+ */
+async function checkAppleScript(id, label, list, noun, deps) {
+  if (deps.platform !== 'darwin') {
+    return { id, label, status: 'skipped', detail: 'macOS only' };
+  }
+  try {
+    const items = await withTimeout(list(), APPLESCRIPT_TIMEOUT_MS, 'No answer (is a permission prompt waiting?)');
+    return { id, label, status: 'ok', detail: `${items.length} ${noun}${items.length === 1 ? '' : 's'}` };
+  } catch (error) {
+    return {
+      id, label, status: 'fail', detail: error.message,
+      fix: 'Allow the host under System Settings → Privacy & Security → Automation, then run the checks again.'
+    };
+  }
+}
+
+async function checkElevenLabs(apiKey, deps) {
+  const label = 'ElevenLabs API key';
+  if (!apiKey) {
+    return { id: 'elevenlabs', label, status: 'skipped', detail: 'No key set (only needed for audio)' };
+  }
+  const result = await deps.listVoices(apiKey);
+  if (result.success) {
+    return { id: 'elevenlabs', label, status: 'ok', detail: `Valid, ${result.voices.length} voices` };
+  }
+  return { id: 'elevenlabs', label, status: 'fail', detail: result.error, fix: 'Copy the key again from elevenlabs.io → Profile → API Keys.' };
+}
+
+/**
+ * Run every check
+ * @param {Object} options
+ * @param {number} options.hostProtocolVersion
+ * @param {number} [options.extensionProtocolVersion]
+ * @param {string[]} [options.providersInUse] - Selected provider plus failover order; missing ones fail instead of being skipped
+ * @param {boolean} [options.testPrompts=true] - Send a test prompt to each usable provider
+ * @param {string} [options.claudeModel]
+ * @param {string} [options.codexModel]
+ * @param {string} [options.localBaseUrl]
+ * @param {string} [options.localModel]
+ * @param {string} [options.localApiKey]
+ * @param {string} [options.anthropicApiKey]
+ * @param {string} [options.elevenlabsApiKey]
+ * @param {Object} [deps] - Overrides for testing
+ * @returns {Promise<{checks: Object[], counts: Object}>}
+ */
+async function runDiagnostics(options = {}, deps = defaultDeps()) {
+  const started = Date.now();
+  const runtime = {
+    id: 'runtime', label: 'Native host', status: 'ok',
+    detail: `Node ${process.version} at ${process.execPath}`
+  };
+
+  const [providers, notes, reminders, elevenlabs] = await Promise.all([
+    checkProviders(options, deps),
+    checkAppleScript('notes', 'Apple Notes access', deps.listNotesFolders, 'folder', deps),
+    checkAppleScript('reminders', 'Reminders access', deps.listReminderLists, 'list', deps),
+    checkElevenLabs(options.elevenlabsApiKey, deps)
+  ]);
+
+  const checks = [
+    checkProtocol(options.hostProtocolVersion, options.extensionProtocolVersion),
+    runtime,
+    ...providers,
+    notes,
+    reminders,
+    elevenlabs
+  ];
+
+  const counts = { ok: 0, warn: 0, fail: 0, skipped: 0 };
+  checks.forEach((check) => {
+    counts[check.status]++;
+    if (check.status === 'fail') logger.warn(`${check.label}: ${check.detail}`, 'diagnostics');
+  });
+  log(`Diagnostics finished in ${Date.now() - started}ms: ${counts.ok} ok, ${counts.warn} warn, ${counts.fail} fail, ${counts.skipped} skipped`);
+
+  return { checks, counts };
+}
+
+module.exports = {
+  runDiagnostics,
+  TEST_PROMPT,
+  // Exported for testing
+  checkProtocol,
+  getCommandVersion
+};
@@ -0,0 +1,198 @@
+/**
+ * Tests for diagnostics.js
+ * Runs the checklist against fake dependencies
+ */
+
+jest.mock('./logger', () => ({ log: jest.fn(), warn: jest.fn() }));
+
+const { runDiagnostics, checkProtocol, TEST_PROMPT } = require('./diagnostics');
+
+function fakeBridge(result = { success: true, reply: 'OK' }) {
+  return { chat: jest.fn().mockResolvedValue(result) };
+}
+
+function makeDeps(overrides = {}) {
+  return {
+    platform: 'darwin',
+    bridges: {
+      claude: fakeBridge(),
+      codex: fakeBridge(),
+      local: fakeBridge(),
+      anthropic: fakeBridge()
+    },
+    findClaudeCommand: () => '/Users/me/.claude/local/claude',
+    findCodexCommand: () => '/opt/homebrew/bin/codex',
+    isCodexLoggedIn: () => true,
+    getCommandVersion: jest.fn(async (command) => (command.includes('codex') ? 'codex-cli 0.50.0' : '2.0.14 (Claude Code)')),
+    checkLocalServer: jest.fn().mockResolvedValue({ available: true, models: ['llama3.1'] }),
+    checkAnthropicAuth: () => ({ method: 'oauth', available: true }),
+    listNotesFolders: jest.fn().mockResolvedValue(['Notes', 'YouTube']),
+    listReminderLists: jest.fn().mockResolvedValue(['Reminders']),
+    listVoices: jest.fn().mockResolvedValue({ success: true, voices: [{ id: 'a' }, { id: 'b' }] }),
+    ...overrides
+  };
+}
+
+function byId(result, id) {
+  return result.checks.find(check => check.id === id);
+}
+
+describe('diagnostics', () => {
+  describe('checkProtocol', () => {
+    it('passes when versions match', () => {
+      expect(checkProtocol(1, 1)).toMatchObject({ status: 'ok', detail: 'Protocol 1' });
+    });
+
+    it('warns when the extension sends no version', () => {
+      expect(checkProtocol(1, undefined).status).toBe('warn');
+    });
+
+    it('points at install.sh when the host is older', () => {
+      const check = checkProtocol(1, 2);
+      expect(check.status).toBe('fail');
+      expect(check.fix).toContain('install.sh');
+    });
+
+    it('points at reloading the extension when it is older', () => {
+      expect(checkProtocol(2, 1).fix).toContain('Reload');
+    });
+  });
+
+  describe('runDiagnostics', () => {
+    const baseOptions = {
+      hostProtocolVersion: 1,
+      extensionProtocolVersion: 1,
+      providersInUse: ['claude'],
+      localBaseUrl: 'http://localhost:11434/v1',
+      localModel: 'llama3.1',
+      elevenlabsApiKey: 'xi-key'
+    };
+
+    it('reports every check as ok when everything works', async () => {
+      const result = await runDiagnostics(baseOptions, makeDeps());
+
+      expect(result.checks.map(c => c.id)).toEqual([
+        'protocol', 'runtime',
+        'claude-cli', 'codex-cli', 'anthropic-auth', 'local-server',
+        'claude-prompt', 'codex-prompt', 'anthropic-prompt', 'local-prompt',
+        'notes', 'reminders', 'elevenlabs'
+      ]);
+      expect(result.counts).toEqual({ ok: 13, warn: 0, fail: 0, skipped: 0 });
+    });
+
+    it('includes CLI version and path', async () => {
+      const result = await runDiagnostics(baseOptions, makeDeps());
+
+      expect(byId(result, 'claude-cli').detail).toBe('2.0.14 (Claude Code) (/Users/me/.claude/local/claude)');
+      expect(byId(result, 'codex-cli').detail).toContain('codex-cli 0.50.0');
+    });
+
+    it('sends the test prompt with the configured model and reports latency', async () => {
+      const deps = makeDeps();
+      const result = await runDiagnostics({ ...baseOptions, claudeModel: 'haiku' }, deps);
+
+      expect(deps.bridges.claude.chat).toHaveBeenCalledWith(TEST_PROMPT, expect.objectContaining({ model: 'haiku', signal: expect.any(Object) }));
+      expect(byId(result, 'claude-prompt')).toMatchObject({ status: 'ok', latencyMs: expect.any(Number) });
+    });
+
+    it('skips test prompts when asked', async () => {
+      const deps = makeDeps();
+      const result = await runDiagnostics({ ...baseOptions, testPrompts: false }, deps);
+
+      expect(deps.bridges.claude.chat).not.toHaveBeenCalled();
+      expect(byId(result, 'claude-prompt')).toBeUndefined();
+    });
+
+    it('fails a missing CLI only when that provider is in use', async () => {
+      const deps = makeDeps({ findCodexCommand: () => null });
+
+      const unused = await runDiagnostics(baseOptions, deps);
+      expect(byId(unused, 'codex-cli')).toMatchObject({ status: 'skipped', detail: 'Not installed' });
+      expect(byId(unused, 'codex-prompt')).toBeUndefined();
+
+      const used = await runDiagnostics({ ...baseOptions, providersInUse: ['claude', 'codex'] }, deps);
+      expect(byId(used, 'codex-cli')).toMatchObject({ status: 'fail', fix: expect.stringContaining('npm i -g @openai/codex') });
+    });
+
+    it('fails a CLI that will not run', async () => {
+      const deps = makeDeps({ getCommandVersion: jest.fn().mockRejectedValue(new Error('claude not found')) });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'claude-cli')).toMatchObject({ status: 'fail', detail: expect.stringContaining('claude not found') });
+      expect(byId(result, 'claude-prompt')).toBeUndefined();
+    });
+
+    it('warns when codex is installed but not logged in', async () => {
+      const result = await runDiagnostics(baseOptions, makeDeps({ isCodexLoggedIn: () => false }));
+
+      expect(byId(result, 'codex-cli')).toMatchObject({ status: 'warn', fix: 'Run `codex login` in Terminal.' });
+    });
+
+    it('gives a login hint when the Claude prompt says not logged in', async () => {
+      const deps = makeDeps();
+      deps.bridges.claude = fakeBridge({ success: false, error: 'Claude exited with code 1. Details: Not logged in' });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'claude-prompt')).toMatchObject({ status: 'fail', fix: expect.stringContaining('log in') });
+    });
+
+    it('turns a throwing bridge into a failed check', async () => {
+      const deps = makeDeps();
+      deps.bridges.codex = { chat: jest.fn().mockRejectedValue(new Error('spawn EACCES')) };
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'codex-prompt')).toMatchObject({ status: 'fail', detail: 'spawn EACCES' });
+    });
+
+    it('skips the Claude API without credentials', async () => {
+      const deps = makeDeps({ checkAnthropicAuth: () => ({ method: 'none', available: false }) });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'anthropic-auth').status).toBe('skipped');
+      expect(deps.bridges.anthropic.chat).not.toHaveBeenCalled();
+    });
+
+    it('warns when the local model is not on the server', async () => {
+      const deps = makeDeps({ checkLocalServer: jest.fn().mockResolvedValue({ available: true, models: ['mistral'] }) });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'local-server')).toMatchObject({ status: 'warn', fix: expect.stringContaining('ollama pull llama3.1') });
+    });
+
+    it('does not probe a local server when none is configured', async () => {
+      const deps = makeDeps();
+      const result = await runDiagnostics({ ...baseOptions, localBaseUrl: '' }, deps);
+
+      expect(deps.checkLocalServer).not.toHaveBeenCalled();
+      expect(byId(result, 'local-server').status).toBe('skipped');
+    });
+
+    it('reports missing Automation permission with a fix', async () => {
+      const deps = makeDeps({
+        listNotesFolders: jest.fn().mockRejectedValue(new Error('Please grant permission to control Apple Notes'))
+      });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'notes')).toMatchObject({ status: 'fail', fix: expect.stringContaining('Automation') });
+      expect(byId(result, 'reminders')).toMatchObject({ status: 'ok', detail: '1 list' });
+    });
+
+    it('skips AppleScript checks off macOS', async () => {
+      const deps = makeDeps({ platform: 'linux' });
+      const result = await runDiagnostics(baseOptions, deps);
+
+      expect(byId(result, 'notes').status).toBe('skipped');
+      expect(deps.listNotesFolders).not.toHaveBeenCalled();
+    });
+
+    it('checks the ElevenLabs key only when one is set', async () => {
+      const deps = makeDeps({ listVoices: jest.fn().mockResolvedValue({ success: false, error: 'Invalid API key' }) });
+
+      const withKey = await runDiagnostics(baseOptions, deps);
+      expect(byId(withKey, 'elevenlabs')).toMatchObject({ status: 'fail', detail: 'Invalid API key' });
+
+      const withoutKey = await runDiagnostics({ ...baseOptions, elevenlabsApiKey: '' }, deps);
+      expect(byId(withoutKey, 'elevenlabs').status).toBe('skipped');
+    });
+  });
+});
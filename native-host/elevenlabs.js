@@ -4,6 +4,7 @@
  */
 
 const https = require('https');
+const { timeoutMessage } = require('./timeouts');
 
 const ELEVENLABS_API_BASE = 'api.elevenlabs.io';
 
@@ -12,9 +13,12 @@ const ELEVENLABS_API_BASE = 'api.elevenlabs.io';
  * @param {string} text - Text to convert to speech
  * @param {string} voiceId - ElevenLabs voice ID
  * @param {string} apiKey - ElevenLabs API key
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=120000] - Give up after this long
  * @returns {Promise<{success: boolean, audio?: string, error?: string}>}
  */
-async function generateSpeech(text, voiceId, apiKey) {
+async function generateSpeech(text, voiceId, apiKey, options = {}) {
+  const { timeoutMs = 120000 } = options;
   if (!text || !voiceId || !apiKey) {
     return { success: false, error: 'Missing required parameters' };
   }
@@ -35,7 +39,7 @@ async function generateSpeech(text, voiceId, apiKey) {
       }
     });
 
-    const options = {
+    const requestOptions = {
       hostname: ELEVENLABS_API_BASE,
       port: 443,
       path: `/v1/text-to-speech/${voiceId}`,
@@ -48,7 +52,7 @@ async function generateSpeech(text, voiceId, apiKey) {
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = https.request(requestOptions, (res) => {
       const chunks = [];
 
       res.on('data', (chunk) => {
@@ -85,9 +89,9 @@ async function generateSpeech(text, voiceId, apiKey) {
       resolve({ success: false, error: `Network error: ${error.message}` });
     });
 
-    req.setTimeout(120000, () => {
+    req.setTimeout(timeoutMs, () => {
       req.destroy();
-      resolve({ success: false, error: 'Request timed out (2 minutes)' });
+      resolve({ success: false, error: timeoutMessage('ElevenLabs', timeoutMs) });
     });
 
     req.write(postData);
@@ -7,23 +7,138 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const claudeBridge = require('./claude-bridge');
 const codexBridge = require('./codex-bridge');
+const localBridge = require('./local-bridge');
+const anthropicBridge = require('./anthropic-bridge');
+const anthropicClient = require('./anthropic-client');
+const retryPolicy = require('./retry-policy');
+const summaryCache = require('./summary-cache');
+const diagnostics = require('./diagnostics');
 const appleNotes = require('./apple-notes');
 const appleReminders = require('./apple-reminders');
 const logger = require('./logger');
 const elevenlabs = require('./elevenlabs');
+const messageChunks = require('./message-chunks');
+const { createProgressStore } = require('./progress-store');
+const messageSchema = require('./message-schema');
+const timestamps = require('./timestamps');
+const chapters = require('./chapters');
+const catchUpSummary = require('./catch-up');
 const { execSync } = require('child_process');
 
+// Version of the message protocol between background.js and this host.
+// Bump it whenever an action or response shape changes incompatibly, and
+// bump PROTOCOL_VERSION in extension/background.js to match.
+const PROTOCOL_VERSION = 3;
+const HOST_VERSION = require('./package.json').version;
+
+// Chrome refuses to send extension → host messages over 64 MB. The other
+// direction is capped at 1 MB per message; sendResponse chunks around it.
+const MAX_REQUEST_BYTES = 64 * 1024 * 1024;
+
 /**
  * Resolve which provider bridge to use based on the message.
  * Defaults to Claude for backwards compatibility with old extension builds.
  */
 function getBridge(provider) {
   if (provider === 'codex') return codexBridge;
+  if (provider === 'local') return localBridge;
+  if (provider === 'anthropic') return anthropicBridge;
   return claudeBridge;
 }
 
+/**
+ * Connection settings for HTTP providers, sent by the extension with each
+ * request. The CLI bridges need none.
+ */
+function getConnectionOptions(message) {
+  if (message.provider === 'local') {
+    return { baseUrl: message.localBaseUrl, apiKey: message.localApiKey };
+  }
+  if (message.provider === 'anthropic') {
+    return { apiKey: message.anthropicApiKey };
+  }
+  return {};
+}
+
+const PROVIDER_NAMES = { claude: 'Claude', codex: 'Codex', anthropic: 'Claude API', local: 'Local model' };
+
+function providerName(provider) {
+  return PROVIDER_NAMES[provider] || provider;
+}
+
+/**
+ * Call a bridge under the retry policy: transient failures are retried with
+ * backoff, then the request moves through `message.failoverOrder`.
+ * Models for failover providers come from `message.providerModels`.
+ * @param {Object} message - Request message (provider, model, providerModels, failoverOrder, connection fields)
+ * @param {function(Object, Object): Promise<Object>} call - (bridge, { model, ...connection }) => bridge result
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<Object>} - Bridge result plus `provider` (who produced it)
+ *   and, when earlier providers failed, `failedProviders`
+ */
+async function callWithRetry(message, call, { signal, onProgress = () => {} } = {}) {
+  const primary = message.provider || 'claude';
+  const chain = retryPolicy.resolveProviderChain(primary, message.failoverOrder);
+
+  const result = await retryPolicy.runWithFailover(chain, (provider) => {
+    const model = provider === primary ? message.model : message.providerModels?.[provider];
+    // Tag everything the bridge logs with the provider actually being tried
+    return logger.runWithContext({ provider }, () => (
+      call(getBridge(provider), { ...getConnectionOptions({ ...message, provider }), model, timeoutMs: message.timeoutMs })
+    ));
+  }, {
+    signal,
+    onRetry: ({ provider, retry, maxRetries, delayMs, error }) => {
+      logger.warn(`${provider} failed (${error}); retry ${retry}/${maxRetries} in ${delayMs}ms`);
+      onProgress({ stage: 'sending', message: `${providerName(provider)} failed — retrying in ${Math.round(delayMs / 1000)}s (attempt ${retry + 1} of ${maxRetries + 1})...` });
+    },
+    onFailover: ({ from, to, error, errorClass }) => {
+      logger.warn(`${from} failed (${errorClass}: ${error}); failing over to ${to}`);
+      onProgress({ stage: 'sending', message: `${providerName(from)} unavailable — trying ${providerName(to)}...` });
+    }
+  });
+
+  const { attempts, ...rest } = result;
+  if (result.success) {
+    const failedProviders = [...new Set(attempts.map(a => a.provider))].filter(p => p !== result.provider);
+    return failedProviders.length > 0 ? { ...rest, failedProviders } : rest;
+  }
+  return { ...rest, error: describeFailure(attempts) || rest.error, errorClass: attempts.length > 0 ? attempts[attempts.length - 1].errorClass : undefined };
+}
+
+/**
+ * Summarize failed attempts for the user, e.g.
+ * "Claude failed after 3 attempts: Claude exited with code 1..." or
+ * "All providers failed. Claude: ...; Codex: ..."
+ * @param {Array<{provider: string, error: string, errorClass: string}>} attempts
+ * @returns {string|null}
+ */
+function describeFailure(attempts) {
+  if (attempts.length === 0) return null;
+  const last = attempts[attempts.length - 1];
+  if (last.errorClass === retryPolicy.ERROR_CLASS.CANCELLED) return last.error;
+
+  const providers = [...new Set(attempts.map(a => a.provider))];
+  if (providers.length > 1) {
+    const lastErrors = providers.map(p => {
+      const lastForProvider = attempts.filter(a => a.provider === p).pop();
+      return `${providerName(p)}: ${lastForProvider.error}`;
+    });
+    return `All providers failed. ${lastErrors.join('; ')}`;
+  }
+  if (attempts.length > 1) {
+    return `${providerName(last.provider)} failed after ${attempts.length} attempts: ${last.error}`;
+  }
+  return last.error;
+}
+
+// In-flight CLI requests, keyed by requestId, so `cancel` can abort them.
+// Each entry is an AbortController whose signal is threaded into the bridge.
+const activeRequests = new Map();
+
 // Native messaging protocol uses length-prefixed messages
 // Message format: [4 bytes: message length][message in JSON]
 
@@ -70,89 +185,175 @@ function processMessages() {
   }
 }
 
-// Handle incoming message
-async function handleMessage(message) {
-  const { action, requestId } = message;
-
-  try {
-    let response;
-
-    switch (action) {
-      case 'generateSummary':
-        response = await handleGenerateSummary(message);
-        break;
-
-      case 'saveToNotes':
-        response = await handleSaveToNotes(message);
-        break;
-
-      case 'listFolders':
-        response = await handleListFolders();
-        break;
-
-      case 'followUp':
-        response = await handleFollowUp(message);
-        break;
-
-      case 'chat':
-        response = await handleChat(message);
-        break;
+// Handle incoming message. Everything logged while handling it carries its
+// requestId and provider; message.logLevel overrides verbosity for this request.
+// Messages that don't match their action's schema (message-schema.js) are
+// answered with { success: false, code, field, error } and never dispatched.
+function handleMessage(message) {
+  const problem = messageSchema.validateMessage(message);
+  if (problem) {
+    const requestId = message && typeof message === 'object' ? message.requestId : undefined;
+    logger.warn(`Rejected ${(message && message.action) || 'message'}: ${problem.error}`);
+    sendResponse({ requestId, success: false, ...problem });
+    return;
+  }
 
-      case 'generateAudio':
-        response = await handleGenerateAudio(message);
-        break;
+  const { requestId, provider, logLevel } = message;
+  return logger.runWithContext({ requestId, provider: provider || null, logLevel }, () => dispatchMessage(message));
+}
 
-      case 'listVoices':
-        response = await handleListVoices(message);
-        break;
+// Every action the host understands. `hello` reports these keys to the
+// extension so it can hide features an older install doesn't have.
+const ACTION_HANDLERS = {
+  hello: handleHello,
+  generateSummary: handleGenerateSummary,
+  saveToNotes: handleSaveToNotes,
+  listFolders: handleListFolders,
+  followUp: handleFollowUp,
+  chat: handleChat,
+  generateAudio: handleGenerateAudio,
+  listVoices: handleListVoices,
+  checkAuth: handleCheckAuth,
+  cancel: handleCancel,
+  getProgress: handleGetProgress,
+  clearCache: handleClearCache,
+  getCacheStats: handleGetCacheStats,
+  getLogs: handleGetLogs,
+  diagnose: handleDiagnose
+};
+
+// While a request runs, tell the extension the host is still alive so its
+// timer (which only fires on silence) doesn't give up on a slow CLI that
+// has yet to print anything. Only extensions on protocol 3+ expect these.
+const HEARTBEAT_INTERVAL_MS = 15000;
+const HEARTBEAT_PROTOCOL_VERSION = 3;
+const NO_HEARTBEAT_ACTIONS = new Set(['hello', 'cancel', 'getProgress']);
+
+function startHeartbeat(message) {
+  const { action, requestId, protocolVersion } = message;
+  if (!(protocolVersion >= HEARTBEAT_PROTOCOL_VERSION) || NO_HEARTBEAT_ACTIONS.has(action)) {
+    return () => {};
+  }
+  const startedAt = Date.now();
+  const timer = setInterval(() => {
+    sendResponse({ type: 'progress', requestId, progress: { stage: 'heartbeat', elapsedMs: Date.now() - startedAt } });
+  }, HEARTBEAT_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
 
-      case 'checkAuth':
-        response = await handleCheckAuth(message);
-        break;
+async function dispatchMessage(message) {
+  const { action, requestId } = message;
+  const stopHeartbeat = startHeartbeat(message);
+  if (action !== 'getProgress') {
+    progressStore.start(requestId, action);
+  }
 
-      default:
-        response = {
-          success: false,
-          error: `Unknown action: ${action}`
-        };
-    }
+  try {
+    const handler = Object.prototype.hasOwnProperty.call(ACTION_HANDLERS, action) ? ACTION_HANDLERS[action] : null;
+    const response = handler
+      ? await handler(message)
+      : { success: false, error: `Unknown action: ${action}` };
 
     // Include requestId in response
     response.requestId = requestId;
     sendResponse(response);
 
   } catch (error) {
+    logger.error(`${action} failed: ${error.message}`);
     sendResponse({
       requestId,
       success: false,
       error: error.message
     });
+  } finally {
+    stopHeartbeat();
   }
 }
 
+// Handle hello action - the handshake background.js sends first on every
+// connection: versions, supported actions and providers, and size limits
+function handleHello(message) {
+  if (message.protocolVersion !== undefined && message.protocolVersion !== PROTOCOL_VERSION) {
+    logger.warn(`Extension speaks protocol ${message.protocolVersion}, host speaks ${PROTOCOL_VERSION}`);
+  }
+  return {
+    success: true,
+    protocolVersion: PROTOCOL_VERSION,
+    hostVersion: HOST_VERSION,
+    actions: Object.keys(ACTION_HANDLERS),
+    providers: Object.keys(PROVIDER_NAMES),
+    limits: {
+      maxFrameBytes: messageChunks.MAX_FRAME_BYTES,
+      maxRequestBytes: MAX_REQUEST_BYTES,
+      maxSourceChars: claudeBridge.MAX_SOURCE_LENGTH
+    },
+    platform: process.platform
+  };
+}
+
 // Handle generate summary action
 async function handleGenerateSummary(message) {
-  const { contentType, videoId, title, transcript, description, descriptionLinks, creatorComments, viewerComments, customInstructions, templateSections, requestId, model, author, siteName, publishDate, provider } = message;
-  const bridge = getBridge(provider);
+  const { contentType, videoId, title, description, descriptionLinks, creatorComments, viewerComments, customInstructions, templateSections, requestId, model, author, siteName, publishDate, provider, structuredOutput, transcriptSegments } = message;
 
   if (!videoId && contentType === 'youtube_video') {
     return { success: false, error: 'Video ID is required' };
   }
 
-  if (!transcript) {
+  if (!message.transcript) {
     return { success: false, error: 'Content text is required' };
   }
 
+  // Videos with caption timing send segments too; the prompt gets them as
+  // [m:ss] lines so key learnings can cite where they come from
+  const transcript = Array.isArray(transcriptSegments) && transcriptSegments.length > 0
+    ? timestamps.formatTimestampedTranscript(transcriptSegments)
+    : message.transcript;
+
+  // "Catch me up" sends part of the video; the instructions say which part
+  // and what's already been summarized (catch-up.js)
+  const catchUp = message.catchUp || null;
+  const instructions = catchUp
+    ? catchUpSummary.buildCatchUpInstructions(catchUp, customInstructions || claudeBridge.DEFAULT_INSTRUCTIONS)
+    : customInstructions;
+
+  // Chapter-by-chapter mode splits the segments at the chapter start times.
+  // Without creator chapters, autoChapters generates them from the segments.
+  // Neither applies to part of a video.
+  const creatorParts = catchUp ? null : chapters.splitByChapter(transcriptSegments, message.chapters);
+  const chapteringPrompt = message.autoChapters && !catchUp && !creatorParts ? chapters.createChapteringPrompt(title, transcriptSegments) : null;
+  let chapterParts = message.chapterMode ? creatorParts : null;
+
+  // Serve a previous result for identical input unless the user asked to regenerate
+  const useCache = message.useCache !== false;
+  const cacheKey = summaryCache.buildCacheKey({
+    contentType, transcript, provider, model, customInstructions: instructions, templateSections, structured: !!structuredOutput,
+    chapters: chapteringPrompt
+      ? ['auto', !!message.chapterMode]
+      : chapterParts && chapterParts.map(part => [part.start, part.title])
+  });
+  if (useCache && !message.forceRefresh) {
+    const cached = summaryCache.get(cacheKey);
+    if (cached) {
+      logDebug(`Summary cache hit (${cacheKey.substring(0, 12)}, created ${new Date(cached.createdAt).toISOString()})`);
+      return { ...cached.result, cached: true, cachedAt: cached.createdAt };
+    }
+  }
+
+  const controller = trackRequest(requestId);
+
   try {
-    logDebug(`Received transcript: ${transcript.length} characters`);
-    logDebug(`Creator comments: ${creatorComments?.length || 0}, Viewer comments: ${viewerComments?.length || 0}`);
+    logger.debug(`Received transcript: ${transcript.length} characters`);
+    logger.debug(`Creator comments: ${creatorComments?.length || 0}, Viewer comments: ${viewerComments?.length || 0}`);
     if (customInstructions) {
       logDebug('Using custom analysis instructions');
     }
+    if (catchUp) {
+      logDebug(`Catching up from ${timestamps.formatTimestamp(catchUp.from)} to ${timestamps.formatTimestamp(catchUp.to)}${catchUp.previousSummary ? ' (extending)' : ''}`);
+    }
 
     // Progress callback to send updates back to Chrome
     const onProgress = (progress) => {
-      logDebug(`Progress: ${progress.stage} - ${progress.message}`);
+      logger.debug(`Progress: ${progress.stage} - ${progress.message}`);
       sendResponse({
         type: 'progress',
         requestId: requestId,
@@ -160,37 +361,109 @@ async function handleGenerateSummary(message) {
       });
     };
 
+    // Generated chapters stand in for creator ones. Failing to get them
+    // doesn't fail the summary.
+    let generatedChapters = null;
+    if (chapteringPrompt) {
+      onProgress({ stage: 'waiting', message: 'Finding chapters...' });
+      const result = await callWithRetry(message, (bridge, providerOptions) => (
+        bridge.chat(chapteringPrompt, { ...providerOptions, signal: controller.signal })
+      ), { signal: controller.signal });
+      generatedChapters = result.success ? chapters.parseChapterList(result.reply, transcriptSegments) : null;
+      if (generatedChapters) {
+        logDebug(`Generated ${generatedChapters.length} chapters`);
+        if (message.chapterMode) {
+          chapterParts = chapters.splitByChapter(transcriptSegments, generatedChapters);
+        }
+      } else if (!controller.signal.aborted) {
+        logger.warn(`Could not generate chapters: ${result.success ? 'no chapter list in the reply' : result.error}`);
+      }
+    }
+
+    // Each chapter first, like the chunk pass; the whole-video call below
+    // then streams its preview as usual
+    let chapterResults = null;
+    if (chapterParts) {
+      logDebug(`Summarizing ${chapterParts.length} chapters`);
+      chapterResults = await chapters.summarizeChapters(chapterParts, (part, signal) => callWithRetry(message, (bridge, providerOptions) => (
+        bridge.generateSummary(`${title} - ${part.title}`, part.transcript, '', [], [], [], chapters.CHAPTER_INSTRUCTIONS, () => {}, { ...providerOptions, contentType: contentType || 'youtube_video', templateSections: chapters.CHAPTER_SECTIONS, signal, structured: !!structuredOutput })
+      ), { signal }), { onProgress, signal: controller.signal });
+
+      const failed = chapterResults.filter(chapter => chapter.error).length;
+      if (failed > 0) {
+        logger.warn(`${failed} of ${chapterResults.length} chapter summaries failed`);
+      }
+    } else if (message.chapterMode) {
+      logDebug('Chapter mode requested, but there are no chapters or transcript segments to split');
+    }
+
+    if (controller.signal.aborted) {
+      logDebug(`Summary request ${requestId} cancelled`);
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
+
     // Generate summary with selected provider
-    logDebug(`Generating summary with provider=${provider || 'claude'}, model=${model || 'default'}`);
-    logDebug(`Description length: ${description?.length || 0} chars, Links: ${descriptionLinks?.length || 0}`);
-    const summaryResult = await bridge.generateSummary(title, transcript, description, descriptionLinks, creatorComments, viewerComments, customInstructions, onProgress, { model, contentType: contentType || 'youtube_video', author, siteName, publishDate, templateSections });
+    logDebug(`Generating summary with provider=${provider || 'claude'}, model=${model || 'default'}${structuredOutput ? ', structured output' : ''}`);
+    logger.debug(`Description length: ${description?.length || 0} chars, Links: ${descriptionLinks?.length || 0}`);
+    const summaryResult = await callWithRetry(message, (bridge, providerOptions) => (
+      bridge.generateSummary(title, transcript, description, descriptionLinks, creatorComments, viewerComments, instructions, onProgress, { ...providerOptions, contentType: contentType || 'youtube_video', author, siteName, publishDate, templateSections, signal: controller.signal, structured: !!structuredOutput })
+    ), { signal: controller.signal, onProgress });
+
+    if (controller.signal.aborted) {
+      logDebug(`Summary request ${requestId} cancelled`);
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
 
     if (!summaryResult.success) {
+      logger.error(`Summary failed: ${summaryResult.error}`);
       return summaryResult;
     }
 
     logDebug('Summary generated successfully');
 
-    return {
+    // A catch-up extension comes back merged onto the earlier summary
+    const merged = catchUp ? catchUpSummary.mergeCatchUp(catchUp, summaryResult) : null;
+
+    const response = {
       success: true,
-      summary: summaryResult.summary,
-      keyLearnings: summaryResult.keyLearnings,
-      actionItems: summaryResult.actionItems || [],
-      relevantLinks: summaryResult.relevantLinks || []
+      summary: merged ? merged.summary : summaryResult.summary,
+      keyLearnings: merged ? merged.keyLearnings : summaryResult.keyLearnings,
+      actionItems: merged ? merged.actionItems : (summaryResult.actionItems || []),
+      relevantLinks: summaryResult.relevantLinks || [],
+      ...(merged && { catchUp: { from: catchUp.from, to: catchUp.to, newLearnings: merged.newLearnings, selected: !!catchUp.selected } }),
+      ...(chapterResults && { chapters: chapterResults }),
+      ...(generatedChapters && { generatedChapters }),
+      provider: summaryResult.provider,
+      ...(summaryResult.failedProviders && { failedProviders: summaryResult.failedProviders }),
+      // Only the API providers report real token counts
+      ...(summaryResult.usage && { usage: summaryResult.usage })
     };
 
+    // The key names the requested provider; a fallback's answer would be
+    // served for it from then on. Failed chapter summaries, or chapters
+    // that couldn't be generated, would be too, until the user regenerates.
+    const chaptersFailed = (!!chapterResults && chapterResults.some(chapter => chapter.error))
+      || (!!chapteringPrompt && !generatedChapters);
+    if (useCache && !summaryResult.failedProviders && !chaptersFailed) {
+      summaryCache.set(cacheKey, response);
+    }
+
+    return response;
+
   } catch (error) {
-    logDebug(`Error: ${error.message}`);
+    logger.error(`Error generating summary: ${error.message}`);
     return {
       success: false,
       error: error.message
     };
+  } finally {
+    activeRequests.delete(requestId);
   }
 }
 
 // Handle save to Apple Notes action
 async function handleSaveToNotes(message) {
-  const { folder, videoTitle, videoUrl, summary, keyLearnings, relevantLinks, actionItems, customNotes, noteId, reminderIds } = message;
+  const { folder, videoTitle, videoUrl, summary, keyLearnings, relevantLinks, actionItems, customNotes, noteId, reminderIds, chapters: chapterOutline } = message;
 
   if (!folder || !videoTitle || !summary) {
     return {
@@ -212,6 +485,7 @@ async function handleSaveToNotes(message) {
       relevantLinks: relevantLinks || [],
       actionItems: actionItems || [],
       customNotes,
+      chapters: chapterOutline || [],
       noteId
     });
 
@@ -250,7 +524,7 @@ async function handleSaveToNotes(message) {
     };
 
   } catch (error) {
-    logDebug(`Error saving to Notes: ${error.message}`);
+    logger.error(`Error saving to Notes: ${error.message}`);
     return {
       success: false,
       error: `Failed to save to Apple Notes: ${error.message}`
@@ -270,7 +544,7 @@ async function handleListFolders() {
       folders: folders
     };
   } catch (error) {
-    logDebug(`Error listing folders: ${error.message}`);
+    logger.error(`Error listing folders: ${error.message}`);
     return {
       success: false,
       error: `Failed to list folders: ${error.message}`
@@ -278,15 +552,66 @@ async function handleListFolders() {
   }
 }
 
+// Notes from condenseSource, keyed by content type and source hash, so a
+// chat about a long video condenses it once rather than on every turn.
+// Safari's agent-server.js runs each request in its own host.js, so there
+// every turn condenses again.
+const MAX_CONDENSED_SOURCES = 10;
+const condensedSources = new Map();
+
+/**
+ * Condense a source too long for one prompt into notes (claude-bridge.js
+ * condenseLongContent), for follow-ups and chat. Short sources come back
+ * unchanged.
+ * @param {string} title - Content title
+ * @param {string} transcript - Full source text
+ * @param {Object} bridge - Provider bridge whose chat() summarizes each part
+ * @param {Object} options - { providerOptions, contentType, requestId, signal }
+ * @returns {Promise<string>} - Source or notes; rejects if a part fails
+ */
+async function condenseSource(title, transcript, bridge, { providerOptions, contentType, requestId, signal }) {
+  if (!transcript || transcript.length <= claudeBridge.MAX_SOURCE_LENGTH) {
+    return transcript;
+  }
+
+  const key = `${contentType || 'youtube_video'}:${crypto.createHash('sha256').update(transcript).digest('hex')}`;
+  if (condensedSources.has(key)) {
+    logDebug(`Reusing condensed source (${transcript.length} chars)`);
+    return condensedSources.get(key);
+  }
+
+  const condensed = await claudeBridge.condenseLongContent(title, transcript, async (prompt, chunkSignal) => {
+    const result = await bridge.chat(prompt, { ...providerOptions, signal: chunkSignal });
+    if (!result.success) throw new Error(result.error);
+    return result.reply;
+  }, {
+    contentType,
+    signal,
+    onProgress: (progress) => sendResponse({ type: 'progress', requestId, progress })
+  });
+  logDebug(`Condensed source from ${transcript.length} to ${condensed.text.length} chars in ${condensed.chunkCount} parts`);
+
+  if (condensedSources.size >= MAX_CONDENSED_SOURCES) {
+    condensedSources.delete(condensedSources.keys().next().value);
+  }
+  condensedSources.set(key, condensed.text);
+  return condensed.text;
+}
+
 // Handle follow-up query action
 async function handleFollowUp(message) {
-  const { videoId, title, transcript, query, existingLearnings, model, provider } = message;
-  const bridge = getBridge(provider);
+  const { videoId, title, query, existingLearnings, provider, requestId, transcriptSegments } = message;
 
-  if (!transcript) {
+  if (!message.transcript) {
     return { success: false, error: 'Transcript is required' };
   }
 
+  // A range picked in the transcript viewer comes with its segments, so
+  // the learnings can cite [m:ss] times
+  const transcript = Array.isArray(transcriptSegments) && transcriptSegments.length > 0
+    ? timestamps.formatTimestampedTranscript(transcriptSegments)
+    : message.transcript;
+
   if (!query) {
     return { success: false, error: 'Query is required' };
   }
@@ -295,7 +620,20 @@ async function handleFollowUp(message) {
     logDebug(`Processing follow-up query (provider=${provider || 'claude'}): ${query.substring(0, 50)}...`);
     logDebug(`Existing learnings: ${existingLearnings.length}`);
 
-    const result = await bridge.generateFollowUp(title, transcript, query, existingLearnings, { model });
+    const controller = trackRequest(requestId);
+    const result = await callWithRetry(message, async (bridge, providerOptions) => {
+      let source;
+      try {
+        source = await condenseSource(title, transcript, bridge, { providerOptions, contentType: message.contentType, requestId, signal: controller.signal });
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      return bridge.generateFollowUp(title, source, query, existingLearnings, { ...providerOptions, signal: controller.signal });
+    }, { signal: controller.signal });
+
+    if (controller.signal.aborted) {
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
 
     if (!result.success) {
       return result;
@@ -307,15 +645,20 @@ async function handleFollowUp(message) {
       success: true,
       insights: result.insights || [],
       actions: result.actions || [],
-      additionalLearnings: result.insights || [] // backward compat
+      additionalLearnings: result.insights || [], // backward compat
+      provider: result.provider,
+      ...(result.failedProviders && { failedProviders: result.failedProviders }),
+      ...(result.usage && { usage: result.usage })
     };
 
   } catch (error) {
-    logDebug(`Error in follow-up: ${error.message}`);
+    logger.error(`Error in follow-up: ${error.message}`);
     return {
       success: false,
       error: error.message
     };
+  } finally {
+    activeRequests.delete(requestId);
   }
 }
 
@@ -330,7 +673,8 @@ async function handleChat(message) {
     title,
     url,
     contentType,
-    transcript,
+    transcriptSegments,
+    transcriptRange,
     summary,
     keyLearnings,
     actionItems,
@@ -338,35 +682,61 @@ async function handleChat(message) {
     viewerComments,
     messages,
     model,
-    provider
+    provider,
+    requestId
   } = message;
 
   if (!Array.isArray(messages) || messages.length === 0) {
     return { success: false, error: 'At least one chat message is required' };
   }
 
-  const bridge = getBridge(provider);
-  const prompt = buildChatPrompt({
-    title,
-    url,
-    contentType,
-    transcript,
-    summary,
-    keyLearnings,
-    actionItems,
-    creatorComments,
-    viewerComments,
-    messages
-  });
+  // Chatting about a range picked in the transcript viewer sends just its
+  // segments, which the prompt gets as [m:ss] lines
+  const transcript = Array.isArray(transcriptSegments) && transcriptSegments.length > 0
+    ? timestamps.formatTimestampedTranscript(transcriptSegments)
+    : message.transcript;
 
   try {
-    logDebug(`Chat (provider=${provider || 'claude'}, model=${model || 'default'}, turns=${messages.length}, prompt=${prompt.length} chars)`);
-    const result = await bridge.chat(prompt, { model });
+    const controller = trackRequest(requestId);
+    const result = await callWithRetry(message, async (bridge, providerOptions) => {
+      let source;
+      try {
+        source = await condenseSource(title, transcript, bridge, { providerOptions, contentType, requestId, signal: controller.signal });
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      const prompt = buildChatPrompt({
+        title,
+        url,
+        contentType,
+        transcript: source,
+        transcriptRange,
+        summary,
+        keyLearnings,
+        actionItems,
+        creatorComments,
+        viewerComments,
+        messages
+      });
+      logDebug(`Chat (provider=${provider || 'claude'}, model=${model || 'default'}, turns=${messages.length}, prompt=${prompt.length} chars)`);
+      return bridge.chat(prompt, { ...providerOptions, signal: controller.signal });
+    }, { signal: controller.signal });
+    if (controller.signal.aborted) {
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
     if (!result.success) return result;
-    return { success: true, reply: result.reply };
+    return {
+      success: true,
+      reply: result.reply,
+      provider: result.provider,
+      ...(result.failedProviders && { failedProviders: result.failedProviders }),
+      ...(result.usage && { usage: result.usage })
+    };
   } catch (error) {
-    logDebug(`Error in chat: ${error.message}`);
+    logger.error(`Error in chat: ${error.message}`);
     return { success: false, error: error.message };
+  } finally {
+    activeRequests.delete(requestId);
   }
 }
 
@@ -374,12 +744,9 @@ async function handleChat(message) {
  * Serialize the full conversation context into a single prompt string.
  * Order: system instructions → source material → generated artifacts → comments → conversation history.
  */
-function buildChatPrompt({ title, url, contentType, transcript, summary, keyLearnings, actionItems, creatorComments, viewerComments, messages }) {
-  // Truncate transcript to keep prompt within reasonable bounds.
-  const MAX_TRANSCRIPT = 50000;
-  const truncatedTranscript = transcript && transcript.length > MAX_TRANSCRIPT
-    ? transcript.substring(0, MAX_TRANSCRIPT) + '...[truncated]'
-    : (transcript || '');
+function buildChatPrompt({ title, url, contentType, transcript, transcriptRange, summary, keyLearnings, actionItems, creatorComments, viewerComments, messages }) {
+  // handleChat condenses long sources first, so this is the whole source
+  const source = transcript || '';
 
   const sourceLabel = contentType === 'article' ? 'article'
     : contentType === 'webpage' ? 'web page'
@@ -433,8 +800,11 @@ Format responses as natural prose with markdown when it helps readability (lists
     }
   }
 
-  if (truncatedTranscript) {
-    prompt += `## Source Material (${sourceLabel})\n${truncatedTranscript}\n\n`;
+  if (source) {
+    const range = transcriptRange
+      ? `, ${timestamps.formatTimestamp(transcriptRange.from)} to ${timestamps.formatTimestamp(transcriptRange.to)} only. The user is asking about this part; the summary above covers more`
+      : '';
+    prompt += `## Source Material (${sourceLabel}${range})\n${source}\n\n`;
   }
 
   prompt += `## Conversation\n`;
@@ -456,7 +826,7 @@ Format responses as natural prose with markdown when it helps readability (lists
 
 // Handle generate audio action
 async function handleGenerateAudio(message) {
-  const { text, voiceId, apiKey } = message;
+  const { text, voiceId, apiKey, timeoutMs } = message;
 
   if (!text) {
     return { success: false, error: 'Text is required' };
@@ -472,23 +842,20 @@ async function handleGenerateAudio(message) {
 
   try {
     logDebug(`Generating audio: ${text.length} chars with voice ${voiceId}`);
-    const result = await elevenlabs.generateSpeech(text, voiceId, apiKey);
+    const result = await elevenlabs.generateSpeech(text, voiceId, apiKey, { timeoutMs });
 
     if (result.success) {
       const audioSizeKB = Math.round((result.audioSizeBytes || 0) / 1024);
       const base64SizeKB = Math.round((result.audio?.length || 0) / 1024);
+      // Long narrations exceed one native message; sendResponse chunks them
       logDebug(`Audio generated: ${audioSizeKB}KB raw, ${base64SizeKB}KB base64`);
-      // Chrome native messaging has 1MB limit, warn if close
-      if (base64SizeKB > 900) {
-        logDebug('WARNING: Audio size approaching 1MB native messaging limit');
-      }
     } else {
       logDebug(`Audio generation failed: ${result.error}`);
     }
 
     return result;
   } catch (error) {
-    logDebug(`Error generating audio: ${error.message}`);
+    logger.error(`Error generating audio: ${error.message}`);
     return { success: false, error: error.message };
   }
 }
@@ -513,7 +880,7 @@ async function handleListVoices(message) {
 
     return result;
   } catch (error) {
-    logDebug(`Error fetching voices: ${error.message}`);
+    logger.error(`Error fetching voices: ${error.message}`);
     return { success: false, error: error.message };
   }
 }
@@ -534,7 +901,19 @@ async function handleCheckAuth(message) {
     const codexAvailable = !!codexBridge.findCodexCommand();
     const codexLoggedIn = codexBridge.isLoggedIn();
 
-    logDebug(`Auth status: claude=${claudeAvailable} codex=${codexAvailable && codexLoggedIn}`);
+    // Only probe the local server when the user has configured one
+    const local = message.localBaseUrl
+      ? await localBridge.checkServer(message.localBaseUrl, message.localApiKey)
+      : { available: false };
+
+    // The API provider can use Claude Code's OAuth token or the user's API key
+    const anthropicAuth = anthropicClient.checkAuthStatus(message.anthropicApiKey);
+    const anthropic = {
+      available: anthropicAuth.method === 'oauth' || anthropicAuth.method === 'api_key',
+      method: anthropicAuth.method
+    };
+
+    logDebug(`Auth status: claude=${claudeAvailable} codex=${codexAvailable && codexLoggedIn} local=${local.available} anthropic=${anthropic.available ? anthropic.method : false}`);
 
     return {
       success: true,
@@ -543,24 +922,144 @@ async function handleCheckAuth(message) {
       available: claudeAvailable,
       providers: {
         claude: { available: claudeAvailable },
-        codex: { available: codexAvailable, loggedIn: codexLoggedIn }
+        codex: { available: codexAvailable, loggedIn: codexLoggedIn },
+        local,
+        anthropic
       }
     };
   } catch (error) {
-    logDebug(`Error checking auth: ${error.message}`);
+    logger.error(`Error checking auth: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Register an in-flight request so a later `cancel` message can abort it.
+ * Callers must remove the entry from activeRequests when the request settles.
+ * @param {number|string} requestId - Id assigned by background.js
+ * @returns {AbortController}
+ */
+function trackRequest(requestId) {
+  const controller = new AbortController();
+  if (requestId !== undefined) {
+    activeRequests.set(requestId, controller);
+  }
+  return controller;
+}
+
+// Handle cancel action - aborts the request named by targetRequestId, which
+// kills its CLI child process. The cancelled request still sends its own
+// response (with cancelled: true) once the bridge unwinds.
+function handleCancel(message) {
+  const { targetRequestId } = message;
+
+  if (targetRequestId === undefined || targetRequestId === null) {
+    return { success: false, error: 'targetRequestId is required' };
+  }
+
+  const controller = activeRequests.get(targetRequestId);
+  if (!controller) {
+    logDebug(`Cancel: no active request ${targetRequestId}`);
+    return { success: true, cancelled: false };
+  }
+
+  logDebug(`Cancelling request ${targetRequestId}`);
+  controller.abort();
+  activeRequests.delete(targetRequestId);
+  return { success: true, cancelled: true };
+}
+
+// Progress of the requests this process handles, for getProgress. Safari's
+// agent-server.js runs each request in its own host.js and answers
+// getProgress from its own store, so this one serves single-process clients.
+const progressStore = createProgressStore();
+
+// Handle getProgress action - updates of a running request since the
+// sequence number `since`, for clients that can't receive progress frames
+function handleGetProgress(message) {
+  const { targetRequestId, since } = message;
+
+  if (targetRequestId === undefined || targetRequestId === null) {
+    return { success: false, error: 'targetRequestId is required' };
+  }
+
+  return { success: true, ...progressStore.get(targetRequestId, since) };
+}
+
+// Handle clear cache action - deletes every cached summary
+function handleClearCache() {
+  try {
+    const { removed, bytes } = summaryCache.clear();
+    logDebug(`Cleared summary cache: ${removed} entries, ${bytes} bytes`);
+    return { success: true, removed, bytes };
+  } catch (error) {
+    logger.error(`Error clearing cache: ${error.message}`);
+    return { success: false, error: `Failed to clear cache: ${error.message}` };
+  }
+}
+
+// Handle get cache stats action - entry count and size for the settings page
+function handleGetCacheStats() {
+  try {
+    return { success: true, ...summaryCache.getStats() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Handle get logs action - recent log entries for the settings page viewer
+function handleGetLogs(message) {
+  const { level, targetRequestId, filterProvider, search, since, limit } = message;
+  try {
+    const entries = logger.readLogs({ level, requestId: targetRequestId, provider: filterProvider, search, since, limit });
+    return { success: true, entries, logPath: logger.getLogPath(), logLevel: logger.getLevel() };
+  } catch (error) {
+    return { success: false, error: `Failed to read logs: ${error.message}` };
+  }
+}
+
+// Handle diagnose action - health checklist for the settings page: CLI
+// versions, a test prompt per provider, AppleScript access, ElevenLabs key,
+// and whether the extension and host agree on the protocol version
+async function handleDiagnose(message) {
+  try {
+    logDebug('Running diagnostics...');
+    const { checks, counts } = await diagnostics.runDiagnostics({
+      hostProtocolVersion: PROTOCOL_VERSION,
+      extensionProtocolVersion: message.protocolVersion,
+      providersInUse: message.providersInUse,
+      testPrompts: message.testPrompts,
+      claudeModel: message.claudeModel,
+      codexModel: message.codexModel,
+      localBaseUrl: message.localBaseUrl,
+      localModel: message.localModel,
+      localApiKey: message.localApiKey,
+      anthropicApiKey: message.anthropicApiKey,
+      elevenlabsApiKey: message.elevenlabsApiKey
+    });
+    return { success: true, checks, counts, protocolVersion: PROTOCOL_VERSION };
+  } catch (error) {
+    logger.error(`Error running diagnostics: ${error.message}`);
     return { success: false, error: error.message };
   }
 }
 
 // Send response to Chrome
 function sendResponse(response) {
-  const message = JSON.stringify(response);
-  const messageBytes = Buffer.from(message, 'utf8');
-  const lengthBytes = Buffer.alloc(4);
-  lengthBytes.writeUInt32LE(messageBytes.length, 0);
+  progressStore.record(response);
+  const frames = messageChunks.splitMessage(response);
+  if (frames.length > 1) {
+    logDebug(`Response for request ${response.requestId} split into ${frames.length} chunks`);
+  }
 
-  process.stdout.write(lengthBytes);
-  process.stdout.write(messageBytes);
+  for (const frame of frames) {
+    const messageBytes = Buffer.from(JSON.stringify(frame), 'utf8');
+    const lengthBytes = Buffer.alloc(4);
+    lengthBytes.writeUInt32LE(messageBytes.length, 0);
+
+    process.stdout.write(lengthBytes);
+    process.stdout.write(messageBytes);
+  }
 }
 
 // Debug logging to file (since stdout is used for messaging)
@@ -0,0 +1,386 @@
+/**
+ * Local HTTP + WebSocket API
+ * An optional front end on agent-server.js for clients that aren't a
+ * browser extension (Raycast scripts, Shortcuts, curl). REST routes map
+ * onto existing host.js actions; each request runs in a fresh `node host.js`
+ * exactly like a Safari request does over the Unix socket.
+ *
+ *   POST /summaries  → generateSummary
+ *   POST /chat       → chat
+ *   GET  /health     → checkAuth (provider availability)
+ *   GET  /ws         → WebSocket: send host.js messages, receive progress + results
+ *
+ * Listens on 127.0.0.1 only and requires the per-install bearer token.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const websocket = require('./websocket');
+const { createChunkAssembler } = require('./message-chunks');
+
+const HOST_JS = path.join(__dirname, 'host.js');
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+const CANCEL_GRACE_MS = 5000;
+
+const ROUTES = {
+  'POST /summaries': 'generateSummary',
+  'POST /chat': 'chat',
+  'GET /health': 'checkAuth'
+};
+
+// Actions a WebSocket client may start; `cancel` is handled by the server
+const STREAM_ACTIONS = ['generateSummary', 'chat', 'followUp'];
+
+const LOCAL_HOSTNAMES = ['127.0.0.1', 'localhost', '[::1]'];
+
+/**
+ * Read the bearer token, creating one on first run
+ * @param {string} tokenPath - Token file (mode 0600)
+ * @returns {string}
+ */
+function loadOrCreateToken(tokenPath) {
+  try {
+    const existing = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (existing) return existing;
+  } catch (_) {
+    // Not created yet
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+  return token;
+}
+
+/**
+ * Constant-time token comparison
+ * @param {string} candidate - Token from the request
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function tokenMatches(candidate, token) {
+  if (!candidate || !token) return false;
+  const a = Buffer.from(candidate);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check the Authorization header, or `?token=` on WebSocket upgrades
+ * (some WebSocket clients can't set headers).
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @param {string} token - Expected token
+ * @param {boolean} allowQueryToken - Accept the token as a query parameter
+ * @returns {boolean}
+ */
+function isAuthorized(req, url, token, allowQueryToken = false) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (match) return tokenMatches(match[1].trim(), token);
+  return allowQueryToken && tokenMatches(url.searchParams.get('token'), token);
+}
+
+/**
+ * Reject Host headers other than loopback so a web page can't reach the
+ * API through DNS rebinding.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function isLocalHost(req) {
+  const host = String(req.headers.host || '').toLowerCase();
+  const hostname = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+  return LOCAL_HOSTNAMES.includes(hostname);
+}
+
+/**
+ * Encode a message with native messaging framing (4-byte LE length + JSON)
+ * @param {Object} message - Message
+ * @returns {Buffer}
+ */
+function encodeMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+/**
+ * Create an incremental reader for host.js's length-prefixed output
+ * @param {function(Object): void} onMessage - Called per decoded message
+ * @returns {function(Buffer): void}
+ */
+function createMessageReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) return;
+      const body = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+      try {
+        onMessage(JSON.parse(body.toString('utf8')));
+      } catch (_) {
+        // host.js only writes JSON; skip anything unreadable
+      }
+    }
+  };
+}
+
+/**
+ * Run one action in a fresh host.js and resolve with its final response.
+ * Aborting the signal sends host.js a `cancel` for the request, then kills
+ * it if it hasn't answered within a few seconds.
+ * @param {Object} message - host.js message (action, requestId, ...)
+ * @param {Object} options
+ * @param {function} [options.onProgress] - Called with each `type: 'progress'` message
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {function} [options.log] - Logger
+ * @returns {Promise<Object>}
+ */
+function runHostAction(message, options = {}) {
+  const { onProgress = () => {}, signal, log = () => {} } = options;
+
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [HOST_JS], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      cwd: __dirname,
+      env: process.env
+    });
+    let settled = false;
+    let killTimer = null;
+    const chunks = createChunkAssembler();
+
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(killTimer);
+      // host.js exits when stdin closes
+      if (!child.stdin.destroyed) child.stdin.end();
+      resolve(response);
+    };
+
+    child.stdout.on('data', createMessageReader((frame) => {
+      // Large responses arrive as chunk frames; act once they're reassembled
+      const reply = chunks.accept(frame);
+      if (!reply) return;
+      if (reply.type === 'progress') {
+        onProgress(reply);
+      } else if (reply.requestId === message.requestId) {
+        finish(reply);
+      }
+    }));
+    child.stderr.on('data', (chunk) => log(`host.js stderr: ${chunk.toString().trim()}`));
+    child.on('error', (error) => finish({ success: false, error: `Failed to start host.js: ${error.message}` }));
+    child.on('exit', (code) => finish({ success: false, error: `host.js exited with code ${code} before responding` }));
+
+    if (signal) {
+      const onAbort = () => {
+        if (settled) return;
+        log(`cancelling ${message.requestId}`);
+        child.stdin.write(encodeMessage({ action: 'cancel', targetRequestId: message.requestId }));
+        killTimer = setTimeout(() => child.kill(), CANCEL_GRACE_MS);
+      };
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    child.stdin.write(encodeMessage(message));
+  });
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store'
+  });
+  res.end(payload);
+}
+
+/**
+ * Read and parse a JSON object body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<{body?: Object, status?: number, error?: string}>}
+ */
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) {
+        resolve({ status: 413, error: `Request body exceeds ${maxBytes} bytes` });
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({ body: {} });
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          resolve({ status: 400, error: 'Request body must be a JSON object' });
+          return;
+        }
+        resolve({ body });
+      } catch (error) {
+        resolve({ status: 400, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+    req.on('error', (error) => resolve({ status: 400, error: error.message }));
+  });
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.token - Bearer token clients must present
+ * @param {function} [options.runHost] - (message, { onProgress, signal }) => Promise<response>
+ * @param {number} [options.maxBodyBytes] - Request body limit
+ * @param {function} [options.log] - Logger
+ * @returns {http.Server}
+ */
+function createHttpApi(options) {
+  const { token, maxBodyBytes = MAX_BODY_BYTES, log = () => {} } = options;
+  const runHost = options.runHost || ((message, runOptions) => runHostAction(message, { ...runOptions, log }));
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!isLocalHost(req)) {
+      sendJson(res, 403, { success: false, error: 'Host not allowed' });
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendJson(res, 401, { success: false, error: 'Missing or invalid bearer token' });
+      return;
+    }
+
+    const action = ROUTES[`${req.method} ${url.pathname}`];
+    if (!action) {
+      const known = Object.keys(ROUTES).some(route => route.endsWith(` ${url.pathname}`));
+      sendJson(res, known ? 405 : 404, { success: false, error: known ? 'Method not allowed' : 'Not found' });
+      return;
+    }
+
+    let body = {};
+    if (req.method === 'POST') {
+      const parsed = await readJsonBody(req, maxBodyBytes);
+      if (parsed.error) {
+        sendJson(res, parsed.status, { success: false, error: parsed.error });
+        return;
+      }
+      body = parsed.body;
+    }
+
+    const requestId = body.requestId || `http-${crypto.randomUUID()}`;
+    const controller = new AbortController();
+    // Client hung up before we answered: stop the provider call
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    log(`${req.method} ${url.pathname} → ${action} (${requestId})`);
+    const response = await runHost({ ...body, action, requestId }, { signal: controller.signal });
+    if (controller.signal.aborted) return;
+
+    if (action === 'checkAuth') {
+      sendJson(res, response.success ? 200 : 500, {
+        success: !!response.success,
+        status: response.success ? 'ok' : 'error',
+        providers: response.providers,
+        error: response.error
+      });
+      return;
+    }
+
+    sendJson(res, response.success ? 200 : 422, response);
+  }
+
+  function handleUpgrade(req, socket) {
+    const url = new URL(req.url, 'http://localhost');
+    const reject = (status, text) => socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+
+    if (url.pathname !== '/ws') return reject(404, 'Not Found');
+    if (!isLocalHost(req)) return reject(403, 'Forbidden');
+    if (!isAuthorized(req, url, token, true)) return reject(401, 'Unauthorized');
+
+    const active = new Map();
+
+    const connection = websocket.accept(req, socket, {
+      onMessage: async (text) => {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch (error) {
+          connection.send({ success: false, error: `Invalid JSON: ${error.message}` });
+          return;
+        }
+
+        if (message.action === 'cancel') {
+          const controller = active.get(message.targetRequestId);
+          if (controller) controller.abort();
+          connection.send({ requestId: message.requestId, success: true, cancelled: !!controller });
+          return;
+        }
+
+        if (!STREAM_ACTIONS.includes(message.action)) {
+          connection.send({ requestId: message.requestId, success: false, error: `Unsupported action: ${message.action}` });
+          return;
+        }
+
+        const requestId = message.requestId || `ws-${crypto.randomUUID()}`;
+        const controller = new AbortController();
+        active.set(requestId, controller);
+        log(`ws ${message.action} (${requestId})`);
+
+        const response = await runHost({ ...message, requestId }, {
+          signal: controller.signal,
+          onProgress: (progress) => connection.send(progress)
+        });
+        active.delete(requestId);
+        connection.send({ ...response, requestId });
+      },
+      // Socket gone: nobody is listening for these results
+      onClose: () => active.forEach(controller => controller.abort())
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      log(`http error: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { success: false, error: error.message });
+    });
+  });
+  server.on('upgrade', handleUpgrade);
+  return server;
+}
+
+module.exports = {
+  ROUTES,
+  CANCEL_GRACE_MS,
+  createHttpApi,
+  loadOrCreateToken,
+  runHostAction,
+  // Exported for testing
+  isLocalHost,
+  encodeMessage,
+  createMessageReader
+};
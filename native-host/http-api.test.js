@@ -0,0 +1,267 @@
+/**
+ * Tests for http-api.js
+ * Runs the server on a random port with a fake host.js runner
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  createHttpApi,
+  loadOrCreateToken,
+  isLocalHost,
+  encodeMessage,
+  createMessageReader
+} = require('./http-api');
+const { OPCODE, encodeFrame, createFrameParser } = require('./websocket');
+
+const TOKEN = 'test-token';
+
+function startApi(runHost) {
+  const server = createHttpApi({ token: TOKEN, runHost, maxBodyBytes: 1024 });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+async function request(port, method, pathname, { body, token = TOKEN } = {}) {
+  const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Open a raw WebSocket connection and collect decoded JSON messages
+ */
+function openWebSocket(port, query = `?token=${TOKEN}`) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const messages = [];
+    let handshake = '';
+    let parse = null;
+    const waiters = [];
+
+    const deliver = () => {
+      waiters.splice(0).forEach(waiter => waiter());
+    };
+
+    socket.on('data', (chunk) => {
+      if (parse) {
+        parse(chunk);
+        return;
+      }
+      handshake += chunk.toString('latin1');
+      const end = handshake.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      const status = handshake.split(' ')[1];
+      if (status !== '101') {
+        socket.destroy();
+        resolve({ status });
+        return;
+      }
+      parse = createFrameParser(({ opcode, payload }) => {
+        if (opcode === OPCODE.TEXT) messages.push(JSON.parse(payload.toString()));
+        deliver();
+      });
+      resolve({
+        status,
+        messages,
+        send: (message) => {
+          // Clients must mask; an all-zero mask leaves the payload unchanged
+          const frame = encodeFrame(OPCODE.TEXT, JSON.stringify(message));
+          const header = frame.subarray(0, frame.length - Buffer.byteLength(JSON.stringify(message)));
+          header[1] |= 0x80;
+          socket.write(Buffer.concat([header, Buffer.alloc(4), frame.subarray(header.length)]));
+        },
+        waitFor: (predicate) => new Promise((done) => {
+          const check = () => (predicate(messages) ? done(messages) : waiters.push(check));
+          check();
+        }),
+        close: () => socket.destroy()
+      });
+    });
+    socket.on('error', reject);
+    socket.write([
+      `GET /ws${query} HTTP/1.1`,
+      `Host: 127.0.0.1:${port}`,
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+      'Sec-WebSocket-Version: 13',
+      '',
+      ''
+    ].join('\r\n'));
+  });
+}
+
+describe('http-api', () => {
+  let api;
+  let runHost;
+
+  beforeEach(async () => {
+    runHost = jest.fn(async (message) => ({ success: true, requestId: message.requestId, summary: 'A summary.' }));
+    api = await startApi((...args) => runHost(...args));
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  describe('authentication', () => {
+    it('rejects requests without the bearer token', async () => {
+      const response = await request(api.port, 'GET', '/health', { token: null });
+      expect(response.status).toBe(401);
+      expect(runHost).not.toHaveBeenCalled();
+    });
+
+    it('rejects a wrong token', async () => {
+      const response = await request(api.port, 'GET', '/health', { token: 'nope' });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('routes', () => {
+    it('maps POST /summaries to generateSummary', async () => {
+      const response = await request(api.port, 'POST', '/summaries', {
+        body: { contentType: 'article', title: 'Post', transcript: 'Text', action: 'saveToNotes' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toBe('A summary.');
+      expect(runHost).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'generateSummary', title: 'Post', requestId: expect.stringMatching(/^http-/) }),
+        expect.objectContaining({ signal: expect.anything() })
+      );
+    });
+
+    it('maps POST /chat to chat and keeps a caller-supplied requestId', async () => {
+      await request(api.port, 'POST', '/chat', { body: { requestId: 'raycast-1', messages: [] } });
+      expect(runHost.mock.calls[0][0]).toMatchObject({ action: 'chat', requestId: 'raycast-1' });
+    });
+
+    it('returns 422 with the host error when the action fails', async () => {
+      runHost.mockResolvedValueOnce({ success: false, error: 'Content text is required' });
+      const response = await request(api.port, 'POST', '/summaries', { body: {} });
+
+      expect(response.status).toBe(422);
+      expect(response.body).toEqual({ success: false, error: 'Content text is required' });
+    });
+
+    it('reports provider availability on GET /health', async () => {
+      runHost.mockResolvedValueOnce({ success: true, providers: { claude: { available: true } } });
+      const response = await request(api.port, 'GET', '/health');
+
+      expect(runHost.mock.calls[0][0].action).toBe('checkAuth');
+      expect(response.body).toMatchObject({ success: true, status: 'ok', providers: { claude: { available: true } } });
+    });
+
+    it('rejects invalid and oversized bodies', async () => {
+      expect((await request(api.port, 'POST', '/summaries', { body: '{nope' })).status).toBe(400);
+      expect((await request(api.port, 'POST', '/summaries', { body: '[]' })).status).toBe(400);
+      expect((await request(api.port, 'POST', '/summaries', { body: { transcript: 'x'.repeat(2048) } })).status).toBe(413);
+    });
+
+    it('returns 404 for unknown paths and 405 for the wrong method', async () => {
+      expect((await request(api.port, 'GET', '/nope')).status).toBe(404);
+      expect((await request(api.port, 'GET', '/summaries')).status).toBe(405);
+    });
+  });
+
+  describe('isLocalHost', () => {
+    it('accepts loopback hosts only', () => {
+      expect(isLocalHost({ headers: { host: '127.0.0.1:8765' } })).toBe(true);
+      expect(isLocalHost({ headers: { host: 'localhost:8765' } })).toBe(true);
+      expect(isLocalHost({ headers: { host: '[::1]:8765' } })).toBe(true);
+      expect(isLocalHost({ headers: { host: 'evil.example:8765' } })).toBe(false);
+    });
+  });
+
+  describe('WebSocket', () => {
+    it('rejects upgrades without a token', async () => {
+      const ws = await openWebSocket(api.port, '');
+      expect(ws.status).toBe('401');
+    });
+
+    it('streams progress and the final result for a request', async () => {
+      runHost = jest.fn(async (message, { onProgress }) => {
+        onProgress({ type: 'progress', requestId: message.requestId, progress: { stage: 'generating', percent: 50 } });
+        return { success: true, summary: 'Done' };
+      });
+      const ws = await openWebSocket(api.port);
+
+      ws.send({ action: 'generateSummary', requestId: 'job-1', transcript: 'Text' });
+      const messages = await ws.waitFor(list => list.some(m => m.success !== undefined));
+      ws.close();
+
+      expect(messages).toEqual([
+        { type: 'progress', requestId: 'job-1', progress: { stage: 'generating', percent: 50 } },
+        { success: true, summary: 'Done', requestId: 'job-1' }
+      ]);
+    });
+
+    it('cancels an in-flight request', async () => {
+      runHost = jest.fn((message, { signal }) => new Promise((resolve) => {
+        signal.addEventListener('abort', () => resolve({ success: false, cancelled: true, error: 'Request cancelled' }));
+      }));
+      const ws = await openWebSocket(api.port);
+
+      ws.send({ action: 'chat', requestId: 'job-2', messages: [] });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      ws.send({ action: 'cancel', targetRequestId: 'job-2' });
+      const messages = await ws.waitFor(list => list.some(m => m.requestId === 'job-2'));
+      ws.close();
+
+      expect(messages).toContainEqual({ requestId: 'job-2', success: false, cancelled: true, error: 'Request cancelled' });
+    });
+
+    it('refuses actions outside the streaming set', async () => {
+      const ws = await openWebSocket(api.port);
+      ws.send({ action: 'saveToNotes', requestId: 'x' });
+      const messages = await ws.waitFor(list => list.length > 0);
+      ws.close();
+
+      expect(messages[0]).toEqual({ requestId: 'x', success: false, error: 'Unsupported action: saveToNotes' });
+      expect(runHost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('native messaging framing', () => {
+    it('decodes length-prefixed messages split across chunks', () => {
+      const received = [];
+      const read = createMessageReader(message => received.push(message));
+      const bytes = Buffer.concat([encodeMessage({ a: 1 }), encodeMessage({ b: 2 })]);
+
+      read(bytes.subarray(0, 6));
+      read(bytes.subarray(6));
+
+      expect(received).toEqual([{ a: 1 }, { b: 2 }]);
+    });
+  });
+
+  describe('loadOrCreateToken', () => {
+    it('creates a private token once and reuses it', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-api-test-'));
+      const tokenPath = path.join(dir, 'http-token');
+
+      const token = loadOrCreateToken(tokenPath);
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(loadOrCreateToken(tokenPath)).toBe(token);
+      expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
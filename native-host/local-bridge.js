@@ -0,0 +1,352 @@
+/**
+ * Local Model Bridge (OpenAI-compatible HTTP)
+ * Mirrors the surface of claude-bridge.js for servers that speak the
+ * OpenAI `/v1/chat/completions` protocol — Ollama, llama.cpp's server,
+ * LM Studio, vLLM. Nothing leaves the machine unless the user points the
+ * base URL somewhere else.
+ * Uses Node.js built-in http/https modules (zero dependencies).
+ */
+
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+const claudeBridge = require('./claude-bridge');
+const structuredOutput = require('./structured-output');
+const { parseSSE } = require('./sse');
+const { timeoutMessage } = require('./timeouts');
+const { throttleProgress } = require('./stream-progress');
+
+// Ollama's default OpenAI-compatible endpoint
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Generate summary using a local OpenAI-compatible server.
+ * Reuses the prompt builders from claude-bridge so output format stays in sync.
+ */
+async function generateSummary(videoTitle, transcript, description = '', descriptionLinks = [], creatorComments = [], viewerComments = [], customInstructions = null, onProgress = () => {}, options = {}) {
+  const log = (msg) => logger.log(msg, 'local-bridge');
+  const { model, baseUrl, apiKey, contentType, author, siteName, publishDate, templateSections, signal, structured, timeoutMs } = options;
+  const connection = { model, baseUrl, apiKey, signal, timeoutMs };
+
+  try {
+    onProgress({ stage: 'preparing', message: 'Preparing content...' });
+
+    const jsonSchema = structured
+      ? structuredOutput.buildJsonSchema(templateSections, claudeBridge.getSchemaContext(contentType, descriptionLinks, creatorComments))
+      : null;
+
+    // A local server usually runs one generation at a time, so chunks of a
+    // long transcript go through sequentially rather than in parallel.
+    const condensed = await claudeBridge.condenseLongContent(videoTitle, transcript, (chunkPrompt, chunkSignal) => (
+      callChatCompletions(chunkPrompt, () => {}, { ...connection, signal: chunkSignal })
+    ), { contentType, onProgress, signal, concurrency: 1 });
+    if (condensed.chunked) {
+      log(`Transcript of ${transcript.length} characters summarized in ${condensed.chunkCount} chunks`);
+    }
+    const source = condensed.text;
+
+    let prompt;
+    if (contentType === 'article' || contentType === 'webpage') {
+      prompt = claudeBridge.createArticlePrompt(videoTitle, source, description, descriptionLinks, customInstructions, { author, siteName, publishDate, contentType, templateSections, jsonSchema });
+    } else if (contentType === 'selected_text') {
+      prompt = claudeBridge.createSelectionPrompt(videoTitle, source, customInstructions, { templateSections, jsonSchema });
+    } else {
+      prompt = claudeBridge.createPrompt(videoTitle, source, description, descriptionLinks, creatorComments, viewerComments, customInstructions, { templateSections, jsonSchema });
+    }
+    log(`Prompt length: ${prompt.length} characters (contentType: ${contentType || 'youtube_video'})`);
+
+    let parsed;
+    if (jsonSchema) {
+      const result = await structuredOutput.generateStructured(prompt, jsonSchema, (p) => (
+        callChatCompletions(p, p === prompt ? onProgress : () => {}, connection)
+      ), { onProgress, log });
+      log(`Response received: ${result.response.length} characters (structured, ${result.data ? (result.repaired ? 'repaired' : 'valid') : 'invalid - using text parser'})`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = result.data
+        ? structuredOutput.toParsedResult(result.data, descriptionLinks)
+        : claudeBridge.parseResponse(result.response, descriptionLinks, templateSections);
+    } else {
+      const response = await callChatCompletions(prompt, onProgress, connection);
+      log(`Response received: ${response.length} characters`);
+
+      onProgress({ stage: 'parsing', message: 'Extracting insights...' });
+      parsed = claudeBridge.parseResponse(response, descriptionLinks, templateSections);
+    }
+    log(`Parsed summary: ${parsed.summary.length} chars, ${parsed.keyLearnings.length} learnings, ${parsed.actionItems.length} actions, ${parsed.relevantLinks.length} links`);
+
+    onProgress({ stage: 'complete', message: 'Done!' });
+
+    return {
+      success: true,
+      summary: parsed.summary,
+      keyLearnings: parsed.keyLearnings,
+      actionItems: parsed.actionItems,
+      relevantLinks: parsed.relevantLinks
+    };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Generate follow-up using a local OpenAI-compatible server.
+ */
+async function generateFollowUp(videoTitle, transcript, query, existingLearnings = [], options = {}) {
+  const log = (msg) => logger.log(msg, 'local-bridge:followup');
+  const { model, baseUrl, apiKey, signal, timeoutMs } = options;
+
+  try {
+    const prompt = claudeBridge.createFollowUpPrompt(videoTitle, transcript, query, existingLearnings);
+    log(`Follow-up prompt length: ${prompt.length} characters`);
+
+    const response = await callChatCompletions(prompt, () => {}, { model, baseUrl, apiKey, signal, timeoutMs });
+    log(`Response received: ${response.length} characters`);
+
+    const parsed = claudeBridge.parseFollowUpResponse(response);
+    log(`Parsed ${parsed.insights.length} insights, ${parsed.actions.length} actions`);
+
+    return {
+      success: true,
+      insights: parsed.insights,
+      actions: parsed.actions
+    };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Multi-turn chat using a local OpenAI-compatible server.
+ * host.js serializes the conversation into one prompt for every provider,
+ * so this sends a single user message like the CLI bridges do.
+ */
+async function chat(prompt, options = {}) {
+  const log = (msg) => logger.log(msg, 'local-bridge:chat');
+  const { model, baseUrl, apiKey, signal, timeoutMs } = options;
+
+  try {
+    log(`Chat prompt length: ${prompt.length} characters`);
+    const response = await callChatCompletions(prompt, () => {}, { model, baseUrl, apiKey, signal, timeoutMs });
+    log(`Chat response: ${response.length} characters`);
+    return { success: true, reply: response.trim() };
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolve an endpoint under the configured base URL. Accepts the common ways
+ * servers document their URL: `http://host:port`, `.../v1`, or the full
+ * `.../v1/chat/completions`.
+ * @param {string} baseUrl - User-configured base URL
+ * @param {string} endpoint - Endpoint under /v1, e.g. 'chat/completions' or 'models'
+ * @returns {URL} - Parsed endpoint URL
+ */
+function resolveEndpoint(baseUrl, endpoint) {
+  let base = (baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+  base = base.replace(/\/(chat\/completions|models)$/, '');
+  if (!/\/v1$/.test(base)) {
+    base += '/v1';
+  }
+  return new URL(`${base}/${endpoint}`);
+}
+
+/**
+ * Build request headers, adding the bearer token only when a key is set
+ * (Ollama and llama.cpp don't need one; LM Studio and vLLM may).
+ * @param {string} [apiKey] - Optional API key
+ * @param {Object} extra - Extra headers
+ * @returns {Object} - Headers
+ */
+function buildHeaders(apiKey, extra = {}) {
+  const headers = { ...extra };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * POST a prompt to /v1/chat/completions with streaming, reporting progress
+ * the same way callClaudeCode does (including partialText for the sidebar's
+ * live preview).
+ * @param {string} prompt - Prompt to send
+ * @param {function} onProgress - Progress callback
+ * @param {Object} options - { baseUrl, model, apiKey, signal, timeoutMs }
+ * @returns {Promise<string>} - Model's reply
+ */
+function callChatCompletions(prompt, onProgress = () => {}, options = {}) {
+  const streamProgress = throttleProgress(onProgress);
+  return new Promise((resolve, reject) => {
+    const { baseUrl, model, apiKey, signal, timeoutMs = claudeBridge.DEFAULT_TIMEOUT_MS } = options;
+    if (signal && signal.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
+    if (!model) {
+      reject(new Error('No local model configured. Set a model name in Settings → AI Provider.'));
+      return;
+    }
+
+    let url;
+    try {
+      url = resolveEndpoint(baseUrl, 'chat/completions');
+    } catch {
+      reject(new Error(`Invalid local server URL: ${baseUrl}`));
+      return;
+    }
+
+    const requestBody = JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    });
+
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: buildHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody)
+      }),
+      signal
+    }, (res) => {
+      if (res.statusCode !== 200) {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          let errorMsg = `Local server error (${res.statusCode})`;
+          try {
+            const json = JSON.parse(data);
+            if (json.error) {
+              errorMsg = `Local server error (${res.statusCode}): ${json.error.message || json.error}`;
+            }
+          } catch (e) {
+            // Use raw status code error
+          }
+          reject(new Error(errorMsg));
+        });
+        return;
+      }
+
+      let buffer = '';
+      let text = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        const { events, rest } = parseSSE(buffer + chunk);
+        buffer = rest;
+
+        events.forEach((data) => {
+          if (data === '[DONE]') return;
+          try {
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) text += delta;
+          } catch {
+            // Ignore keep-alives and malformed events
+          }
+        });
+
+        if (text.length > 0) {
+          streamProgress({ stage: 'streaming', message: 'Receiving response...', chars: text.length, partialText: text });
+        }
+      });
+
+      res.on('end', () => {
+        if (!text) {
+          reject(new Error('Local server returned no output.'));
+          return;
+        }
+        streamProgress.flush();
+        onProgress({ stage: 'processing', message: 'Processing response...' });
+        resolve(text);
+      });
+    });
+
+    req.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        reject(new Error('Request cancelled'));
+      } else {
+        reject(new Error(`Could not reach local server at ${url.origin}: ${error.message}`));
+      }
+    });
+
+    // Socket idle timeout: local models can take a while to finish, but a
+    // server that sends nothing for the whole limit is stuck.
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error(timeoutMessage(`Local model (${model})`, timeoutMs)));
+    });
+
+    const estimatedInputTokens = Math.round(prompt.length / 4);
+    onProgress({ stage: 'sending', message: 'Sending to local model...', inputTokens: estimatedInputTokens });
+    req.write(requestBody);
+    req.end();
+    onProgress({ stage: 'waiting', message: 'Local model is analyzing...', inputTokens: estimatedInputTokens });
+  }).finally(() => streamProgress.cancel());
+}
+
+/**
+ * Check that the server answers and list its models (GET /v1/models).
+ * Resolves instead of throwing, like elevenlabs.listVoices.
+ * @param {string} baseUrl - User-configured base URL
+ * @param {string} [apiKey] - Optional API key
+ * @returns {Promise<{available: boolean, models?: string[], error?: string}>}
+ */
+function checkServer(baseUrl, apiKey) {
+  return new Promise((resolve) => {
+    let url;
+    try {
+      url = resolveEndpoint(baseUrl, 'models');
+    } catch {
+      resolve({ available: false, error: `Invalid URL: ${baseUrl}` });
+      return;
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, { method: 'GET', headers: buildHeaders(apiKey) }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          resolve({ available: false, error: `Server responded ${res.statusCode}` });
+          return;
+        }
+        try {
+          const json = JSON.parse(data);
+          resolve({ available: true, models: (json.data || []).map(m => m.id).filter(Boolean) });
+        } catch {
+          resolve({ available: true, models: [] });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      resolve({ available: false, error: error.message });
+    });
+
+    req.setTimeout(3000, () => {
+      req.destroy();
+      resolve({ available: false, error: 'Timed out' });
+    });
+
+    req.end();
+  });
+}
+
+module.exports = {
+  generateSummary,
+  generateFollowUp,
+  chat,
+  checkServer,
+  DEFAULT_BASE_URL,
+  // Exported for testing
+  callChatCompletions,
+  resolveEndpoint,
+  buildHeaders
+};
@@ -0,0 +1,195 @@
+/**
+ * Tests for the OpenAI-compatible local model bridge
+ */
+
+const http = require('http');
+const {
+  resolveEndpoint,
+  buildHeaders,
+  callChatCompletions,
+  checkServer,
+  chat
+} = require('./local-bridge');
+
+/**
+ * Start a throwaway HTTP server on a random port
+ * @param {function} handler - (req, res, body) => void
+ * @returns {Promise<{baseUrl: string, close: function, requests: Array}>}
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function sseChunk(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+// ============================================
+// resolveEndpoint
+// ============================================
+
+describe('resolveEndpoint', () => {
+  test('appends the endpoint to a /v1 base URL', () => {
+    expect(resolveEndpoint('http://localhost:11434/v1', 'chat/completions').href)
+      .toBe('http://localhost:11434/v1/chat/completions');
+  });
+
+  test('adds /v1 when the base URL is just host and port', () => {
+    expect(resolveEndpoint('http://localhost:1234/', 'models').href)
+      .toBe('http://localhost:1234/v1/models');
+  });
+
+  test('accepts a full chat/completions URL', () => {
+    expect(resolveEndpoint('http://localhost:8080/v1/chat/completions', 'models').href)
+      .toBe('http://localhost:8080/v1/models');
+  });
+
+  test('falls back to the Ollama default', () => {
+    expect(resolveEndpoint('', 'models').href).toBe('http://localhost:11434/v1/models');
+  });
+
+  test('throws for an invalid URL', () => {
+    expect(() => resolveEndpoint('not a url', 'models')).toThrow();
+  });
+});
+
+// ============================================
+// buildHeaders
+// ============================================
+
+describe('buildHeaders', () => {
+  test('omits Authorization without a key', () => {
+    expect(buildHeaders('', { 'Content-Type': 'application/json' })).toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  test('adds a bearer token when a key is set', () => {
+    expect(buildHeaders('secret').Authorization).toBe('Bearer secret');
+  });
+});
+
+// ============================================
+// callChatCompletions
+// ============================================
+
+describe('callChatCompletions', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  test('streams deltas and reports partial text', async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseChunk('Hello'));
+      res.write(sseChunk(', world'));
+      res.end('data: [DONE]\n\n');
+    });
+    const onProgress = jest.fn();
+
+    const text = await callChatCompletions('Hi', onProgress, { baseUrl: server.baseUrl, model: 'llama3.1', apiKey: 'k' });
+
+    expect(text).toBe('Hello, world');
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ stage: 'streaming', partialText: 'Hello, world' }));
+    const request = server.requests[0];
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer k');
+    expect(JSON.parse(request.body)).toEqual({ model: 'llama3.1', messages: [{ role: 'user', content: 'Hi' }], stream: true });
+  });
+
+  test('surfaces the server error message', async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'model "nope" not found' } }));
+    });
+
+    await expect(callChatCompletions('Hi', () => {}, { baseUrl: server.baseUrl, model: 'nope' }))
+      .rejects.toThrow('Local server error (404): model "nope" not found');
+  });
+
+  test('rejects when no model is configured', async () => {
+    await expect(callChatCompletions('Hi', () => {}, { baseUrl: 'http://localhost:1/v1' }))
+      .rejects.toThrow('No local model configured');
+  });
+
+  test('rejects immediately for an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(callChatCompletions('Hi', () => {}, { model: 'm', signal: controller.signal }))
+      .rejects.toThrow('Request cancelled');
+  });
+
+  test('aborts a request in flight', async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseChunk('partial'));
+    });
+    const controller = new AbortController();
+    const onProgress = (progress) => {
+      if (progress.stage === 'streaming') controller.abort();
+    };
+
+    await expect(callChatCompletions('Hi', onProgress, {
+      baseUrl: server.baseUrl, model: 'm', signal: controller.signal
+    })).rejects.toThrow('Request cancelled');
+  });
+
+  test('times out a server that goes quiet, naming the model and the limit', async () => {
+    server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseChunk('partial'));
+    });
+
+    await expect(callChatCompletions('Hi', () => {}, { baseUrl: server.baseUrl, model: 'llama3.1', timeoutMs: 2000 }))
+      .rejects.toThrow('Local model (llama3.1) timed out after 2 seconds. You can raise the limit in Settings → Timeouts.');
+  });
+});
+
+// ============================================
+// chat / checkServer
+// ============================================
+
+describe('chat', () => {
+  test('returns an error result when the server is unreachable', async () => {
+    const result = await chat('Hi', { baseUrl: 'http://127.0.0.1:1/v1', model: 'm' });
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Could not reach local server/);
+  });
+});
+
+describe('checkServer', () => {
+  test('lists available models', async () => {
+    const server = await startServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ id: 'llama3.1' }, { id: 'qwen2.5' }] }));
+    });
+    try {
+      expect(await checkServer(server.baseUrl)).toEqual({ available: true, models: ['llama3.1', 'qwen2.5'] });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('reports an unreachable server', async () => {
+    const result = await checkServer('http://127.0.0.1:1');
+    expect(result.available).toBe(false);
+  });
+});
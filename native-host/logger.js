@@ -1,14 +1,73 @@
 /**
  * Centralized logging utility for YouTube Summary Extension
- * Logs to native-host directory with automatic rotation at 1MB
+ * Writes JSON lines to native-host/extension.log with automatic rotation at 1MB.
+ *
+ * Every entry carries the requestId and provider of the request it was
+ * logged under, so concurrent requests can be told apart. host.js sets that
+ * context once per message with runWithContext(); modules deeper in the call
+ * (bridges, cache) keep calling log(msg, prefix) and pick it up automatically.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
-const LOG_FILE = path.join(__dirname, 'extension.log');
+const LOG_FILE = process.env.AISUMMARY_LOG_FILE || path.join(__dirname, 'extension.log');
 const MAX_LOG_SIZE = 1 * 1024 * 1024; // 1MB
 
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+// Per-request fields: { requestId, provider, logLevel }
+const contextStorage = new AsyncLocalStorage();
+
+// Process-wide threshold; requests may override it with their own logLevel
+let currentLevel = normalizeLevel(process.env.AISUMMARY_LOG_LEVEL) || DEFAULT_LEVEL;
+
+/**
+ * @param {string} level
+ * @returns {string|null} - Lower-cased level name, or null if unknown
+ */
+function normalizeLevel(level) {
+  if (typeof level !== 'string') return null;
+  const name = level.toLowerCase();
+  return LEVELS[name] ? name : null;
+}
+
+/**
+ * Set the process-wide minimum level. Unknown levels are ignored.
+ * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+ */
+function setLevel(level) {
+  currentLevel = normalizeLevel(level) || currentLevel;
+}
+
+/**
+ * @returns {string} - Process-wide minimum level
+ */
+function getLevel() {
+  return currentLevel;
+}
+
+/**
+ * Run fn with log context fields. Nested calls inherit and override the
+ * outer context, e.g. a failover attempt sets its own provider.
+ * @param {Object} context - { requestId, provider, logLevel }
+ * @param {function(): *} fn
+ * @returns {*} - Whatever fn returns
+ */
+function runWithContext(context, fn) {
+  const parent = contextStorage.getStore() || {};
+  return contextStorage.run({ ...parent, ...context }, fn);
+}
+
+/**
+ * @returns {Object} - Context fields for the current request, if any
+ */
+function getContext() {
+  return contextStorage.getStore() || {};
+}
+
 /**
  * Rotate log file if it exceeds MAX_LOG_SIZE
  * Keeps the last half of the file to preserve recent logs
@@ -19,28 +78,122 @@ function rotateIfNeeded() {
 
     const stats = fs.statSync(LOG_FILE);
     if (stats.size > MAX_LOG_SIZE) {
-      // Read file and keep last half
+      // Read file and keep last half (whole lines, so every entry stays parseable)
       const content = fs.readFileSync(LOG_FILE, 'utf8');
       const lines = content.split('\n');
       const halfIndex = Math.floor(lines.length / 2);
-      const truncatedContent = '--- Log rotated ---\n' + lines.slice(halfIndex).join('\n');
-      fs.writeFileSync(LOG_FILE, truncatedContent);
+      const marker = JSON.stringify(buildEntry('info', 'Log rotated', 'logger'));
+      fs.writeFileSync(LOG_FILE, marker + '\n' + lines.slice(halfIndex).join('\n'));
     }
   } catch (err) {
     // Silently ignore rotation errors
   }
 }
 
+function buildEntry(level, message, prefix, fields) {
+  const context = getContext();
+  return {
+    ts: new Date().toISOString(),
+    level,
+    source: prefix || 'host',
+    requestId: context.requestId ?? null,
+    provider: context.provider ?? null,
+    pid: process.pid,
+    msg: String(message),
+    ...fields
+  };
+}
+
 /**
- * Log a message with timestamp
+ * Write one entry if level is at or above the active threshold
+ * (the request's logLevel if set, otherwise the process-wide level).
+ * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+ * @param {string} message - Message to log
+ * @param {string} [prefix] - Source module (e.g., 'claude-bridge')
+ * @param {Object} [fields] - Extra structured fields for this entry
+ */
+function write(level, message, prefix = '', fields = {}) {
+  const threshold = normalizeLevel(getContext().logLevel) || currentLevel;
+  if (LEVELS[level] < LEVELS[threshold]) return;
+
+  try {
+    rotateIfNeeded();
+    fs.appendFileSync(LOG_FILE, JSON.stringify(buildEntry(level, message, prefix, fields)) + '\n');
+  } catch (err) {
+    // Logging must never break a request
+  }
+}
+
+/**
+ * Log a message at info level (kept for existing callers)
  * @param {string} message - Message to log
  * @param {string} [prefix] - Optional prefix (e.g., 'claude-bridge')
  */
 function log(message, prefix = '') {
-  rotateIfNeeded();
-  const timestamp = new Date().toISOString();
-  const prefixStr = prefix ? ` [${prefix}]` : '';
-  fs.appendFileSync(LOG_FILE, `[${timestamp}]${prefixStr} ${message}\n`);
+  write('info', message, prefix);
+}
+
+const debug = (message, prefix, fields) => write('debug', message, prefix, fields);
+const info = (message, prefix, fields) => write('info', message, prefix, fields);
+const warn = (message, prefix, fields) => write('warn', message, prefix, fields);
+const error = (message, prefix, fields) => write('error', message, prefix, fields);
+
+// Plain-text lines written before the switch to JSON: "[ts] [prefix] message"
+const LEGACY_LINE = /^\[([^\]]+)\](?: \[([^\]]+)\])? (.*)$/;
+
+/**
+ * Parse one log line. Lines from older versions are mapped onto the same shape.
+ * @param {string} line
+ * @returns {Object|null} - Entry, or null for blank/unrecognised lines
+ */
+function parseLine(line) {
+  if (!line.trim()) return null;
+  try {
+    const entry = JSON.parse(line);
+    if (entry && typeof entry === 'object' && entry.msg !== undefined) return entry;
+  } catch (err) {
+    // Fall through to the legacy format
+  }
+  const match = line.match(LEGACY_LINE);
+  if (!match) return null;
+  return { ts: match[1], level: 'info', source: match[2] || 'host', requestId: null, provider: null, msg: match[3] };
+}
+
+/**
+ * Read recent entries, oldest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.level] - Minimum level
+ * @param {string|number} [filters.requestId] - Exact requestId
+ * @param {string} [filters.provider] - Exact provider
+ * @param {string} [filters.search] - Case-insensitive substring of msg or source
+ * @param {string} [filters.since] - ISO timestamp; only entries at or after it
+ * @param {number} [filters.limit=500] - Most recent N matching entries
+ * @returns {Object[]}
+ */
+function readLogs(filters = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(LOG_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const minLevel = LEVELS[normalizeLevel(filters.level)] || 0;
+  const hasRequestId = filters.requestId !== undefined && filters.requestId !== null && filters.requestId !== '';
+  const search = filters.search ? String(filters.search).toLowerCase() : '';
+  const limit = Number.isInteger(filters.limit) && filters.limit > 0 ? filters.limit : 500;
+
+  const entries = content.split('\n').map(parseLine).filter(entry => (
+    entry
+    && (LEVELS[entry.level] || 0) >= minLevel
+    && (!hasRequestId || String(entry.requestId) === String(filters.requestId))
+    && (!filters.provider || entry.provider === filters.provider)
+    && (!filters.since || (entry.ts && entry.ts >= filters.since))
+    && (!search || `${entry.source} ${entry.msg}`.toLowerCase().includes(search))
+  ));
+
+  return entries.slice(-limit);
 }
 
 /**
@@ -51,4 +204,20 @@ function getLogPath() {
   return LOG_FILE;
 }
 
-module.exports = { log, getLogPath, LOG_FILE, rotateIfNeeded };
+module.exports = {
+  log,
+  debug,
+  info,
+  warn,
+  error,
+  setLevel,
+  getLevel,
+  runWithContext,
+  getContext,
+  readLogs,
+  parseLine,
+  getLogPath,
+  LOG_FILE,
+  LEVELS,
+  rotateIfNeeded
+};
@@ -1,61 +1,43 @@
 /**
  * Tests for logger.js
- * Tests logging and rotation functionality
+ * Tests logging, levels, request context, reading and rotation
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// Store original LOG_FILE before requiring module
-const originalLogFile = path.join(__dirname, 'extension.log');
-
-// Create a test log file path
+// Point the logger at a scratch file so tests never touch the real extension.log
 const TEST_LOG_FILE = path.join(__dirname, 'test-extension.log');
+process.env.AISUMMARY_LOG_FILE = TEST_LOG_FILE;
+
+function freshLogger() {
+  jest.resetModules();
+  return require('./logger');
+}
+
+function readEntries() {
+  return fs.readFileSync(TEST_LOG_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
 
 describe('logger', () => {
-  // We need to test with real file system operations
-  // but we'll clean up after ourselves
+  let logger;
 
   beforeEach(() => {
-    // Clean up test log file before each test
     if (fs.existsSync(TEST_LOG_FILE)) {
       fs.unlinkSync(TEST_LOG_FILE);
     }
+    delete process.env.AISUMMARY_LOG_LEVEL;
+    logger = freshLogger();
   });
 
-  afterEach(() => {
-    // Clean up test log file after each test
+  afterAll(() => {
     if (fs.existsSync(TEST_LOG_FILE)) {
       fs.unlinkSync(TEST_LOG_FILE);
     }
+    delete process.env.AISUMMARY_LOG_FILE;
   });
 
   describe('log function', () => {
-    // Import fresh module for each test
-    let logger;
-
-    beforeEach(() => {
-      // Reset module cache to get fresh instance
-      delete require.cache[require.resolve('./logger')];
-      logger = require('./logger');
-    });
-
-    afterEach(() => {
-      // Clean up the actual log file that logger creates
-      if (fs.existsSync(logger.LOG_FILE)) {
-        // Only delete if it's a test file we created
-        const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
-        if (content.includes('[test-prefix]') || content.includes('Test message')) {
-          // Read existing content to preserve non-test entries
-          const lines = content.split('\n');
-          const nonTestLines = lines.filter(
-            line => !line.includes('[test-prefix]') && !line.includes('Test message')
-          );
-          fs.writeFileSync(logger.LOG_FILE, nonTestLines.join('\n'));
-        }
-      }
-    });
-
     it('exports LOG_FILE path', () => {
       expect(logger.LOG_FILE).toBeDefined();
       expect(logger.LOG_FILE).toContain('extension.log');
@@ -66,56 +48,50 @@ describe('logger', () => {
     });
 
     it('log function creates log file if not exists', () => {
-      // Remove log file if it exists
-      if (fs.existsSync(logger.LOG_FILE)) {
-        const existingContent = fs.readFileSync(logger.LOG_FILE, 'utf8');
-        // Write a test message
-        logger.log('Test message creation');
-
-        // File should exist and contain our message
-        expect(fs.existsSync(logger.LOG_FILE)).toBe(true);
-        const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
-        expect(content).toContain('Test message creation');
-      } else {
-        logger.log('Test message creation');
-        expect(fs.existsSync(logger.LOG_FILE)).toBe(true);
-      }
+      logger.log('Test message creation');
+
+      expect(fs.existsSync(logger.LOG_FILE)).toBe(true);
+      const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
+      expect(content).toContain('Test message creation');
     });
 
     it('log function includes timestamp', () => {
       logger.log('Timestamp test message');
 
-      const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
+      const [entry] = readEntries();
       // Should have ISO timestamp format
-      expect(content).toMatch(/\[\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/);
+      expect(entry.ts).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
     });
 
     it('log function includes optional prefix', () => {
       logger.log('Prefixed message', 'test-prefix');
 
-      const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
-      expect(content).toContain('[test-prefix]');
-      expect(content).toContain('Prefixed message');
+      const [entry] = readEntries();
+      expect(entry.source).toBe('test-prefix');
+      expect(entry.msg).toBe('Prefixed message');
     });
 
     it('log function works without prefix', () => {
       logger.log('No prefix message');
 
-      const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
-      expect(content).toContain('No prefix message');
-      // Should not have double brackets for empty prefix
-      expect(content).not.toMatch(/\[\] No prefix/);
+      const [entry] = readEntries();
+      expect(entry.msg).toBe('No prefix message');
+      expect(entry.source).toBe('host');
+    });
+
+    it('logs at info level', () => {
+      logger.log('Info message');
+
+      expect(readEntries()[0].level).toBe('info');
     });
   });
 
   describe('rotateIfNeeded function', () => {
     it('is exported from module', () => {
-      const logger = require('./logger');
       expect(typeof logger.rotateIfNeeded).toBe('function');
     });
 
     it('does nothing if log file does not exist', () => {
-      const logger = require('./logger');
       // Just make sure it doesn't throw
       expect(() => logger.rotateIfNeeded()).not.toThrow();
     });
@@ -127,8 +103,6 @@ describe('logger', () => {
 
   describe('log format', () => {
     it('each log entry is on its own line', () => {
-      const logger = require('./logger');
-
       logger.log('First message');
       logger.log('Second message');
       logger.log('Third message');
@@ -136,17 +110,159 @@ describe('logger', () => {
       const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
       const lines = content.split('\n').filter(l => l.includes('message'));
 
-      expect(lines.length).toBeGreaterThanOrEqual(3);
+      expect(lines.length).toBe(3);
     });
 
-    it('log format is [timestamp][prefix] message', () => {
-      const logger = require('./logger');
-
+    it('each line is a JSON entry with level, source, requestId and provider', () => {
       logger.log('Format test', 'module-name');
 
-      const content = fs.readFileSync(logger.LOG_FILE, 'utf8');
-      // Should match format: [2024-01-15T10:30:00.000Z] [module-name] Format test
-      expect(content).toMatch(/\[\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z\] \[module-name\] Format test/);
+      const line = fs.readFileSync(logger.LOG_FILE, 'utf8').trim();
+      expect(JSON.parse(line)).toEqual({
+        ts: expect.any(String),
+        level: 'info',
+        source: 'module-name',
+        requestId: null,
+        provider: null,
+        pid: process.pid,
+        msg: 'Format test'
+      });
+    });
+
+    it('includes extra fields', () => {
+      logger.warn('Slow response', 'claude-bridge', { durationMs: 4200 });
+
+      expect(readEntries()[0]).toMatchObject({ level: 'warn', durationMs: 4200 });
+    });
+  });
+
+  describe('levels', () => {
+    it('drops entries below the process level', () => {
+      logger.debug('Hidden');
+      logger.info('Shown');
+
+      expect(readEntries().map(e => e.msg)).toEqual(['Shown']);
+    });
+
+    it('setLevel changes the threshold', () => {
+      logger.setLevel('error');
+      logger.warn('Hidden');
+      logger.error('Shown');
+      logger.setLevel('debug');
+      logger.debug('Also shown');
+
+      expect(readEntries().map(e => e.msg)).toEqual(['Shown', 'Also shown']);
+    });
+
+    it('ignores unknown levels', () => {
+      logger.setLevel('verbose');
+
+      expect(logger.getLevel()).toBe('info');
+    });
+
+    it('reads the default level from AISUMMARY_LOG_LEVEL', () => {
+      process.env.AISUMMARY_LOG_LEVEL = 'DEBUG';
+      logger = freshLogger();
+
+      expect(logger.getLevel()).toBe('debug');
+    });
+
+    it('a request logLevel overrides the process level', () => {
+      logger.runWithContext({ logLevel: 'debug' }, () => {
+        logger.debug('Request debug');
+      });
+      logger.debug('Outside request');
+
+      expect(readEntries().map(e => e.msg)).toEqual(['Request debug']);
+    });
+  });
+
+  describe('request context', () => {
+    it('tags entries with requestId and provider', () => {
+      logger.runWithContext({ requestId: 7, provider: 'codex' }, () => {
+        logger.log('Inside', 'codex-bridge');
+      });
+
+      expect(readEntries()[0]).toMatchObject({ requestId: 7, provider: 'codex', source: 'codex-bridge' });
+    });
+
+    it('follows the request across awaits', async () => {
+      await logger.runWithContext({ requestId: 1 }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        logger.log('After await');
+      });
+
+      expect(readEntries()[0].requestId).toBe(1);
+    });
+
+    it('keeps concurrent requests apart', async () => {
+      const run = (requestId, delay) => logger.runWithContext({ requestId }, async () => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        logger.log(`request ${requestId}`);
+      });
+      await Promise.all([run(1, 10), run(2, 1)]);
+
+      const entries = readEntries();
+      expect(entries.find(e => e.msg === 'request 1').requestId).toBe(1);
+      expect(entries.find(e => e.msg === 'request 2').requestId).toBe(2);
+    });
+
+    it('nested context inherits and overrides', () => {
+      logger.runWithContext({ requestId: 3, provider: 'claude' }, () => {
+        logger.runWithContext({ provider: 'codex' }, () => logger.log('Failover'));
+      });
+
+      expect(readEntries()[0]).toMatchObject({ requestId: 3, provider: 'codex' });
+    });
+  });
+
+  describe('readLogs', () => {
+    beforeEach(() => {
+      logger.setLevel('debug');
+      logger.runWithContext({ requestId: 1, provider: 'claude' }, () => {
+        logger.debug('Progress: sending', 'host');
+        logger.error('Claude exited with code 1', 'claude-bridge');
+      });
+      logger.runWithContext({ requestId: 2, provider: 'codex' }, () => {
+        logger.info('Summary generated', 'host');
+      });
+    });
+
+    it('returns an empty list when there is no log file', () => {
+      fs.unlinkSync(TEST_LOG_FILE);
+
+      expect(logger.readLogs()).toEqual([]);
+    });
+
+    it('returns entries oldest first', () => {
+      expect(logger.readLogs().map(e => e.msg)).toEqual(['Progress: sending', 'Claude exited with code 1', 'Summary generated']);
+    });
+
+    it('filters by minimum level', () => {
+      expect(logger.readLogs({ level: 'info' }).map(e => e.level)).toEqual(['error', 'info']);
+    });
+
+    it('filters by requestId, including ids sent as strings', () => {
+      expect(logger.readLogs({ requestId: '1' })).toHaveLength(2);
+    });
+
+    it('filters by provider', () => {
+      expect(logger.readLogs({ provider: 'codex' }).map(e => e.msg)).toEqual(['Summary generated']);
+    });
+
+    it('searches message and source case-insensitively', () => {
+      expect(logger.readLogs({ search: 'CLAUDE-BRIDGE' })).toHaveLength(1);
+    });
+
+    it('keeps the most recent entries up to limit', () => {
+      expect(logger.readLogs({ limit: 1 }).map(e => e.msg)).toEqual(['Summary generated']);
+    });
+
+    it('maps plain-text lines from older versions', () => {
+      fs.writeFileSync(TEST_LOG_FILE, '[2024-01-15T10:30:00.000Z] [claude-bridge] Old message\nnot a log line\n');
+
+      expect(logger.readLogs()).toEqual([
+        { ts: '2024-01-15T10:30:00.000Z', level: 'info', source: 'claude-bridge', requestId: null, provider: null, msg: 'Old message' }
+      ]);
     });
   });
 });
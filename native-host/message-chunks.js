@@ -0,0 +1,89 @@
+/**
+ * Chunked response framing
+ * Chrome drops any host → extension message over 1 MB, so host.js splits a
+ * larger response into numbered `type: 'chunk'` frames under the response's
+ * requestId. Each frame carries a slice of the response's UTF-8 JSON as
+ * base64; the receiver concatenates the slices in order and parses the
+ * result as if it had arrived in one frame.
+ *
+ *   { type: 'chunk', requestId, chunkIndex: 0, chunkCount: 3, data: '<base64>' }
+ *
+ * Receivers: background.js handleNativeMessage (Chrome), NodeBridgeService
+ * (Safari, over the agent-server socket) and http-api.js.
+ */
+
+// Largest frame host.js writes. Chrome's cap is 1,048,576 bytes; stay clear of it.
+const MAX_FRAME_BYTES = 1000 * 1000;
+
+// Raw bytes per chunk. Base64 grows this by 4/3 (~683 KB) plus a small
+// envelope, which keeps every frame under MAX_FRAME_BYTES.
+const CHUNK_BYTES = 512 * 1024;
+
+/**
+ * Split a response into frames small enough to send
+ * @param {Object} response - Response with its requestId
+ * @param {Object} [options]
+ * @param {number} [options.maxFrameBytes] - Send as-is up to this size
+ * @param {number} [options.chunkBytes] - Raw bytes per chunk otherwise
+ * @returns {Object[]} - [response] when it fits, otherwise chunk frames
+ */
+function splitMessage(response, options = {}) {
+  const { maxFrameBytes = MAX_FRAME_BYTES, chunkBytes = CHUNK_BYTES } = options;
+  const bytes = Buffer.from(JSON.stringify(response), 'utf8');
+  if (bytes.length <= maxFrameBytes) return [response];
+
+  const chunkCount = Math.ceil(bytes.length / chunkBytes);
+  const frames = [];
+  for (let chunkIndex = 0; chunkIndex < chunkCount; chunkIndex++) {
+    frames.push({
+      type: 'chunk',
+      requestId: response.requestId,
+      chunkIndex,
+      chunkCount,
+      data: bytes.subarray(chunkIndex * chunkBytes, (chunkIndex + 1) * chunkBytes).toString('base64')
+    });
+  }
+  return frames;
+}
+
+/**
+ * Create a receiver that reassembles chunk frames, keyed by requestId
+ * @returns {{accept: function(Object): (Object|null), drop: function(*): void, pending: function(): number}}
+ *   accept returns the message to handle: non-chunk frames as-is, the
+ *   reassembled response once its last chunk arrives, otherwise null.
+ */
+function createChunkAssembler() {
+  const buffers = new Map();
+
+  function accept(frame) {
+    if (!frame || frame.type !== 'chunk') return frame;
+
+    const { requestId, chunkIndex, chunkCount, data } = frame;
+    let entry = buffers.get(requestId);
+    if (!entry || entry.parts.length !== chunkCount) {
+      entry = { parts: new Array(chunkCount), received: 0 };
+      buffers.set(requestId, entry);
+    }
+    if (entry.parts[chunkIndex] === undefined) {
+      entry.parts[chunkIndex] = Buffer.from(data, 'base64');
+      entry.received++;
+    }
+    if (entry.received < chunkCount) return null;
+
+    buffers.delete(requestId);
+    return JSON.parse(Buffer.concat(entry.parts).toString('utf8'));
+  }
+
+  return {
+    accept,
+    drop: (requestId) => buffers.delete(requestId),
+    pending: () => buffers.size
+  };
+}
+
+module.exports = {
+  MAX_FRAME_BYTES,
+  CHUNK_BYTES,
+  splitMessage,
+  createChunkAssembler
+};
@@ -0,0 +1,99 @@
+/**
+ * Tests for message-chunks.js
+ * Splits oversized responses into frames and reassembles them
+ */
+
+const { splitMessage, createChunkAssembler, MAX_FRAME_BYTES, CHUNK_BYTES } = require('./message-chunks');
+
+function frameBytes(frame) {
+  return Buffer.byteLength(JSON.stringify(frame), 'utf8');
+}
+
+describe('message-chunks', () => {
+  describe('splitMessage', () => {
+    it('returns small responses unchanged', () => {
+      const response = { requestId: 3, success: true, summary: 'short' };
+
+      expect(splitMessage(response)).toEqual([response]);
+    });
+
+    it('splits large responses into numbered frames under one requestId', () => {
+      const response = { requestId: 7, success: true, audio: 'A'.repeat(3 * 1024 * 1024) };
+      const frames = splitMessage(response);
+
+      expect(frames.length).toBeGreaterThan(1);
+      frames.forEach((frame, index) => {
+        expect(frame).toMatchObject({ type: 'chunk', requestId: 7, chunkIndex: index, chunkCount: frames.length });
+      });
+    });
+
+    it('keeps every frame under the frame limit', () => {
+      const frames = splitMessage({ requestId: 1, audio: 'x'.repeat(5 * CHUNK_BYTES) });
+
+      frames.forEach(frame => expect(frameBytes(frame)).toBeLessThanOrEqual(MAX_FRAME_BYTES));
+    });
+
+    it('honours custom limits', () => {
+      const response = { requestId: 1, text: 'x'.repeat(100) };
+      const frames = splitMessage(response, { maxFrameBytes: 50, chunkBytes: 40 });
+
+      expect(frames).toHaveLength(Math.ceil(JSON.stringify(response).length / 40));
+    });
+  });
+
+  describe('createChunkAssembler', () => {
+    it('passes non-chunk frames through', () => {
+      const assembler = createChunkAssembler();
+      const progress = { type: 'progress', requestId: 1, progress: { stage: 'sending' } };
+
+      expect(assembler.accept(progress)).toBe(progress);
+    });
+
+    it('reassembles a split response, including multi-byte characters cut mid-sequence', () => {
+      const response = { requestId: 2, success: true, transcript: 'héllo wörld — 你好 '.repeat(50) };
+      const frames = splitMessage(response, { maxFrameBytes: 100, chunkBytes: 7 });
+      const assembler = createChunkAssembler();
+
+      const results = frames.map(frame => assembler.accept(frame));
+
+      expect(results.slice(0, -1).every(result => result === null)).toBe(true);
+      expect(results[results.length - 1]).toEqual(response);
+      expect(assembler.pending()).toBe(0);
+    });
+
+    it('handles chunks out of order and duplicates', () => {
+      const response = { requestId: 4, text: 'abcdefghij'.repeat(20) };
+      const frames = splitMessage(response, { maxFrameBytes: 50, chunkBytes: 60 });
+      const assembler = createChunkAssembler();
+
+      assembler.accept(frames[2]);
+      assembler.accept(frames[0]);
+      assembler.accept(frames[0]);
+      expect(assembler.accept(frames[1])).toBeNull();
+      expect(assembler.accept(frames[3])).toEqual(response);
+    });
+
+    it('keeps interleaved requests apart', () => {
+      const a = { requestId: 'a', text: 'a'.repeat(200) };
+      const b = { requestId: 'b', text: 'b'.repeat(200) };
+      const framesA = splitMessage(a, { maxFrameBytes: 50, chunkBytes: 120 });
+      const framesB = splitMessage(b, { maxFrameBytes: 50, chunkBytes: 120 });
+      const assembler = createChunkAssembler();
+
+      expect(assembler.accept(framesA[0])).toBeNull();
+      expect(assembler.accept(framesB[0])).toBeNull();
+      expect(assembler.accept(framesB[1])).toEqual(b);
+      expect(assembler.accept(framesA[1])).toEqual(a);
+    });
+
+    it('drop discards a partial response', () => {
+      const frames = splitMessage({ requestId: 9, text: 'x'.repeat(200) }, { maxFrameBytes: 50, chunkBytes: 120 });
+      const assembler = createChunkAssembler();
+
+      assembler.accept(frames[0]);
+      expect(assembler.pending()).toBe(1);
+      assembler.drop(9);
+      expect(assembler.pending()).toBe(0);
+    });
+  });
+});
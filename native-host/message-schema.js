@@ -0,0 +1,324 @@
+/**
+ * Native message schemas
+ * Declares, per action, the fields host.js reads from an incoming message
+ * so dispatchMessage can reject a malformed one before any handler runs.
+ * Without this a missing field surfaced deep inside a bridge (e.g.
+ * `existingLearnings.length` of undefined) and nothing bounded sizes.
+ *
+ *   validateMessage(message) → null | { code, field, error }
+ *
+ * Codes (the sidebar maps these to friendly messages):
+ *   invalid_message  - not a JSON object
+ *   unknown_action   - no schema for `action`
+ *   missing_field    - required field absent, empty, or below minItems
+ *   invalid_type     - wrong JSON type
+ *   too_long         - string over maxLength, or array over maxItems
+ *
+ * Fields not listed are ignored, so a newer extension can send extras to an
+ * older host. Optional fields may be null. `field` is a path such as
+ * `messages[2].content`.
+ */
+
+// Source text: transcripts, article bodies, summaries. Long inputs are
+// chunked by the bridges, so this only guards against runaway payloads.
+const MAX_TEXT_CHARS = 2 * 1000 * 1000;
+
+// Prompts the user types: follow-up queries, custom instructions
+const MAX_PROMPT_CHARS = 20 * 1000;
+
+// Titles, ids, model names, URLs, folder names
+const MAX_SHORT_CHARS = 2000;
+
+// Comments, learnings, links, chat turns
+const MAX_LIST_ITEMS = 1000;
+
+// Caption segments; a ten-hour video has around 10,000
+const MAX_SEGMENTS = 50 * 1000;
+
+const shortString = { type: 'string', maxLength: MAX_SHORT_CHARS };
+const text = { type: 'string', maxLength: MAX_TEXT_CHARS };
+const prompt = { type: 'string', maxLength: MAX_PROMPT_CHARS };
+const stringList = { type: 'array', maxItems: MAX_LIST_ITEMS, items: text };
+const objectList = { type: 'array', maxItems: MAX_LIST_ITEMS, items: { type: 'object' } };
+const timeout = { type: 'integer', minimum: 0 };
+
+// Caption segments, for prompts with [m:ss] lines (timestamps.js)
+const segmentList = {
+  type: 'array',
+  maxItems: MAX_SEGMENTS,
+  items: {
+    type: 'object',
+    properties: {
+      start: { type: 'number', required: true, minimum: 0 },
+      end: { type: 'number', minimum: 0 },
+      text: { type: 'string', required: true, maxLength: MAX_SHORT_CHARS }
+    }
+  }
+};
+
+// Part of a video, in seconds
+const timeRange = {
+  type: 'object',
+  properties: {
+    from: { type: 'number', required: true, minimum: 0 },
+    to: { type: 'number', required: true, minimum: 0 }
+  }
+};
+
+// Video chapters from the page; the summary response adds summary and
+// keyLearnings to each, and saveToNotes sends those back
+const chapterList = {
+  type: 'array',
+  maxItems: MAX_LIST_ITEMS,
+  items: {
+    type: 'object',
+    properties: {
+      start: { type: 'number', required: true, minimum: 0 },
+      end: { type: 'number', minimum: 0 },
+      title: { ...shortString, required: true },
+      summary: text,
+      keyLearnings: stringList
+    }
+  }
+};
+
+// Read by handleMessage, the heartbeat and callWithRetry for any action
+const COMMON_FIELDS = {
+  action: { type: 'string', required: true, maxLength: 100 },
+  requestId: { type: ['string', 'integer'], maxLength: 200 },
+  protocolVersion: { type: 'integer' },
+  logLevel: shortString,
+  provider: shortString,
+  model: shortString,
+  providerModels: { type: 'object' },
+  failoverOrder: { type: 'array', maxItems: 10, items: shortString },
+  timeoutMs: timeout,
+  localBaseUrl: shortString,
+  localApiKey: shortString,
+  anthropicApiKey: shortString
+};
+
+const ACTION_SCHEMAS = {
+  hello: {},
+  generateSummary: {
+    contentType: shortString,
+    videoId: shortString,
+    title: shortString,
+    transcript: { ...text, required: true },
+    transcriptSegments: segmentList,
+    description: text,
+    descriptionLinks: objectList,
+    creatorComments: objectList,
+    viewerComments: objectList,
+    customInstructions: prompt,
+    templateSections: objectList,
+    author: shortString,
+    siteName: shortString,
+    publishDate: shortString,
+    structuredOutput: { type: 'boolean' },
+    chapterMode: { type: 'boolean' },
+    chapters: chapterList,
+    autoChapters: { type: 'boolean' },
+    catchUp: {
+      type: 'object',
+      properties: {
+        from: { type: 'number', required: true, minimum: 0 },
+        to: { type: 'number', required: true, minimum: 0 },
+        previousSummary: text,
+        previousLearnings: stringList,
+        previousActionItems: stringList,
+        selected: { type: 'boolean' }
+      }
+    },
+    useCache: { type: 'boolean' },
+    forceRefresh: { type: 'boolean' }
+  },
+  saveToNotes: {
+    folder: { ...shortString, required: true },
+    videoTitle: { ...shortString, required: true },
+    videoUrl: shortString,
+    summary: { ...text, required: true },
+    keyLearnings: stringList,
+    relevantLinks: objectList,
+    actionItems: objectList,
+    customNotes: text,
+    chapters: chapterList,
+    noteId: shortString,
+    reminderIds: { type: 'array', maxItems: MAX_LIST_ITEMS, items: shortString }
+  },
+  listFolders: {},
+  followUp: {
+    videoId: shortString,
+    title: shortString,
+    transcript: { ...text, required: true },
+    transcriptSegments: segmentList,
+    query: { ...prompt, required: true },
+    existingLearnings: { ...stringList, required: true }
+  },
+  chat: {
+    title: shortString,
+    url: shortString,
+    contentType: shortString,
+    transcript: text,
+    transcriptSegments: segmentList,
+    transcriptRange: timeRange,
+    summary: text,
+    keyLearnings: stringList,
+    actionItems: stringList,
+    creatorComments: objectList,
+    viewerComments: objectList,
+    messages: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: MAX_LIST_ITEMS,
+      items: {
+        type: 'object',
+        properties: {
+          role: { type: 'string', required: true, maxLength: 20 },
+          content: { ...text, required: true }
+        }
+      }
+    }
+  },
+  generateAudio: {
+    text: { type: 'string', required: true, maxLength: 200 * 1000 },
+    voiceId: { ...shortString, required: true },
+    apiKey: { ...shortString, required: true }
+  },
+  listVoices: {
+    apiKey: { ...shortString, required: true }
+  },
+  checkAuth: {},
+  cancel: {
+    targetRequestId: { type: ['string', 'integer'], required: true, maxLength: 200 }
+  },
+  getProgress: {
+    targetRequestId: { type: ['string', 'integer'], required: true, maxLength: 200 },
+    since: { type: 'integer', minimum: 0 }
+  },
+  clearCache: {},
+  getCacheStats: {},
+  getLogs: {
+    level: shortString,
+    targetRequestId: { type: ['string', 'integer'], maxLength: 200 },
+    filterProvider: shortString,
+    search: shortString,
+    since: shortString,
+    limit: { type: 'integer', minimum: 0 }
+  },
+  diagnose: {
+    providersInUse: { type: 'array', maxItems: 10, items: shortString },
+    testPrompts: { type: 'boolean' },
+    claudeModel: shortString,
+    codexModel: shortString,
+    localModel: shortString,
+    elevenlabsApiKey: shortString
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(expected => (
+    expected === actual || (expected === 'number' && actual === 'integer')
+  ));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function failure(code, field, error) {
+  return { code, field, error };
+}
+
+/**
+ * Check one field against its rule
+ * @param {*} value - Field value
+ * @param {Object} rule - { type, required, maxLength, minItems, maxItems, minimum, items, properties }
+ * @param {string} field - Path for the error
+ * @returns {Object|null} - { code, field, error }, or null when valid
+ */
+function validateField(value, rule, field) {
+  if (isEmpty(value)) {
+    return rule.required ? failure('missing_field', field, `${field} is required`) : null;
+  }
+
+  if (!matchesType(value, rule.type)) {
+    return failure('invalid_type', field, `${field} must be ${[].concat(rule.type).join(' or ')}`);
+  }
+
+  if (typeof value === 'string' && rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return failure('too_long', field, `${field} is ${value.length} characters; the limit is ${rule.maxLength}`);
+  }
+
+  if (typeof value === 'number' && rule.minimum !== undefined && value < rule.minimum) {
+    return failure('invalid_type', field, `${field} must be at least ${rule.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems && value.length < rule.minItems) {
+      return failure('missing_field', field, `${field} needs at least ${rule.minItems} item${rule.minItems > 1 ? 's' : ''}`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return failure('too_long', field, `${field} has ${value.length} items; the limit is ${rule.maxItems}`);
+    }
+    if (rule.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateField(value[i], { ...rule.items, required: true }, `${field}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (rule.properties) {
+    return validateFields(value, rule.properties, `${field}.`);
+  }
+
+  return null;
+}
+
+function validateFields(object, rules, prefix = '') {
+  for (const [key, rule] of Object.entries(rules)) {
+    const error = validateField(object[key], rule, `${prefix}${key}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Validate a native message against its action's schema
+ * @param {*} message - Parsed message
+ * @returns {Object|null} - { code, field, error } for the first problem, or null when valid
+ */
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return failure('invalid_message', null, 'Message must be a JSON object');
+  }
+
+  const commonError = validateFields(message, COMMON_FIELDS);
+  if (commonError) return commonError;
+
+  const { action } = message;
+  if (!Object.prototype.hasOwnProperty.call(ACTION_SCHEMAS, action)) {
+    return failure('unknown_action', 'action', `Unknown action: ${action}`);
+  }
+
+  return validateFields(message, ACTION_SCHEMAS[action]);
+}
+
+module.exports = {
+  MAX_TEXT_CHARS,
+  MAX_PROMPT_CHARS,
+  MAX_SHORT_CHARS,
+  MAX_LIST_ITEMS,
+  MAX_SEGMENTS,
+  ACTION_SCHEMAS,
+  validateMessage
+};
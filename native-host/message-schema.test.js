@@ -0,0 +1,141 @@
+/**
+ * Tests for message-schema.js
+ * Rejects malformed native messages before host.js dispatches them
+ */
+
+const { validateMessage, ACTION_SCHEMAS, MAX_TEXT_CHARS, MAX_LIST_ITEMS } = require('./message-schema');
+
+function summaryRequest(extra = {}) {
+  return {
+    action: 'generateSummary',
+    requestId: '6f1c2a9e-0000-4000-8000-000000000000',
+    contentType: 'youtube_video',
+    videoId: 'abc123',
+    title: 'A video',
+    transcript: 'Hello world',
+    creatorComments: null,
+    templateSections: null,
+    structuredOutput: true,
+    ...extra
+  };
+}
+
+describe('message-schema', () => {
+  it('accepts well-formed requests, including null optional fields', () => {
+    expect(validateMessage(summaryRequest())).toBeNull();
+    expect(validateMessage({ action: 'hello', requestId: 1 })).toBeNull();
+    expect(validateMessage({ action: 'cancel', targetRequestId: 'abc' })).toBeNull();
+  });
+
+  it('ignores fields it does not know', () => {
+    expect(validateMessage(summaryRequest({ somethingNew: { nested: true } }))).toBeNull();
+  });
+
+  it('rejects messages that are not objects', () => {
+    expect(validateMessage(null)).toMatchObject({ code: 'invalid_message' });
+    expect(validateMessage([1, 2])).toMatchObject({ code: 'invalid_message' });
+  });
+
+  it('rejects unknown actions', () => {
+    expect(validateMessage({ action: 'selfDestruct' })).toEqual({
+      code: 'unknown_action',
+      field: 'action',
+      error: 'Unknown action: selfDestruct'
+    });
+  });
+
+  it('reports missing required fields', () => {
+    expect(validateMessage({ action: 'followUp', transcript: 'text', query: 'why?' })).toMatchObject({
+      code: 'missing_field',
+      field: 'existingLearnings'
+    });
+    expect(validateMessage(summaryRequest({ transcript: '   ' }))).toMatchObject({ code: 'missing_field', field: 'transcript' });
+    expect(validateMessage({})).toMatchObject({ code: 'missing_field', field: 'action' });
+  });
+
+  it('reports wrong types', () => {
+    expect(validateMessage(summaryRequest({ transcript: 42 }))).toEqual({
+      code: 'invalid_type',
+      field: 'transcript',
+      error: 'transcript must be string'
+    });
+    expect(validateMessage(summaryRequest({ useCache: 'yes' }))).toMatchObject({ code: 'invalid_type', field: 'useCache' });
+    expect(validateMessage(summaryRequest({ timeoutMs: 1.5 }))).toMatchObject({ code: 'invalid_type', field: 'timeoutMs' });
+    expect(validateMessage(summaryRequest({ timeoutMs: -1 }))).toMatchObject({ code: 'invalid_type', field: 'timeoutMs' });
+  });
+
+  it('reports strings and lists over their limits', () => {
+    expect(validateMessage(summaryRequest({ transcript: 'x'.repeat(MAX_TEXT_CHARS + 1) }))).toMatchObject({
+      code: 'too_long',
+      field: 'transcript'
+    });
+    expect(validateMessage(summaryRequest({ viewerComments: new Array(MAX_LIST_ITEMS + 1).fill({ text: 'hi' }) }))).toMatchObject({
+      code: 'too_long',
+      field: 'viewerComments'
+    });
+  });
+
+  it('checks array items and nested object fields with their path', () => {
+    const chat = { action: 'chat', messages: [{ role: 'user', content: 'hi' }, { role: 'assistant' }] };
+    expect(validateMessage(chat)).toMatchObject({ code: 'missing_field', field: 'messages[1].content' });
+
+    const notes = { action: 'saveToNotes', folder: 'Videos', videoTitle: 'T', summary: 'S', keyLearnings: ['ok', 7] };
+    expect(validateMessage(notes)).toMatchObject({ code: 'invalid_type', field: 'keyLearnings[1]' });
+  });
+
+  it('checks transcript segments', () => {
+    const segments = [{ start: 0, end: 2.5, text: 'Hello' }, { start: 2.5, text: 'world' }];
+    expect(validateMessage(summaryRequest({ transcriptSegments: segments }))).toBeNull();
+    expect(validateMessage(summaryRequest({ transcriptSegments: [{ start: '0:00', text: 'Hello' }] }))).toMatchObject({
+      code: 'invalid_type',
+      field: 'transcriptSegments[0].start'
+    });
+  });
+
+  it('checks chapters', () => {
+    const chapters = [{ start: 0, title: 'Intro' }, { start: 60, end: 120, title: 'Main' }];
+    expect(validateMessage(summaryRequest({ chapterMode: true, chapters }))).toBeNull();
+    expect(validateMessage(summaryRequest({ autoChapters: 'yes' }))).toMatchObject({ code: 'invalid_type', field: 'autoChapters' });
+    expect(validateMessage(summaryRequest({ chapters: [{ start: 0, title: '' }] }))).toMatchObject({
+      code: 'missing_field',
+      field: 'chapters[0].title'
+    });
+  });
+
+  it('checks the catch-up range', () => {
+    expect(validateMessage(summaryRequest({ catchUp: { from: 0, to: 754.2 } }))).toBeNull();
+    expect(validateMessage(summaryRequest({ catchUp: { from: 600 } }))).toMatchObject({ code: 'missing_field', field: 'catchUp.to' });
+  });
+
+  it('checks transcript ranges sent to chat and follow-ups', () => {
+    const segments = [{ start: 3720, text: 'Caching.' }];
+    const chat = { action: 'chat', messages: [{ role: 'user', content: 'why?' }], transcriptSegments: segments };
+    expect(validateMessage({ ...chat, transcriptRange: { from: 3720, to: 4530 } })).toBeNull();
+    expect(validateMessage({ ...chat, transcriptRange: { from: 3720 } })).toMatchObject({ code: 'missing_field', field: 'transcriptRange.to' });
+
+    const followUp = { action: 'followUp', transcript: 'Caching.', query: 'more', existingLearnings: [] };
+    expect(validateMessage({ ...followUp, transcriptSegments: [{ start: -1, text: 'x' }] })).toMatchObject({
+      code: 'invalid_type',
+      field: 'transcriptSegments[0].start'
+    });
+  });
+
+  it('requires at least one chat message', () => {
+    expect(validateMessage({ action: 'chat', messages: [] })).toMatchObject({ code: 'missing_field', field: 'messages' });
+  });
+
+  it('accepts string or integer request ids', () => {
+    expect(validateMessage({ action: 'getProgress', targetRequestId: 12, since: 3 })).toBeNull();
+    expect(validateMessage({ action: 'getProgress', targetRequestId: { id: 12 } })).toMatchObject({
+      code: 'invalid_type',
+      field: 'targetRequestId'
+    });
+  });
+
+  it('has a schema for every action the extension sends', () => {
+    ['hello', 'generateSummary', 'saveToNotes', 'listFolders', 'followUp', 'chat', 'generateAudio', 'listVoices',
+      'checkAuth', 'cancel', 'getProgress', 'clearCache', 'getCacheStats', 'getLogs', 'diagnose'].forEach(action => {
+      expect(ACTION_SCHEMAS).toHaveProperty(action);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Progress store
+ * Remembers the progress of running requests so a client that can't
+ * receive progress frames can ask for it. Safari's bridge is request /
+ * response only (one socket per request, see NodeBridgeService.swift), so
+ * on Safari background.js polls with `getProgress` while a request runs.
+ *
+ * agent-server.js records the frames of every host.js it runs and answers
+ * `getProgress` itself; host.js keeps one for the requests it handles.
+ *
+ *   get(id, since) → { status, sequence, updates: [{ seq, progress }], startedAt, elapsedMs }
+ */
+
+// A finished request is still reported as finished for this long
+const FINISHED_TTL_MS = 60 * 1000;
+
+// Updates kept per request. A poller that falls further behind only misses
+// the oldest stages.
+const MAX_UPDATES = 20;
+
+// Requests remembered at once; the oldest finished ones go first
+const MAX_ENTRIES = 200;
+
+/**
+ * Create a progress store
+ * @param {Object} [options]
+ * @param {function(): number} [options.now] - Clock (for tests)
+ * @returns {{start: function, record: function, finish: function, get: function, size: function}}
+ */
+function createProgressStore(options = {}) {
+  const { now = Date.now } = options;
+  const entries = new Map();
+
+  function prune() {
+    const time = now();
+    entries.forEach((entry, requestId) => {
+      if (entry.finishedAt && time - entry.finishedAt > FINISHED_TTL_MS) {
+        entries.delete(requestId);
+      }
+    });
+    if (entries.size <= MAX_ENTRIES) return;
+
+    const byAge = [...entries.entries()].sort(([, a], [, b]) => (
+      (a.finishedAt ? 0 : 1) - (b.finishedAt ? 0 : 1) || a.startedAt - b.startedAt
+    ));
+    byAge.slice(0, entries.size - MAX_ENTRIES).forEach(([requestId]) => entries.delete(requestId));
+  }
+
+  /**
+   * Note that a request has started
+   * @param {*} requestId - Request id
+   * @param {string} [action] - Its action
+   */
+  function start(requestId, action = null) {
+    if (requestId === undefined || requestId === null) return;
+    entries.set(requestId, { action, startedAt: now(), finishedAt: null, sequence: 0, updates: [] });
+    prune();
+  }
+
+  /**
+   * Note that a request has finished, whatever its outcome
+   * @param {*} requestId - Request id
+   */
+  function finish(requestId) {
+    const entry = entries.get(requestId);
+    if (entry && !entry.finishedAt) {
+      entry.finishedAt = now();
+    }
+  }
+
+  /**
+   * Record a frame host.js wrote: progress adds an update, a final
+   * response (or the last part of a chunked one) finishes the request.
+   * Heartbeats carry nothing to show and are skipped.
+   * @param {Object} frame - Message from host.js
+   */
+  function record(frame) {
+    if (!frame || frame.requestId === undefined) return;
+    const { requestId, type } = frame;
+
+    if (type === 'progress') {
+      const progress = frame.progress || {};
+      if (progress.stage === 'heartbeat') return;
+
+      let entry = entries.get(requestId);
+      if (!entry) {
+        start(requestId);
+        entry = entries.get(requestId);
+      }
+      entry.sequence++;
+      // Streaming updates carry all the text so far; only the latest matters
+      const last = entry.updates[entry.updates.length - 1];
+      if (last && last.progress.stage === 'streaming' && progress.stage === 'streaming') {
+        entry.updates.pop();
+      }
+      entry.updates.push({ seq: entry.sequence, progress });
+      if (entry.updates.length > MAX_UPDATES) {
+        entry.updates.shift();
+      }
+      return;
+    }
+
+    if (type === 'chunk') {
+      if (frame.chunkIndex === frame.chunkCount - 1) finish(requestId);
+      return;
+    }
+
+    finish(requestId);
+  }
+
+  /**
+   * Progress of a request
+   * @param {*} requestId - Request id
+   * @param {number} [since=0] - Only updates after this sequence number
+   * @returns {Object} - status is 'running', 'finished', or 'unknown'
+   *   (never seen here, or forgotten)
+   */
+  function get(requestId, since = 0) {
+    const entry = entries.get(requestId);
+    if (!entry) {
+      return { status: 'unknown', sequence: 0, updates: [] };
+    }
+    return {
+      status: entry.finishedAt ? 'finished' : 'running',
+      action: entry.action,
+      sequence: entry.sequence,
+      updates: entry.updates.filter(update => update.seq > since),
+      startedAt: entry.startedAt,
+      elapsedMs: (entry.finishedAt || now()) - entry.startedAt
+    };
+  }
+
+  return {
+    start,
+    record,
+    finish,
+    get,
+    size: () => entries.size
+  };
+}
+
+module.exports = {
+  FINISHED_TTL_MS,
+  MAX_UPDATES,
+  MAX_ENTRIES,
+  createProgressStore
+};
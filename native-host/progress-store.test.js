@@ -0,0 +1,118 @@
+/**
+ * Tests for progress-store.js
+ * Keeps request progress for clients that poll with getProgress
+ */
+
+const { createProgressStore, FINISHED_TTL_MS, MAX_UPDATES, MAX_ENTRIES } = require('./progress-store');
+
+function progress(requestId, stage, extra = {}) {
+  return { type: 'progress', requestId, progress: { stage, message: stage, ...extra } };
+}
+
+describe('progress-store', () => {
+  let time;
+  let store;
+
+  beforeEach(() => {
+    time = 1000;
+    store = createProgressStore({ now: () => time });
+  });
+
+  it('reports unknown requests', () => {
+    expect(store.get('nope')).toEqual({ status: 'unknown', sequence: 0, updates: [] });
+  });
+
+  it('reports a started request as running with no updates yet', () => {
+    store.start('a', 'generateSummary');
+    time = 3500;
+
+    expect(store.get('a')).toMatchObject({ status: 'running', action: 'generateSummary', sequence: 0, updates: [], elapsedMs: 2500 });
+  });
+
+  it('keeps progress updates in order with sequence numbers', () => {
+    store.start('a');
+    store.record(progress('a', 'preparing'));
+    store.record(progress('a', 'sending', { inputTokens: 1200 }));
+
+    const status = store.get('a');
+    expect(status.sequence).toBe(2);
+    expect(status.updates).toEqual([
+      { seq: 1, progress: { stage: 'preparing', message: 'preparing' } },
+      { seq: 2, progress: { stage: 'sending', message: 'sending', inputTokens: 1200 } }
+    ]);
+  });
+
+  it('returns only updates after `since`', () => {
+    store.record(progress('a', 'preparing'));
+    store.record(progress('a', 'sending'));
+    store.record(progress('a', 'waiting'));
+
+    expect(store.get('a', 2).updates.map(u => u.progress.stage)).toEqual(['waiting']);
+    expect(store.get('a', 3).updates).toEqual([]);
+  });
+
+  it('keeps only the latest of consecutive streaming updates', () => {
+    store.record(progress('a', 'waiting'));
+    store.record(progress('a', 'streaming', { partialText: 'He' }));
+    store.record(progress('a', 'streaming', { partialText: 'Hello' }));
+
+    const status = store.get('a');
+    expect(status.sequence).toBe(3);
+    expect(status.updates.map(u => u.progress.partialText || u.progress.stage)).toEqual(['waiting', 'Hello']);
+  });
+
+  it('ignores heartbeats', () => {
+    store.record(progress('a', 'heartbeat', { elapsedMs: 15000 }));
+
+    expect(store.get('a').status).toBe('unknown');
+  });
+
+  it('caps the updates kept per request', () => {
+    for (let i = 0; i < MAX_UPDATES + 5; i++) {
+      store.record(progress('a', i % 2 ? 'sending' : 'waiting'));
+    }
+
+    const status = store.get('a');
+    expect(status.updates).toHaveLength(MAX_UPDATES);
+    expect(status.updates[0].seq).toBe(6);
+  });
+
+  it('marks a request finished on its final response', () => {
+    store.start('a');
+    store.record({ requestId: 'a', success: false, error: 'boom' });
+
+    expect(store.get('a').status).toBe('finished');
+  });
+
+  it('marks a request finished on the last part of a chunked response', () => {
+    store.start('a');
+    store.record({ type: 'chunk', requestId: 'a', chunkIndex: 0, chunkCount: 2, data: '' });
+    expect(store.get('a').status).toBe('running');
+
+    store.record({ type: 'chunk', requestId: 'a', chunkIndex: 1, chunkCount: 2, data: '' });
+    expect(store.get('a').status).toBe('finished');
+  });
+
+  it('forgets finished requests after the TTL', () => {
+    store.start('a');
+    store.finish('a');
+    time += FINISHED_TTL_MS + 1;
+    store.start('b');
+
+    expect(store.get('a').status).toBe('unknown');
+    expect(store.get('b').status).toBe('running');
+  });
+
+  it('drops finished requests first when full', () => {
+    store.start('finished');
+    store.finish('finished');
+    for (let i = 0; i < MAX_ENTRIES; i++) {
+      time++;
+      store.start(`running-${i}`);
+    }
+
+    expect(store.size()).toBe(MAX_ENTRIES);
+    expect(store.get('finished').status).toBe('unknown');
+    expect(store.get('running-0').status).toBe('running');
+  });
+});
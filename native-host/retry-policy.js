@@ -0,0 +1,183 @@
+/**
+ * Retry and Failover Policy
+ * Classifies provider errors and decides whether to retry the same
+ * provider (with exponential backoff), move on to the next provider in the
+ * user's failover order, or give up.
+ *
+ * Bridges report failures as `{ success: false, error }` strings, so
+ * classification works on the message text.
+ */
+
+const { TIMEOUT_MESSAGE_PATTERN } = require('./timeouts');
+
+const ERROR_CLASS = {
+  TRANSIENT: 'transient', // Worth retrying: network timeouts, crashes, rate limits, 5xx
+  TIMEOUT: 'timeout',     // Hit the user's time limit: a retry would wait as long again, so fail over
+  AUTH: 'auth',           // Provider unusable as configured: not installed, logged out, bad key
+  FATAL: 'fatal',         // The request itself is bad: retrying or switching won't help
+  UNKNOWN: 'unknown',     // Unrecognized: not retried, but another provider may still work
+  CANCELLED: 'cancelled'  // User cancelled: stop immediately
+};
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 8000;
+
+// Checked in order: auth wins over transient because a CLI that exits
+// non-zero because it's logged out won't recover on retry.
+const AUTH_PATTERNS = [
+  /not found\. (please ensure|install)/i, // "Claude CLI not found..." / "Codex CLI not found..."
+  /failed to spawn/i,
+  /not logged in|please (run )?(\/|`)?login|codex login/i,
+  /unauthori[sz]ed|authentication|invalid (x-)?api[ -]key|invalid bearer|error\W{0,3}(401|403)\b/i,
+  /oauth token (has )?expired|credentials/i,
+  /no local model configured|invalid local server url|model .*not found|error\W{0,3}404\b/i
+];
+
+// A prompt the model rejects outright fails the same way everywhere
+const FATAL_PATTERNS = [
+  /prompt is too long|context (length|window)|maximum context|too many tokens/i,
+  /invalid_request|error\W{0,3}400\b/i
+];
+
+const TRANSIENT_PATTERNS = [
+  /timed out|timeout/i,
+  /exited with code/i,
+  /returned no output|no text content/i,
+  /econnreset|econnrefused|etimedout|eai_again|epipe|socket hang up|network error|could not reach/i,
+  /rate.?limit|too many requests|overloaded|error\W{0,3}(429|5\d\d)\b/i
+];
+
+/**
+ * Classify an error message from a bridge
+ * @param {string} message - Error message
+ * @returns {string} - One of ERROR_CLASS
+ */
+function classifyError(message) {
+  const text = String(message || '');
+  if (/request cancelled/i.test(text)) return ERROR_CLASS.CANCELLED;
+  if (AUTH_PATTERNS.some(pattern => pattern.test(text))) return ERROR_CLASS.AUTH;
+  if (FATAL_PATTERNS.some(pattern => pattern.test(text))) return ERROR_CLASS.FATAL;
+  if (TIMEOUT_MESSAGE_PATTERN.test(text)) return ERROR_CLASS.TIMEOUT;
+  if (TRANSIENT_PATTERNS.some(pattern => pattern.test(text))) return ERROR_CLASS.TRANSIENT;
+  return ERROR_CLASS.UNKNOWN;
+}
+
+/**
+ * Backoff before retry number `retry` (0-based): 1s, 2s, 4s... capped, with
+ * up to 20% jitter so parallel requests don't retry in lockstep.
+ * @param {number} retry - Retry index
+ * @param {number} baseDelayMs - First delay
+ * @param {function} random - Random source (for tests)
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(retry, baseDelayMs = DEFAULT_BASE_DELAY_MS, random = Math.random) {
+  const delay = Math.min(baseDelayMs * Math.pow(2, retry), MAX_DELAY_MS);
+  return Math.round(delay * (1 + random() * 0.2));
+}
+
+/**
+ * Wait for `ms`, resolving early (to false) if the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<boolean>} - true if the full delay elapsed
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve(false);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Build the ordered, de-duplicated list of providers to try
+ * @param {string} primary - Provider the user selected
+ * @param {string[]} [failoverOrder] - Providers to try after it
+ * @returns {string[]}
+ */
+function resolveProviderChain(primary, failoverOrder = []) {
+  const chain = [primary || 'claude'];
+  (Array.isArray(failoverOrder) ? failoverOrder : []).forEach(provider => {
+    if (provider && !chain.includes(provider)) chain.push(provider);
+  });
+  return chain;
+}
+
+/**
+ * Run a bridge call across the provider chain, retrying transient failures
+ * on each provider before failing over to the next. A call that used up the
+ * whole time limit isn't retried on the same provider.
+ * @param {string[]} providers - Chain from resolveProviderChain
+ * @param {function(string): Promise<Object>} run - Calls one provider, resolves to a bridge result
+ * @param {Object} options
+ * @param {number} [options.maxRetries=2] - Retries per provider for transient errors
+ * @param {number} [options.baseDelayMs=1000] - First backoff delay
+ * @param {AbortSignal} [options.signal] - Stops retries and failover when aborted
+ * @param {function} [options.onRetry] - ({ provider, retry, maxRetries, delayMs, error })
+ * @param {function} [options.onFailover] - ({ from, to, error, errorClass })
+ * @returns {Promise<Object>} - The bridge result, plus `provider` (who answered or
+ *   failed last) and `attempts` ([{ provider, error, errorClass }] for each failure)
+ */
+async function runWithFailover(providers, run, options = {}) {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    signal,
+    onRetry = () => {},
+    onFailover = () => {}
+  } = options;
+  const attempts = [];
+  let result = { success: false, error: 'No provider available' };
+
+  for (let i = 0; i < providers.length; i++) {
+    const provider = providers[i];
+    let errorClass = null;
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      result = await run(provider);
+      if (result.success) {
+        return { ...result, provider, attempts };
+      }
+
+      errorClass = signal && signal.aborted ? ERROR_CLASS.CANCELLED : classifyError(result.error);
+      attempts.push({ provider, error: result.error, errorClass });
+      if (errorClass !== ERROR_CLASS.TRANSIENT || retry === maxRetries) break;
+
+      const delayMs = getBackoffDelay(retry, baseDelayMs);
+      onRetry({ provider, retry: retry + 1, maxRetries, delayMs, error: result.error });
+      if (!(await sleep(delayMs, signal))) {
+        return { ...result, provider, attempts };
+      }
+    }
+
+    if (errorClass === ERROR_CLASS.CANCELLED || errorClass === ERROR_CLASS.FATAL) break;
+
+    const next = providers[i + 1];
+    if (next) {
+      onFailover({ from: provider, to: next, error: result.error, errorClass });
+    }
+  }
+
+  return { ...result, provider: attempts.length > 0 ? attempts[attempts.length - 1].provider : providers[0], attempts };
+}
+
+module.exports = {
+  ERROR_CLASS,
+  classifyError,
+  resolveProviderChain,
+  runWithFailover,
+  // Exported for testing
+  getBackoffDelay,
+  sleep
+};
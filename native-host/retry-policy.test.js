@@ -0,0 +1,182 @@
+/**
+ * Tests for retry-policy.js
+ * Tests error classification, backoff, and retry/failover across providers
+ */
+
+const {
+  ERROR_CLASS,
+  classifyError,
+  resolveProviderChain,
+  runWithFailover,
+  getBackoffDelay,
+  sleep
+} = require('./retry-policy');
+
+describe('retry-policy', () => {
+  describe('classifyError', () => {
+    it('treats CLI crashes, network timeouts, and overload as transient', () => {
+      expect(classifyError('Claude exited with code 1. Details: unexpected EOF')).toBe(ERROR_CLASS.TRANSIENT);
+      expect(classifyError('Codex request timed out')).toBe(ERROR_CLASS.TRANSIENT);
+      expect(classifyError('Anthropic API error (529): Overloaded')).toBe(ERROR_CLASS.TRANSIENT);
+      expect(classifyError('Local server error (503)')).toBe(ERROR_CLASS.TRANSIENT);
+      expect(classifyError('Network error: socket hang up')).toBe(ERROR_CLASS.TRANSIENT);
+    });
+
+    it('treats hitting the time limit as a timeout', () => {
+      expect(classifyError('Claude Code (sonnet) timed out after 270 seconds. You can raise the limit in Settings → Timeouts.')).toBe(ERROR_CLASS.TIMEOUT);
+    });
+
+    it('treats missing CLIs and bad credentials as auth', () => {
+      expect(classifyError('Claude CLI not found. Please ensure it is installed and in your PATH.')).toBe(ERROR_CLASS.AUTH);
+      expect(classifyError('Codex exited with code 1. Details: Not logged in. Run codex login')).toBe(ERROR_CLASS.AUTH);
+      expect(classifyError('Anthropic API error (401): invalid x-api-key')).toBe(ERROR_CLASS.AUTH);
+      expect(classifyError('No Anthropic credentials available.')).toBe(ERROR_CLASS.AUTH);
+      expect(classifyError('Local server error (404): model "llama3" not found')).toBe(ERROR_CLASS.AUTH);
+    });
+
+    it('treats rejected prompts as fatal', () => {
+      expect(classifyError('Anthropic API error (400): prompt is too long')).toBe(ERROR_CLASS.FATAL);
+      expect(classifyError('Claude exited with code 1. Details: Prompt is too long')).toBe(ERROR_CLASS.FATAL);
+    });
+
+    it('leaves unrecognized errors unknown', () => {
+      expect(classifyError('Something unexpected')).toBe(ERROR_CLASS.UNKNOWN);
+      expect(classifyError('Unexpected token < in JSON at position 0')).toBe(ERROR_CLASS.UNKNOWN);
+    });
+
+    it('recognizes cancellation', () => {
+      expect(classifyError('Request cancelled')).toBe(ERROR_CLASS.CANCELLED);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('doubles per retry and caps the delay', () => {
+      const noJitter = () => 0;
+      expect(getBackoffDelay(0, 1000, noJitter)).toBe(1000);
+      expect(getBackoffDelay(1, 1000, noJitter)).toBe(2000);
+      expect(getBackoffDelay(10, 1000, noJitter)).toBe(8000);
+    });
+
+    it('adds up to 20% jitter', () => {
+      expect(getBackoffDelay(0, 1000, () => 1)).toBe(1200);
+    });
+  });
+
+  describe('sleep', () => {
+    it('resolves early when the signal aborts', async () => {
+      const controller = new AbortController();
+      const pending = sleep(60000, controller.signal);
+      controller.abort();
+      await expect(pending).resolves.toBe(false);
+    });
+  });
+
+  describe('resolveProviderChain', () => {
+    it('puts the primary first and drops duplicates', () => {
+      expect(resolveProviderChain('codex', ['claude', 'codex', 'local'])).toEqual(['codex', 'claude', 'local']);
+    });
+
+    it('defaults to Claude with no failover', () => {
+      expect(resolveProviderChain(undefined)).toEqual(['claude']);
+    });
+  });
+
+  describe('runWithFailover', () => {
+    const options = { baseDelayMs: 1 };
+
+    it('returns the first success without retrying', async () => {
+      const run = jest.fn().mockResolvedValue({ success: true, reply: 'Hi' });
+      const result = await runWithFailover(['claude'], run, options);
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ success: true, reply: 'Hi', provider: 'claude', attempts: [] });
+    });
+
+    it('retries transient errors on the same provider', async () => {
+      const run = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: 'Claude request timed out' })
+        .mockResolvedValueOnce({ success: true, reply: 'Hi' });
+      const onRetry = jest.fn();
+      const result = await runWithFailover(['claude', 'codex'], run, { ...options, onRetry });
+
+      expect(run.mock.calls.map(c => c[0])).toEqual(['claude', 'claude']);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ provider: 'claude', retry: 1 }));
+      expect(result.provider).toBe('claude');
+    });
+
+    it('fails over after exhausting retries', async () => {
+      const run = jest.fn(async (provider) => (
+        provider === 'claude'
+          ? { success: false, error: 'Claude exited with code 1. Details: boom' }
+          : { success: true, reply: 'From Codex' }
+      ));
+      const onFailover = jest.fn();
+      const result = await runWithFailover(['claude', 'codex'], run, { ...options, maxRetries: 2, onFailover });
+
+      expect(run.mock.calls.map(c => c[0])).toEqual(['claude', 'claude', 'claude', 'codex']);
+      expect(onFailover).toHaveBeenCalledWith(expect.objectContaining({ from: 'claude', to: 'codex' }));
+      expect(result.provider).toBe('codex');
+      expect(result.attempts).toHaveLength(3);
+    });
+
+    it('fails over without retrying when the time limit is hit', async () => {
+      const run = jest.fn(async (provider) => (
+        provider === 'claude'
+          ? { success: false, error: 'Claude Code (opus) timed out after 270 seconds. You can raise the limit in Settings → Timeouts.' }
+          : { success: true, reply: 'From Codex' }
+      ));
+      const onRetry = jest.fn();
+      const result = await runWithFailover(['claude', 'codex'], run, { ...options, onRetry });
+
+      expect(run.mock.calls.map(c => c[0])).toEqual(['claude', 'codex']);
+      expect(onRetry).not.toHaveBeenCalled();
+      expect(result.provider).toBe('codex');
+    });
+
+    it('fails over immediately on auth errors', async () => {
+      const run = jest.fn(async (provider) => (
+        provider === 'claude'
+          ? { success: false, error: 'Claude CLI not found. Please ensure it is installed and in your PATH.' }
+          : { success: true }
+      ));
+      const result = await runWithFailover(['claude', 'local'], run, options);
+
+      expect(run.mock.calls.map(c => c[0])).toEqual(['claude', 'local']);
+      expect(result.provider).toBe('local');
+    });
+
+    it('fails over without retrying on unknown errors', async () => {
+      const run = jest.fn(async (provider) => (
+        provider === 'local'
+          ? { success: false, error: 'Unexpected token < in JSON at position 0' }
+          : { success: true, reply: 'From Claude' }
+      ));
+      const result = await runWithFailover(['local', 'claude'], run, options);
+
+      expect(run.mock.calls.map(c => c[0])).toEqual(['local', 'claude']);
+      expect(result.provider).toBe('claude');
+      expect(result.attempts[0].errorClass).toBe(ERROR_CLASS.UNKNOWN);
+    });
+
+    it('stops on fatal errors', async () => {
+      const run = jest.fn().mockResolvedValue({ success: false, error: 'Anthropic API error (400): prompt is too long' });
+      const result = await runWithFailover(['anthropic', 'claude'], run, options);
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.attempts[0].errorClass).toBe(ERROR_CLASS.FATAL);
+    });
+
+    it('stops when the request is cancelled', async () => {
+      const controller = new AbortController();
+      const run = jest.fn(async () => {
+        controller.abort();
+        return { success: false, error: 'Claude exited with code 143. Details: ' };
+      });
+      const result = await runWithFailover(['claude', 'codex'], run, { ...options, signal: controller.signal });
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(result.attempts[0].errorClass).toBe(ERROR_CLASS.CANCELLED);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Server-Sent Events parsing shared by the HTTP providers
+ * (anthropic-client.js and local-bridge.js).
+ */
+
+/**
+ * Parse Server-Sent Events from a streaming response.
+ * Returns complete `data:` payloads and whatever partial line is left over;
+ * prepend `rest` to the next chunk. `event:` lines are dropped — both the
+ * Anthropic and OpenAI protocols repeat the event type inside the JSON.
+ * @param {string} buffer - Unprocessed response text
+ * @returns {{events: string[], rest: string}}
+ */
+function parseSSE(buffer) {
+  const lines = buffer.split('\n');
+  const rest = lines.pop();
+  const events = lines
+    .map(line => line.trim())
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim());
+  return { events, rest };
+}
+
+module.exports = {
+  parseSSE
+};
@@ -0,0 +1,22 @@
+/**
+ * Tests for the shared Server-Sent Events parser
+ */
+
+const { parseSSE } = require('./sse');
+
+describe('parseSSE', () => {
+  test('returns data payloads and keeps the partial line', () => {
+    const { events, rest } = parseSSE('data: {"a":1}\n\n: keep-alive\ndata: [DONE]\ndata: {"b"');
+    expect(events).toEqual(['{"a":1}', '[DONE]']);
+    expect(rest).toBe('data: {"b"');
+  });
+
+  test('drops event lines', () => {
+    expect(parseSSE('event: message_start\ndata: {"type":"message_start"}\n\n').events)
+      .toEqual(['{"type":"message_start"}']);
+  });
+
+  test('handles CRLF line endings', () => {
+    expect(parseSSE('data: x\r\n').events).toEqual(['x']);
+  });
+});
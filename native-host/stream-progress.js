@@ -0,0 +1,62 @@
+/**
+ * Streaming progress throttle
+ * Streaming providers report `partialText` with everything received so far,
+ * so each update is self-contained and the sidebar can re-render the
+ * preview from it. Sent for every stdout chunk or SSE delta, that's
+ * quadratic in bytes over the native port and in DOM work, so updates are
+ * limited to one per STREAM_UPDATE_MS. The latest one is never lost: it is
+ * sent when the interval ends, or by flush() when the stream finishes.
+ *
+ *   const streamProgress = throttleProgress(onProgress);
+ *   streamProgress({ stage: 'streaming', partialText });  // per chunk
+ *   streamProgress.flush();                               // on success
+ *   streamProgress.cancel();                              // once settled
+ */
+
+const STREAM_UPDATE_MS = 250;
+
+/**
+ * Wrap a progress callback so it fires at most once per interval
+ * @param {function} onProgress - Progress callback
+ * @param {number} [intervalMs] - Minimum time between updates
+ * @returns {function} - Takes a progress update; has flush() and cancel()
+ */
+function throttleProgress(onProgress, intervalMs = STREAM_UPDATE_MS) {
+  let lastSentAt = -Infinity;
+  let pending = null;
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const progress = pending;
+    pending = null;
+    lastSentAt = Date.now();
+    onProgress(progress);
+  };
+
+  const update = (progress) => {
+    pending = progress;
+    if (timer) return;
+    const wait = lastSentAt + intervalMs - Date.now();
+    if (wait <= 0) {
+      flush();
+    } else {
+      timer = setTimeout(flush, wait);
+    }
+  };
+
+  update.flush = flush;
+  update.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    pending = null;
+  };
+  return update;
+}
+
+module.exports = {
+  STREAM_UPDATE_MS,
+  throttleProgress
+};
@@ -0,0 +1,53 @@
+/**
+ * Tests for stream-progress.js
+ * Limits streaming partialText updates to one per interval
+ */
+
+const { STREAM_UPDATE_MS, throttleProgress } = require('./stream-progress');
+
+describe('stream-progress', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends the first update at once and at most one per interval after', () => {
+    const onProgress = jest.fn();
+    const streamProgress = throttleProgress(onProgress);
+
+    streamProgress({ partialText: 'H' });
+    streamProgress({ partialText: 'He' });
+    streamProgress({ partialText: 'Hel' });
+    expect(onProgress.mock.calls.map(c => c[0].partialText)).toEqual(['H']);
+
+    jest.advanceTimersByTime(STREAM_UPDATE_MS);
+    expect(onProgress.mock.calls.map(c => c[0].partialText)).toEqual(['H', 'Hel']);
+  });
+
+  it('flushes the latest update when the stream finishes', () => {
+    const onProgress = jest.fn();
+    const streamProgress = throttleProgress(onProgress);
+
+    streamProgress({ partialText: 'H' });
+    streamProgress({ partialText: 'Hello' });
+    streamProgress.flush();
+    expect(onProgress).toHaveBeenLastCalledWith({ partialText: 'Hello' });
+
+    jest.advanceTimersByTime(STREAM_UPDATE_MS);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops a pending update when cancelled', () => {
+    const onProgress = jest.fn();
+    const streamProgress = throttleProgress(onProgress);
+
+    streamProgress({ partialText: 'H' });
+    streamProgress({ partialText: 'He' });
+    streamProgress.cancel();
+    jest.advanceTimersByTime(STREAM_UPDATE_MS);
+    expect(onProgress).toHaveBeenCalledTimes(1);
+  });
+});
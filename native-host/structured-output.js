@@ -0,0 +1,291 @@
+/**
+ * Structured (JSON) Output Mode
+ * Opt-in alternative to the header-based text format. The prompt asks for
+ * JSON matching a schema built from the user's template sections; the reply
+ * is validated and, if invalid, repaired once before the caller falls back
+ * to the text parser.
+ */
+
+/**
+ * Section ids the extension knows how to display. Custom template sections
+ * are still honored in text mode, but the parsed result has nowhere to put
+ * them, so structured mode leaves them out of the schema.
+ */
+const SUPPORTED_SECTIONS = ['summary', 'key_learnings', 'action_items', 'creator_additions', 'relevant_links'];
+
+const DEFAULT_SECTIONS = [
+  { id: 'summary', label: 'Summary', enabled: true },
+  { id: 'key_learnings', label: 'Key Learnings', enabled: true },
+  { id: 'action_items', label: 'Action Items', enabled: true },
+  { id: 'creator_additions', label: 'Creator Additions', enabled: true },
+  { id: 'relevant_links', label: 'Relevant Links', enabled: true }
+];
+
+/**
+ * Build a JSON schema for the response from template sections
+ * @param {Array|null} templateSections - Template sections (null = default sections)
+ * @param {Object} context - { hasLinks, hasCreatorComments }
+ * @returns {Object} - JSON schema (object type with properties keyed by section id)
+ */
+function buildJsonSchema(templateSections, context = {}) {
+  const { hasLinks, hasCreatorComments } = context;
+  const sections = (templateSections && templateSections.length > 0 ? templateSections : DEFAULT_SECTIONS)
+    .filter(s => s.enabled && SUPPORTED_SECTIONS.includes(s.id))
+    .filter(s => s.id !== 'creator_additions' || hasCreatorComments)
+    .filter(s => s.id !== 'relevant_links' || hasLinks);
+
+  const properties = {};
+  sections.forEach(section => {
+    switch (section.id) {
+      case 'summary':
+        properties.summary = {
+          type: 'string',
+          minLength: 1,
+          description: `${section.label}: a concise 2-3 paragraph summary covering the main points`
+        };
+        break;
+      case 'key_learnings':
+        properties.key_learnings = {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string' },
+          description: `${section.label}: the most valuable insights or takeaways, one per item`
+        };
+        break;
+      case 'action_items':
+        properties.action_items = {
+          type: 'array',
+          items: { type: 'string' },
+          description: `${section.label}: specific tasks starting with a verb; empty array if none`
+        };
+        break;
+      case 'creator_additions':
+        properties.creator_additions = {
+          type: 'array',
+          items: { type: 'string' },
+          description: `${section.label}: valuable insights from creator comments that are not in the transcript; empty array if none`
+        };
+        break;
+      case 'relevant_links':
+        properties.relevant_links = {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer', minimum: 1 },
+              reason: { type: 'string' }
+            },
+            required: ['index', 'reason']
+          },
+          description: `${section.label}: useful links from the numbered list above, by number, with why each is useful; empty array if none`
+        };
+        break;
+    }
+  });
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties)
+  };
+}
+
+/**
+ * Build the output-format instructions appended to a prompt in structured mode
+ * @param {Object} schema - Schema from buildJsonSchema
+ * @returns {string} - Format instructions
+ */
+function buildJsonOutputFormat(schema) {
+  return `
+IMPORTANT: Respond with a single JSON object and nothing else - no markdown headers, no commentary, no code fences. It must match this JSON schema:
+
+${JSON.stringify(schema, null, 2)}
+
+Field descriptions in the schema explain what each field should contain. Include every required field.`;
+}
+
+/**
+ * Pull a JSON object out of a model reply (tolerates code fences and preamble)
+ * @param {string} response - Raw model reply
+ * @returns {*} - Parsed value
+ * @throws {Error} - If no JSON object can be parsed
+ */
+function extractJson(response) {
+  const cleaned = (response || '').trim();
+  const fenced = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1].trim() : cleaned;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in response');
+  }
+  return JSON.parse(candidate.substring(start, end + 1));
+}
+
+/**
+ * Validate a value against the subset of JSON schema that buildJsonSchema emits
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path for error messages
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = 'response') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        if (key in value) errors.push(...validateAgainstSchema(value[key], child, `${path}.${key}`));
+      });
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path} must not be empty`);
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return [`${path} must be an integer`];
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a structured reply
+ * @param {string} response - Raw model reply
+ * @param {Object} schema - Schema from buildJsonSchema
+ * @returns {{valid: boolean, data: Object|null, errors: string[]}}
+ */
+function validateStructuredResponse(response, schema) {
+  let data;
+  try {
+    data = extractJson(response);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateAgainstSchema(data, schema);
+  return { valid: errors.length === 0, data: errors.length === 0 ? data : null, errors };
+}
+
+/**
+ * Create the one-shot repair prompt sent after an invalid reply
+ * @param {string} response - The invalid reply
+ * @param {string[]} errors - Validation errors
+ * @param {Object} schema - Schema the reply must match
+ * @returns {string} - Repair prompt
+ */
+function createRepairPrompt(response, errors, schema) {
+  const maxResponseLength = 20000;
+  const truncated = response.length > maxResponseLength
+    ? response.substring(0, maxResponseLength) + '...[truncated]'
+    : response;
+
+  return `Your previous reply did not match the required JSON schema.
+
+Problems found:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Required schema:
+${JSON.stringify(schema, null, 2)}
+
+Previous reply:
+${truncated}
+
+Rewrite the previous reply as a single JSON object that matches the schema, keeping its content. Respond with the JSON object only - no commentary, no code fences.`;
+}
+
+/**
+ * Call the model for a structured reply, with one repair attempt
+ * @param {string} prompt - Prompt built with buildJsonOutputFormat instructions
+ * @param {Object} schema - Schema from buildJsonSchema
+ * @param {function} callModel - async (prompt) => response text
+ * @param {Object} options - { onProgress, log }
+ * @returns {Promise<{data: Object|null, response: string, repaired: boolean}>}
+ *   data is null when both attempts were invalid; response is the last raw reply.
+ */
+async function generateStructured(prompt, schema, callModel, options = {}) {
+  const { onProgress = () => {}, log = () => {} } = options;
+
+  const response = await callModel(prompt);
+  const first = validateStructuredResponse(response, schema);
+  if (first.valid) {
+    return { data: first.data, response, repaired: false };
+  }
+
+  log(`Structured reply invalid (${first.errors.length} problems): ${first.errors.slice(0, 3).join('; ')}`);
+  onProgress({ stage: 'parsing', message: 'Fixing response format...' });
+
+  const repairedResponse = await callModel(createRepairPrompt(response, first.errors, schema));
+  const second = validateStructuredResponse(repairedResponse, schema);
+  if (second.valid) {
+    log('Structured reply repaired');
+    return { data: second.data, response: repairedResponse, repaired: true };
+  }
+
+  log(`Repaired reply still invalid: ${second.errors.slice(0, 3).join('; ')}`);
+  return { data: null, response: repairedResponse, repaired: false };
+}
+
+/**
+ * Convert validated structured data into the shape parseResponse returns
+ * @param {Object} data - Validated JSON data
+ * @param {Array} descriptionLinks - Original links, referenced by 1-based index
+ * @returns {{summary: string, keyLearnings: string[], actionItems: string[], relevantLinks: Array}}
+ */
+function toParsedResult(data, descriptionLinks = []) {
+  const clean = (items) => (items || []).map(item => item.trim()).filter(item => item.length > 0);
+
+  let keyLearnings = clean(data.key_learnings);
+  const creatorAdditions = clean(data.creator_additions);
+  if (creatorAdditions.length > 0) {
+    keyLearnings = keyLearnings.concat(creatorAdditions.map(addition => `[From Creator] ${addition}`));
+  }
+
+  const relevantLinks = [];
+  (data.relevant_links || []).forEach(({ index, reason }) => {
+    const originalLink = descriptionLinks[index - 1];
+    if (originalLink && !relevantLinks.some(l => l.url === originalLink.url)) {
+      relevantLinks.push({
+        ...originalLink,
+        reason: (reason || '').trim() || 'Relevant to video content'
+      });
+    }
+  });
+
+  return {
+    summary: (data.summary || '').trim() || 'Summary could not be generated.',
+    keyLearnings,
+    actionItems: clean(data.action_items),
+    relevantLinks
+  };
+}
+
+module.exports = {
+  buildJsonSchema,
+  buildJsonOutputFormat,
+  validateStructuredResponse,
+  createRepairPrompt,
+  generateStructured,
+  toParsedResult,
+  // Exported for testing
+  extractJson,
+  validateAgainstSchema
+};
@@ -0,0 +1,195 @@
+/**
+ * Tests for structured-output.js
+ * Tests schema building, validation, repair flow, and result conversion
+ */
+
+const {
+  buildJsonSchema,
+  buildJsonOutputFormat,
+  validateStructuredResponse,
+  createRepairPrompt,
+  generateStructured,
+  toParsedResult,
+  extractJson,
+  validateAgainstSchema
+} = require('./structured-output');
+
+const validReply = JSON.stringify({
+  summary: 'A summary.',
+  key_learnings: ['Learning one', 'Learning two'],
+  action_items: ['Try it']
+});
+
+describe('structured-output', () => {
+  describe('buildJsonSchema', () => {
+    it('uses the default sections when no template is given', () => {
+      const schema = buildJsonSchema(null);
+      expect(Object.keys(schema.properties)).toEqual(['summary', 'key_learnings', 'action_items']);
+      expect(schema.required).toEqual(['summary', 'key_learnings', 'action_items']);
+    });
+
+    it('adds links and creator additions only when the content has them', () => {
+      const schema = buildJsonSchema(null, { hasLinks: true, hasCreatorComments: true });
+      expect(schema.properties.relevant_links).toBeDefined();
+      expect(schema.properties.creator_additions).toBeDefined();
+    });
+
+    it('follows enabled template sections and their labels', () => {
+      const sections = [
+        { id: 'summary', label: 'Overview', enabled: true },
+        { id: 'key_learnings', label: 'Takeaways', enabled: true },
+        { id: 'action_items', label: 'Action Items', enabled: false },
+        { id: 'custom_1', label: 'Quotes', enabled: true, format: 'bullets' }
+      ];
+      const schema = buildJsonSchema(sections);
+
+      expect(Object.keys(schema.properties)).toEqual(['summary', 'key_learnings']);
+      expect(schema.properties.summary.description).toContain('Overview');
+      expect(schema.properties.key_learnings.description).toContain('Takeaways');
+    });
+  });
+
+  describe('buildJsonOutputFormat', () => {
+    it('embeds the schema in the instructions', () => {
+      const schema = buildJsonSchema(null);
+      const format = buildJsonOutputFormat(schema);
+      expect(format).toContain('single JSON object');
+      expect(format).toContain('"key_learnings"');
+    });
+  });
+
+  describe('extractJson', () => {
+    it('parses a bare object', () => {
+      expect(extractJson('{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    it('parses an object inside a code fence', () => {
+      expect(extractJson('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    });
+
+    it('parses an object surrounded by prose', () => {
+      expect(extractJson('Sure! {"a": {"b": 2}} Hope that helps.')).toEqual({ a: { b: 2 } });
+    });
+
+    it('throws when there is no object', () => {
+      expect(() => extractJson('SUMMARY:\nText')).toThrow('No JSON object found');
+    });
+  });
+
+  describe('validateAgainstSchema', () => {
+    const schema = buildJsonSchema(null, { hasLinks: true });
+
+    it('accepts a matching value', () => {
+      const value = { summary: 'S', key_learnings: ['L'], action_items: [], relevant_links: [{ index: 1, reason: 'R' }] };
+      expect(validateAgainstSchema(value, schema)).toEqual([]);
+    });
+
+    it('reports missing fields', () => {
+      const errors = validateAgainstSchema({ summary: 'S' }, schema);
+      expect(errors).toContain('response.key_learnings is required');
+      expect(errors).toContain('response.action_items is required');
+    });
+
+    it('reports wrong types and empty required content', () => {
+      const value = { summary: '  ', key_learnings: [], action_items: 'none', relevant_links: [{ index: '1', reason: 'R' }] };
+      const errors = validateAgainstSchema(value, schema);
+      expect(errors).toContain('response.summary must not be empty');
+      expect(errors).toContain('response.key_learnings must have at least 1 item');
+      expect(errors).toContain('response.action_items must be an array');
+      expect(errors).toContain('response.relevant_links[0].index must be an integer');
+    });
+  });
+
+  describe('validateStructuredResponse', () => {
+    const schema = buildJsonSchema(null);
+
+    it('returns data for a valid reply', () => {
+      const result = validateStructuredResponse(validReply, schema);
+      expect(result.valid).toBe(true);
+      expect(result.data.key_learnings).toEqual(['Learning one', 'Learning two']);
+    });
+
+    it('returns errors for a text-format reply', () => {
+      const result = validateStructuredResponse('SUMMARY:\nText\n\nKEY LEARNINGS:\n- One', schema);
+      expect(result.valid).toBe(false);
+      expect(result.data).toBeNull();
+      expect(result.errors[0]).toMatch(/^Invalid JSON/);
+    });
+  });
+
+  describe('createRepairPrompt', () => {
+    it('includes the problems, the schema, and the previous reply', () => {
+      const schema = buildJsonSchema(null);
+      const prompt = createRepairPrompt('{"summary": "S"}', ['response.key_learnings is required'], schema);
+      expect(prompt).toContain('- response.key_learnings is required');
+      expect(prompt).toContain('"action_items"');
+      expect(prompt).toContain('{"summary": "S"}');
+    });
+  });
+
+  describe('generateStructured', () => {
+    const schema = buildJsonSchema(null);
+
+    it('returns valid data from the first reply without repairing', async () => {
+      const callModel = jest.fn().mockResolvedValue(validReply);
+      const result = await generateStructured('prompt', schema, callModel);
+
+      expect(callModel).toHaveBeenCalledTimes(1);
+      expect(result.repaired).toBe(false);
+      expect(result.data.summary).toBe('A summary.');
+    });
+
+    it('sends one repair prompt after an invalid reply', async () => {
+      const callModel = jest.fn()
+        .mockResolvedValueOnce('{"summary": "A summary."}')
+        .mockResolvedValueOnce(validReply);
+      const onProgress = jest.fn();
+      const result = await generateStructured('prompt', schema, callModel, { onProgress });
+
+      expect(callModel).toHaveBeenCalledTimes(2);
+      expect(callModel.mock.calls[1][0]).toContain('did not match the required JSON schema');
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ message: 'Fixing response format...' }));
+      expect(result.repaired).toBe(true);
+      expect(result.data.action_items).toEqual(['Try it']);
+    });
+
+    it('gives up after one repair and returns the last reply for the text parser', async () => {
+      const callModel = jest.fn()
+        .mockResolvedValueOnce('not json')
+        .mockResolvedValueOnce('SUMMARY:\nStill text');
+      const result = await generateStructured('prompt', schema, callModel);
+
+      expect(callModel).toHaveBeenCalledTimes(2);
+      expect(result.data).toBeNull();
+      expect(result.response).toBe('SUMMARY:\nStill text');
+    });
+  });
+
+  describe('toParsedResult', () => {
+    it('maps fields to the parseResponse shape', () => {
+      const links = [
+        { text: 'Docs', url: 'https://example.com/docs' },
+        { text: 'Repo', url: 'https://example.com/repo' }
+      ];
+      const result = toParsedResult({
+        summary: ' A summary. ',
+        key_learnings: ['One', ' '],
+        action_items: ['Do it'],
+        creator_additions: ['Extra'],
+        relevant_links: [{ index: 2, reason: 'Source code' }, { index: 9, reason: 'Out of range' }]
+      }, links);
+
+      expect(result.summary).toBe('A summary.');
+      expect(result.keyLearnings).toEqual(['One', '[From Creator] Extra']);
+      expect(result.actionItems).toEqual(['Do it']);
+      expect(result.relevantLinks).toEqual([{ text: 'Repo', url: 'https://example.com/repo', reason: 'Source code' }]);
+    });
+
+    it('fills in defaults for missing optional sections', () => {
+      const result = toParsedResult({ key_learnings: ['One'] });
+      expect(result.summary).toBe('Summary could not be generated.');
+      expect(result.actionItems).toEqual([]);
+      expect(result.relevantLinks).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Summary Cache
+ * Stores parsed generateSummary results on disk so re-opening the same
+ * content (sidebar reload, revisiting a video) doesn't cost another model call.
+ * One JSON file per entry in native-host/summary-cache/, keyed by a hash of
+ * everything that shapes the output. Entries expire after a TTL, and the
+ * oldest-used entries are evicted once the directory exceeds a size cap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CACHE_DIR = path.join(__dirname, 'summary-cache');
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_CACHE_BYTES = 50 * 1024 * 1024; // 50MB
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Normalize transcript text so cosmetic differences between extractions
+ * (line breaks, runs of spaces, Unicode composition) hash the same.
+ * @param {string} text - Transcript or page text
+ * @returns {string}
+ */
+function normalizeTranscript(text) {
+  return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the cache key for a summary request
+ * @param {Object} params
+ * @param {string} params.contentType - youtube_video, article, ...
+ * @param {string} params.transcript - Source text
+ * @param {string} params.provider - Requested provider
+ * @param {string} [params.model] - Requested model
+ * @param {string} [params.customInstructions] - Template instructions
+ * @param {Array} [params.templateSections] - Template sections
+ * @param {boolean} [params.structured] - Structured output mode
+ * @param {Array} [params.chapters] - Chapter-mode or generated-chapter settings, when either is on
+ * @returns {string} - Hex key
+ */
+function buildCacheKey({ contentType, transcript, provider, model, customInstructions, templateSections, structured, chapters }) {
+  return sha256(JSON.stringify([
+    contentType || 'youtube_video',
+    sha256(normalizeTranscript(transcript)),
+    provider || 'claude',
+    model || null,
+    customInstructions || null,
+    templateSections || null,
+    !!structured,
+    // Only chapter requests add this, so other keys stay as they were
+    ...(chapters ? [chapters] : [])
+  ]));
+}
+
+function entryPath(key, cacheDir) {
+  return path.join(cacheDir, `${key}.json`);
+}
+
+/**
+ * Look up a cached summary
+ * @param {string} key - From buildCacheKey
+ * @param {Object} options - { ttlMs, cacheDir, now }
+ * @returns {{result: Object, createdAt: number}|null} - null on miss or expiry
+ */
+function get(key, options = {}) {
+  const { ttlMs = DEFAULT_TTL_MS, cacheDir = CACHE_DIR, now = Date.now() } = options;
+  const file = entryPath(key, cacheDir);
+
+  try {
+    if (!fs.existsSync(file)) return null;
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (now - entry.createdAt > ttlMs) {
+      fs.unlinkSync(file);
+      return null;
+    }
+
+    // Touch so size-cap eviction drops least recently used entries first
+    const touched = new Date(now);
+    fs.utimesSync(file, touched, touched);
+    return { result: entry.result, createdAt: entry.createdAt };
+  } catch (error) {
+    logger.log(`Cache read failed for ${key}: ${error.message}`, 'summary-cache');
+    return null;
+  }
+}
+
+/**
+ * Store a summary result
+ * @param {string} key - From buildCacheKey
+ * @param {Object} result - Successful generateSummary response
+ * @param {Object} options - { cacheDir, maxBytes, now }
+ */
+function set(key, result, options = {}) {
+  const { cacheDir = CACHE_DIR, maxBytes = MAX_CACHE_BYTES, now = Date.now() } = options;
+
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(entryPath(key, cacheDir), JSON.stringify({ createdAt: now, result }));
+    enforceSizeCap(cacheDir, maxBytes);
+  } catch (error) {
+    logger.log(`Cache write failed for ${key}: ${error.message}`, 'summary-cache');
+  }
+}
+
+/**
+ * List cache entries with size and last-used time
+ * @param {string} cacheDir - Cache directory
+ * @returns {Array<{file: string, size: number, mtimeMs: number}>}
+ */
+function listEntries(cacheDir) {
+  if (!fs.existsSync(cacheDir)) return [];
+  return fs.readdirSync(cacheDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const file = path.join(cacheDir, name);
+      const stats = fs.statSync(file);
+      return { file, size: stats.size, mtimeMs: stats.mtimeMs };
+    });
+}
+
+/**
+ * Delete least recently used entries until the cache fits in maxBytes
+ * @param {string} cacheDir - Cache directory
+ * @param {number} maxBytes - Size cap
+ * @returns {number} - Entries evicted
+ */
+function enforceSizeCap(cacheDir = CACHE_DIR, maxBytes = MAX_CACHE_BYTES) {
+  const entries = listEntries(cacheDir).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let evicted = 0;
+
+  for (const entry of entries) {
+    if (total <= maxBytes) break;
+    fs.unlinkSync(entry.file);
+    total -= entry.size;
+    evicted++;
+  }
+
+  if (evicted > 0) {
+    logger.log(`Evicted ${evicted} cache entries to stay under ${maxBytes} bytes`, 'summary-cache');
+  }
+  return evicted;
+}
+
+/**
+ * Delete every cached summary
+ * @param {Object} options - { cacheDir }
+ * @returns {{removed: number, bytes: number}}
+ */
+function clear(options = {}) {
+  const { cacheDir = CACHE_DIR } = options;
+  const entries = listEntries(cacheDir);
+  entries.forEach(entry => fs.unlinkSync(entry.file));
+  return { removed: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0) };
+}
+
+/**
+ * Report cache size for the settings page
+ * @param {Object} options - { cacheDir }
+ * @returns {{entries: number, bytes: number, maxBytes: number}}
+ */
+function getStats(options = {}) {
+  const { cacheDir = CACHE_DIR } = options;
+  const entries = listEntries(cacheDir);
+  return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0), maxBytes: MAX_CACHE_BYTES };
+}
+
+module.exports = {
+  buildCacheKey,
+  get,
+  set,
+  clear,
+  getStats,
+  DEFAULT_TTL_MS,
+  MAX_CACHE_BYTES,
+  // Exported for testing
+  normalizeTranscript,
+  enforceSizeCap
+};
@@ -0,0 +1,121 @@
+/**
+ * Tests for summary-cache.js
+ * Uses a temporary directory per test instead of native-host/summary-cache/
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildCacheKey,
+  get,
+  set,
+  clear,
+  getStats,
+  normalizeTranscript,
+  enforceSizeCap
+} = require('./summary-cache');
+
+const request = {
+  contentType: 'youtube_video',
+  transcript: 'Hello world. This is a transcript.',
+  provider: 'claude',
+  model: 'sonnet',
+  customInstructions: 'Be brief',
+  templateSections: [{ id: 'summary', label: 'Summary', enabled: true }]
+};
+
+const result = { success: true, summary: 'A summary.', keyLearnings: ['One'], actionItems: [], relevantLinks: [] };
+
+describe('summary-cache', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('normalizeTranscript', () => {
+    it('collapses whitespace and trims', () => {
+      expect(normalizeTranscript('  Hello\n\n  world\t ')).toBe('Hello world');
+    });
+  });
+
+  describe('buildCacheKey', () => {
+    it('ignores whitespace-only transcript differences', () => {
+      expect(buildCacheKey({ ...request, transcript: 'Hello world.\nThis is  a transcript. ' })).toBe(buildCacheKey(request));
+    });
+
+    it('keeps keys for requests without chapters unchanged', () => {
+      expect(buildCacheKey({ ...request, chapters: null })).toBe(buildCacheKey(request));
+      expect(buildCacheKey({ ...request, chapters: [[0, 'Intro'], [60, 'Main']] })).not.toBe(buildCacheKey(request));
+    });
+
+    it.each([
+      ['contentType', 'article'],
+      ['transcript', 'Different text'],
+      ['provider', 'codex'],
+      ['model', 'opus'],
+      ['customInstructions', 'Be thorough'],
+      ['templateSections', [{ id: 'summary', label: 'Overview', enabled: true }]]
+    ])('changes when %s changes', (field, value) => {
+      expect(buildCacheKey({ ...request, [field]: value })).not.toBe(buildCacheKey(request));
+    });
+  });
+
+  describe('get / set', () => {
+    it('returns a stored result', () => {
+      const key = buildCacheKey(request);
+      set(key, result, { cacheDir, now: 1000 });
+
+      expect(get(key, { cacheDir, now: 2000 })).toEqual({ result, createdAt: 1000 });
+    });
+
+    it('misses for an unknown key', () => {
+      expect(get('missing', { cacheDir })).toBeNull();
+    });
+
+    it('expires entries older than the TTL', () => {
+      const key = buildCacheKey(request);
+      set(key, result, { cacheDir, now: 1000 });
+
+      expect(get(key, { cacheDir, ttlMs: 500, now: 2000 })).toBeNull();
+      expect(fs.readdirSync(cacheDir)).toHaveLength(0);
+    });
+  });
+
+  describe('enforceSizeCap', () => {
+    it('evicts least recently used entries first', () => {
+      set('a', result, { cacheDir });
+      set('b', result, { cacheDir });
+      set('c', result, { cacheDir });
+      fs.utimesSync(path.join(cacheDir, 'a.json'), new Date(3000), new Date(3000));
+      fs.utimesSync(path.join(cacheDir, 'b.json'), new Date(1000), new Date(1000));
+      fs.utimesSync(path.join(cacheDir, 'c.json'), new Date(2000), new Date(2000));
+      const entrySize = fs.statSync(path.join(cacheDir, 'a.json')).size;
+
+      expect(enforceSizeCap(cacheDir, entrySize * 2)).toBe(1);
+      expect(fs.readdirSync(cacheDir).sort()).toEqual(['a.json', 'c.json']);
+    });
+  });
+
+  describe('clear / getStats', () => {
+    it('removes every entry and reports what was removed', () => {
+      set('a', result, { cacheDir });
+      set('b', result, { cacheDir });
+
+      expect(getStats({ cacheDir }).entries).toBe(2);
+      const cleared = clear({ cacheDir });
+      expect(cleared.removed).toBe(2);
+      expect(cleared.bytes).toBeGreaterThan(0);
+      expect(getStats({ cacheDir }).entries).toBe(0);
+    });
+
+    it('handles a cache directory that does not exist yet', () => {
+      expect(clear({ cacheDir: path.join(cacheDir, 'missing') })).toEqual({ removed: 0, bytes: 0 });
+    });
+  });
+});
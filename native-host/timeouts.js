@@ -0,0 +1,39 @@
+/**
+ * Time limit errors
+ * Every provider (and ElevenLabs) reports a call that hit the limit from
+ * Settings → Timeouts with the same sentence, so the user knows what to
+ * raise and retry-policy.js can tell it apart from a network timeout.
+ *
+ *   Claude Code (sonnet) timed out after 270 seconds. You can raise the limit in Settings → Timeouts.
+ */
+
+// Matches timeoutMessage's output
+const TIMEOUT_MESSAGE_PATTERN = /timed out after \d/i;
+
+/**
+ * Describe a limit: "500 ms", "1 second", "1.5 seconds", "270 seconds"
+ * @param {number} timeoutMs - The limit
+ * @returns {string}
+ */
+function formatLimit(timeoutMs) {
+  if (timeoutMs < 1000) return `${timeoutMs} ms`;
+  const seconds = Math.round(timeoutMs / 100) / 10;
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the error for a call that hit its time limit, naming the provider
+ * and the limit so the user knows what to raise
+ * @param {string} provider - e.g. "Claude Code (sonnet)"
+ * @param {number} timeoutMs - The limit that was hit
+ * @returns {string}
+ */
+function timeoutMessage(provider, timeoutMs) {
+  return `${provider} timed out after ${formatLimit(timeoutMs)}. You can raise the limit in Settings → Timeouts.`;
+}
+
+module.exports = {
+  TIMEOUT_MESSAGE_PATTERN,
+  formatLimit,
+  timeoutMessage
+};
@@ -0,0 +1,34 @@
+/**
+ * Tests for timeouts.js
+ * Builds the error for a call that hit its time limit
+ */
+
+const { TIMEOUT_MESSAGE_PATTERN, formatLimit, timeoutMessage } = require('./timeouts');
+
+describe('timeouts', () => {
+  describe('formatLimit', () => {
+    it('pluralizes seconds properly', () => {
+      expect(formatLimit(1000)).toBe('1 second');
+      expect(formatLimit(1500)).toBe('1.5 seconds');
+      expect(formatLimit(270000)).toBe('270 seconds');
+    });
+
+    it('keeps a sub-second limit in milliseconds', () => {
+      expect(formatLimit(500)).toBe('500 ms');
+    });
+  });
+
+  describe('timeoutMessage', () => {
+    it('names the provider and the limit', () => {
+      expect(timeoutMessage('Codex (gpt-5)', 90000))
+        .toBe('Codex (gpt-5) timed out after 90 seconds. You can raise the limit in Settings → Timeouts.');
+      expect(timeoutMessage('ElevenLabs', 500)).toBe('ElevenLabs timed out after 500 ms. You can raise the limit in Settings → Timeouts.');
+    });
+
+    it('matches TIMEOUT_MESSAGE_PATTERN, unlike other timeouts', () => {
+      expect(TIMEOUT_MESSAGE_PATTERN.test(timeoutMessage('Claude API (opus)', 1000))).toBe(true);
+      expect(TIMEOUT_MESSAGE_PATTERN.test('Network error: connect ETIMEDOUT')).toBe(false);
+      expect(TIMEOUT_MESSAGE_PATTERN.test('Codex request timed out')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Transcript timestamps
+ * The extension sends transcripts as segments ({ start, end, text }, in
+ * seconds) alongside the plain text. The prompt gets the segments as lines
+ * prefixed with `[m:ss]`, and the model is asked to start each key learning
+ * with the timestamp it came from, which the sidebar turns into a link that
+ * seeks the video.
+ *
+ *   [0:00] Welcome back to the channel. Today we're looking at...
+ *   [0:31] The first thing to understand is...
+ */
+
+// Segments are merged into lines of at least this long, which keeps the
+// markers to a few percent of the prompt (captions run ~2-5 s each)
+const LINE_SECONDS = 30;
+
+// A line starting with `[1:23]` or `[1:02:03]`, or a bullet that does
+const TIMESTAMPED_LINE = /^(- )?\[(\d{1,2}:)?\d{1,2}:\d{2}\]/m;
+
+/**
+ * Format seconds as m:ss, or h:mm:ss from an hour on
+ * @param {number} seconds - Offset into the video
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Parse an m:ss or h:mm:ss label
+ * @param {string} label - e.g. "1:02:03"
+ * @returns {number|null} - Seconds, or null if it isn't a timestamp
+ */
+function parseTimestamp(label) {
+  const text = String(label || '').trim();
+  if (!/^\d{1,2}(:\d{2}){1,2}$/.test(text)) return null;
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Render transcript segments as timestamped lines for a prompt
+ * @param {Array<{start: number, end: number, text: string}>} segments - In order
+ * @param {number} [lineSeconds=LINE_SECONDS] - Minimum span of one line
+ * @returns {string}
+ */
+function formatTimestampedTranscript(segments, lineSeconds = LINE_SECONDS) {
+  const lines = [];
+  let line = null;
+
+  (segments || []).forEach(segment => {
+    const text = String(segment.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const start = Number(segment.start) || 0;
+    if (!line || start - line.start >= lineSeconds) {
+      line = { start, parts: [] };
+      lines.push(line);
+    }
+    line.parts.push(text);
+  });
+
+  return lines.map(l => `[${formatTimestamp(l.start)}] ${l.parts.join(' ')}`).join('\n');
+}
+
+/**
+ * Whether text carries timestamped lines (a formatted transcript, or chunk
+ * notes that kept its markers)
+ * @param {string} text - Prompt source text
+ * @returns {boolean}
+ */
+function hasTimestamps(text) {
+  return typeof text === 'string' && TIMESTAMPED_LINE.test(text);
+}
+
+module.exports = {
+  LINE_SECONDS,
+  formatTimestamp,
+  parseTimestamp,
+  formatTimestampedTranscript,
+  hasTimestamps
+};
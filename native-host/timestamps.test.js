@@ -0,0 +1,76 @@
+/**
+ * Tests for timestamps.js
+ * Renders transcript segments as [m:ss] lines for prompts
+ */
+
+const { formatTimestamp, parseTimestamp, formatTimestampedTranscript, hasTimestamps, LINE_SECONDS } = require('./timestamps');
+
+describe('timestamps', () => {
+  describe('formatTimestamp', () => {
+    it('formats minutes and seconds', () => {
+      expect(formatTimestamp(0)).toBe('0:00');
+      expect(formatTimestamp(83.7)).toBe('1:23');
+      expect(formatTimestamp(600)).toBe('10:00');
+    });
+
+    it('adds hours from an hour on', () => {
+      expect(formatTimestamp(3723)).toBe('1:02:03');
+    });
+
+    it('treats missing or negative values as zero', () => {
+      expect(formatTimestamp(undefined)).toBe('0:00');
+      expect(formatTimestamp(-5)).toBe('0:00');
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    it('parses m:ss and h:mm:ss', () => {
+      expect(parseTimestamp('0:00')).toBe(0);
+      expect(parseTimestamp('12:34')).toBe(754);
+      expect(parseTimestamp('1:02:03')).toBe(3723);
+    });
+
+    it('returns null for anything else', () => {
+      expect(parseTimestamp('1:2')).toBeNull();
+      expect(parseTimestamp('intro')).toBeNull();
+      expect(parseTimestamp(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatTimestampedTranscript', () => {
+    it('merges segments into lines that start with their timestamp', () => {
+      const segments = [
+        { start: 0, end: 3, text: 'Welcome back.' },
+        { start: 3, end: 8, text: 'Today we look at caching.' },
+        { start: LINE_SECONDS + 2, end: LINE_SECONDS + 5, text: 'First, the basics.' }
+      ];
+
+      expect(formatTimestampedTranscript(segments)).toBe(
+        '[0:00] Welcome back. Today we look at caching.\n[0:32] First, the basics.'
+      );
+    });
+
+    it('skips empty segments and collapses whitespace', () => {
+      const segments = [{ start: 5, text: '  ' }, { start: 6, text: 'one\n two' }];
+
+      expect(formatTimestampedTranscript(segments)).toBe('[0:06] one two');
+    });
+
+    it('returns an empty string for no segments', () => {
+      expect(formatTimestampedTranscript([])).toBe('');
+      expect(formatTimestampedTranscript(null)).toBe('');
+    });
+  });
+
+  describe('hasTimestamps', () => {
+    it('finds timestamped lines and bullets', () => {
+      expect(hasTimestamps('[0:00] Welcome')).toBe(true);
+      expect(hasTimestamps('SUMMARY:\nText\n\nKEY POINTS:\n- [1:02:03] A point')).toBe(true);
+    });
+
+    it('ignores timestamps in the middle of a line', () => {
+      expect(hasTimestamps('At [1:23] they say')).toBe(false);
+      expect(hasTimestamps(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Minimal server-side WebSocket (RFC 6455) support for the agent's HTTP API.
+ * Only what the progress stream needs: the upgrade handshake, text frames,
+ * ping/pong, and close. Node has no built-in WebSocket server and the native
+ * host ships without dependencies.
+ */
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a client's Sec-WebSocket-Key
+ * @param {string} key - Client key
+ * @returns {string}
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode a single unmasked frame (servers never mask)
+ * @param {number} opcode - One of OPCODE
+ * @param {Buffer|string} payload - Frame payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  let header;
+
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Create an incremental frame parser. Feed it socket chunks; it calls
+ * `onFrame({ opcode, payload })` for each complete message, joining
+ * fragmented messages and unmasking client payloads.
+ * @param {function} onFrame - Frame callback
+ * @param {Object} options - { maxMessageBytes }
+ * @returns {function(Buffer): void} - Throws on protocol errors
+ */
+function createFrameParser(onFrame, options = {}) {
+  const { maxMessageBytes = MAX_MESSAGE_BYTES } = options;
+  let buffer = Buffer.alloc(0);
+  let fragments = null;
+  let fragmentOpcode = null;
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0F;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7F;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (length > maxMessageBytes) {
+        throw new Error(`WebSocket frame too large (${length} bytes)`);
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+
+      // Control frames may arrive between the fragments of a data message
+      if (opcode >= OPCODE.CLOSE) {
+        onFrame({ opcode, payload });
+        continue;
+      }
+
+      if (opcode !== OPCODE.CONTINUATION) {
+        fragments = [];
+        fragmentOpcode = opcode;
+      } else if (!fragments) {
+        throw new Error('Unexpected WebSocket continuation frame');
+      }
+
+      fragments.push(payload);
+      if (fragments.reduce((sum, part) => sum + part.length, 0) > maxMessageBytes) {
+        throw new Error('WebSocket message too large');
+      }
+
+      if (fin) {
+        onFrame({ opcode: fragmentOpcode, payload: Buffer.concat(fragments) });
+        fragments = null;
+        fragmentOpcode = null;
+      }
+    }
+  };
+}
+
+/**
+ * Complete the upgrade handshake and wrap the socket in a tiny connection
+ * object. Pings are answered automatically.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Raw socket from the 'upgrade' event
+ * @param {Object} handlers - { onMessage(text), onClose() }
+ * @returns {{send: function(Object): void, close: function(number=): void}|null} - null if the handshake is invalid
+ */
+function accept(req, socket, handlers = {}) {
+  const { onMessage = () => {}, onClose = () => {} } = handlers;
+  const key = req.headers['sec-websocket-key'];
+
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  let closed = false;
+  const connection = {
+    send(message) {
+      if (closed || socket.destroyed) return;
+      socket.write(encodeFrame(OPCODE.TEXT, JSON.stringify(message)));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      closed = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      if (!socket.destroyed) socket.end(encodeFrame(OPCODE.CLOSE, payload));
+      onClose();
+    }
+  };
+
+  const parse = createFrameParser(({ opcode, payload }) => {
+    if (opcode === OPCODE.TEXT) {
+      onMessage(payload.toString('utf8'));
+    } else if (opcode === OPCODE.PING) {
+      socket.write(encodeFrame(OPCODE.PONG, payload));
+    } else if (opcode === OPCODE.CLOSE) {
+      connection.close();
+    } else if (opcode === OPCODE.BINARY) {
+      connection.close(1003); // Unsupported data
+    }
+  });
+
+  socket.on('data', (chunk) => {
+    try {
+      parse(chunk);
+    } catch (error) {
+      connection.close(1002); // Protocol error
+    }
+  });
+  // http.Server sockets allow half-open connections; finish our side too
+  socket.on('end', () => connection.close());
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true;
+      onClose();
+    }
+  });
+  socket.on('error', () => socket.destroy());
+
+  return connection;
+}
+
+module.exports = {
+  OPCODE,
+  accept,
+  acceptKey,
+  encodeFrame,
+  createFrameParser
+};
@@ -0,0 +1,71 @@
+/**
+ * Tests for websocket.js
+ * Tests the handshake key and frame encoding/decoding
+ */
+
+const { OPCODE, acceptKey, encodeFrame, createFrameParser } = require('./websocket');
+
+/**
+ * Build a masked client frame the way a browser or ws client would
+ */
+function clientFrame(opcode, text, fin = true) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  const header = payload.length < 126
+    ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xFF]);
+  return Buffer.concat([header, mask, masked]);
+}
+
+describe('websocket', () => {
+  describe('acceptKey', () => {
+    it('matches the RFC 6455 example', () => {
+      expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+  });
+
+  describe('encodeFrame / createFrameParser', () => {
+    it('round-trips short and extended-length text frames', () => {
+      const frames = [];
+      const parse = createFrameParser(frame => frames.push(frame));
+      const long = 'x'.repeat(70000);
+
+      parse(encodeFrame(OPCODE.TEXT, 'hello'));
+      parse(encodeFrame(OPCODE.TEXT, long));
+
+      expect(frames.map(f => f.payload.toString())).toEqual(['hello', long]);
+    });
+
+    it('unmasks client frames split across chunks', () => {
+      const frames = [];
+      const parse = createFrameParser(frame => frames.push(frame));
+      const frame = clientFrame(OPCODE.TEXT, '{"action":"chat"}');
+
+      parse(frame.subarray(0, 3));
+      parse(frame.subarray(3));
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0].payload.toString()).toBe('{"action":"chat"}');
+    });
+
+    it('joins fragmented messages and passes control frames through', () => {
+      const frames = [];
+      const parse = createFrameParser(frame => frames.push(frame));
+
+      parse(clientFrame(OPCODE.TEXT, 'Hel', false));
+      parse(clientFrame(OPCODE.PING, 'p'));
+      parse(clientFrame(OPCODE.CONTINUATION, 'lo'));
+
+      expect(frames.map(f => [f.opcode, f.payload.toString()])).toEqual([
+        [OPCODE.PING, 'p'],
+        [OPCODE.TEXT, 'Hello']
+      ]);
+    });
+
+    it('rejects frames over the size limit', () => {
+      const parse = createFrameParser(() => {}, { maxMessageBytes: 4 });
+      expect(() => parse(clientFrame(OPCODE.TEXT, 'too long'))).toThrow('too large');
+    });
+  });
+});
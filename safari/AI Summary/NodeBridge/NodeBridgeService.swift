@@ -70,12 +70,14 @@ final class NodeBridgeService: NSObject, NodeBridgeProtocol {
     private func runOneRequest(payloadJSON: Data) throws -> Data {
         // Preserve the JS-supplied requestId; the agent's host.js will echo
         // it back on the final response. We need to put it back in the JSON
-        // we hand to background.js.
+        // we hand to background.js. background.js picks a UUID per request,
+        // which goes through unchanged: the agent keys each request's
+        // progress by it, and `getProgress` polls ask for it by that id.
         guard var payload = try JSONSerialization.jsonObject(with: payloadJSON) as? [String: Any] else {
             throw BridgeError.malformedResponse
         }
         let originalRequestId = payload["requestId"]
-        let trackingId = "xpc-\(UInt64.random(in: 1_000_000...UInt64.max))"
+        let trackingId = (originalRequestId as? String) ?? "xpc-\(UInt64.random(in: 1_000_000...UInt64.max))"
         payload["requestId"] = trackingId
 
         let outBody = try JSONSerialization.data(withJSONObject: payload, options: [])
@@ -90,13 +92,14 @@ final class NodeBridgeService: NSObject, NodeBridgeProtocol {
         // Read frames until we see a non-progress response with our trackingId.
         // host.js may emit any number of {type:'progress',requestId:...} frames
         // before the final one.
+        var chunkParts: [Int: Data] = [:]
         while true {
             let frame = try NodeBridgeService.readFrame(fd: fd)
-            guard let json = try? JSONSerialization.jsonObject(with: frame) as? [String: Any] else {
+            guard var json = try? JSONSerialization.jsonObject(with: frame) as? [String: Any] else {
                 throw BridgeError.malformedResponse
             }
-            // Skip progress frames silently — Safari has no transport to push
-            // them back to the page anyway.
+            // Skip progress frames — Safari has no transport to push them
+            // back to the page. The agent keeps them for `getProgress`.
             if let type = json["type"] as? String, type == "progress" {
                 continue
             }
@@ -105,6 +108,31 @@ final class NodeBridgeService: NSObject, NodeBridgeProtocol {
             if let rid = json["requestId"] as? String, rid != trackingId {
                 continue
             }
+            // Responses over 1 MB arrive as numbered {type:'chunk'} frames,
+            // each a base64 slice of the response JSON
+            // (native-host/message-chunks.js). Join them, then carry on as if
+            // the response had come in one frame.
+            if let type = json["type"] as? String, type == "chunk" {
+                guard let index = json["chunkIndex"] as? Int,
+                      let count = json["chunkCount"] as? Int,
+                      let encoded = json["data"] as? String,
+                      let part = Data(base64Encoded: encoded) else {
+                    throw BridgeError.malformedResponse
+                }
+                chunkParts[index] = part
+                if chunkParts.count < count {
+                    continue
+                }
+                var whole = Data()
+                for i in 0..<count {
+                    guard let part = chunkParts[i] else { throw BridgeError.malformedResponse }
+                    whole.append(part)
+                }
+                guard let assembled = try? JSONSerialization.jsonObject(with: whole) as? [String: Any] else {
+                    throw BridgeError.malformedResponse
+                }
+                json = assembled
+            }
 
             var cleaned = json
             if let orig = originalRequestId {